@@ -63,8 +63,26 @@ program
   .option('--forceConcurrent', 'Force concurrent execution', false)
   .option('--verbose', 'Verbose output', false)
   .option('--outputDir <dir>', 'Output directory for reports', 'reports')
-  .option('--reporter <type>', 'Reporter type (console, html, both)', 'both')
+  .option('--reporter <type>', 'Reporter type (console, html, junit, both); combine with commas, e.g. console,junit', 'both')
+  .option('--junitSuiteName <naming>', 'JUnit <testsuite> per test file or per describe block (file, describe)')
+  .option('--trace <file>', 'Write a Chrome trace of the run (chrome://tracing, Perfetto)')
+  .option('--historySize <n>', 'Past runs to keep for the history command (default: 50, 0 turns recording off)', parseInt)
+  .option('--perfGate', 'Flag tests much slower than their rolling baseline or over their @budget annotation')
+  .option('--perfFactor <n>', 'How many times its baseline a test may take before it is flagged (default: 2)', parseFloat)
+  .option('--failOnPerfRegression', 'Fail the run when the performance gate flags a test (implies --perfGate)')
+  .option('--basePort <port>', 'First port of the per-worker port ranges (default: 41000)', parseInt)
+  .option('--portsPerWorker <n>', 'Free ports reserved for each worker (default: 10, 0 turns it off)', parseInt)
+  .option('--workerSetup <module>', 'Module run once per worker slot before its first test file')
+  .option('--workerTeardown <module>', 'Module run once per worker slot when the pool drains')
   .option('--config <path>', 'Path to configuration file')
+  .option('--shard <index/total>', 'Run only one shard of the suite, e.g. 2/5')
+  .option('--timings <file>', 'timings.json shared by every shard to balance them (default: balance by test count)')
+  .option('--retries <n>', 'Retry failed tests up to n times; tests that pass on retry are reported as flaky', parseInt)
+  .option('--bail [n]', 'Stop the run after n failed tests (default: 1); unexecuted tests are reported as not run', parseInt)
+  .option('--changedSince <ref>', 'Run only tests affected by files changed since a git ref (branch, tag or commit)')
+  .option('--onlyChanged', 'Run only tests affected by uncommitted changes')
+  .option('--lastFailed', 'Rerun only the tests that failed in the previous run (test-status.json in --outputDir)')
+  .option('--onlyFailures', 'Alias for --lastFailed')
   .action(async (options) => {
     try {
       // Load configuration from file
@@ -96,18 +114,29 @@ program
       const passed = summary.passed || 0;
       const failed = summary.failed || 0;
       const skipped = summary.skipped || 0;
+      const todo = summary.todo || 0;
+      const flaky = summary.flaky || 0;
+      const notRun = summary.notRun || 0;
       const total = summary.totalTests || 0;
       
-      console.log(chalk.green(`\n✅ Tests completed: ${passed}/${total} passed`));
+      const shardLabel = results.shard ? ` (shard ${results.shard.index}/${results.shard.total})` : '';
+      console.log(chalk.green(`\n✅ Tests completed: ${passed}/${total} passed${shardLabel}`));
       if (failed > 0) console.log(chalk.red(`❌ Failed: ${failed}`));
       if (skipped > 0) console.log(chalk.yellow(`⏭️ Skipped: ${skipped}`));
+      if (todo > 0) console.log(chalk.gray(`✎ Todo: ${todo}`));
+      if (flaky > 0) console.log(chalk.yellow(`🔁 Flaky: ${flaky} (passed on retry)`));
+      if (results.bailed) console.log(chalk.red(`🛑 Bailed out after ${failed} failed test(s); ${notRun} not run`));
+      if (results.performance && results.performance.regressions.length > 0) {
+        const color = results.performance.failRun ? chalk.red : chalk.yellow;
+        console.log(color(`🐢 Performance regressions: ${results.performance.regressions.length}`));
+      }
       
       if (summary.timeSaved) {
         console.log(chalk.blue(`⚡ Time saved: ${summary.timeSaved}ms (${summary.timeSavedPercentage?.toFixed(1)}%)`));
       }
       
       // Exit with appropriate code
-      process.exit(failed > 0 ? 1 : 0);
+      process.exit(failed > 0 || (results.performance && results.performance.failRun) ? 1 : 0);
       
     } catch (error) {
       console.error(chalk.red('❌ Jest Parallel execution failed:'), error.message);
@@ -118,6 +147,122 @@ program
     }
   });
 
+// Merge reports from several runs (e.g. CI shards)
+program
+  .command('merge <dirs...>')
+  .description('Merge test-status.json reports from several runs into one report')
+  .option('--outputDir <dir>', 'Output directory for the merged reports', 'reports')
+  .option('--reporter <type>', 'Reporter type (console, html, junit, both); combine with commas, e.g. console,junit', 'both')
+  .option('--junitSuiteName <naming>', 'JUnit <testsuite> per test file or per describe block (file, describe)')
+  .option('--verbose', 'Verbose output', false)
+  .action(async (dirs, options) => {
+    try {
+      console.log(chalk.blue(`🔗 Merging ${dirs.length} reports...\n`));
+      
+      const results = await JestParallelSDK.mergeReports(dirs, options);
+      const { summary } = results;
+      const failed = summary.failed || 0;
+      
+      console.log(chalk.green(`\n✅ Merged: ${summary.passed || 0}/${summary.totalTests || 0} passed`));
+      if (results.shards.length > 0) {
+        console.log(chalk.gray(`🧩 Shards: ${results.shards.map(shard => `${shard.index}/${shard.total}`).join(', ')}`));
+      }
+      if (failed > 0) console.log(chalk.red(`❌ Failed: ${failed}`));
+      if (summary.skipped > 0) console.log(chalk.yellow(`⏭️ Skipped: ${summary.skipped}`));
+      if (summary.todo > 0) console.log(chalk.gray(`✎ Todo: ${summary.todo}`));
+      if (summary.flaky > 0) console.log(chalk.yellow(`🔁 Flaky: ${summary.flaky}`));
+      
+      process.exit(failed > 0 ? 1 : 0);
+      
+    } catch (error) {
+      console.error(chalk.red('❌ Merge failed:'), error.message);
+      if (options.verbose) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
+// Trends across recorded runs
+program
+  .command('history')
+  .description('Show pass rate, duration and the slowest and most failing tests over past runs')
+  .option('--cacheDir <dir>', 'Cache directory holding the history', '.jest-parallel')
+  .option('--outputDir <dir>', 'Output directory for the trends page (history.html)', 'reports')
+  .option('--limit <n>', 'Only the last n runs', parseInt)
+  .option('--top <n>', 'Number of slowest and most failing tests to list', parseInt, 10)
+  .option('--verbose', 'Verbose output', false)
+  .action(async (options) => {
+    try {
+      const { trends, reportPath, historyDir } = await JestParallelSDK.history(options);
+      const { formatDuration, formatPercent } = require('../src/core/trends');
+      
+      if (trends.runs.length === 0) {
+        console.log(chalk.yellow(`No runs recorded in ${historyDir} yet`));
+        return;
+      }
+      
+      console.log(chalk.blue(`📈 Last ${trends.runs.length} run(s)\n`));
+      for (const run of trends.runs) {
+        const line = `${new Date(run.startTime).toLocaleString()}  ${run.mode}  ${run.passed + run.flaky}/${run.total} passed` +
+          `  pass rate ${formatPercent(run.passRate)}  ${formatDuration(run.durationMs)}  saved ${formatDuration(run.timeSavedMs)}`;
+        console.log(run.failed > 0 ? chalk.red(`❌ ${line}`) : chalk.green(`✅ ${line}`));
+      }
+      
+      if (trends.slowestTests.length > 0) {
+        console.log(chalk.blue('\n🐢 Slowest tests (median)'));
+        trends.slowestTests.forEach(test => console.log(`  ${formatDuration(test.medianMs).padStart(7)}  ${test.id}`));
+      }
+      if (trends.mostFailingTests.length > 0) {
+        console.log(chalk.blue('\n🔥 Most failing tests'));
+        trends.mostFailingTests.forEach(test => console.log(`  ${`${test.failed} failed, ${test.flaky} flaky in ${test.runs} runs`.padEnd(28)}  ${test.id}`));
+      }
+      console.log(chalk.gray(`\n📄 Trends page: ${reportPath}`));
+      
+    } catch (error) {
+      console.error(chalk.red('❌ History failed:'), error.message);
+      if (options.verbose) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
+// Compare two runs
+program
+  .command('diff <baseline> <current>')
+  .description('Compare two JSON reports (test-report.json): newly failing, newly passing, added, removed and slower tests')
+  .option('--outputDir <dir>', 'Output directory for the comparison page (diff.html)', 'reports')
+  .option('--threshold <percent>', 'How much slower a test must be to be listed, in percent', parseFloat)
+  .option('--minDelta <ms>', 'How much slower a test must be to be listed, in milliseconds', parseInt)
+  .option('--verbose', 'Verbose output', false)
+  .action(async (baseline, current, options) => {
+    try {
+      const { diff, reportPath } = await JestParallelSDK.compareReports(baseline, current, {
+        outputDir: options.outputDir,
+        slowerThreshold: options.threshold,
+        minDelta: options.minDelta,
+        verbose: options.verbose
+      });
+      const { CATEGORIES } = require('../src/core/diff');
+      
+      console.log(chalk.blue(`🔀 ${current} compared with ${baseline}\n`));
+      for (const { key, title, detail } of CATEGORIES) {
+        const color = key === 'newlyFailing' ? chalk.red : key === 'newlyPassing' ? chalk.green : chalk.yellow;
+        console.log(color(`${title}: ${diff[key].length}`));
+        diff[key].forEach(entry => console.log(`  ${entry.id}  ${chalk.gray(detail(entry))}`));
+      }
+      console.log(chalk.gray(`\n📄 Comparison page: ${reportPath}`));
+      
+    } catch (error) {
+      console.error(chalk.red('❌ Diff failed:'), error.message);
+      if (options.verbose) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
 // Handle backward compatibility - if no subcommand provided, treat as 'run'
 program.action(async (options) => {
   const runCommand = program.commands.find(cmd => cmd.name() === 'run');
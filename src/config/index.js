@@ -1,5 +1,9 @@
 const fs = require('fs');
 const path = require('path');
+const { parseShard } = require('../core/shard');
+const { parseReporters } = require('../core/reporter');
+const { SUITE_NAMINGS } = require('../core/junit');
+const { normalizeReporterEntries } = require('../core/custom-reporters');
 
 /**
  * Configuration loader for Jest Parallel Worker
@@ -62,6 +66,9 @@ class ConfigLoader {
       forceConcurrent: false,
       verbose: false,
       outputDir: 'reports',
+      cacheDir: '.jest-parallel',
+      retries: 0,
+      bail: 0,
       reporter: 'both'
     };
   }
@@ -82,10 +89,17 @@ class ConfigLoader {
       processedCliOptions.timeout = processedCliOptions.timeout * 60 * 1000;
     }
     
+    // `reporters` in a Jest config belongs to Jest; jest-parallel's own reporters
+    // live under the `jestParallel` key
+    const { reporters: jestReporters, jestParallel = {}, ...fileOptions } = fileConfig;
+    if (jestParallel.reporters !== undefined) {
+      fileOptions.reporters = jestParallel.reporters;
+    }
+    
     // Merge with precedence: CLI > file > defaults
     return {
       ...defaultConfig,
-      ...fileConfig,
+      ...fileOptions,
       ...Object.fromEntries(
         Object.entries(processedCliOptions).filter(([_, value]) => value !== undefined && value !== null)
       )
@@ -117,9 +131,84 @@ class ConfigLoader {
       errors.push('timeout must be a number >= 0.1 minute (6000ms)');
     }
     
-    const validReporters = ['console', 'html', 'both'];
-    if (config.reporter && !validReporters.includes(config.reporter)) {
-      errors.push(`Invalid reporter: ${config.reporter}. Valid reporters: ${validReporters.join(', ')}`);
+    if (config.retries !== undefined && (!Number.isInteger(config.retries) || config.retries < 0)) {
+      errors.push('retries must be an integer >= 0');
+    }
+    
+    if (config.bail !== undefined && typeof config.bail !== 'boolean' && (!Number.isInteger(config.bail) || config.bail < 0)) {
+      errors.push('bail must be a boolean or an integer >= 0');
+    }
+    
+    if (config.changedSince !== undefined && (typeof config.changedSince !== 'string' || config.changedSince.trim() === '')) {
+      errors.push('changedSince must be a git ref such as main or HEAD~1');
+    }
+    
+    if (config.shard) {
+      try {
+        parseShard(config.shard);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+    
+    if (config.timings !== undefined && (typeof config.timings !== 'string' || config.timings.trim() === '')) {
+      errors.push('timings must be a file path');
+    }
+    
+    if (config.reporter) {
+      try {
+        parseReporters(config.reporter);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+    
+    if (config.junitSuiteName !== undefined && !SUITE_NAMINGS.includes(config.junitSuiteName)) {
+      errors.push(`Invalid junitSuiteName: ${config.junitSuiteName}. Valid values: ${SUITE_NAMINGS.join(', ')}`);
+    }
+    
+    if (config.historySize !== undefined && (!Number.isInteger(config.historySize) || config.historySize < 0)) {
+      errors.push('historySize must be an integer >= 0');
+    }
+    
+    if (config.perfFactor !== undefined && (typeof config.perfFactor !== 'number' || !(config.perfFactor > 1))) {
+      errors.push('perfFactor must be a number > 1');
+    }
+    
+    if (config.basePort !== undefined && (!Number.isInteger(config.basePort) || config.basePort < 1 || config.basePort > 65535)) {
+      errors.push('basePort must be a port number between 1 and 65535');
+    }
+    
+    if (config.portsPerWorker !== undefined && (!Number.isInteger(config.portsPerWorker) || config.portsPerWorker < 0)) {
+      errors.push('portsPerWorker must be an integer >= 0');
+    }
+    
+    if (config.workerEnv !== undefined && typeof config.workerEnv !== 'function') {
+      errors.push('workerEnv must be a function (workerId, workItem) returning environment variables');
+    }
+    
+    for (const option of ['workerSetup', 'workerTeardown']) {
+      const hook = config[option];
+      if (hook !== undefined && typeof hook !== 'function' && (typeof hook !== 'string' || hook.trim() === '')) {
+        errors.push(`${option} must be a module path or a function`);
+      }
+    }
+    
+    if (config.locks !== undefined && (!config.locks || typeof config.locks !== 'object' || Array.isArray(config.locks) ||
+        !Object.values(config.locks).every(patterns => [].concat(patterns).every(pattern => typeof pattern === 'string')))) {
+      errors.push("locks must map lock names to globs, e.g. { database: 'tests/db/**/*.test.js' }");
+    }
+    
+    if (config.trace !== undefined && (typeof config.trace !== 'string' || config.trace.trim() === '')) {
+      errors.push('trace must be a file path');
+    }
+    
+    if (config.reporters !== undefined) {
+      try {
+        normalizeReporterEntries(config.reporters);
+      } catch (error) {
+        errors.push(error.message);
+      }
     }
     
     return errors;
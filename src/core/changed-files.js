@@ -0,0 +1,155 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// Tried in order when a specifier has no extension, like Node and Jest do
+const RESOLVE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.json'];
+
+// require('x'), import 'x', import ... from 'x', export ... from 'x', import('x'),
+// and the jest.mock family, which loads modules the test never requires directly
+const IMPORT_PATTERNS = [
+  /\b(?:require|jest\.(?:mock|unmock|doMock|requireActual|requireMock))\s*\(\s*(['"`])([^'"`]+)\1/g,
+  /\bimport\s*\(\s*(['"`])([^'"`]+)\1\s*\)/g,
+  /^\s*import\s+(['"])([^'"]+)\1/gm,
+  /\b(?:import|export)\s[^'"`;]*?\bfrom\s*(['"])([^'"]+)\1/g
+];
+
+/**
+ * List files changed in the working tree according to git.
+ *
+ * With `since`, this covers commits since the merge base with that ref plus
+ * uncommitted changes, matching Jest's --changedSince. Without it, only
+ * uncommitted (staged, unstaged and untracked) changes count, like --onlyChanged.
+ * @param {Object} options - { since, cwd }
+ * @returns {Promise<string[]>} Absolute paths of changed files
+ */
+async function getChangedFiles({ since, cwd = process.cwd() } = {}) {
+  const git = async (...args) => {
+    try {
+      const { stdout } = await execFileAsync('git', ['-c', 'core.quotepath=off', ...args], { cwd, maxBuffer: 64 * 1024 * 1024 });
+      return stdout.split('\n').map(line => line.trim()).filter(Boolean);
+    } catch (error) {
+      const reason = (error.stderr || error.message).trim();
+      throw new Error(`Failed to list changed files with git ${args.join(' ')}: ${reason}`);
+    }
+  };
+
+  const [root] = await git('rev-parse', '--show-toplevel');
+  const changed = [
+    ...(since ? await git('diff', '--name-only', `${since}...HEAD`) : []),
+    ...(await git('diff', '--name-only', 'HEAD')),
+    ...(await git('ls-files', '--others', '--exclude-standard', '--full-name'))
+  ];
+
+  return [...new Set(changed.map(file => path.resolve(root, file)))];
+}
+
+/**
+ * Keep the test files whose static import graph reaches a changed file.
+ *
+ * The graph follows relative and absolute specifiers only; packages in
+ * node_modules are not traversed. A test file that changed itself is
+ * always selected.
+ * @param {string[]} testFiles - Absolute test file paths
+ * @param {string[]} changedFiles - Absolute changed file paths
+ * @returns {Promise<string[]>} Affected test files in their original order
+ */
+async function findAffectedTestFiles(testFiles, changedFiles) {
+  const changed = new Set(changedFiles.map(file => path.resolve(file)));
+  // Deleted files can't be resolved on disk; match their extensionless specifiers
+  for (const file of changedFiles) {
+    changed.add(stripExtension(path.resolve(file)));
+  }
+
+  const dependencies = new Map();
+  const affected = [];
+
+  for (const testFile of testFiles) {
+    const reachable = await collectDependencies(testFile, dependencies);
+    if ([...reachable].some(file => changed.has(file))) {
+      affected.push(testFile);
+    }
+  }
+
+  return affected;
+}
+
+// Depth-first walk of the import graph; direct imports are cached per file
+async function collectDependencies(entryFile, dependencies) {
+  const reachable = new Set();
+  const pending = [path.resolve(entryFile)];
+
+  while (pending.length > 0) {
+    const file = pending.pop();
+    if (reachable.has(file)) continue;
+    reachable.add(file);
+
+    if (!dependencies.has(file)) {
+      dependencies.set(file, await readImports(file));
+    }
+    pending.push(...dependencies.get(file));
+  }
+
+  return reachable;
+}
+
+async function readImports(file) {
+  let source;
+  try {
+    source = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    return [];
+  }
+
+  const imports = new Set();
+  for (const specifier of extractSpecifiers(source)) {
+    if (!specifier.startsWith('.') && !path.isAbsolute(specifier)) continue;
+
+    const target = path.resolve(path.dirname(file), specifier);
+    imports.add(await resolveFile(target) || target);
+  }
+
+  return [...imports];
+}
+
+function extractSpecifiers(source) {
+  const specifiers = [];
+  for (const pattern of IMPORT_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      specifiers.push(match[2]);
+    }
+  }
+  return specifiers;
+}
+
+// Node-style resolution: exact file, then with extensions, then directory index
+async function resolveFile(target) {
+  const candidates = [
+    target,
+    ...RESOLVE_EXTENSIONS.map(ext => `${target}${ext}`),
+    ...RESOLVE_EXTENSIONS.map(ext => path.join(target, `index${ext}`))
+  ];
+
+  for (const candidate of candidates) {
+    try {
+      const stats = await fs.stat(candidate);
+      if (stats.isFile()) return candidate;
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+
+  return null;
+}
+
+function stripExtension(file) {
+  const ext = path.extname(file);
+  return ext ? file.slice(0, -ext.length) : file;
+}
+
+module.exports = { getChangedFiles, findAffectedTestFiles };
@@ -0,0 +1,74 @@
+/**
+ * Custom reporters registered with the `reporters` option:
+ *
+ *   reporters: ['default', 'junit', ['./slack-reporter.js', { channel: '#ci' }]]
+ *
+ * 'default' stands for the built-in reports chosen by the `reporter` option
+ * and the built-in names (console, html, json, junit) add those reports.
+ * Anything else is a module path, resolved from the working directory,
+ * that exports a reporter class (constructed with its options and
+ * { outputDir, logger }) or a reporter object. Reporters implement any of:
+ *
+ *   onRunStart(run)       runner `runStart` payload
+ *   onTestResult(test)    each test as it completes (`testComplete` payload)
+ *   onFileResult(file)    each file once all of its tests are done (`fileComplete` payload)
+ *   onRunComplete(report) the versioned JSON report (json-report.js)
+ *
+ * Methods may be async. A reporter that throws is logged and doesn't stop
+ * the run; onRunComplete is called after earlier calls have settled.
+ */
+const path = require('path');
+
+const LIFECYCLE_METHODS = ['onRunStart', 'onTestResult', 'onFileResult', 'onRunComplete'];
+
+/**
+ * Check the shape of the `reporters` option.
+ * @param {Array} reporters - Entries: a name, or [name, options]
+ * @returns {Array<{name: string, options: Object}>} Normalized entries
+ */
+function normalizeReporterEntries(reporters) {
+  if (!Array.isArray(reporters)) {
+    throw new Error('reporters must be an array of reporter names or [name, options] pairs');
+  }
+
+  return reporters.map(entry => {
+    const [name, options = {}] = Array.isArray(entry) ? entry : [entry];
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new Error(`Invalid reporter entry: ${JSON.stringify(entry)}`);
+    }
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error(`Options of reporter ${name} must be an object`);
+    }
+    return { name, options };
+  });
+}
+
+/**
+ * Load a custom reporter module.
+ * @param {string} name - Module path or package name
+ * @param {Object} options - Options from the reporter entry
+ * @param {Object} context - { outputDir, logger }
+ * @returns {{name: string, reporter: Object}}
+ */
+function loadCustomReporter(name, options, context) {
+  let modulePath;
+  try {
+    modulePath = require.resolve(name, { paths: [process.cwd()] });
+  } catch (error) {
+    throw new Error(`Cannot find reporter ${name} from ${process.cwd()}`);
+  }
+
+  let exported = require(modulePath);
+  if (exported && exported.__esModule && exported.default) {
+    exported = exported.default;
+  }
+
+  const reporter = typeof exported === 'function' ? new exported(options, context) : exported;
+  if (!reporter || !LIFECYCLE_METHODS.some(method => typeof reporter[method] === 'function')) {
+    throw new Error(`Reporter ${name} (${path.relative(process.cwd(), modulePath)}) implements none of ${LIFECYCLE_METHODS.join(', ')}`);
+  }
+
+  return { name, reporter };
+}
+
+module.exports = { LIFECYCLE_METHODS, normalizeReporterEntries, loadCustomReporter };
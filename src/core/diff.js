@@ -0,0 +1,213 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { JSON_REPORT_VERSION } = require('./json-report');
+const { Logger } = require('../utils/logger');
+const { escapeHtml, formatDuration } = require('../utils/format');
+
+const REPORT_FILE = 'test-report.json';
+const DIFF_FILE = 'diff.html';
+
+// A test is significantly slower when it takes this much longer, relatively and absolutely
+const DEFAULT_SLOWER_THRESHOLD = 50; // percent
+const DEFAULT_MIN_DELTA = 100; // ms
+
+const RAN = ['passed', 'failed', 'flaky'];
+
+/**
+ * Read a JSON report (json-report.js) written by the json reporter.
+ * @param {string} input - test-report.json, or the directory holding it
+ * @returns {Promise<{filePath: string, report: Object}>}
+ */
+async function loadJsonReport(input) {
+  let filePath = path.resolve(input);
+  try {
+    if ((await fs.stat(filePath)).isDirectory()) {
+      filePath = path.join(filePath, REPORT_FILE);
+    }
+  } catch (error) {
+    throw new Error(`Report not found: ${input}`);
+  }
+
+  let report;
+  try {
+    report = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read JSON report ${filePath}: ${error.message}`);
+  }
+  if (!report || !Array.isArray(report.tests)) {
+    throw new Error(`${filePath} is not a JSON report (write one with --reporter json)`);
+  }
+  if (report.schemaVersion !== JSON_REPORT_VERSION) {
+    throw new Error(`Unsupported JSON report schema version ${report.schemaVersion} in ${filePath} (expected ${JSON_REPORT_VERSION})`);
+  }
+  return { filePath, report };
+}
+
+function toEntry(baseline, current) {
+  const test = current || baseline;
+  return {
+    id: test.id,
+    file: test.file,
+    fullName: test.fullName,
+    baseline: baseline ? { status: baseline.status, durationMs: baseline.durationMs } : null,
+    current: current ? { status: current.status, durationMs: current.durationMs, error: current.error ? current.error.message : null } : null
+  };
+}
+
+/**
+ * Compare two JSON reports test by test, matching tests by id.
+ * @param {Object} baseline - Report of the reference run (e.g. the last green one)
+ * @param {Object} current - Report of the run to explain
+ * @param {Object} options - { slowerThreshold: percent, minDelta: ms } for slower tests
+ * @returns {Object} { baseline, current, newlyFailing, newlyPassing, added, removed, slower }
+ */
+function diffReports(baseline, current, { slowerThreshold = DEFAULT_SLOWER_THRESHOLD, minDelta = DEFAULT_MIN_DELTA } = {}) {
+  const baselineTests = new Map(baseline.tests.map(test => [test.id, test]));
+  const currentTests = new Map(current.tests.map(test => [test.id, test]));
+  const diff = {
+    baseline: { run: baseline.run, summary: baseline.summary },
+    current: { run: current.run, summary: current.summary },
+    newlyFailing: [],
+    newlyPassing: [],
+    added: [],
+    removed: [],
+    slower: []
+  };
+
+  for (const [id, test] of currentTests) {
+    const before = baselineTests.get(id);
+    if (!before) {
+      diff.added.push(toEntry(null, test));
+      continue;
+    }
+
+    if (test.status === 'failed' && before.status !== 'failed') {
+      diff.newlyFailing.push(toEntry(before, test));
+    } else if (before.status === 'failed' && (test.status === 'passed' || test.status === 'flaky')) {
+      diff.newlyPassing.push(toEntry(before, test));
+    }
+
+    if (RAN.includes(test.status) && RAN.includes(before.status)) {
+      const delta = test.durationMs - before.durationMs;
+      if (delta >= minDelta && test.durationMs >= before.durationMs * (1 + slowerThreshold / 100)) {
+        diff.slower.push({ ...toEntry(before, test), deltaMs: delta });
+      }
+    }
+  }
+  for (const [id, test] of baselineTests) {
+    if (!currentTests.has(id)) diff.removed.push(toEntry(test, null));
+  }
+
+  diff.slower.sort((a, b) => b.deltaMs - a.deltaMs);
+  return diff;
+}
+
+// Categories in the order they are shown, with the column that explains each entry
+const CATEGORIES = [
+  { key: 'newlyFailing', title: '❌ Newly Failing', detail: entry => `${entry.baseline.status} → failed${entry.current.error ? `: ${entry.current.error.split('\n')[0]}` : ''}` },
+  { key: 'newlyPassing', title: '✅ Newly Passing', detail: entry => `failed → ${entry.current.status}` },
+  { key: 'slower', title: '🐢 Significantly Slower', detail: entry => `${formatDuration(entry.baseline.durationMs)} → ${formatDuration(entry.current.durationMs)} (+${formatDuration(entry.deltaMs)})` },
+  { key: 'added', title: '➕ Added', detail: entry => entry.current.status },
+  { key: 'removed', title: '➖ Removed', detail: entry => `was ${entry.baseline.status}` }
+];
+
+/**
+ * HTML section listing the differences, for embedding in a report page.
+ * @param {Object} diff - Output of diffReports()
+ */
+function buildDiffSection(diff) {
+  const runLabel = ({ run, summary }) => `${run.startTime ? new Date(run.startTime).toLocaleString() : 'unknown time'} · ${summary.passed}/${summary.total} passed, ${summary.failed} failed`;
+
+  return `
+        <section class="diff-section">
+            <h2>🔀 Changes Since Baseline</h2>
+            <div class="diff-runs">
+                <div><span class="label">Baseline:</span> ${escapeHtml(runLabel(diff.baseline))}</div>
+                <div><span class="label">Current:</span> ${escapeHtml(runLabel(diff.current))}</div>
+            </div>
+            ${CATEGORIES.map(({ key, title, detail }) => `
+            <h3 class="diff-category ${key}">${title} (${diff[key].length})</h3>
+            ${diff[key].length === 0 ? '<div class="no-results">None</div>' : `
+            <table class="results-table">
+                <tbody>
+                ${diff[key].map(entry => `
+                    <tr>
+                        <td class="test-id">${escapeHtml(entry.id)}</td>
+                        <td>${escapeHtml(detail(entry))}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`}`).join('')}
+        </section>`;
+}
+
+function buildDiffHtml(diff) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Jest Parallel Worker - Run Comparison</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; background: #f5f5f5; }
+        .container { max-width: 1200px; margin: 0 auto; padding: 20px; }
+        section { background: white; margin-bottom: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); overflow: hidden; padding-bottom: 10px; }
+        section h2 { background: #34495e; color: white; padding: 20px 30px; margin: 0; font-size: 1.5em; }
+        .diff-runs { padding: 15px 30px; color: #2c3e50; }
+        .diff-runs .label { font-weight: 600; color: #7f8c8d; }
+        .diff-category { padding: 15px 30px 5px; color: #2c3e50; font-size: 1.1em; }
+        .diff-category.newlyFailing { color: #e74c3c; }
+        .diff-category.newlyPassing { color: #27ae60; }
+        .diff-category.slower { color: #e67e22; }
+        .results-table { width: calc(100% - 60px); margin: 0 30px; border-collapse: collapse; }
+        .results-table td { padding: 8px 12px; border-bottom: 1px solid #ecf0f1; vertical-align: top; }
+        .test-id { font-family: 'Monaco', 'Consolas', monospace; font-size: 0.85em; word-break: break-all; width: 60%; }
+        .no-results { padding: 0 30px; color: #95a5a6; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        ${buildDiffSection(diff)}
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Compare two runs' JSON reports and write the comparison page
+ * (`jest-parallel diff`).
+ * @param {string} baselineInput - Baseline test-report.json or its directory
+ * @param {string} currentInput - Current test-report.json or its directory
+ * @param {Object} options - { outputDir, slowerThreshold, minDelta, logger, verbose }
+ * @returns {Promise<Object>} { diff, reportPath }
+ */
+async function compareReports(baselineInput, currentInput, options = {}) {
+  const logger = options.logger || new Logger(options.verbose);
+  const baseline = await loadJsonReport(baselineInput);
+  const current = await loadJsonReport(currentInput);
+  logger.info(`Comparing ${current.filePath} with ${baseline.filePath}`);
+
+  const diff = diffReports(baseline.report, current.report, {
+    slowerThreshold: options.slowerThreshold,
+    minDelta: options.minDelta
+  });
+
+  const outputDir = options.outputDir || 'reports';
+  const reportPath = path.join(outputDir, DIFF_FILE);
+  await fs.mkdir(outputDir, { recursive: true });
+  await fs.writeFile(reportPath, buildDiffHtml(diff), 'utf8');
+  logger.success(`Comparison report generated: ${reportPath}`);
+
+  return { diff, reportPath };
+}
+
+module.exports = {
+  DEFAULT_SLOWER_THRESHOLD,
+  DEFAULT_MIN_DELTA,
+  CATEGORIES,
+  loadJsonReport,
+  diffReports,
+  buildDiffSection,
+  buildDiffHtml,
+  compareReports
+};
@@ -0,0 +1,164 @@
+const util = require('util');
+const { evaluate, UNRESOLVED } = require('../utils/static-evaluator');
+
+/**
+ * Static expansion of Jest `each` tables.
+ *
+ * Mirrors the title formatting rules of jest-each so that every row discovered
+ * by the parser carries the same name Jest will report at runtime:
+ *   - array tables use printf placeholders (%s, %d, %i, %f, %j, %o, %O, %p, %#)
+ *   - arrays of objects and tagged template tables use $variable interpolation
+ */
+
+const SUPPORTED_PLACEHOLDERS = /%[sdifjoOp#]/g;
+const PRETTY_PLACEHOLDER = '%p';
+const INDEX_PLACEHOLDER = '%#';
+const ESCAPED_PLACEHOLDER_PREFIX = /%%/g;
+const PLACEHOLDER_ESCAPE = '@@__JEST_PARALLEL_PLACEHOLDER_ESCAPE__@@';
+
+/**
+ * Expand an `each` table into rows.
+ * @param {Array} tableArgs - AST nodes passed to `.each(...)`, or the quasi of a tagged template
+ * @param {string} title - Title template of the test or describe block
+ * @param {Scope} scope - Scope used to resolve identifiers in the table
+ * @returns {Array<{title: string, args: Array}>|null} Rows, or null when the table is dynamic
+ */
+function expandEachTable(tableArgs, title, scope) {
+  const [table] = tableArgs;
+  if (!table) return null;
+
+  if (table.type === 'TemplateLiteral') {
+    return expandTemplateTable(table, title, scope);
+  }
+
+  const rows = evaluate(table, scope);
+  if (!Array.isArray(rows) || rows.some(row => row === UNRESOLVED)) return null;
+
+  return expandArrayTable(rows, title);
+}
+
+function expandArrayTable(rows, title) {
+  const isTable = rows.every(Array.isArray);
+  const usesPlaceholders = new RegExp(SUPPORTED_PLACEHOLDERS.source).test(escapePlaceholders(title));
+  const isTemplates = !usesPlaceholders && !isTable &&
+    rows.every(row => row !== null && row !== undefined && typeof row === 'object');
+
+  if (isTemplates) {
+    return rows.map((row, index) => ({
+      args: [row],
+      title: interpolateVariables(title, row, index).replace(ESCAPED_PLACEHOLDER_PREFIX, '%')
+    }));
+  }
+
+  return rows
+    .map(row => (isTable ? row : [row]))
+    .map((row, index) => ({
+      args: row,
+      title: formatTitle(title, row, index)
+    }));
+}
+
+function expandTemplateTable(quasi, title, scope) {
+  const headings = quasi.quasis[0].value.cooked.replace(/\s/g, '').split('|');
+  const values = quasi.expressions.map(expression => evaluate(expression, scope));
+  if (values.some(value => value === UNRESOLVED)) return null;
+  if (headings.length === 0 || values.length % headings.length !== 0) return null;
+
+  const rows = [];
+  for (let i = 0; i < values.length; i += headings.length) {
+    const template = {};
+    headings.forEach((heading, column) => {
+      template[heading] = values[i + column];
+    });
+    rows.push(template);
+  }
+
+  return rows.map((template, index) => ({
+    args: [template],
+    title: interpolateVariables(title, template, index)
+  }));
+}
+
+function formatTitle(title, row, rowIndex) {
+  const indexed = escapePlaceholders(title).replace(INDEX_PLACEHOLDER, rowIndex.toString());
+
+  return row
+    .reduce((formatted, value) => {
+      const [placeholder] = formatted.match(SUPPORTED_PLACEHOLDERS) || [];
+      if (!placeholder) return formatted;
+
+      const normalised = typeof value === 'string'
+        ? value.replace(/%/g, PLACEHOLDER_ESCAPE)
+        : value;
+      if (placeholder === PRETTY_PLACEHOLDER) {
+        return formatted.replace(PRETTY_PLACEHOLDER, prettyValue(normalised));
+      }
+      return util.format(formatted, normalised);
+    }, indexed)
+    .replace(new RegExp(PLACEHOLDER_ESCAPE, 'g'), '%');
+}
+
+function interpolateVariables(title, template, index) {
+  const keys = Object.keys(template).map(key => key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const interpolated = keys.length === 0 ? title : title.replace(
+    new RegExp(`\\$(${keys.join('|')})[.\\w]*`, 'g'),
+    match => {
+      const value = getPath(template, match.slice(1).split('.'));
+      return isPrimitive(value) ? String(value) : prettyValue(value);
+    }
+  );
+  return interpolated.replace('$#', `${index}`);
+}
+
+function escapePlaceholders(title) {
+  return title.replace(ESCAPED_PLACEHOLDER_PREFIX, PLACEHOLDER_ESCAPE);
+}
+
+function getPath(template, [head, ...tail]) {
+  if (!head || template === null || typeof template !== 'object' ||
+      !Object.prototype.hasOwnProperty.call(template, head)) {
+    return template;
+  }
+  return getPath(template[head], tail);
+}
+
+function isPrimitive(value) {
+  return value === null || (typeof value !== 'object' && typeof value !== 'function');
+}
+
+// Compact rendering equivalent to pretty-format with { min: true, maxDepth: 1 }
+function prettyValue(value, depth = 0) {
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (isPrimitive(value)) return String(value);
+
+  if (Array.isArray(value)) {
+    if (depth >= 1) return '[Array]';
+    return `[${value.map(item => prettyValue(item, depth + 1)).join(', ')}]`;
+  }
+
+  if (depth >= 1) return '[Object]';
+  const entries = Object.keys(value)
+    .sort()
+    .map(key => `${JSON.stringify(key)}: ${prettyValue(value[key], depth + 1)}`);
+  return `{${entries.join(', ')}}`;
+}
+
+/**
+ * Build a --testNamePattern regex source that matches every row generated
+ * from a title template, for tables that could not be expanded statically.
+ * @param {string} title - Title template containing placeholders
+ * @returns {string} Regular expression source
+ */
+function titleTemplateToPattern(title) {
+  return title
+    .split(/(%[sdifjoOp#]|\$[\w.#]+)/)
+    .map((part, index) => (index % 2 === 1 ? '.*' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+}
+
+module.exports = {
+  expandEachTable,
+  titleTemplateToPattern,
+  formatTitle,
+  interpolateVariables
+};
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_VERSION = 1;
+
+// Runs kept by default; older ones are pruned as new runs are recorded
+const DEFAULT_HISTORY_SIZE = 50;
+
+/**
+ * Share of the tests that ran and passed, flaky ones included. Skipped,
+ * todo and not-run tests don't count either way.
+ * @returns {number|null} Between 0 and 1, null when no test ran
+ */
+function passRate(summary) {
+  const executed = summary.passed + summary.failed + summary.flaky;
+  return executed > 0 ? (summary.passed + summary.flaky) / executed : null;
+}
+
+/**
+ * Local history of runs, one JSON file per run in <cacheDir>/history.
+ *
+ * Each entry keeps the run summary and every test's status and duration,
+ * by the test ids of the JSON report, so trends can follow a test across
+ * runs. Only the newest `historySize` runs are kept.
+ */
+class HistoryStore {
+  constructor(options = {}, logger) {
+    this.cacheDir = options.cacheDir || '.jest-parallel';
+    this.historyDir = options.historyDir || path.join(this.cacheDir, 'history');
+    this.historySize = options.historySize ?? DEFAULT_HISTORY_SIZE;
+    this.logger = logger;
+  }
+
+  get enabled() {
+    return this.historySize > 0;
+  }
+
+  /**
+   * Add a run to the history and prune the oldest runs.
+   * @param {Object} report - JSON report of the run (json-report.js)
+   * @param {Object} reportSummary - Summary from ReportGenerator.processResults(),
+   *   for the time saved estimates
+   * @returns {Object|null} The recorded entry, null when history is off or not writable
+   */
+  record(report, reportSummary = {}) {
+    if (!this.enabled) return null;
+
+    const startTime = report.run.startTime || new Date().toISOString();
+    const entry = {
+      version: HISTORY_VERSION,
+      id: `${Date.parse(startTime)}-${process.pid}`,
+      run: {
+        startTime,
+        endTime: report.run.endTime,
+        durationMs: report.run.durationMs,
+        mode: report.run.mode,
+        shard: report.run.shard,
+        maxWorkers: report.run.maxWorkers,
+        bailed: report.run.bailed
+      },
+      summary: {
+        total: report.summary.total,
+        passed: report.summary.passed,
+        failed: report.summary.failed,
+        skipped: report.summary.skipped,
+        todo: report.summary.todo,
+        flaky: report.summary.flaky,
+        notRun: report.summary.notRun,
+        files: report.summary.files,
+        passRate: passRate(report.summary),
+        durationMs: report.summary.durationMs,
+        estimatedSequentialMs: reportSummary.estimatedSequentialTime || 0,
+        timeSavedMs: reportSummary.timeSaved || 0
+      },
+      tests: report.tests.map(test => ({ id: test.id, status: test.status, durationMs: test.durationMs }))
+    };
+
+    try {
+      fs.mkdirSync(this.historyDir, { recursive: true });
+      fs.writeFileSync(path.join(this.historyDir, `run-${entry.id}.json`), JSON.stringify(entry), 'utf8');
+      this.prune();
+      this.logger.debug(`Run recorded in ${this.historyDir}`);
+    } catch (error) {
+      this.logger.warn(`Failed to record run history in ${this.historyDir}: ${error.message}`);
+      return null;
+    }
+    return entry;
+  }
+
+  // Run files, oldest first (ids start with the run's start time)
+  runFiles() {
+    if (!fs.existsSync(this.historyDir)) return [];
+    return fs.readdirSync(this.historyDir)
+      .filter(name => /^run-\d+-\d+\.json$/.test(name))
+      .sort((a, b) => parseInt(a.slice(4), 10) - parseInt(b.slice(4), 10) || a.localeCompare(b));
+  }
+
+  prune() {
+    const runFiles = this.runFiles();
+    for (const name of runFiles.slice(0, Math.max(0, runFiles.length - this.historySize))) {
+      fs.unlinkSync(path.join(this.historyDir, name));
+    }
+  }
+
+  /**
+   * Read the recorded runs, oldest first.
+   * @param {Object} options - { limit }: only the newest `limit` runs
+   * @returns {Array} History entries
+   */
+  load({ limit } = {}) {
+    const runFiles = this.runFiles();
+    const selected = limit > 0 ? runFiles.slice(-limit) : runFiles;
+    const runs = [];
+
+    for (const name of selected) {
+      try {
+        const entry = JSON.parse(fs.readFileSync(path.join(this.historyDir, name), 'utf8'));
+        if (entry.version !== HISTORY_VERSION) {
+          this.logger.warn(`Ignoring history entry ${name} with unsupported version ${entry.version}`);
+          continue;
+        }
+        runs.push(entry);
+      } catch (error) {
+        this.logger.warn(`Failed to read history entry ${name}: ${error.message}`);
+      }
+    }
+    return runs;
+  }
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Trends over recorded runs: a point per run, and the tests that are
+ * slowest or fail most across them.
+ * @param {Array} runs - History entries, oldest first
+ * @param {Object} options - { top }: how many tests to list (default 10)
+ * @returns {Object} { runs, slowestTests, mostFailingTests }
+ */
+function summarizeHistory(runs, { top = 10 } = {}) {
+  const tests = new Map();
+  runs.forEach((run, index) => {
+    for (const test of run.tests) {
+      if (!tests.has(test.id)) {
+        tests.set(test.id, { id: test.id, runs: 0, failed: 0, flaky: 0, durations: new Array(runs.length).fill(null), statuses: new Array(runs.length).fill(null) });
+      }
+      const entry = tests.get(test.id);
+      entry.statuses[index] = test.status;
+      if (!['passed', 'failed', 'flaky'].includes(test.status)) continue;
+      entry.runs++;
+      entry.durations[index] = test.durationMs;
+      if (test.status === 'failed') entry.failed++;
+      if (test.status === 'flaky') entry.flaky++;
+    }
+  });
+
+  const ran = [...tests.values()].filter(test => test.runs > 0);
+  const lastDuration = test => [...test.durations].reverse().find(duration => duration !== null);
+
+  return {
+    runs: runs.map(run => ({
+      id: run.id,
+      startTime: run.run.startTime,
+      mode: run.run.mode,
+      shard: run.run.shard,
+      total: run.summary.total,
+      passed: run.summary.passed,
+      failed: run.summary.failed,
+      flaky: run.summary.flaky,
+      passRate: run.summary.passRate,
+      durationMs: run.summary.durationMs,
+      timeSavedMs: run.summary.timeSavedMs
+    })),
+    slowestTests: ran
+      .map(test => ({
+        id: test.id,
+        runs: test.runs,
+        medianMs: median(test.durations.filter(duration => duration !== null)),
+        lastMs: lastDuration(test),
+        durations: test.durations
+      }))
+      .sort((a, b) => b.medianMs - a.medianMs || a.id.localeCompare(b.id))
+      .slice(0, top),
+    mostFailingTests: ran
+      .filter(test => test.failed + test.flaky > 0)
+      .map(test => ({
+        id: test.id,
+        runs: test.runs,
+        failed: test.failed,
+        flaky: test.flaky,
+        failureRate: (test.failed + test.flaky) / test.runs,
+        statuses: test.statuses
+      }))
+      .sort((a, b) => (b.failed + b.flaky) - (a.failed + a.flaky) || b.failureRate - a.failureRate || a.id.localeCompare(b.id))
+      .slice(0, top)
+  };
+}
+
+module.exports = { HISTORY_VERSION, DEFAULT_HISTORY_SIZE, HistoryStore, summarizeHistory, passRate };
@@ -0,0 +1,248 @@
+const os = require('os');
+const path = require('path');
+const { version: toolVersion } = require('../../package.json');
+
+/**
+ * Version of the test-report.json schema documented in the README.
+ * Fields may be added within a version; renaming or removing one, or
+ * changing its type, bumps it.
+ */
+const JSON_REPORT_VERSION = 1;
+
+const HOOK_TYPES = ['beforeAll', 'beforeEach', 'afterAll', 'afterEach'];
+const STATUSES = ['passed', 'failed', 'skipped', 'todo', 'flaky', 'not-run'];
+
+// Paths in the report are relative to the working directory, with forward slashes
+function reportPath(filePath) {
+  if (!filePath) return null;
+  return path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+}
+
+/**
+ * Id of a test in the report: its file and full name. Tests sharing a full
+ * name (each tables, duplicated titles) are numbered in source order, from
+ * ` [2]` on, so a test keeps its id whichever worker finishes first.
+ * @param {string} file - Report path of the file (reportPath())
+ * @param {string} fullName - Describe titles and test title joined with ' › '
+ * @param {number} occurrence - 1 for the first test of that name in the file
+ */
+function testIdOf(file, fullName, occurrence = 1) {
+  return occurrence > 1 ? `${file}::${fullName} [${occurrence}]` : `${file}::${fullName}`;
+}
+
+// Where a test sits in its file: the line Jest or the parser reported, then
+// the order its worker reported it in
+function sourceOrder(test, filePath, ordinal) {
+  if (test.location && test.location.line) {
+    return [test.location.line, test.location.column || 0, ordinal];
+  }
+  // Parsed test ids are <filePath>:<line>:<title>, with #n for repeats on one line
+  if (typeof test.testId === 'string' && filePath && test.testId.startsWith(`${filePath}:`)) {
+    const match = /^(\d+):.*?(?:#(\d+))?$/.exec(test.testId.slice(filePath.length + 1));
+    if (match) return [Number(match[1]), Number(match[2] || 1), ordinal];
+  }
+  return [Infinity, 0, ordinal];
+}
+
+function compareOrder(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+function isoTime(time) {
+  return time ? new Date(time).toISOString() : null;
+}
+
+function ancestorTitlesOf(test) {
+  if (Array.isArray(test.ancestorTitles)) return test.ancestorTitles;
+  return test.suite ? test.suite.split(' › ') : [];
+}
+
+/**
+ * Split a failure into its message and its stack frames.
+ * @param {string|Object} error - Failure text as reported by the workers
+ * @param {Object} source - Failing line ({ file, line, column }), if known
+ */
+function toErrorObject(error, source) {
+  if (!error) return null;
+
+  const stack = (typeof error === 'string' ? error : error.stack || error.message || String(error)).trim();
+  const lines = stack.split('\n');
+  const firstFrame = lines.findIndex(line => /^\s*at /.test(line));
+  const message = (firstFrame === -1 ? lines : lines.slice(0, firstFrame)).join('\n').trim();
+
+  return {
+    message,
+    stack,
+    location: source && source.line
+      ? { file: reportPath(source.file), line: source.line, column: source.column }
+      : null
+  };
+}
+
+function toAttempt(attempt) {
+  return {
+    attempt: attempt.attempt,
+    status: attempt.status,
+    durationMs: attempt.duration || 0,
+    workerId: attempt.workerId ?? null,
+    error: toErrorObject(attempt.error)
+  };
+}
+
+function toHooks(hookInfo) {
+  const hooks = {};
+  for (const hookType of HOOK_TYPES) {
+    const hook = (hookInfo && hookInfo[hookType]) || {};
+    hooks[hookType] = { durationMs: hook.duration || 0, status: hook.status || 'not_found' };
+  }
+  return hooks;
+}
+
+function countStatuses(tests) {
+  const counts = { total: tests.length, passed: 0, failed: 0, skipped: 0, todo: 0, flaky: 0, notRun: 0 };
+  for (const test of tests) {
+    if (!STATUSES.includes(test.status)) continue;
+    counts[test.status === 'not-run' ? 'notRun' : test.status]++;
+  }
+  return counts;
+}
+
+/**
+ * Build the versioned JSON report (test-report.json) from the results the
+ * workers reported. Every mode produces the same shape: one entry per test
+ * file and one per test, linked by test ids.
+ * @param {Array} results - Worker results: test-level entries in parallel-test
+ *   mode, file-level entries with `testResults` otherwise
+ * @param {Object} summary - Run summary from JestParallelRunner (startTime,
+ *   endTime, mode, shard, bailed, maxWorkers, retries)
+ * @returns {Object} Report following schema version JSON_REPORT_VERSION
+ */
+function buildJsonReport(results, summary = {}) {
+  const files = new Map();
+  const tests = [];
+  // Source order of each entry, to number tests sharing a full name
+  const orders = new Map();
+
+  const fileFor = (filePath) => {
+    const file = reportPath(filePath) || 'unknown';
+    if (!files.has(file)) {
+      files.set(file, { path: file, results: [], tests: [], hookInfo: null, errors: [], workerIds: new Set(), durationMs: 0 });
+    }
+    return files.get(file);
+  };
+
+  const addTest = (file, test, fileResult, ordinal = 0) => {
+    const ancestorTitles = ancestorTitlesOf(test);
+    const title = test.testName || test.title || test.name || 'Unknown Test';
+    const fullName = [...ancestorTitles, title].join(' › ');
+
+    const workerId = test.workerId ?? (fileResult ? fileResult.workerId : null) ?? null;
+    if (workerId !== null) file.workerIds.add(workerId);
+
+    const entry = {
+      id: null,
+      file: file.path,
+      title,
+      ancestorTitles,
+      fullName,
+      status: test.status,
+      durationMs: test.duration || 0,
+      workerId,
+      location: test.location ? { line: test.location.line, column: test.location.column } : null,
+      error: toErrorObject(test.error, test.source),
+      attempts: test.attempts ? test.attempts.map(toAttempt) : []
+    };
+    tests.push(entry);
+    file.tests.push(entry);
+    orders.set(entry, sourceOrder(test, test.filePath || (fileResult && fileResult.filePath), ordinal));
+  };
+
+  for (const result of results) {
+    const file = fileFor(result.filePath || result.file);
+    file.results.push(result);
+
+    if (Array.isArray(result.testResults)) {
+      file.durationMs += result.duration || 0;
+      if (result.workerId !== undefined && result.workerId !== null) file.workerIds.add(result.workerId);
+      if (result.hookInfo) file.hookInfo = result.hookInfo;
+      if (result.error) file.errors.push(result.error);
+      result.testResults.forEach((test, ordinal) => addTest(file, test, result, ordinal));
+    } else if (result.testId || result.testName) {
+      addTest(file, result, null);
+    } else if (result.error) {
+      file.errors.push(result.error);
+    }
+  }
+
+  const namesakes = new Map();
+  for (const entry of tests) {
+    const key = `${entry.file}::${entry.fullName}`;
+    namesakes.set(key, [...(namesakes.get(key) || []), entry]);
+  }
+  for (const entries of namesakes.values()) {
+    entries.sort((a, b) => compareOrder(orders.get(a), orders.get(b)));
+    entries.forEach((entry, index) => { entry.id = testIdOf(entry.file, entry.fullName, index + 1); });
+  }
+
+  const fileEntries = [...files.values()].map(file => {
+    const counts = countStatuses(file.tests);
+    let status = 'passed';
+    if (counts.failed > 0 || file.results.some(result => result.status === 'failed')) {
+      status = 'failed';
+    } else if (file.results.length > 0 && file.results.every(result => result.status === 'not-run')) {
+      status = 'not-run';
+    }
+
+    return {
+      path: file.path,
+      status,
+      durationMs: file.durationMs || file.tests.reduce((sum, test) => sum + test.durationMs, 0),
+      workerIds: [...file.workerIds].sort((a, b) => a - b),
+      hooks: toHooks(file.hookInfo),
+      error: toErrorObject(file.errors[0]),
+      summary: counts,
+      tests: file.tests.map(test => test.id)
+    };
+  });
+
+  const counts = countStatuses(tests);
+  const failedFiles = fileEntries.filter(file => file.status === 'failed').length;
+  const durationMs = summary.startTime && summary.endTime ? summary.endTime - summary.startTime : 0;
+
+  return {
+    schemaVersion: JSON_REPORT_VERSION,
+    run: {
+      tool: 'jest-parallel-worker',
+      version: toolVersion,
+      mode: summary.mode || null,
+      startTime: isoTime(summary.startTime),
+      endTime: isoTime(summary.endTime),
+      durationMs,
+      maxWorkers: summary.maxWorkers ?? null,
+      retries: summary.retries ?? 0,
+      shard: summary.shard || null,
+      bailed: Boolean(summary.bailed),
+      environment: {
+        node: process.version,
+        platform: process.platform,
+        arch: process.arch,
+        hostname: os.hostname(),
+        cwd: process.cwd()
+      }
+    },
+    summary: {
+      success: counts.failed === 0 && failedFiles === 0,
+      ...counts,
+      files: fileEntries.length,
+      failedFiles,
+      durationMs
+    },
+    files: fileEntries,
+    tests
+  };
+}
+
+module.exports = { JSON_REPORT_VERSION, buildJsonReport, reportPath, testIdOf };
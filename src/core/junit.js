@@ -0,0 +1,177 @@
+const path = require('path');
+
+// How <testsuite> elements are formed: one per test file, or one per describe block
+const SUITE_NAMINGS = ['file', 'describe'];
+
+// Characters XML 1.0 doesn't allow, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function attributes(attrs) {
+  return Object.entries(attrs)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+}
+
+// JUnit times are in seconds
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+function counts(testcases) {
+  return {
+    tests: testcases.length,
+    failures: testcases.filter(testcase => testcase.status === 'failed').length,
+    errors: testcases.filter(testcase => testcase.status === 'error').length,
+    skipped: testcases.filter(testcase => ['skipped', 'todo', 'not-run'].includes(testcase.status)).length
+  };
+}
+
+/**
+ * Group the report's tests into JUnit suites.
+ * @param {Object} reportData - Output of ReportGenerator.processResults()
+ * @param {string} suiteNaming - 'file' or 'describe'
+ * @returns {Array<{name, file, duration, testcases}>}
+ */
+function buildSuites(reportData, suiteNaming) {
+  const suites = new Map();
+
+  for (const fileResult of Object.values(reportData.fileResults)) {
+    const file = path.relative(process.cwd(), fileResult.filePath || '') || fileResult.filePath;
+    const tests = fileResult.tests || [];
+
+    const suiteFor = (test) => {
+      const describePath = (suiteNaming === 'describe' && test && test.suite) || '';
+      const key = `${file}\u0000${describePath}`;
+      if (!suites.has(key)) {
+        suites.set(key, { name: describePath || file, file, duration: 0, testcases: [] });
+      }
+      return suites.get(key);
+    };
+
+    // A file that failed to run (syntax error, crashed worker) has no tests to report
+    if (tests.length === 0 && fileResult.status === 'failed') {
+      const suite = suiteFor(null);
+      suite.duration += fileResult.duration || 0;
+      suite.testcases.push({
+        name: 'Test suite failed to run',
+        classname: file,
+        file,
+        status: 'error',
+        duration: fileResult.duration || 0,
+        error: fileResult.error || 'Test suite failed to run'
+      });
+      continue;
+    }
+
+    for (const test of tests) {
+      const suite = suiteFor(test);
+      suite.duration += test.duration || 0;
+      suite.testcases.push({
+        name: test.testName,
+        classname: test.suite || file,
+        file,
+        status: test.status,
+        duration: test.duration || 0,
+        error: test.error,
+        workerId: test.workerId,
+        attempts: test.attempts
+      });
+    }
+  }
+
+  return [...suites.values()];
+}
+
+function renderTestcase(testcase) {
+  const lines = [`    <testcase${attributes({
+    name: testcase.name,
+    classname: testcase.classname,
+    file: testcase.file,
+    time: seconds(testcase.duration)
+  })}>`];
+
+  const properties = [];
+  if (testcase.workerId !== undefined && testcase.workerId !== null) {
+    properties.push({ name: 'workerId', value: testcase.workerId });
+  }
+  if (testcase.status === 'flaky') {
+    properties.push({ name: 'flaky', value: 'true' });
+  }
+  if (testcase.attempts) {
+    properties.push({ name: 'attempts', value: testcase.attempts.length });
+  }
+  if (properties.length > 0) {
+    lines.push('      <properties>');
+    properties.forEach(property => lines.push(`        <property${attributes(property)}/>`));
+    lines.push('      </properties>');
+  }
+
+  const message = testcase.error ? String(testcase.error).split('\n')[0] : undefined;
+  if (testcase.status === 'failed') {
+    lines.push(`      <failure${attributes({ message })}>${escapeXml(testcase.error || '')}</failure>`);
+  } else if (testcase.status === 'error') {
+    lines.push(`      <error${attributes({ message })}>${escapeXml(testcase.error || '')}</error>`);
+  } else if (testcase.status === 'skipped') {
+    lines.push('      <skipped/>');
+  } else if (testcase.status === 'todo') {
+    lines.push('      <skipped message="todo"/>');
+  } else if (testcase.status === 'not-run') {
+    lines.push('      <skipped message="not run"/>');
+  }
+
+  lines.push('    </testcase>');
+  return lines.join('\n');
+}
+
+/**
+ * Render the report as JUnit XML: <testsuites> with one <testsuite> per
+ * test file or per describe block, and a <testcase> per test.
+ * @param {Object} reportData - Output of ReportGenerator.processResults()
+ * @param {Object} options - { suiteNaming: 'file' | 'describe' }
+ * @returns {string} XML document
+ */
+function buildJUnitXml(reportData, options = {}) {
+  const suiteNaming = options.suiteNaming || 'file';
+  if (!SUITE_NAMINGS.includes(suiteNaming)) {
+    throw new Error(`Invalid JUnit suite naming: ${suiteNaming}. Valid values: ${SUITE_NAMINGS.join(', ')}`);
+  }
+
+  const { summary } = reportData;
+  const timestamp = summary.startTime ? new Date(summary.startTime).toISOString().slice(0, 19) : undefined;
+  const suites = buildSuites(reportData, suiteNaming);
+  const allTestcases = suites.flatMap(suite => suite.testcases);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites${attributes({ name: 'jest-parallel', ...counts(allTestcases), time: seconds(summary.totalDuration) })}>`
+  ];
+
+  suites.forEach((suite, id) => {
+    lines.push(`  <testsuite${attributes({
+      name: suite.name,
+      file: suite.file,
+      id,
+      ...counts(suite.testcases),
+      time: seconds(suite.duration),
+      timestamp
+    })}>`);
+    suite.testcases.forEach(testcase => lines.push(renderTestcase(testcase)));
+    lines.push('  </testsuite>');
+  });
+
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { SUITE_NAMINGS, buildJUnitXml };
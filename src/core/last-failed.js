@@ -0,0 +1,85 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { checkStatusReportVersion, titlePathsToPattern } = require('./worker-manager');
+
+/**
+ * Rerun only what failed in the previous run (--lastFailed).
+ *
+ * Failures are read from the test-status.json written by the previous run.
+ * Tests are matched by their full name (describe path and title), so a
+ * failure doesn't select same-titled tests of other describe blocks.
+ * Tests keep their own work items in parallel-test mode; the file modes
+ * rerun each file with a --testNamePattern that selects its failed tests.
+ */
+
+// WorkerManager.checkCompletion writes the status report to the output directory, by default
+const DEFAULT_STATUS_FILE = path.join('reports', 'test-status.json');
+
+const fullNameOf = (describePath, title) => [...(describePath || []), title].join(' › ');
+
+/**
+ * Read the failures recorded in a previous test-status.json.
+ * @param {string} statusFile - Path to test-status.json
+ * @returns {Promise<Map<string, {fullNames: Set<string>, wholeFile: boolean}>>} Failures by absolute file path
+ */
+async function loadLastFailures(statusFile = DEFAULT_STATUS_FILE) {
+  const filePath = path.resolve(statusFile);
+
+  let report;
+  try {
+    report = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`No previous results at ${filePath}; run the suite once before using --lastFailed`);
+    }
+    throw new Error(`Failed to read previous results ${filePath}: ${error.message}`);
+  }
+  checkStatusReportVersion(report, filePath);
+
+  const failures = new Map();
+  for (const [file, entry] of Object.entries(report.fileDetails || {})) {
+    const fullNames = new Set((entry.tests || [])
+      .filter(test => test.status === 'failed')
+      .map(test => fullNameOf(test.ancestorTitles, test.name)));
+    // A file that failed without failing tests crashed or timed out; rerun all of it
+    const wholeFile = fullNames.size === 0 && entry.status === 'failed';
+
+    if (fullNames.size > 0 || wholeFile) {
+      failures.set(path.resolve(file), { fullNames, wholeFile });
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Restrict parsed files to the previously failed tests.
+ * @param {Array} parsedFiles - Parsed test files
+ * @param {Map} failures - Result of loadLastFailures()
+ * @returns {Array} Parsed files with only their failed tests; partially
+ *   selected files carry the testNamePattern that selects them
+ */
+function selectLastFailed(parsedFiles, failures) {
+  const selected = [];
+
+  for (const file of parsedFiles) {
+    const failure = failures.get(path.resolve(file.filePath));
+    if (!failure) continue;
+
+    if (failure.wholeFile) {
+      selected.push(file);
+      continue;
+    }
+
+    const tests = file.tests.filter(test => failure.fullNames.has(fullNameOf(test.describePath, test.name)));
+    if (tests.length === 0) continue;
+
+    selected.push(tests.length === file.tests.length
+      ? file
+      : { ...file, tests, testNamePattern: titlePathsToPattern(tests.map(test => [...(test.describePath || []), test.name])) });
+  }
+
+  return selected;
+}
+
+module.exports = { loadLastFailures, selectLastFailed, DEFAULT_STATUS_FILE };
@@ -0,0 +1,231 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { WorkerManager, STATUS_REPORT_VERSION, checkStatusReportVersion } = require('./worker-manager');
+const { ReportGenerator } = require('./reporter');
+const { Logger } = require('../utils/logger');
+
+const STATUS_FILE = 'test-status.json';
+const COUNTERS = ['total', 'passed', 'failed', 'skipped', 'todo', 'flaky', 'notRun', 'completed', 'running'];
+const HOOK_TYPES = ['beforeAll', 'beforeEach', 'afterAll', 'afterEach'];
+
+/**
+ * Merge test-status.json reports written by separate runs (typically the
+ * shards of one suite on different CI machines) and regenerate the console,
+ * HTML and JSON reports from the combined results.
+ *
+ * @param {string[]} inputs - Report directories or test-status.json files
+ * @param {Object} options - { outputDir, reporter, reporters, junitSuiteName, logger, verbose }
+ * @returns {Promise<Object>} Merged summary in the shape returned by JestParallelRunner.run()
+ */
+async function mergeReports(inputs, options = {}) {
+  const logger = options.logger || new Logger(options.verbose);
+
+  if (!inputs || inputs.length === 0) {
+    throw new Error('No reports to merge: pass at least one report directory or test-status.json file');
+  }
+
+  const reports = [];
+  for (const input of inputs) {
+    reports.push(await loadStatusReport(input));
+  }
+  logger.info(`Merging ${reports.length} reports`);
+  warnAboutShards(reports, logger);
+
+  const statusReport = mergeStatusReports(reports.map(report => report.data));
+  const { summary } = statusReport;
+
+  const reportGenerator = new ReportGenerator({
+    outputDir: options.outputDir || 'reports',
+    reporter: options.reporter || 'both',
+    reporters: options.reporters,
+    junitSuiteName: options.junitSuiteName
+  }, logger);
+
+  const reportData = await reportGenerator.generateReports(statusReport.results, {
+    startTime: summary.startTime ? Date.parse(summary.startTime) : 0,
+    endTime: summary.endTime ? Date.parse(summary.endTime) : 0,
+    mode: summary.mode,
+    totalFiles: statusReport.fileSummary.length,
+    totalTests: summary.total,
+    shard: null,
+    bailed: summary.bailed
+  }, summary.mode);
+  await reportGenerator.writeStatusReport(statusReport);
+
+  return {
+    summary: {
+      passed: reportData.summary.passed,
+      failed: reportData.summary.failed,
+      skipped: reportData.summary.skipped,
+      todo: reportData.summary.todo,
+      flaky: reportData.summary.flaky,
+      notRun: reportData.summary.notRun,
+      totalTests: reportData.summary.totalTests,
+      totalDuration: reportData.summary.totalDuration,
+      timeSaved: reportData.summary.timeSaved,
+      timeSavedPercentage: reportData.summary.timeSavedPercentage
+    },
+    mode: summary.mode,
+    shards: summary.shards,
+    bailed: summary.bailed,
+    sources: reports.map(report => report.filePath)
+  };
+}
+
+async function loadStatusReport(input) {
+  let filePath = path.resolve(input);
+
+  try {
+    const stats = await fs.stat(filePath);
+    if (stats.isDirectory()) {
+      filePath = path.join(filePath, STATUS_FILE);
+    }
+    const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    checkStatusReportVersion(data, filePath);
+    return { filePath, data };
+  } catch (error) {
+    throw new Error(`Failed to read report ${filePath}: ${error.message}`);
+  }
+}
+
+function warnAboutShards(reports, logger) {
+  const shards = reports.map(report => report.data.summary && report.data.summary.shard).filter(Boolean);
+  if (shards.length === 0) return;
+
+  const totals = new Set(shards.map(shard => shard.total));
+  if (totals.size > 1) {
+    logger.warn(`Merging reports from different shard counts: ${[...totals].join(', ')}`);
+    return;
+  }
+
+  const [total] = totals;
+  const seen = shards.map(shard => shard.index);
+  const duplicates = seen.filter((index, i) => seen.indexOf(index) !== i);
+  const missing = Array.from({ length: total }, (_, i) => i + 1).filter(index => !seen.includes(index));
+
+  if (duplicates.length > 0) {
+    logger.warn(`Shard ${[...new Set(duplicates)].join(', ')}/${total} appears more than once; its results will be counted twice`);
+  }
+  if (missing.length > 0) {
+    logger.warn(`Missing shard ${missing.join(', ')}/${total}; the merged report is incomplete`);
+  }
+}
+
+/**
+ * Combine test-status.json contents into one status report.
+ *
+ * Counters are summed and wall-clock time is the span from the earliest start
+ * to the latest end, since shards run concurrently on separate machines.
+ * @param {Object[]} reports - Parsed test-status.json contents
+ * @returns {Object} Merged status report
+ */
+function mergeStatusReports(reports) {
+  const fileDetails = {};
+  const results = [];
+  const summary = {
+    ...Object.fromEntries(COUNTERS.map(counter => [counter, 0])),
+    expected: { runnable: 0, skipped: 0, todo: 0 },
+    mode: null,
+    shard: null,
+    shards: [],
+    bailed: false
+  };
+  let startTime = null;
+  let endTime = null;
+
+  for (const report of reports) {
+    const reportSummary = report.summary || {};
+
+    for (const counter of COUNTERS) {
+      summary[counter] += reportSummary[counter] || 0;
+    }
+    if (reportSummary.expected) {
+      for (const key of Object.keys(summary.expected)) {
+        summary.expected[key] += reportSummary.expected[key] || 0;
+      }
+    }
+    if (reportSummary.shard) summary.shards.push(reportSummary.shard);
+    if (reportSummary.bailed) summary.bailed = true;
+    if (reportSummary.mode && summary.mode !== reportSummary.mode) {
+      summary.mode = summary.mode ? 'mixed' : reportSummary.mode;
+    }
+
+    if (reportSummary.startTime && (!startTime || reportSummary.startTime < startTime)) {
+      startTime = reportSummary.startTime;
+    }
+    if (reportSummary.endTime && (!endTime || reportSummary.endTime > endTime)) {
+      endTime = reportSummary.endTime;
+    }
+
+    for (const [filePath, entry] of Object.entries(report.fileDetails || {})) {
+      fileDetails[filePath] = mergeFileDetails(fileDetails[filePath], entry);
+    }
+    results.push(...(report.results || []));
+  }
+
+  summary.shards.sort((a, b) => a.index - b.index);
+  summary.mode = summary.mode || 'merged';
+
+  const durationMs = startTime && endTime ? Date.parse(endTime) - Date.parse(startTime) : 0;
+  const fileSummaries = Object.values(fileDetails).map(f => WorkerManager.summarizeFileStatus(f));
+
+  return {
+    schemaVersion: STATUS_REPORT_VERSION,
+    summary: {
+      ...summary,
+      successRate: summary.total > 0 ? ((summary.passed / summary.total) * 100).toFixed(1) : '0.0',
+      duration: startTime && endTime ? `${(durationMs / 1000).toFixed(2)}s` : 'N/A',
+      durationMs,
+      startTime,
+      endTime,
+      hooks: {
+        totalDuration: fileSummaries.reduce((sum, f) => sum + (f.hooks?.total || 0), 0),
+        beforeAllTotal: fileSummaries.reduce((sum, f) => sum + (f.hooks?.beforeAll?.duration || 0), 0),
+        beforeEachTotal: fileSummaries.reduce((sum, f) => sum + (f.hooks?.beforeEach?.duration || 0), 0),
+        afterAllTotal: fileSummaries.reduce((sum, f) => sum + (f.hooks?.afterAll?.duration || 0), 0),
+        afterEachTotal: fileSummaries.reduce((sum, f) => sum + (f.hooks?.afterEach?.duration || 0), 0)
+      }
+    },
+    fileSummary: fileSummaries,
+    fileDetails,
+    results
+  };
+}
+
+// In parallel-test mode one file can be split across several shards
+function mergeFileDetails(existing, entry) {
+  if (!existing) {
+    return { ...entry, tests: [...(entry.tests || [])], hooks: { ...entry.hooks } };
+  }
+
+  const merged = {
+    ...existing,
+    status: existing.status === 'failed' || entry.status === 'failed' ? 'failed' : existing.status,
+    testCount: (existing.testCount || 0) + (entry.testCount || 0),
+    passed: existing.passed + entry.passed,
+    failed: existing.failed + entry.failed,
+    skipped: existing.skipped + entry.skipped,
+    todo: (existing.todo || 0) + (entry.todo || 0),
+    flaky: (existing.flaky || 0) + (entry.flaky || 0),
+    notRun: (existing.notRun || 0) + (entry.notRun || 0),
+    tests: [...existing.tests, ...(entry.tests || [])],
+    hooks: { ...existing.hooks }
+  };
+
+  if (entry.startTime && (!merged.startTime || entry.startTime < merged.startTime)) {
+    merged.startTime = entry.startTime;
+  }
+  if (entry.endTime && (!merged.endTime || entry.endTime > merged.endTime)) {
+    merged.endTime = entry.endTime;
+  }
+  for (const hookType of HOOK_TYPES) {
+    const hook = entry.hooks && entry.hooks[hookType];
+    if (hook && hook.duration > (merged.hooks[hookType]?.duration || 0)) {
+      merged.hooks[hookType] = { ...hook };
+    }
+  }
+
+  return merged;
+}
+
+module.exports = { mergeReports, mergeStatusReports };
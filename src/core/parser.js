@@ -1,6 +1,31 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { glob } = require('glob');
+const { parse } = require('@babel/parser');
+const { Scope, evaluate, bindPattern, UNRESOLVED } = require('../utils/static-evaluator');
+const { expandEachTable } = require('./each-table');
+const { budgetFromComment } = require('./perf-gate');
+
+// Jest globals that register tests or suites, with the modifiers they imply
+const TEST_GLOBALS = { it: [], test: [], xit: ['skip'], xtest: ['skip'], fit: ['only'] };
+const DESCRIBE_GLOBALS = { describe: [], xdescribe: ['skip'], fdescribe: ['only'] };
+const HOOK_NAMES = ['beforeAll', 'beforeEach', 'afterAll', 'afterEach'];
+const JEST_GLOBALS = {
+  ...TEST_GLOBALS,
+  ...DESCRIBE_GLOBALS,
+  ...Object.fromEntries(HOOK_NAMES.map(name => [name, []]))
+};
+const TEST_MODIFIERS = ['skip', 'only', 'concurrent', 'todo', 'failing', 'each'];
+
+const FUNCTION_NODES = ['FunctionExpression', 'ArrowFunctionExpression'];
+const IGNORED_AST_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments', 'comments', 'tokens', 'errors']);
+
+// Upper bound for unrolling statically known loops
+const MAX_STATIC_ITERATIONS = 1000;
+
+// Leading /** ... */ comment of a file (after an optional shebang), as Jest reads pragmas
+const DOCBLOCK_PATTERN = /^\s*(?:#![^\n]*\n\s*)?\/\*\*([\s\S]*?)\*\//;
+const LOCK_PRAGMA = /^@jest-parallel-lock\s+(.+)$/;
 
 class TestParser {
   constructor(logger) {
@@ -59,17 +84,25 @@ class TestParser {
     
     try {
       const content = await fs.readFile(filePath, 'utf8');
-      const tests = this._extractTests(content, filePath);
+      const { tests, suiteTree } = this._extractTests(content, filePath);
+      
+      // Hooks come from the suite tree when the AST is available, so hooks
+      // mentioned in comments or strings are not counted
+      const hasHook = (hookName) => suiteTree
+        ? this._suiteHasHook(suiteTree, hookName)
+        : this._hasHook(content, hookName);
       
       this.logger.debug(`Found ${tests.length} tests in ${path.basename(filePath)}`);
       return {
         filePath,
         fileName: path.basename(filePath),
         tests,
-        hasBeforeAll: this._hasHook(content, 'beforeAll'),
-        hasAfterAll: this._hasHook(content, 'afterAll'),
-        hasBeforeEach: this._hasHook(content, 'beforeEach'),
-        hasAfterEach: this._hasHook(content, 'afterEach')
+        suiteTree,
+        locks: this._readLocks(content),
+        hasBeforeAll: hasHook('beforeAll'),
+        hasAfterAll: hasHook('afterAll'),
+        hasBeforeEach: hasHook('beforeEach'),
+        hasAfterEach: hasHook('afterEach')
       };
     } catch (error) {
       this.logger.error(`Error parsing test file ${filePath}:`, error.message);
@@ -77,7 +110,550 @@ class TestParser {
     }
   }
 
+  /**
+   * Resource locks the file declares in its docblock with
+   * `@jest-parallel-lock database, cache-dir`. Work items holding the same
+   * lock never run at the same time.
+   * @returns {string[]} Lock names
+   */
+  _readLocks(content) {
+    const docblock = DOCBLOCK_PATTERN.exec(content);
+    if (!docblock) return [];
+    
+    const locks = new Set();
+    for (const line of docblock[1].split('\n')) {
+      const pragma = LOCK_PRAGMA.exec(line.replace(/^\s*\*?\s*/, '').trim());
+      if (!pragma) continue;
+      pragma[1].split(/[\s,]+/).filter(Boolean).forEach(name => locks.add(name));
+    }
+    return [...locks];
+  }
+
   _extractTests(content, filePath) {
+    let ast;
+    try {
+      ast = this._parseSource(content, filePath);
+    } catch (error) {
+      this.logger.warn(`AST parsing failed for ${path.basename(filePath)} (${error.message}), falling back to line-based discovery`);
+      return this._extractTestsWithRegex(content, filePath);
+    }
+    
+    const suiteTree = {
+      type: 'file',
+      name: path.basename(filePath),
+      describePath: [],
+      modifiers: [],
+      location: this._location(ast.program),
+      hooks: [],
+      children: []
+    };
+    const context = { filePath, content, tests: [], ids: new Set(), budgets: this._collectBudgets(ast, content, filePath) };
+    
+    this._visit(ast.program, { suite: suiteTree, scope: new Scope(), dynamic: false }, context);
+    this._applyFocusAndSkip(suiteTree);
+    
+    const { tests } = context;
+    
+    // Log the distribution of test types for debugging
+    const normalTests = tests.filter(t => t.type === 'normal').length;
+    const skippedTests = tests.filter(t => t.type === 'skip').length;
+    const onlyTests = tests.filter(t => t.type === 'only').length;
+    const concurrentTests = tests.filter(t => t.type === 'concurrent').length;
+    const todoTests = tests.filter(t => t.type === 'todo').length;
+    const dynamicTests = tests.filter(t => t.dynamic).length;
+    
+    this.logger.debug(`Test breakdown for ${path.basename(filePath)}: ${normalTests} normal, ${skippedTests} skipped, ${onlyTests} only, ${concurrentTests} concurrent, ${todoTests} todo, ${dynamicTests} dynamic`);
+    
+    return { tests, suiteTree };
+  }
+
+  _parseSource(content, filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    let plugins;
+    if (['.ts', '.mts', '.cts'].includes(ext)) {
+      plugins = ['typescript', 'decorators-legacy'];
+    } else if (ext === '.tsx') {
+      plugins = ['typescript', 'jsx', 'decorators-legacy'];
+    } else {
+      plugins = ['jsx', 'decorators-legacy'];
+    }
+    
+    return parse(content, {
+      sourceType: 'unambiguous',
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      allowImportExportEverywhere: true,
+      errorRecovery: true,
+      plugins
+    });
+  }
+
+  _visit(node, state, context) {
+    if (!node || typeof node.type !== 'string') return;
+    
+    switch (node.type) {
+      case 'CallExpression':
+        if (this._visitJestCall(node, state, context)) return;
+        if (this._visitForEachCall(node, state, context)) return;
+        break;
+      case 'VariableDeclaration':
+        this._defineVariables(node, state.scope);
+        break;
+      case 'ForOfStatement':
+      case 'ForInStatement':
+        this._visitIterationLoop(node, state, context);
+        return;
+      case 'ForStatement':
+        this._visitCounterLoop(node, state, context);
+        return;
+      case 'WhileStatement':
+      case 'DoWhileStatement':
+        this._visit(node.test, state, context);
+        this._visit(node.body, { ...state, dynamic: true }, context);
+        return;
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression': {
+        const scope = state.scope.child();
+        node.params.forEach(param => bindPattern(param, UNRESOLVED, scope));
+        this._visit(node.body, { ...state, scope }, context);
+        return;
+      }
+      case 'BlockStatement':
+        state = { ...state, scope: state.scope.child() };
+        break;
+    }
+    
+    this._visitChildren(node, state, context);
+  }
+
+  _visitChildren(node, state, context) {
+    for (const key of Object.keys(node)) {
+      if (IGNORED_AST_KEYS.has(key)) continue;
+      
+      const value = node[key];
+      if (Array.isArray(value)) {
+        value.forEach(child => this._visit(child, state, context));
+      } else if (value && typeof value.type === 'string') {
+        this._visit(value, state, context);
+      }
+    }
+  }
+
+  _defineVariables(node, scope) {
+    for (const declarator of node.declarations) {
+      // Only constants are safe to resolve statically; let/var still shadow outer bindings
+      const value = node.kind === 'const' ? evaluate(declarator.init, scope) : UNRESOLVED;
+      bindPattern(declarator.id, value, scope);
+    }
+  }
+
+  _visitIterationLoop(node, state, context) {
+    this._visit(node.right, state, context);
+    
+    const iterable = evaluate(node.right, state.scope);
+    let values = null;
+    if (node.type === 'ForOfStatement' && (Array.isArray(iterable) || typeof iterable === 'string')) {
+      values = [...iterable];
+    } else if (node.type === 'ForInStatement' && iterable && typeof iterable === 'object') {
+      values = Object.keys(iterable);
+    }
+    
+    const pattern = node.left.type === 'VariableDeclaration' ? node.left.declarations[0].id : node.left;
+    this._visitLoopBody(node.body, values && values.map(value => [value]), [pattern], state, context);
+  }
+
+  _visitCounterLoop(node, state, context) {
+    const counter = this._unrollCounterLoop(node, state.scope);
+    
+    if (counter) {
+      this._visitLoopBody(node.body, counter.values.map(value => [value]), [counter.pattern], state, context);
+      return;
+    }
+    
+    const scope = state.scope.child();
+    if (node.init && node.init.type === 'VariableDeclaration') {
+      node.init.declarations.forEach(declarator => bindPattern(declarator.id, UNRESOLVED, scope));
+    }
+    this._visit(node.body, { ...state, scope, dynamic: true }, context);
+  }
+
+  // Resolves `for (let i = a; i < b; i++)` style loops with static bounds
+  _unrollCounterLoop(node, scope) {
+    const { init, test, update } = node;
+    if (!init || init.type !== 'VariableDeclaration' || init.declarations.length !== 1) return null;
+    
+    const declarator = init.declarations[0];
+    if (declarator.id.type !== 'Identifier') return null;
+    const name = declarator.id.name;
+    
+    let current = evaluate(declarator.init, scope);
+    if (typeof current !== 'number') return null;
+    
+    if (!test || test.type !== 'BinaryExpression' ||
+        test.left.type !== 'Identifier' || test.left.name !== name) return null;
+    const bound = evaluate(test.right, scope);
+    if (typeof bound !== 'number') return null;
+    
+    let step;
+    if (update && update.type === 'UpdateExpression' && update.argument.name === name) {
+      step = update.operator === '++' ? 1 : -1;
+    } else if (update && update.type === 'AssignmentExpression' && update.left.name === name &&
+               ['+=', '-='].includes(update.operator)) {
+      const amount = evaluate(update.right, scope);
+      if (typeof amount !== 'number' || amount === 0) return null;
+      step = update.operator === '+=' ? amount : -amount;
+    } else {
+      return null;
+    }
+    
+    const compare = {
+      '<': (a, b) => a < b,
+      '<=': (a, b) => a <= b,
+      '>': (a, b) => a > b,
+      '>=': (a, b) => a >= b,
+      '!==': (a, b) => a !== b,
+      '!=': (a, b) => a != b
+    }[test.operator];
+    if (!compare) return null;
+    
+    const values = [];
+    while (compare(current, bound)) {
+      if (values.length >= MAX_STATIC_ITERATIONS) return null;
+      values.push(current);
+      current += step;
+    }
+    
+    return { pattern: declarator.id, values };
+  }
+
+  // Handles `[...].forEach((item, index) => { ... })` over a static array
+  _visitForEachCall(node, state, context) {
+    const { callee } = node;
+    if (callee.type !== 'MemberExpression' || callee.computed ||
+        !['forEach', 'map'].includes(callee.property.name)) return false;
+    
+    const callback = node.arguments[0];
+    if (!callback || !FUNCTION_NODES.includes(callback.type)) return false;
+    
+    this._visit(callee.object, state, context);
+    
+    const items = evaluate(callee.object, state.scope);
+    const rows = Array.isArray(items) ? items.map((item, index) => [item, index, items]) : null;
+    this._visitLoopBody(callback.body, rows, callback.params, state, context);
+    return true;
+  }
+
+  _visitLoopBody(body, rows, patterns, state, context) {
+    if (!rows || rows.length > MAX_STATIC_ITERATIONS) {
+      const scope = state.scope.child();
+      patterns.forEach(pattern => bindPattern(pattern, UNRESOLVED, scope));
+      this._visit(body, { ...state, scope, dynamic: true }, context);
+      return;
+    }
+    
+    for (const row of rows) {
+      const scope = state.scope.child();
+      patterns.forEach((pattern, index) => bindPattern(pattern, row[index], scope));
+      this._visit(body, { ...state, scope }, context);
+    }
+  }
+
+  _resolveJestCallee(callee) {
+    if (!callee) return null;
+    
+    switch (callee.type) {
+      case 'Identifier': {
+        if (!Object.prototype.hasOwnProperty.call(JEST_GLOBALS, callee.name)) return null;
+        return { base: callee.name, modifiers: [...JEST_GLOBALS[callee.name]] };
+      }
+      case 'MemberExpression': {
+        if (callee.computed || callee.property.type !== 'Identifier' ||
+            !TEST_MODIFIERS.includes(callee.property.name)) return null;
+        const object = this._resolveJestCallee(callee.object);
+        if (!object || object.table) return null;
+        return { ...object, modifiers: [...object.modifiers, callee.property.name] };
+      }
+      case 'CallExpression':
+      case 'TaggedTemplateExpression': {
+        // test.each(table)(name, fn) / test.each`table`(name, fn)
+        const inner = this._resolveJestCallee(callee.type === 'CallExpression' ? callee.callee : callee.tag);
+        if (!inner || inner.table || !inner.modifiers.includes('each')) return null;
+        return { ...inner, table: callee.type === 'CallExpression' ? callee.arguments : [callee.quasi] };
+      }
+      default:
+        return null;
+    }
+  }
+
+  _visitJestCall(node, state, context) {
+    const callee = this._resolveJestCallee(node.callee);
+    if (!callee) return false;
+    
+    // `test.each(table)` on its own is only the table factory, not a registration
+    if (callee.modifiers.includes('each') && !callee.table) return false;
+    
+    if (HOOK_NAMES.includes(callee.base)) {
+      if (callee.modifiers.length > 0) return false;
+      state.suite.hooks.push({ type: callee.base, location: this._location(node) });
+      return true;
+    }
+    
+    const [titleNode, fn] = node.arguments;
+    const title = this._resolveTitle(titleNode, state.scope, context.content);
+    const modifiers = [...new Set(callee.modifiers)];
+    const isDescribe = Object.prototype.hasOwnProperty.call(DESCRIBE_GLOBALS, callee.base);
+    
+    if (callee.table) {
+      this._visitEachCall(callee, title, modifiers, isDescribe, fn, node, state, context);
+    } else if (isDescribe) {
+      this._addSuite(title, modifiers, node, state, context, fn, null, null);
+    } else {
+      this._addTest(title, modifiers, node, state, context, null);
+    }
+    return true;
+  }
+
+  // Expands describe.each / test.each into one entry per table row
+  _visitEachCall(callee, title, modifiers, isDescribe, fn, node, state, context) {
+    const rows = title.dynamic ? null : expandEachTable(callee.table, title.name, state.scope);
+    
+    if (!rows) {
+      this.logger.debug(`Could not resolve each table at line ${node.loc.start.line} statically, marking "${title.name}" as dynamic`);
+      const dynamicTitle = { ...title, dynamic: true };
+      const each = { dynamic: true };
+      if (isDescribe) {
+        this._addSuite(dynamicTitle, modifiers, node, state, context, fn, null, each);
+      } else {
+        this._addTest(dynamicTitle, modifiers, node, state, context, each);
+      }
+      return;
+    }
+    
+    rows.forEach((row, index) => {
+      const rowTitle = { name: row.title, dynamic: false };
+      const each = { dynamic: false, index, total: rows.length };
+      if (isDescribe) {
+        this._addSuite(rowTitle, modifiers, node, state, context, fn, row.args, each);
+      } else {
+        this._addTest(rowTitle, modifiers, node, state, context, each);
+      }
+    });
+  }
+
+  _addSuite(title, modifiers, node, state, context, fn, args, each) {
+    const suite = {
+      type: 'describe',
+      name: title.name,
+      describePath: [...state.suite.describePath, title.name],
+      modifiers,
+      location: this._location(node),
+      dynamic: state.dynamic || title.dynamic,
+      each,
+      hooks: [],
+      children: []
+    };
+    state.suite.children.push(suite);
+    
+    if (fn && FUNCTION_NODES.includes(fn.type)) {
+      // Bind each-row arguments so titles inside the block can be resolved
+      const scope = state.scope.child();
+      fn.params.forEach((param, index) => bindPattern(param, args ? args[index] : UNRESOLVED, scope));
+      this._visit(fn.body, { ...state, suite, scope, dynamic: suite.dynamic }, context);
+    }
+  }
+
+  _addTest(title, modifiers, node, state, context, each) {
+    const test = this._createTest(title, modifiers, node, state, context, each);
+    state.suite.children.push(test);
+    context.tests.push(test);
+  }
+
+  _createTest(title, modifiers, node, state, context, each) {
+    const { describePath } = state.suite;
+    const lineNumber = node.loc.start.line;
+    // Skip/todo status is provisional until _applyFocusAndSkip has seen the whole file
+    const isSkipped = modifiers.includes('skip');
+    const isTodo = modifiers.includes('todo');
+    const isOnly = modifiers.includes('only');
+    const isConcurrent = modifiers.includes('concurrent');
+    
+    let id = `${context.filePath}:${lineNumber}:${title.name}`;
+    for (let n = 2; context.ids.has(id); n++) {
+      id = `${context.filePath}:${lineNumber}:${title.name}#${n}`;
+    }
+    context.ids.add(id);
+    
+    return {
+      name: title.name,
+      describe: describePath.length > 0 ? describePath[describePath.length - 1] : null,
+      describePath: [...describePath],
+      fullName: [...describePath, title.name].join(' '),
+      filePath: context.filePath,
+      lineNumber,
+      location: this._location(node),
+      modifiers,
+      isSkipped,
+      isTodo,
+      isOnly,
+      isConcurrent,
+      dynamic: state.dynamic || title.dynamic,
+      each,
+      expectedStatus: isTodo ? 'todo' : (isSkipped ? 'skipped' : 'runnable'),
+      type: this._testType({ isTodo, isSkipped, isOnly, isConcurrent }),
+      budget: context.budgets.get(node.start) ?? null,
+      id
+    };
+  }
+
+  /**
+   * Find `@budget <duration>` annotations in comments. A budget belongs to
+   * the code right after its comment (other comments in between allowed);
+   * comments trailing a line of code are ignored.
+   * @returns {Map<number, number>} Source offset of the annotated code to milliseconds
+   */
+  _collectBudgets(ast, content, filePath) {
+    const budgets = new Map();
+    const comments = ast.comments || [];
+    const commentsByStart = new Map(comments.map(comment => [comment.start, comment]));
+    
+    for (const comment of comments) {
+      const budget = budgetFromComment(comment.value);
+      if (budget === undefined) continue;
+      if (content.slice(content.lastIndexOf('\n', comment.start - 1) + 1, comment.start).trim() !== '') continue;
+      if (budget === null) {
+        this.logger.warn(`Ignoring malformed @budget in ${path.basename(filePath)}:${comment.loc.start.line} (expected e.g. @budget 200ms)`);
+        continue;
+      }
+      
+      let position = comment.end;
+      for (;;) {
+        while (position < content.length && /\s/.test(content[position])) position++;
+        const next = commentsByStart.get(position);
+        if (!next) break;
+        position = next.end;
+      }
+      budgets.set(position, budget);
+    }
+    return budgets;
+  }
+
+  _testType({ isTodo, isSkipped, isOnly, isConcurrent }) {
+    if (isTodo) return 'todo';
+    if (isSkipped) return 'skip';
+    if (isOnly) return 'only';
+    return isConcurrent ? 'concurrent' : 'normal';
+  }
+
+  /**
+   * Resolve which tests Jest will actually run, following jest-circus rules:
+   * describe blocks inherit their parent's mode, a describe's mode is passed on
+   * to its tests unless one of them is focused itself, and once any test is
+   * focused every test without a mode of its own is skipped.
+   */
+  _applyFocusAndSkip(suiteTree) {
+    const modes = new Map();
+    let hasFocusedTests = false;
+    
+    const modeOf = (modifiers) => {
+      if (modifiers.includes('todo')) return 'todo';
+      if (modifiers.includes('skip')) return 'skip';
+      if (modifiers.includes('only')) return 'only';
+      return undefined;
+    };
+    
+    const assignModes = (suite, parentMode) => {
+      const suiteMode = modeOf(suite.modifiers) || parentMode;
+      modes.set(suite, suiteMode);
+      
+      // Suite nodes are typed 'describe'; every other child is a test entry
+      const tests = suite.children.filter(child => child.type !== 'describe');
+      tests.forEach(test => modes.set(test, modeOf(test.modifiers)));
+      suite.children
+        .filter(child => child.type === 'describe')
+        .forEach(child => assignModes(child, suiteMode));
+      
+      const hasFocusedChild = tests.some(test => modes.get(test) === 'only');
+      if (!(suiteMode === 'only' && hasFocusedChild)) {
+        tests.forEach(test => {
+          if (!modes.get(test)) modes.set(test, suiteMode);
+        });
+      }
+      if (suiteMode !== 'skip' && tests.some(test => modes.get(test) === 'only')) {
+        hasFocusedTests = true;
+      }
+    };
+    
+    // Only the enclosing block's own (possibly inherited) mode skips a test,
+    // so a describe.only nested in a describe.skip still runs
+    const resolveStatus = (suite) => {
+      const suiteSkipped = modes.get(suite) === 'skip';
+      
+      for (const child of suite.children) {
+        if (child.type === 'describe') {
+          resolveStatus(child);
+          continue;
+        }
+        
+        const mode = modes.get(child);
+        const skipped = suiteSkipped || mode === 'skip' || (hasFocusedTests && mode === undefined);
+        child.expectedStatus = skipped ? 'skipped' : (mode === 'todo' ? 'todo' : 'runnable');
+        child.isSkipped = child.expectedStatus === 'skipped';
+        child.isTodo = child.expectedStatus === 'todo';
+        child.type = this._testType(child);
+      }
+    };
+    
+    assignModes(suiteTree, undefined);
+    resolveStatus(suiteTree);
+    suiteTree.hasFocusedTests = hasFocusedTests;
+  }
+
+  _resolveTitle(node, scope, content) {
+    if (!node) {
+      return { name: '', dynamic: true };
+    }
+    
+    const value = evaluate(node, scope);
+    if (typeof value === 'string' || typeof value === 'number') {
+      return { name: String(value), dynamic: false };
+    }
+    
+    // Keep the resolvable parts of a template literal and show the rest as written
+    if (node.type === 'TemplateLiteral') {
+      let name = '';
+      node.quasis.forEach((quasi, i) => {
+        name += quasi.value.cooked;
+        if (i < node.expressions.length) {
+          const expression = node.expressions[i];
+          const part = evaluate(expression, scope);
+          name += part === UNRESOLVED
+            ? `\${${content.slice(expression.start, expression.end)}}`
+            : String(part);
+        }
+      });
+      return { name, dynamic: true };
+    }
+    
+    return { name: content.slice(node.start, node.end), dynamic: true };
+  }
+
+  _location(node) {
+    return {
+      start: { line: node.loc.start.line, column: node.loc.start.column },
+      end: { line: node.loc.end.line, column: node.loc.end.column }
+    };
+  }
+
+  _suiteHasHook(suite, hookName) {
+    if (suite.hooks && suite.hooks.some(hook => hook.type === hookName)) {
+      return true;
+    }
+    return (suite.children || []).some(child => child.type === 'describe' && this._suiteHasHook(child, hookName));
+  }
+
+  // Line-based discovery used only when a file cannot be parsed into an AST
+  _extractTestsWithRegex(content, filePath) {
     const tests = [];
     const lines = content.split('\n');
     
@@ -114,13 +690,19 @@ class TestParser {
         tests.push({
           name: testMatch[1],
           describe: currentDescribe,
+          describePath: currentDescribe ? [currentDescribe] : [],
           fullName: currentDescribe ? `${currentDescribe} ${testMatch[1]}` : testMatch[1],
           filePath,
           lineNumber,
+          location: null,
+          modifiers: ['skip', 'only', 'concurrent'].filter(modifier => line.includes(`.${modifier}`)),
           isSkipped,
+          isTodo: false,
           isOnly,
           isConcurrent,
+          expectedStatus: isSkipped ? 'skipped' : 'runnable',
           type: isSkipped ? 'skip' : (isOnly ? 'only' : (isConcurrent ? 'concurrent' : 'normal')),
+          budget: null,
           id: `${filePath}:${lineNumber}:${testMatch[1]}`
         });
         continue;
@@ -143,7 +725,7 @@ class TestParser {
     
     this.logger.debug(`Test breakdown for ${path.basename(filePath)}: ${normalTests} normal, ${skippedTests} skipped, ${onlyTests} only, ${concurrentTests} concurrent`);
     
-    return tests;
+    return { tests, suiteTree: null };
   }
 
   _hasHook(content, hookName) {
@@ -169,6 +751,13 @@ class TestParser {
     const totalTests = parsedFiles.reduce((sum, file) => sum + file.tests.length, 0);
     this.logger.success(`Parsed ${parsedFiles.length} files with ${totalTests} total tests`);
     
+    const dynamicTables = parsedFiles.reduce(
+      (sum, file) => sum + file.tests.filter(test => test.each && test.each.dynamic).length, 0
+    );
+    if (dynamicTables > 0) {
+      this.logger.warn(`${dynamicTables} each table(s) could not be resolved statically and are counted as a single dynamic test`);
+    }
+    
     return parsedFiles;
   }
 }
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+
+const BASELINE_VERSION = 1;
+
+// A test is flagged when it takes this many times its baseline
+const DEFAULT_PERF_FACTOR = 2;
+
+// Durations kept per test; the baseline is their median
+const BASELINE_WINDOW = 10;
+
+// Runs a test needs in the baseline before it is compared with it
+const MIN_BASELINE_RUNS = 3;
+
+// Slowdowns smaller than this are timer noise, whatever the factor says
+const MIN_REGRESSION_DELTA = 50;
+
+const BUDGET_PATTERN = /@budget\s+(\S+)/;
+
+/**
+ * Parse a duration budget such as `200ms`, `1.5s` or `200` (milliseconds).
+ * @param {string} value
+ * @returns {number|null} Milliseconds, null when the value is not a duration
+ */
+function parseBudget(value) {
+  const match = /^(\d+(?:\.\d+)?)(ms|s)?$/.exec(String(value).trim());
+  if (!match) return null;
+  return Math.round(parseFloat(match[1]) * (match[2] === 's' ? 1000 : 1));
+}
+
+/**
+ * Read the `@budget <duration>` annotation of a comment.
+ * @returns {number|null|undefined} Milliseconds, null for a malformed budget,
+ *   undefined when the comment has no annotation
+ */
+function budgetFromComment(text) {
+  const match = BUDGET_PATTERN.exec(text);
+  return match ? parseBudget(match[1]) : undefined;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Rolling per-test duration baseline for the performance gate, stored in
+ * <cacheDir>/perf-baseline.json.
+ *
+ * Each test keeps the durations of its last BASELINE_WINDOW passing runs,
+ * keyed by the test ids of the JSON report. The baseline is their median,
+ * so one slow run neither trips the gate nor moves the baseline much.
+ */
+class PerfBaseline {
+  constructor(options = {}, logger) {
+    this.cacheDir = options.cacheDir || '.jest-parallel';
+    this.filePath = options.baselineFile || path.join(this.cacheDir, 'perf-baseline.json');
+    this.logger = logger;
+
+    this.tests = {};
+    this.loaded = false;
+  }
+
+  load() {
+    if (this.loaded) return this;
+    this.loaded = true;
+
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return this;
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (data.version !== BASELINE_VERSION) {
+        this.logger.warn(`Ignoring performance baseline ${this.filePath} with unsupported version ${data.version}`);
+        return this;
+      }
+
+      this.tests = data.tests || {};
+      this.logger.debug(`Loaded performance baseline for ${Object.keys(this.tests).length} tests from ${this.filePath}`);
+    } catch (error) {
+      this.logger.warn(`Failed to read performance baseline ${this.filePath}: ${error.message}`);
+    }
+
+    return this;
+  }
+
+  /**
+   * Baseline duration of a test.
+   * @returns {number|null} Median of the recorded durations, null until the
+   *   test has MIN_BASELINE_RUNS of them
+   */
+  get(id) {
+    this.load();
+    const durations = this.tests[id];
+    return durations && durations.length >= MIN_BASELINE_RUNS ? median(durations) : null;
+  }
+
+  /**
+   * Add the passing tests of a run to the baseline and write it.
+   * @param {Array} tests - Tests of the JSON report (json-report.js)
+   */
+  record(tests) {
+    this.load();
+
+    for (const test of tests) {
+      if (test.status !== 'passed') continue;
+      this.tests[test.id] = [...(this.tests[test.id] || []), test.durationMs].slice(-BASELINE_WINDOW);
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify({
+        version: BASELINE_VERSION,
+        updatedAt: new Date().toISOString(),
+        tests: this.tests
+      }), 'utf8');
+      this.logger.debug(`Performance baseline written to ${this.filePath}`);
+    } catch (error) {
+      this.logger.warn(`Failed to write performance baseline ${this.filePath}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Compare the tests of a run with their baseline and their `@budget`.
+ * Only passing tests are checked; failed runs stop early and flaky ones
+ * include retries.
+ * @param {Array} tests - Tests of the JSON report (json-report.js)
+ * @param {PerfBaseline} baseline
+ * @param {Object} options - { factor, budgets: Map of test id to milliseconds }
+ * @returns {Object} { checked, regressions: [{ id, durationMs, baselineMs, budgetMs, reasons }] }
+ */
+function checkPerformance(tests, baseline, { factor = DEFAULT_PERF_FACTOR, budgets = new Map() } = {}) {
+  const regressions = [];
+  let checked = 0;
+
+  for (const test of tests) {
+    if (test.status !== 'passed') continue;
+
+    const baselineMs = baseline.get(test.id);
+    const budgetMs = budgets.get(test.id) ?? null;
+    if (baselineMs === null && budgetMs === null) continue;
+    checked++;
+
+    const reasons = [];
+    if (budgetMs !== null && test.durationMs > budgetMs) {
+      reasons.push('budget');
+    }
+    if (baselineMs !== null && test.durationMs > baselineMs * factor &&
+        test.durationMs - baselineMs >= MIN_REGRESSION_DELTA) {
+      reasons.push('baseline');
+    }
+    if (reasons.length > 0) {
+      regressions.push({ id: test.id, durationMs: test.durationMs, baselineMs, budgetMs, reasons });
+    }
+  }
+
+  regressions.sort((a, b) => b.durationMs - a.durationMs);
+  return { checked, regressions };
+}
+
+module.exports = {
+  DEFAULT_PERF_FACTOR,
+  BASELINE_WINDOW,
+  MIN_BASELINE_RUNS,
+  MIN_REGRESSION_DELTA,
+  parseBudget,
+  budgetFromComment,
+  PerfBaseline,
+  checkPerformance
+};
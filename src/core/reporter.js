@@ -1,11 +1,101 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { buildJUnitXml } = require('./junit');
+const { buildJsonReport } = require('./json-report');
+const { buildTimeline } = require('./timeline');
+const { buildTrace } = require('./trace');
+const { normalizeReporterEntries, loadCustomReporter } = require('./custom-reporters');
+
+// Values accepted by the `reporter` option; 'both' means console and html
+const REPORTERS = ['console', 'html', 'json', 'junit', 'both'];
+
+/**
+ * Resolve the `reporter` option into the reports to generate. Several
+ * reporters can be combined as a list or a comma-separated string.
+ * @param {string|string[]} reporter - e.g. 'both', 'console,junit' or ['html', 'junit']
+ * @returns {Set<string>} Reports to generate: console, html, json and/or junit
+ */
+function parseReporters(reporter = 'both') {
+  const names = (Array.isArray(reporter) ? reporter : String(reporter).split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+  
+  const reports = new Set();
+  for (const name of names) {
+    if (!REPORTERS.includes(name)) {
+      throw new Error(`Invalid reporter: ${name}. Valid reporters: ${REPORTERS.join(', ')}`);
+    }
+    if (name === 'both') {
+      reports.add('console').add('html');
+    } else {
+      reports.add(name);
+    }
+  }
+  return reports;
+}
 
 class ReportGenerator {
   constructor(options, logger) {
     this.outputDir = options.outputDir || './reports';
     this.reportType = options.reporter || 'both';
+    // <testsuite> per test file ('file') or per describe block ('describe')
+    this.junitSuiteName = options.junitSuiteName || 'file';
+    // Chrome trace of the run (--trace), written wherever it points
+    this.tracePath = options.trace || null;
     this.logger = logger;
+    
+    // Reporter modules from the `reporters` option, see custom-reporters.js
+    this.customReporters = [];
+    this.pendingReporterCalls = [];
+    
+    if (options.reporters) {
+      // Like Jest, listing reporters replaces the defaults unless 'default' is listed
+      this.reports = new Set();
+      for (const { name, options: reporterOptions } of normalizeReporterEntries(options.reporters)) {
+        if (name === 'default' || REPORTERS.includes(name)) {
+          parseReporters(name === 'default' ? this.reportType : name).forEach(report => this.reports.add(report));
+        } else {
+          this.customReporters.push(loadCustomReporter(name, reporterOptions, { outputDir: this.outputDir, logger }));
+        }
+      }
+    } else {
+      this.reports = parseReporters(this.reportType);
+    }
+  }
+  
+  /**
+   * Feed run events to the custom reporters.
+   * @param {EventEmitter} runner - Emitter of the runner events (JestParallelRunner)
+   */
+  listenTo(runner) {
+    if (this.customReporters.length === 0) return;
+    
+    runner.on('runStart', run => this.dispatch('onRunStart', run));
+    runner.on('testComplete', test => this.dispatch('onTestResult', test));
+    runner.on('fileComplete', file => this.dispatch('onFileResult', file));
+  }
+  
+  // Call a lifecycle method on every custom reporter that implements it
+  dispatch(method, ...args) {
+    for (const { name, reporter } of this.customReporters) {
+      if (typeof reporter[method] !== 'function') continue;
+      
+      this.pendingReporterCalls.push(Promise.resolve()
+        .then(() => reporter[method](...args))
+        .catch(error => this.logger.error(`Reporter ${name} failed in ${method}: ${error.message}`)));
+    }
+  }
+  
+  /**
+   * Hand the versioned JSON report to the custom reporters once their
+   * earlier calls have settled, and wait for them to finish.
+   */
+  async completeCustomReporters(results, summary) {
+    if (this.customReporters.length === 0) return;
+    
+    await Promise.all(this.pendingReporterCalls.splice(0));
+    this.dispatch('onRunComplete', buildJsonReport(results, summary));
+    await Promise.all(this.pendingReporterCalls.splice(0));
   }
 
   async generateReports(results, summary, mode) {
@@ -13,17 +103,46 @@ class ReportGenerator {
     
     const reportData = this.processResults(results, summary, mode);
     
-    if (this.reportType === 'console' || this.reportType === 'both') {
+    if (this.reports.has('console')) {
       this.generateConsoleReport(reportData);
     }
     
-    if (this.reportType === 'html' || this.reportType === 'both') {
+    if (this.reports.has('html')) {
       await this.generateHtmlReport(reportData);
     }
     
+    if (this.reports.has('json')) {
+      await this.generateJsonReport(results, summary);
+    }
+    
+    if (this.reports.has('junit')) {
+      await this.generateJUnitReport(reportData);
+    }
+    
+    if (this.tracePath) {
+      await this.generateTrace(results, summary);
+    }
+    
+    await this.completeCustomReporters(results, summary);
+    
     return reportData;
   }
 
+  /**
+   * Write a test-status.json report (as produced by WorkerManager) to the output directory
+   * @param {Object} statusReport - Status report with summary, fileSummary, fileDetails and results
+   * @returns {Promise<string>} Path of the written file
+   */
+  async writeStatusReport(statusReport) {
+    await this.ensureOutputDir();
+    
+    const statusPath = path.join(this.outputDir, 'test-status.json');
+    await fs.writeFile(statusPath, JSON.stringify(statusReport, null, 2), 'utf8');
+    this.logger.success(`JSON status report generated: ${statusPath}`);
+    
+    return statusPath;
+  }
+
   async ensureOutputDir() {
     try {
       await fs.mkdir(this.outputDir, { recursive: true });
@@ -43,6 +162,9 @@ class ReportGenerator {
     let passed = 0;
     let failed = 0;
     let skipped = 0;
+    let todo = 0;
+    let flaky = 0;
+    let notRun = 0;
     let totalTests = 0;
 
     results.forEach(result => {
@@ -53,6 +175,9 @@ class ReportGenerator {
         if (result.status === 'passed') passed++;
         if (result.status === 'failed') failed++;
         if (result.status === 'skipped') skipped++;
+        if (result.status === 'todo') todo++;
+        if (result.status === 'flaky') flaky++;
+        if (result.status === 'not-run') notRun++;
         
         const fileName = path.basename(result.filePath || '');
         if (fileName && !fileResults[fileName]) {
@@ -62,6 +187,9 @@ class ReportGenerator {
             passed: 0,
             failed: 0,
             skipped: 0,
+            todo: 0,
+            flaky: 0,
+            notRun: 0,
             duration: 0
           };
         }
@@ -71,7 +199,7 @@ class ReportGenerator {
             fileResults[fileName].tests = [];
           }
           fileResults[fileName].tests.push(result);
-          fileResults[fileName][result.status]++;
+          fileResults[fileName][result.status === 'not-run' ? 'notRun' : result.status]++;
           fileResults[fileName].duration += result.duration || 0;
         }
       } else if (result.filePath) {
@@ -85,7 +213,11 @@ class ReportGenerator {
             passed: 0,
             failed: 0,
             skipped: 0,
+            todo: 0,
+            flaky: 0,
+            notRun: 0,
             duration: result.duration || 0,
+            error: result.error ? this.formatJestError(result.error) : null,
             hooks: result.hookInfo || {
               beforeAll: { duration: 0, status: 'not_found' },
               beforeEach: { duration: 0, status: 'not_found' },
@@ -119,7 +251,8 @@ class ReportGenerator {
               workerId: result.workerId,
               mode: result.mode,
               error: formattedError,
-              suite: testResult.suite
+              suite: testResult.suite,
+              attempts: testResult.attempts
             };
             
             testResults.push(individualTest);
@@ -135,6 +268,12 @@ class ReportGenerator {
               fileResults[fileName].failed = (fileResults[fileName].failed || 0) + 1;
             } else if (testResult.status === 'skipped') {
               fileResults[fileName].skipped = (fileResults[fileName].skipped || 0) + 1;
+            } else if (testResult.status === 'todo') {
+              fileResults[fileName].todo = (fileResults[fileName].todo || 0) + 1;
+            } else if (testResult.status === 'flaky') {
+              fileResults[fileName].flaky = (fileResults[fileName].flaky || 0) + 1;
+            } else if (testResult.status === 'not-run') {
+              fileResults[fileName].notRun = (fileResults[fileName].notRun || 0) + 1;
             }
           });
           
@@ -143,14 +282,21 @@ class ReportGenerator {
           const passedCount = result.testResults.filter(t => t.status === 'passed').length;
           const failedCount = result.testResults.filter(t => t.status === 'failed').length;
           const skippedCount = result.testResults.filter(t => t.status === 'skipped').length;
+          const todoCount = result.testResults.filter(t => t.status === 'todo').length;
+          const flakyCount = result.testResults.filter(t => t.status === 'flaky').length;
+          const notRunCount = result.testResults.filter(t => t.status === 'not-run').length;
           passed += passedCount;
           failed += failedCount;
           skipped += skippedCount;
+          todo += todoCount;
+          flaky += flakyCount;
+          notRun += notRunCount;
         } else {
           // Fallback to file-level counting if no individual test results
           totalTests += result.testCount || 0;
           if (result.status === 'passed') passed += result.testCount || 0;
           if (result.status === 'failed') failed += result.testCount || 0;
+          if (result.status === 'not-run') notRun += result.testCount || 0;
         }
       }
     });
@@ -167,16 +313,23 @@ class ReportGenerator {
         passed,
         failed,
         skipped,
+        todo,
+        flaky,
+        notRun,
         startTime,
         endTime,
         totalDuration,
         estimatedSequentialTime,
         timeSaved,
         timeSavedPercentage,
-        files: Object.keys(fileResults).length
+        files: Object.keys(fileResults).length,
+        shard: summary.shard || null,
+        bailed: summary.bailed || false
       },
       fileResults,
       testResults,
+      timeline: buildTimeline(summary.timeline, summary),
+      performance: summary.performance || null,
       metadata: {
         timestamp: new Date().toISOString(),
         pid: process.pid,
@@ -248,6 +401,9 @@ class ReportGenerator {
     console.log('='.repeat(80));
     
     console.log(`\nExecution Mode: ${summary.mode === 'parallel-file-concurrent' ? 'parallel-file (forced concurrent)' : summary.mode}`);
+    if (summary.shard) {
+      console.log(`Shard: ${summary.shard.index}/${summary.shard.total}`);
+    }
     console.log(`Total Duration: ${this.formatDuration(summary.totalDuration)}`);
     console.log(`Estimated Sequential Time: ${this.formatDuration(summary.estimatedSequentialTime)}`);
     console.log(`Time Saved: ${this.formatDuration(summary.timeSaved)} (${summary.timeSavedPercentage.toFixed(1)}%)`);
@@ -257,8 +413,27 @@ class ReportGenerator {
     console.log(`  Passed: ${summary.passed}`);
     console.log(`  Failed: ${summary.failed}`);
     console.log(`  Skipped: ${summary.skipped}`);
+    if (summary.todo > 0) {
+      console.log(`  Todo: ${summary.todo}`);
+    }
+    if (summary.flaky > 0) {
+      console.log(`  Flaky: ${summary.flaky} (passed on retry)`);
+    }
+    if (summary.notRun > 0) {
+      console.log(`  Not run: ${summary.notRun}${summary.bailed ? ' (bailed)' : ''}`);
+    }
     console.log(`  Files: ${summary.files}`);
     
+    if (reportData.performance) {
+      const { performance } = reportData;
+      console.log(`\nPerformance Gate (${performance.factor}x baseline):`);
+      console.log(`  Checked: ${performance.checked}`);
+      console.log(`  Regressions: ${performance.regressions.length}${performance.failRun ? ' (failing the run)' : ''}`);
+      performance.regressions.forEach(regression => {
+        console.log(`  🐢 ${regression.id} ${this.formatDuration(regression.durationMs)} (${this.formatRegressionLimits(regression)})`);
+      });
+    }
+    
     console.log(`\nMemory Usage:`);
     const mem = reportData.metadata.memoryUsage;
     console.log(`  RSS: ${mem.rss}MB`);
@@ -268,12 +443,15 @@ class ReportGenerator {
     if (testResults.length > 0) {
       console.log('\nTest Details:');
       testResults.forEach(test => {
-        const status = test.status === 'passed' ? '✓' : test.status === 'skipped' ? '○' : '✗';
+        const status = test.status === 'passed' ? '✓' : test.status === 'skipped' ? '○' : test.status === 'todo' ? '✎' : test.status === 'flaky' ? '↻' : test.status === 'not-run' ? '⊘' : '✗';
         const duration = this.formatDuration(test.duration);
         console.log(`  ${status} ${test.testName} (${duration}) [Worker: ${test.workerId}]`);
         if (test.error) {
           console.log(`    Error: ${test.error}`);
         }
+        if (test.attempts) {
+          console.log(`    Attempts: ${this.formatAttempts(test.attempts)}`);
+        }
       });
     }
     
@@ -282,7 +460,10 @@ class ReportGenerator {
       Object.entries(fileResults).forEach(([fileName, fileResult]) => {
         if (fileResult.tests) {
           const skippedText = fileResult.skipped > 0 ? `, ${fileResult.skipped} skipped` : '';
-          console.log(`  ${fileName}: ${fileResult.passed} passed, ${fileResult.failed} failed${skippedText}`);
+          const todoText = fileResult.todo > 0 ? `, ${fileResult.todo} todo` : '';
+          const flakyText = fileResult.flaky > 0 ? `, ${fileResult.flaky} flaky` : '';
+          const notRunText = fileResult.notRun > 0 ? `, ${fileResult.notRun} not run` : '';
+          console.log(`  ${fileName}: ${fileResult.passed} passed, ${fileResult.failed} failed${skippedText}${todoText}${flakyText}${notRunText}`);
         } else {
           const status = fileResult.status === 'passed' ? '✓' : '✗';
           console.log(`  ${status} ${fileName} (${fileResult.testCount} tests) [Worker: ${fileResult.workerId}]`);
@@ -305,6 +486,39 @@ class ReportGenerator {
     }
   }
 
+  // Versioned report for downstream tooling, see json-report.js
+  async generateJsonReport(results, summary) {
+    const reportPath = path.join(this.outputDir, 'test-report.json');
+    
+    try {
+      await fs.writeFile(reportPath, JSON.stringify(buildJsonReport(results, summary), null, 2), 'utf8');
+      this.logger.success(`JSON report generated: ${reportPath}`);
+    } catch (error) {
+      this.logger.error(`Failed to generate JSON report: ${error.message}`);
+    }
+  }
+
+  async generateTrace(results, summary) {
+    try {
+      await fs.mkdir(path.dirname(path.resolve(this.tracePath)), { recursive: true });
+      await fs.writeFile(this.tracePath, JSON.stringify(buildTrace(results, summary)), 'utf8');
+      this.logger.success(`Trace written: ${this.tracePath} (open it in chrome://tracing or ui.perfetto.dev)`);
+    } catch (error) {
+      this.logger.error(`Failed to write trace: ${error.message}`);
+    }
+  }
+
+  async generateJUnitReport(reportData) {
+    const reportPath = path.join(this.outputDir, 'junit.xml');
+    
+    try {
+      await fs.writeFile(reportPath, buildJUnitXml(reportData, { suiteNaming: this.junitSuiteName }));
+      this.logger.success(`JUnit report generated: ${reportPath}`);
+    } catch (error) {
+      this.logger.error(`Failed to generate JUnit report: ${error.message}`);
+    }
+  }
+
   generateHtmlContent(reportData) {
     const { summary, fileResults, testResults, metadata } = reportData;
     // ...existing code...
@@ -340,6 +554,8 @@ class ReportGenerator {
         .results-table tr.success { background: rgba(39, 174, 96, 0.05); }
         .results-table tr.failure { background: rgba(231, 76, 60, 0.05); }
         .results-table tr.skipped { background: rgba(158, 158, 158, 0.05); }
+        .results-table tr.flaky { background: rgba(243, 156, 18, 0.08); }
+        .attempts { color: #e67e22; font-size: 0.85em; margin-top: 5px; }
         .test-tabs { display: flex; background: #ecf0f1; }
         .tab-button { flex: 1; padding: 15px; border: none; background: transparent; cursor: pointer; font-weight: 500; transition: background 0.3s; }
         .tab-button.active { background: white; border-bottom: 3px solid #3498db; }
@@ -373,6 +589,7 @@ class ReportGenerator {
         .file-stats .passed { color: #27ae60; }
         .file-stats .failed { color: #e74c3c; }
         .file-stats .skipped { color: #9e9e9e; }
+        .file-stats .flaky { color: #e67e22; }
         .file-stats .duration { color: #7f8c8d; }
         .hook-stats { display: flex; gap: 10px; font-size: 0.8em; margin-top: 8px; flex-wrap: wrap; }
         .hook-info { color: #8e44ad; background: #f8f9fa; padding: 2px 6px; border-radius: 3px; }
@@ -393,6 +610,30 @@ class ReportGenerator {
           white-space: pre-wrap; 
           max-width: 500px; 
         }
+        .performance-summary { padding: 20px 30px 0; color: #7f8c8d; }
+        .performance-summary strong { color: #e74c3c; }
+        .timeline { padding: 20px 30px 30px; }
+        .timeline-summary { display: flex; gap: 20px; flex-wrap: wrap; color: #7f8c8d; font-size: 0.9em; margin-bottom: 15px; }
+        .timeline-summary strong { color: #2c3e50; }
+        .timeline-legend { display: flex; gap: 12px; flex-wrap: wrap; font-size: 0.8em; color: #7f8c8d; margin-bottom: 10px; }
+        .timeline-legend .swatch { display: inline-block; width: 12px; height: 12px; border-radius: 2px; vertical-align: middle; margin-right: 4px; }
+        .timeline-axis, .timeline-lane { display: grid; grid-template-columns: 140px 1fr; align-items: center; }
+        .timeline-axis .ticks { position: relative; height: 20px; font-size: 0.75em; color: #95a5a6; }
+        .timeline-axis .tick { position: absolute; transform: translateX(-50%); }
+        .timeline-lane { margin-bottom: 6px; }
+        .lane-label { font-size: 0.85em; color: #2c3e50; }
+        .lane-label .utilization { color: #95a5a6; font-size: 0.9em; }
+        .lane-track { position: relative; height: 26px; background: #f8f9fa; border-radius: 4px; }
+        .timeline .bar, .timeline .idle-gap { position: absolute; top: 3px; bottom: 3px; border-radius: 3px; }
+        .timeline .bar { min-width: 2px; cursor: pointer; opacity: 0.9; box-shadow: inset -1px 0 0 rgba(255,255,255,0.7); }
+        .timeline .bar:hover, .timeline .bar.related { opacity: 1; outline: 2px solid #2c3e50; z-index: 1; }
+        .timeline .idle-gap, .timeline-legend .swatch.idle { background: repeating-linear-gradient(45deg, rgba(231, 76, 60, 0.12), rgba(231, 76, 60, 0.12) 4px, transparent 4px, transparent 8px); }
+        .status-passed { background: #27ae60; }
+        .status-failed { background: #e74c3c; }
+        .status-flaky { background: #e67e22; }
+        .status-skipped, .status-todo { background: #bdc3c7; }
+        .status-not-run { background: #95a5a6; }
+        .timeline-details { margin-top: 12px; min-height: 1.6em; font-size: 0.85em; color: #2c3e50; }
         @media (max-width: 768px) { .container { padding: 10px; } .summary-cards { grid-template-columns: 1fr; } .file-grid { grid-template-columns: 1fr; } }
     </style>
 </head>
@@ -413,6 +654,10 @@ class ReportGenerator {
                     <span class="label">Duration:</span>
                     <span class="value">${this.formatDuration(summary.totalDuration)}</span>
                 </div>
+                ${summary.shard ? `<div class="meta-item">
+                    <span class="label">Shard:</span>
+                    <span class="value">${summary.shard.index}/${summary.shard.total}</span>
+                </div>` : ''}
                 <div class="meta-item">
                     <span class="label">Version:</span>
                     <span class="value">1.0.0</span>
@@ -428,7 +673,7 @@ class ReportGenerator {
             <div class="card">
                 <h3>Tests</h3>
                 <div class="big-number">${summary.totalTests}</div>
-                <div class="detail">${summary.passed} passed, ${summary.failed} failed${summary.skipped > 0 ? `, ${summary.skipped} skipped` : ''}</div>
+                <div class="detail">${summary.passed} passed, ${summary.failed} failed${summary.skipped > 0 ? `, ${summary.skipped} skipped` : ''}${summary.todo > 0 ? `, ${summary.todo} todo` : ''}${summary.flaky > 0 ? `, ${summary.flaky} flaky` : ''}${summary.notRun > 0 ? `, ${summary.notRun} not run` : ''}</div>
             </div>
             <div class="card">
                 <h3>Performance</h3>
@@ -441,13 +686,15 @@ class ReportGenerator {
                 <div class="detail">vs Sequential (${this.formatDuration(summary.estimatedSequentialTime)})</div>
             </div>
         </section>
-
+        ${this.generateTimelineSection(reportData.timeline)}
+        ${this.generatePerformanceSection(reportData.performance)}
         <section class="tests-section">
             <h2>🧪 Test Results</h2>
             <div class="test-tabs">
                 <button class="tab-button active" onclick="showTab('all')">All Tests (${summary.totalTests})</button>
                 <button class="tab-button" onclick="showTab('failed')">Failed (${summary.failed})</button>
                 <button class="tab-button" onclick="showTab('skipped')">Skipped (${summary.skipped})</button>
+                ${summary.flaky > 0 ? `<button class="tab-button" onclick="showTab('flaky')">Flaky (${summary.flaky})</button>` : ''}
                 <button class="tab-button" onclick="showTab('slowest')">Slowest (10)</button>
                 <button class="tab-button" onclick="showTab('fastest')">Fastest (10)</button>
             </div>
@@ -466,11 +713,12 @@ class ReportGenerator {
                         </thead>
                         <tbody>
                         ${testResults.map(test => `
-                            <tr class="${test.status === 'passed' ? 'success' : test.status === 'skipped' ? 'skipped' : 'failure'}">
-                                <td><span class="status-icon">${test.status === 'passed' ? '✅' : test.status === 'skipped' ? '⏭️' : '❌'}</span></td>
+                            <tr class="${this.statusRowClass(test.status)}">
+                                <td><span class="status-icon">${this.statusIcon(test.status)}</span></td>
                                 <td>
                                     <div class="test-name">${this.escapeHtml(test.testName || 'Unknown Test')}</div>
                                     ${test.error ? `<div class="error-message"><pre>${this.escapeHtml(test.error)}</pre></div>` : ''}
+                                    ${test.attempts ? `<div class="attempts">↻ ${this.escapeHtml(this.formatAttempts(test.attempts))}</div>` : ''}
                                     ${test.source ? `<div class="source-info">📍 ${this.escapeHtml(test.source.location)}</div>` : ''}
                                 </td>
                                 <td><code>${test.filePath ? path.basename(test.filePath) : ''}</code></td>
@@ -546,6 +794,32 @@ class ReportGenerator {
                     </table>
                 </div>
             </div>
+            <div id="tab-flaky" class="tab-content">
+                <div class="test-results">
+                    <table class="results-table">
+                        <thead>
+                            <tr>
+                                <th>Status</th>
+                                <th>Test Name</th>
+                                <th>File</th>
+                                <th>Duration</th>
+                                <th>Attempts</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                        ${testResults.filter(test => test.status === 'flaky').map(test => `
+                            <tr class="flaky">
+                                <td><span class="status-icon">🔁</span></td>
+                                <td><div class="test-name">${this.escapeHtml(test.testName || 'Unknown Test')}</div></td>
+                                <td><code>${test.filePath ? path.basename(test.filePath) : ''}</code></td>
+                                <td>${this.formatDuration(test.duration)}</td>
+                                <td>${this.escapeHtml(this.formatAttempts(test.attempts || []))}</td>
+                            </tr>
+                        `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
             <div id="tab-slowest" class="tab-content">
                 <div class="test-results">
                     <table class="results-table">
@@ -561,8 +835,8 @@ class ReportGenerator {
                         </thead>
                         <tbody>
                         ${testResults.slice().sort((a, b) => b.duration - a.duration).slice(0, 10).map(test => `
-                            <tr class="${test.status === 'passed' ? 'success' : test.status === 'skipped' ? 'skipped' : 'failure'}">
-                                <td><span class="status-icon">${test.status === 'passed' ? '✅' : test.status === 'skipped' ? '⏭️' : '❌'}</span></td>
+                            <tr class="${this.statusRowClass(test.status)}">
+                                <td><span class="status-icon">${this.statusIcon(test.status)}</span></td>
                                 <td>
                                     <div class="test-name">${this.escapeHtml(test.testName || 'Unknown Test')}</div>
                                     ${test.error ? `<div class="error-message"><pre>${this.escapeHtml(test.error)}</pre></div>` : ''}
@@ -593,8 +867,8 @@ class ReportGenerator {
                         </thead>
                         <tbody>
                         ${testResults.slice().sort((a, b) => a.duration - b.duration).slice(0, 10).map(test => `
-                            <tr class="${test.status === 'passed' ? 'success' : test.status === 'skipped' ? 'skipped' : 'failure'}">
-                                <td><span class="status-icon">${test.status === 'passed' ? '✅' : test.status === 'skipped' ? '⏭️' : '❌'}</span></td>
+                            <tr class="${this.statusRowClass(test.status)}">
+                                <td><span class="status-icon">${this.statusIcon(test.status)}</span></td>
                                 <td>
                                     <div class="test-name">${this.escapeHtml(test.testName || 'Unknown Test')}</div>
                                     ${test.error ? `<div class="error-message"><pre>${this.escapeHtml(test.error)}</pre></div>` : ''}
@@ -625,6 +899,9 @@ class ReportGenerator {
                                 <span class="passed">${fileResult.passed || 0} passed</span>
                                 <span class="failed">${fileResult.failed || 0} failed</span>
                                 ${(fileResult.skipped || 0) > 0 ? `<span class="skipped">${fileResult.skipped} skipped</span>` : ''}
+                                ${(fileResult.todo || 0) > 0 ? `<span class="skipped">${fileResult.todo} todo</span>` : ''}
+                                ${(fileResult.flaky || 0) > 0 ? `<span class="flaky">${fileResult.flaky} flaky</span>` : ''}
+                                ${(fileResult.notRun || 0) > 0 ? `<span class="skipped">${fileResult.notRun} not run</span>` : ''}
                                 <span class="duration">${this.formatDuration(fileResult.duration || 0)} total</span>
                             </div>
                             ${fileResult.hooks && fileResult.hooks.beforeAll && fileResult.hooks.beforeAll.duration > 0 ? `
@@ -642,8 +919,8 @@ class ReportGenerator {
                         <div class="file-path"><code>${fileResult.filePath || ''}</code></div>
                         <div class="test-summary">
                             ${fileTestResults.map(test => `
-                                <div class="test-item ${test.status === 'passed' ? 'passed' : test.status === 'skipped' ? 'skipped' : 'failed'}">
-                                    <span class="status">${test.status === 'passed' ? '✅' : test.status === 'skipped' ? '⏭️' : '❌'}</span>
+                                <div class="test-item ${test.status === 'passed' ? 'passed' : test.status === 'flaky' ? 'flaky' : ['skipped', 'todo', 'not-run'].includes(test.status) ? 'skipped' : 'failed'}">
+                                    <span class="status">${this.statusIcon(test.status)}</span>
                                     <span class="name">${test.testName}</span>
                                     <span class="duration">${this.formatDuration(test.duration)}</span>
                                     ${test.error ? `<div class="error-message">${this.escapeHtml(test.error)}</div>` : ''}
@@ -668,11 +945,122 @@ class ReportGenerator {
             document.getElementById('tab-' + tabName).classList.add('active');
             event.target.classList.add('active');
         }
+        // Timeline: hovering a bar highlights the other work items of its file
+        document.querySelectorAll('.timeline .bar').forEach(bar => {
+            const related = () => document.querySelectorAll('.timeline .bar[data-file="' + CSS.escape(bar.dataset.file) + '"]');
+            bar.addEventListener('mouseenter', () => {
+                related().forEach(other => other.classList.add('related'));
+                document.getElementById('timeline-details').textContent = bar.title;
+            });
+            bar.addEventListener('mouseleave', () => related().forEach(other => other.classList.remove('related')));
+        });
     </script>
 </body>
 </html>`;
   }
 
+  /**
+   * Timeline section of the HTML report: one lane per worker, a bar per
+   * work item and hatched idle gaps. Empty when the run has no timeline
+   * (e.g. reports merged from shards).
+   */
+  generateTimelineSection(timeline) {
+    if (!timeline) return '';
+    
+    const percent = (ms) => `${((ms / timeline.duration) * 100).toFixed(3)}%`;
+    const ticks = [0, 0.25, 0.5, 0.75, 1].map(fraction => `
+                    <span class="tick" style="left: ${fraction * 100}%">${this.formatDuration(Math.round(timeline.duration * fraction))}</span>`).join('');
+    const statuses = ['passed', 'failed', 'flaky', 'skipped', 'not-run']
+      .filter(status => timeline.lanes.some(lane => lane.bars.some(bar => bar.status === status)));
+    
+    return `
+        <section class="timeline-section">
+            <h2>⏱️ Execution Timeline</h2>
+            <div class="timeline">
+                <div class="timeline-summary">
+                    <span><strong>${timeline.lanes.length}</strong> workers</span>
+                    <span><strong>${(timeline.utilization * 100).toFixed(1)}%</strong> utilization</span>
+                    <span><strong>${this.formatDuration(timeline.idle)}</strong> idle worker time</span>
+                </div>
+                <div class="timeline-legend">
+                    ${statuses.map(status => `<span><span class="swatch status-${status}"></span>${status}</span>`).join('')}
+                    <span><span class="swatch idle"></span>idle</span>
+                </div>
+                <div class="timeline-axis"><span></span><div class="ticks">${ticks}</div></div>
+                ${timeline.lanes.map(lane => `
+                <div class="timeline-lane">
+                    <div class="lane-label">Worker ${lane.workerId} <span class="utilization">${(lane.utilization * 100).toFixed(0)}%</span></div>
+                    <div class="lane-track">
+                        ${lane.gaps.map(gap => `<div class="idle-gap" style="left: ${percent(gap.start)}; width: ${percent(gap.duration)}" title="Idle ${this.formatDuration(gap.duration)}"></div>`).join('')}
+                        ${lane.bars.map(bar => `<div class="bar status-${this.escapeHtml(bar.status)}" style="left: ${percent(bar.start)}; width: ${percent(bar.duration)}" data-file="${this.escapeHtml(bar.filePath)}" title="${this.escapeHtml(`${bar.label} · ${bar.status} · ${this.formatDuration(bar.duration)} (from ${this.formatDuration(bar.start)})`)}"></div>`).join('')}
+                    </div>
+                </div>`).join('')}
+                <div class="timeline-details" id="timeline-details">Hover a bar for details.</div>
+            </div>
+        </section>`;
+  }
+
+  /**
+   * Tests flagged by the performance gate. Empty when the gate is off.
+   */
+  generatePerformanceSection(performance) {
+    if (!performance) return '';
+    
+    return `
+        <section class="performance-section">
+            <h2>🐢 Performance Regressions</h2>
+            <div class="performance-summary">
+                ${performance.checked} test(s) checked against ${performance.factor}x their baseline and their <code>@budget</code>${performance.failRun ? ' · <strong>failing the run</strong>' : ''}
+            </div>
+            ${performance.regressions.length === 0 ? '<div class="no-results">No performance regressions</div>' : `
+            <table class="results-table">
+                <thead>
+                    <tr>
+                        <th>Test</th>
+                        <th>Duration</th>
+                        <th>Limit</th>
+                    </tr>
+                </thead>
+                <tbody>
+                ${performance.regressions.map(regression => `
+                    <tr class="failure">
+                        <td><div class="test-name">${this.escapeHtml(regression.id)}</div></td>
+                        <td>${this.formatDuration(regression.durationMs)}</td>
+                        <td>${this.escapeHtml(this.formatRegressionLimits(regression))}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`}
+        </section>`;
+  }
+
+  // What a regressed test exceeded, e.g. "baseline 150ms, 2.8x; budget 200ms"
+  formatRegressionLimits(regression) {
+    const limits = [];
+    if (regression.reasons.includes('baseline')) {
+      limits.push(`baseline ${this.formatDuration(Math.round(regression.baselineMs))}, ${(regression.durationMs / regression.baselineMs).toFixed(1)}x`);
+    }
+    if (regression.reasons.includes('budget')) {
+      limits.push(`budget ${this.formatDuration(regression.budgetMs)}`);
+    }
+    return limits.join('; ');
+  }
+
+  statusRowClass(status) {
+    if (status === 'passed') return 'success';
+    if (status === 'flaky') return 'flaky';
+    if (status === 'skipped' || status === 'todo' || status === 'not-run') return 'skipped';
+    return 'failure';
+  }
+
+  statusIcon(status) {
+    const icons = { passed: '✅', skipped: '⏭️', todo: '✎', flaky: '🔁', 'not-run': '⊘' };
+    return icons[status] || '❌';
+  }
+
+  formatAttempts(attempts) {
+    return attempts.map(attempt => `#${attempt.attempt} ${attempt.status} (${this.formatDuration(attempt.duration || 0)})`).join(' → ');
+  }
+
   formatDuration(ms) {
     if (ms < 1000) {
       return `${ms}ms`;
@@ -696,4 +1084,4 @@ class ReportGenerator {
   }
 }
 
-module.exports = { ReportGenerator };
+module.exports = { ReportGenerator, REPORTERS, parseReporters };
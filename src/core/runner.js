@@ -1,12 +1,34 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { glob } = require('glob');
 const { TestParser } = require('./parser');
 const { WorkerManager } = require('./worker-manager');
 const { ReportGenerator } = require('./reporter');
 const { ExecutionLogger } = require('./execution-logger');
+const { parseShard, selectShard } = require('./shard');
+const { TimingStore } = require('./timing-store');
+const { getChangedFiles, findAffectedTestFiles } = require('./changed-files');
+const { loadLastFailures, selectLastFailed } = require('./last-failed');
+const { HistoryStore } = require('./history');
+const { buildJsonReport, reportPath, testIdOf } = require('./json-report');
+const { PerfBaseline, checkPerformance, DEFAULT_PERF_FACTOR } = require('./perf-gate');
 const { Logger } = require('../utils/logger');
 const CustomTestRunner = require('../custom-test-runner');
 
-class JestParallelRunner {
+// WorkerManager events the runner re-emits
+const WORKER_EVENTS = ['workerSpawn', 'fileStart', 'testStart', 'testComplete', 'fileComplete', 'workerExit', 'progress'];
+
+/**
+ * Discovers, runs and reports a test suite.
+ *
+ * Emits `runStart` once the tests to run are known and `runComplete` with
+ * the returned results, plus the WorkerManager events in between (see
+ * worker-manager.js for their payloads).
+ */
+class JestParallelRunner extends EventEmitter {
   constructor(options) {
+    super();
     this.options = {
       mode: 'parallel-test',
       testMatch: 'tests/**/*.test.js',
@@ -20,6 +42,11 @@ class JestParallelRunner {
       ...options
     };
     
+    // Normalize "index/total" so workers and reports share one shape
+    if (this.options.shard) {
+      this.options.shard = parseShard(this.options.shard);
+    }
+    
     // Initialize execution logger
     this.executionLogger = new ExecutionLogger({
       logDir: this.options.logDir || './logs',
@@ -31,7 +58,19 @@ class JestParallelRunner {
     this.logger = options.logger || new Logger('jest-parallel-runner');
     this.parser = new TestParser(this.logger);
     this.workerManager = new WorkerManager(this.options, this.logger, this.executionLogger);
+    for (const event of WORKER_EVENTS) {
+      this.workerManager.on(event, payload => this.emit(event, payload));
+    }
+    // Live progress line while workers run (interactive terminals only)
+    if (typeof this.logger.status === 'function') {
+      this.workerManager.on('progress', status => this.logger.status(this.formatProgress(status)));
+    }
     this.reportGenerator = new ReportGenerator(this.options, this.logger);
+    this.reportGenerator.listenTo(this);
+    // Past runs for `jest-parallel history`; historySize 0 turns it off
+    this.historyStore = new HistoryStore({ cacheDir: this.options.cacheDir, historySize: this.options.historySize }, this.logger);
+    // Rolling per-test durations for the opt-in performance gate (perfGate)
+    this.perfBaseline = new PerfBaseline({ cacheDir: this.options.cacheDir }, this.logger);
   }
 
   async run() {
@@ -41,17 +80,52 @@ class JestParallelRunner {
     try {
       // Step 1: Find and parse test files
       await this.executionLogger.info('DISCOVERY', 'Phase 1: Discovering and parsing test files...');
-      const testFiles = await this.parser.findTestFiles(this.options.testMatch);
+      let testFiles = await this.parser.findTestFiles(this.options.testMatch);
       
       if (testFiles.length === 0) {
         throw new Error(`No test files found matching pattern: ${this.options.testMatch}`);
       }
       
       await this.executionLogger.info('DISCOVERY', `Found ${testFiles.length} test files`);
-      const parsedFiles = await this.parser.parseAllTestFiles(testFiles);
+      
+      if (this.options.changedSince || this.options.onlyChanged) {
+        testFiles = await this.selectChangedTestFiles(testFiles);
+        if (testFiles.length === 0) {
+          return await this.finishWithoutTests(startTime, 'No tests affected by the changed files, nothing to run');
+        }
+      }
+      
+      let parsedFiles = await this.parser.parseAllTestFiles(testFiles);
+      
+      if (this.options.lastFailed || this.options.onlyFailures) {
+        parsedFiles = await this.selectLastFailedTests(parsedFiles);
+        if (parsedFiles.length === 0) {
+          return await this.finishWithoutTests(startTime, 'No failed tests in the previous run, nothing to run');
+        }
+      }
+      
+      if (this.options.shard) {
+        const { index, total } = this.options.shard;
+        parsedFiles = selectShard(parsedFiles, this.options.shard, {
+          mode: this.options.mode,
+          timingStore: this.loadShardTimings()
+        });
+        await this.executionLogger.info('DISCOVERY', `Shard ${index}/${total}: selected ${parsedFiles.length} of ${testFiles.length} test files`);
+      }
+      
+      await this.applyLocks(parsedFiles);
+      
       const totalTests = parsedFiles.reduce((sum, file) => sum + file.tests.length, 0);
       
       await this.executionLogger.success('DISCOVERY', `Discovered ${totalTests} tests across ${parsedFiles.length} files`);
+      this.emit('runStart', {
+        mode: this.options.mode,
+        startTime,
+        totalFiles: parsedFiles.length,
+        totalTests,
+        files: parsedFiles.map(file => ({ filePath: file.filePath, testCount: file.tests.length })),
+        shard: this.options.shard || null
+      });
       
       // Step 2: Execute tests based on mode and options
       await this.executionLogger.info('EXECUTION', `Phase 2: Executing tests in ${this.options.mode} mode...`);
@@ -60,7 +134,7 @@ class JestParallelRunner {
       // Check if custom runner is enabled
       if (this.options.customRunner) {
         await this.executionLogger.info('EXECUTION', 'Using custom test runner for true intra-file parallelism');
-        results = await this.runWithCustomRunner(testFiles);
+        results = await this.runWithCustomRunner(parsedFiles.map(file => file.filePath));
       } else if (this.options.forceConcurrent && (this.options.mode === 'parallel-file' || this.options.mode === 'jest-parallel')) {
         await this.executionLogger.info('EXECUTION', 'Force concurrent enabled: transforming regular test()/it() calls to test.concurrent()');
         results = await this.workerManager.runConcurrentFiles(parsedFiles);
@@ -86,6 +160,7 @@ class JestParallelRunner {
       }
       
       const endTime = Date.now();
+      this.clearProgress();
       this.logger.logMemoryUsage('after execution');
       
       // Step 3: Generate reports
@@ -98,10 +173,23 @@ class JestParallelRunner {
           ? `${this.options.mode}-concurrent` : this.options.mode,
         totalFiles: parsedFiles.length,
         totalTests,
-        forceConcurrent: this.options.forceConcurrent
+        forceConcurrent: this.options.forceConcurrent,
+        shard: this.options.shard || null,
+        bailed: this.workerManager.bailed,
+        maxWorkers: this.options.maxWorkers,
+        retries: this.options.retries || 0,
+        timeline: this.workerManager.timeline
       };
       
+      const jsonReport = buildJsonReport(results, summary);
+      if (this.options.perfGate || this.options.failOnPerfRegression) {
+        summary.performance = await this.checkPerformance(parsedFiles, jsonReport);
+      }
+      
       const reportData = await this.reportGenerator.generateReports(results, summary, this.options.mode);
+      if (this.historyStore.enabled) {
+        this.historyStore.record(jsonReport, reportData.summary);
+      }
       
       // Step 4: Generate execution summary and cleanup
       await this.executionLogger.generateExecutionSummary({
@@ -116,29 +204,180 @@ class JestParallelRunner {
       await this.executionLogger.success('COMPLETION', `Test execution completed in ${this.formatDuration(endTime - startTime)}`);
       
       // Return summary for programmatic use
-      return {
+      const runResults = {
         summary: {
           passed: reportData.summary.passed,
           failed: reportData.summary.failed,
           skipped: reportData.summary.skipped,
+          todo: reportData.summary.todo,
+          flaky: reportData.summary.flaky,
+          notRun: reportData.summary.notRun,
           totalTests: reportData.summary.totalTests,
           totalDuration: reportData.summary.totalDuration,
           timeSaved: reportData.summary.timeSaved,
           timeSavedPercentage: reportData.summary.timeSavedPercentage
         },
         mode: this.options.mode,
+        shard: this.options.shard || null,
+        bailed: this.workerManager.bailed,
+        performance: summary.performance || null,
         files: reportData.files || [],
         tests: reportData.tests || []
       };
+      this.emit('runComplete', runResults);
+      return runResults;
       
     } catch (error) {
+      this.clearProgress();
       await this.executionLogger.error('EXECUTION', `Test execution failed: ${error.message}`);
       this.workerManager.cleanup();
+      await this.workerManager.workerResources.teardownSlots();
       await this.executionLogger.cleanup();
       throw error;
     }
   }
 
+  /**
+   * Narrow the discovered test files to those affected by changes in git
+   * (--changedSince <ref> or --onlyChanged)
+   */
+  async selectChangedTestFiles(testFiles) {
+    const since = this.options.changedSince;
+    const changedFiles = await getChangedFiles({ since });
+    const affected = await findAffectedTestFiles(testFiles, changedFiles);
+    
+    const label = since ? `since ${since}` : 'since the last commit';
+    await this.executionLogger.info('DISCOVERY', `${changedFiles.length} file(s) changed ${label}; ${affected.length} of ${testFiles.length} test files affected`);
+    
+    return affected;
+  }
+
+  /**
+   * Timings every shard partitions by (--timings). Without the file, shards
+   * fall back to parsed test counts, which every agent agrees on.
+   * @returns {TimingStore|null}
+   */
+  loadShardTimings() {
+    if (!this.options.timings) return null;
+    
+    if (!fs.existsSync(this.options.timings)) {
+      this.logger.warn(`Timings file ${this.options.timings} not found, balancing shards by test count`);
+      return null;
+    }
+    return new TimingStore({ timingsFile: this.options.timings }, this.logger).load();
+  }
+
+  /**
+   * Add the locks of the `locks` option ({ name: globs }) to the files they
+   * match, next to the @jest-parallel-lock pragmas the parser read
+   */
+  async applyLocks(parsedFiles) {
+    for (const [name, patterns] of Object.entries(this.options.locks || {})) {
+      const matched = new Set(await glob(patterns, { ignore: ['**/node_modules/**'], absolute: true }));
+      for (const file of parsedFiles) {
+        if (matched.has(file.filePath) && !file.locks.includes(name)) file.locks.push(name);
+      }
+    }
+    
+    const filesByLock = new Map();
+    for (const file of parsedFiles) {
+      file.locks.forEach(lock => filesByLock.set(lock, (filesByLock.get(lock) || 0) + 1));
+    }
+    if (filesByLock.size > 0) {
+      await this.executionLogger.info('DISCOVERY', `Resource locks: ${[...filesByLock].map(([lock, files]) => `${lock} (${files} file(s))`).join(', ')}`);
+    }
+  }
+
+  /**
+   * Keep only the tests that failed in the previous run (--lastFailed)
+   */
+  async selectLastFailedTests(parsedFiles) {
+    const failures = await loadLastFailures(path.join(this.options.outputDir, 'test-status.json'));
+    const selected = selectLastFailed(parsedFiles, failures);
+    
+    const testCount = selected.reduce((sum, file) => sum + file.tests.length, 0);
+    await this.executionLogger.info('DISCOVERY', `Last failed: rerunning ${testCount} test(s) in ${selected.length} of ${parsedFiles.length} test files`);
+    
+    return selected;
+  }
+
+  /**
+   * Flag tests that ran much slower than their baseline or over their
+   * `@budget` annotation (perfGate), then add this run to the baseline
+   */
+  async checkPerformance(parsedFiles, jsonReport) {
+    const budgets = new Map();
+    for (const file of parsedFiles) {
+      // Same ids as the JSON report: parsed tests are in source order, which numbers namesakes
+      const occurrences = new Map();
+      for (const test of file.tests) {
+        const fullName = [...(test.describePath || []), test.name].join(' › ');
+        occurrences.set(fullName, (occurrences.get(fullName) || 0) + 1);
+        if (test.budget === null || test.budget === undefined) continue;
+        budgets.set(testIdOf(reportPath(file.filePath), fullName, occurrences.get(fullName)), test.budget);
+      }
+    }
+    
+    const factor = this.options.perfFactor || DEFAULT_PERF_FACTOR;
+    const { checked, regressions } = checkPerformance(jsonReport.tests, this.perfBaseline, { factor, budgets });
+    this.perfBaseline.record(jsonReport.tests);
+    
+    const failRun = Boolean(this.options.failOnPerfRegression) && regressions.length > 0;
+    const message = `${regressions.length} performance regression(s) in ${checked} checked test(s)`;
+    if (regressions.length > 0) {
+      await this.executionLogger.warn('PERFORMANCE', failRun ? `${message}, failing the run` : message);
+    } else {
+      await this.executionLogger.info('PERFORMANCE', message);
+    }
+    
+    return { factor, checked, regressions, failRun };
+  }
+
+  // An empty selection (nothing changed or nothing failed) is a successful run
+  async finishWithoutTests(startTime, message) {
+    await this.executionLogger.success('DISCOVERY', message);
+    this.emit('runStart', {
+      mode: this.options.mode,
+      startTime,
+      totalFiles: 0,
+      totalTests: 0,
+      files: [],
+      shard: this.options.shard || null
+    });
+    await this.reportGenerator.completeCustomReporters([], {
+      startTime,
+      endTime: Date.now(),
+      mode: this.options.mode,
+      shard: this.options.shard || null,
+      maxWorkers: this.options.maxWorkers,
+      retries: this.options.retries || 0
+    });
+    this.workerManager.cleanup();
+    await this.executionLogger.cleanup();
+    
+    const runResults = {
+      summary: {
+        passed: 0,
+        failed: 0,
+        skipped: 0,
+        todo: 0,
+        flaky: 0,
+        notRun: 0,
+        totalTests: 0,
+        totalDuration: Date.now() - startTime,
+        timeSaved: 0,
+        timeSavedPercentage: 0
+      },
+      mode: this.options.mode,
+      shard: this.options.shard || null,
+      bailed: false,
+      files: [],
+      tests: []
+    };
+    this.emit('runComplete', runResults);
+    return runResults;
+  }
+
   async runWithCustomRunner(testFiles) {
     const customRunner = new CustomTestRunner({
       maxConcurrency: this.options.runnerConcurrency,
@@ -220,6 +459,18 @@ class JestParallelRunner {
     return results;
   }
 
+  formatProgress(status) {
+    const percentage = status.total > 0 ? Math.round((status.completed / status.total) * 100) : 0;
+    const eta = status.eta === null ? '--' : this.formatDuration(status.eta);
+    return `Tests: ${status.completed}/${status.total} (${percentage}%) | ✓ ${status.passed} passed | ✗ ${status.failed} failed | ⟳ ${status.running} running | ETA ${eta}`;
+  }
+
+  clearProgress() {
+    if (typeof this.logger.clearStatus === 'function') {
+      this.logger.clearStatus();
+    }
+  }
+
   formatDuration(ms) {
     if (ms < 1000) {
       return `${ms}ms`;
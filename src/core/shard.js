@@ -0,0 +1,110 @@
+const path = require('path');
+
+/**
+ * Deterministic sharding of discovered tests across CI machines.
+ *
+ * Every machine runs the same partitioning over the same inputs, so shards
+ * never overlap and together cover the whole suite. Units (files, or tests in
+ * parallel-test mode) are balanced greedily by their estimated duration from
+ * a timings file every shard shares (--timings), or by their parsed test
+ * count without one. A machine's own timings cache is never used: it
+ * differs between agents and changes with every shard that runs.
+ */
+
+/**
+ * Parse a shard specification such as "2/5".
+ * @param {string|Object} value - "index/total" string or { index, total }
+ * @returns {{index: number, total: number}} 1-based shard index and shard count
+ */
+function parseShard(value) {
+  let index;
+  let total;
+
+  if (typeof value === 'string') {
+    const match = value.trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+    if (!match) {
+      throw new Error(`Invalid shard: ${value}. Expected format index/total, e.g. 2/5`);
+    }
+    index = parseInt(match[1], 10);
+    total = parseInt(match[2], 10);
+  } else if (value && typeof value === 'object') {
+    ({ index, total } = value);
+  }
+
+  if (!Number.isInteger(index) || !Number.isInteger(total) || total < 1 || index < 1 || index > total) {
+    const label = typeof value === 'string' ? value : JSON.stringify(value);
+    throw new Error(`Invalid shard: ${label}. Index must be between 1 and the shard count`);
+  }
+
+  return { index, total };
+}
+
+/**
+ * Keep only the files (or tests) that belong to the given shard.
+ * @param {Array} parsedFiles - Parsed test files in discovery order
+ * @param {{index: number, total: number}} shard - Shard to select
+ * @param {Object} options - { mode, timingStore: TimingStore of the shared timings file, or null }
+ * @returns {Array} Parsed files restricted to the shard
+ */
+function selectShard(parsedFiles, shard, { mode, timingStore = null }) {
+  if (shard.total === 1) return parsedFiles;
+
+  const units = [];
+  for (const file of parsedFiles) {
+    const fileKey = path.relative(process.cwd(), path.resolve(file.filePath)).split(path.sep).join('/');
+
+    if (mode === 'parallel-test') {
+      for (const test of file.tests) {
+        units.push({
+          key: `${fileKey}::${testKey(file, test)}`,
+          weight: timingStore ? timingStore.estimate({ filePath: file.filePath, testName: test.name, describePath: test.describePath }) : 1,
+          file,
+          test
+        });
+      }
+    } else {
+      units.push({
+        key: fileKey,
+        weight: timingStore ? timingStore.estimate({ filePath: file.filePath, testCount: file.tests.length }) : Math.max(file.tests.length, 1),
+        file
+      });
+    }
+  }
+
+  const selected = assignUnits(units, shard.total)[shard.index - 1];
+
+  if (mode === 'parallel-test') {
+    const tests = new Set(selected.map(unit => unit.test));
+    return parsedFiles
+      .map(file => ({ ...file, tests: file.tests.filter(test => tests.has(test)) }))
+      .filter(file => file.tests.length > 0);
+  }
+
+  const files = new Set(selected.map(unit => unit.file));
+  return parsedFiles.filter(file => files.has(file));
+}
+
+// Longest-first greedy assignment to the least loaded shard. Ties are broken
+// by key and shard index so every machine computes the same partition.
+function assignUnits(units, total) {
+  const ordered = [...units].sort((a, b) => b.weight - a.weight || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  const shards = Array.from({ length: total }, () => ({ load: 0, units: [] }));
+
+  for (const unit of ordered) {
+    const target = shards.reduce((lightest, candidate) => (candidate.load < lightest.load ? candidate : lightest));
+    target.units.push(unit);
+    target.load += unit.weight;
+  }
+
+  return shards.map(entry => entry.units);
+}
+
+// Test ids embed the absolute file path; strip it so keys match across machines
+function testKey(file, test) {
+  if (test.id && test.id.startsWith(file.filePath)) {
+    return test.id.slice(file.filePath.length + 1);
+  }
+  return test.id || test.name;
+}
+
+module.exports = { parseShard, selectShard };
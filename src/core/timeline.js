@@ -0,0 +1,75 @@
+const path = require('path');
+
+// Shorter pauses between work items are scheduling overhead, not idle workers
+const MIN_IDLE_GAP_MS = 100;
+
+function barLabel(span) {
+  const name = span.testName ? `${path.basename(span.filePath)} › ${span.testName}` : path.basename(span.filePath || '');
+  return span.attempt > 1 ? `${name} (attempt ${span.attempt})` : name;
+}
+
+/**
+ * Lay the work items of a run out on one lane per worker, for the timeline
+ * of the HTML report. Times in the result are offsets from the start of the run.
+ * @param {Array} spans - WorkerManager.timeline entries ({ workerId, type,
+ *   filePath, testName, attempt, status, startTime, endTime })
+ * @param {Object} summary - Run summary with startTime and endTime
+ * @param {Object} options - { minIdleGap }: shortest pause highlighted as idle (ms)
+ * @returns {Object|null} { duration, utilization, idle, lanes: [{ workerId, bars,
+ *   gaps, busy, idle, utilization }] }, or null when no work item ran
+ */
+function buildTimeline(spans, summary = {}, { minIdleGap = MIN_IDLE_GAP_MS } = {}) {
+  const ran = (spans || []).filter(span => span.startTime && span.endTime);
+  if (ran.length === 0) return null;
+
+  const startTime = Math.min(summary.startTime || Infinity, ...ran.map(span => span.startTime));
+  const endTime = Math.max(summary.endTime || 0, ...ran.map(span => span.endTime));
+  const duration = Math.max(endTime - startTime, 1);
+
+  const byWorker = new Map();
+  for (const span of ran) {
+    const workerId = span.workerId ?? 0;
+    if (!byWorker.has(workerId)) byWorker.set(workerId, []);
+    byWorker.get(workerId).push(span);
+  }
+
+  const lanes = [...byWorker.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([workerId, laneSpans]) => {
+      const bars = laneSpans
+        .sort((a, b) => a.startTime - b.startTime)
+        .map(span => ({
+          label: barLabel(span),
+          type: span.type,
+          filePath: span.filePath,
+          testName: span.testName || null,
+          attempt: span.attempt || 1,
+          status: span.status || 'failed',
+          start: span.startTime - startTime,
+          duration: span.endTime - span.startTime
+        }));
+
+      // Idle time before, between and after the lane's work items
+      const gaps = [];
+      let busy = 0;
+      let cursor = 0;
+      for (const bar of bars) {
+        if (bar.start - cursor >= minIdleGap) gaps.push({ start: cursor, duration: bar.start - cursor });
+        busy += Math.max(0, bar.start + bar.duration - Math.max(cursor, bar.start));
+        cursor = Math.max(cursor, bar.start + bar.duration);
+      }
+      if (duration - cursor >= minIdleGap) gaps.push({ start: cursor, duration: duration - cursor });
+
+      return { workerId, bars, gaps, busy, idle: duration - busy, utilization: busy / duration };
+    });
+
+  const busy = lanes.reduce((total, lane) => total + lane.busy, 0);
+  return {
+    duration,
+    utilization: busy / (duration * lanes.length),
+    idle: lanes.reduce((total, lane) => total + lane.idle, 0),
+    lanes
+  };
+}
+
+module.exports = { MIN_IDLE_GAP_MS, buildTimeline };
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+
+const TIMINGS_VERSION = 1;
+
+// Used for files with no history when no average can be derived yet
+const DEFAULT_TEST_DURATION = 100;
+
+/**
+ * Persistent store of historical work item durations.
+ *
+ * Durations are kept per test file and per test, keyed by paths relative to
+ * the working directory so the same store can be shared between machines.
+ * Tests are keyed by their full describe path and title.
+ * File durations come from file-level runs only: every test-level run pays
+ * a whole Jest startup, so their sum would overstate the file.
+ * New measurements are blended into an exponential moving average so that a
+ * single noisy run does not reshuffle the whole queue.
+ */
+class TimingStore {
+  constructor(options = {}, logger) {
+    this.cacheDir = options.cacheDir || '.jest-parallel';
+    this.filePath = options.timingsFile || path.join(this.cacheDir, 'timings.json');
+    this.logger = logger;
+
+    this.files = {};
+    this.tests = {};
+    this.loaded = false;
+
+    // Measurements collected during the current run, merged on save()
+    this.pendingFiles = new Map();
+    this.pendingTests = new Map();
+  }
+
+  load() {
+    if (this.loaded) return this;
+    this.loaded = true;
+
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return this;
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (data.version !== TIMINGS_VERSION) {
+        this.logger.warn(`Ignoring timings file ${this.filePath} with unsupported version ${data.version}`);
+        return this;
+      }
+
+      this.files = data.files || {};
+      this.tests = data.tests || {};
+      this.logger.debug(`Loaded timings for ${Object.keys(this.files).length} files from ${this.filePath}`);
+    } catch (error) {
+      this.logger.warn(`Failed to read timings file ${this.filePath}: ${error.message}`);
+    }
+
+    return this;
+  }
+
+  hasHistory() {
+    return Object.keys(this.files).length > 0 || Object.keys(this.tests).length > 0;
+  }
+
+  getFileDuration(filePath) {
+    const entry = this.files[this.fileKey(filePath)];
+    return entry ? entry.duration : null;
+  }
+
+  getTestDuration(filePath, testName, describePath = []) {
+    const entry = this.tests[this.testKey(filePath, testName, describePath)];
+    return entry ? entry.duration : null;
+  }
+
+  /**
+   * Average duration of a single test across every file with history.
+   * @returns {number} Milliseconds per test
+   */
+  averageTestDuration() {
+    let duration = 0;
+    let tests = 0;
+
+    for (const entry of Object.values(this.files)) {
+      if (entry.testCount > 0) {
+        duration += entry.duration;
+        tests += entry.testCount;
+      }
+    }
+
+    return tests > 0 ? duration / tests : DEFAULT_TEST_DURATION;
+  }
+
+  /**
+   * Estimate how long a work item will take, in milliseconds.
+   * Files without history fall back to their parsed test count.
+   * @param {Object} workItem - Work item as queued by the WorkerManager
+   * @returns {number} Estimated duration
+   */
+  estimate(workItem) {
+    this.load();
+
+    if (workItem.testName) {
+      const known = this.getTestDuration(workItem.filePath, workItem.testName, workItem.describePath);
+      if (known !== null) return known;
+
+      const file = this.files[this.fileKey(workItem.filePath)];
+      if (file && file.testCount > 0) return file.duration / file.testCount;
+      return this.averageTestDuration();
+    }
+
+    const known = this.getFileDuration(workItem.filePath);
+    if (known !== null) return known;
+
+    return (workItem.testCount || 1) * this.averageTestDuration();
+  }
+
+  /**
+   * Record how long a work item took in the current run.
+   * @param {Object} workItem - Work item that finished
+   * @param {number} duration - Wall-clock duration in milliseconds
+   */
+  recordWorkItem(workItem, duration) {
+    if (!workItem || !workItem.filePath || !(duration >= 0)) return;
+
+    if (workItem.testName) {
+      this.pendingTests.set(this.testKey(workItem.filePath, workItem.testName, workItem.describePath), duration);
+      return;
+    }
+
+    this.pendingFiles.set(this.fileKey(workItem.filePath), { duration, testCount: workItem.testCount || 0 });
+  }
+
+  save() {
+    if (this.pendingFiles.size === 0 && this.pendingTests.size === 0) return;
+
+    this.load();
+    const updatedAt = new Date().toISOString();
+
+    for (const [key, measured] of this.pendingFiles) {
+      this.files[key] = {
+        ...this.blend(this.files[key], measured.duration, updatedAt),
+        testCount: measured.testCount
+      };
+    }
+    for (const [key, duration] of this.pendingTests) {
+      this.tests[key] = this.blend(this.tests[key], duration, updatedAt);
+    }
+
+    this.pendingFiles.clear();
+    this.pendingTests.clear();
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify({
+        version: TIMINGS_VERSION,
+        updatedAt,
+        files: this.files,
+        tests: this.tests
+      }, null, 2), 'utf8');
+      this.logger.debug(`Timings written to ${this.filePath}`);
+    } catch (error) {
+      this.logger.warn(`Failed to write timings file ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  blend(previous, duration, updatedAt) {
+    if (!previous) {
+      return { duration: Math.round(duration), runs: 1, updatedAt };
+    }
+    return {
+      duration: Math.round(previous.duration * 0.5 + duration * 0.5),
+      runs: (previous.runs || 1) + 1,
+      updatedAt
+    };
+  }
+
+  fileKey(filePath) {
+    return path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+  }
+
+  testKey(filePath, testName, describePath = []) {
+    return `${this.fileKey(filePath)}::${[...(describePath || []), testName].join(' › ')}`;
+  }
+}
+
+module.exports = { TimingStore, DEFAULT_TEST_DURATION };
@@ -0,0 +1,228 @@
+const path = require('path');
+const { version: toolVersion } = require('../../package.json');
+
+// Process of the test file tracks; worker N is process N + 1
+const FILES_PID = 0;
+
+const HOOK_TYPES = ['beforeAll', 'beforeEach', 'afterAll', 'afterEach'];
+
+// Trace Event Format times are in microseconds
+function micros(ms) {
+  return Math.round(ms * 1000);
+}
+
+function relativePath(filePath) {
+  return path.relative(process.cwd(), path.resolve(filePath || '')).split(path.sep).join('/');
+}
+
+function fullNameOf(test) {
+  const ancestorTitles = Array.isArray(test.ancestorTitles) ? test.ancestorTitles : (test.suite ? test.suite.split(' › ') : []);
+  return [...ancestorTitles, test.testName || 'Unknown Test'].join(' › ');
+}
+
+function firstLine(error) {
+  if (!error) return undefined;
+  return String(typeof error === 'string' ? error : error.message || error).trim().split('\n')[0];
+}
+
+/**
+ * Put spans on as few tracks as possible without overlapping ones sharing
+ * a track, since trace viewers expect the slices of a thread to nest.
+ * @returns {Array<Array>} Spans of each track, in start order
+ */
+function packTracks(spans) {
+  const tracks = [];
+  for (const span of [...spans].sort((a, b) => a.startTime - b.startTime)) {
+    const track = tracks.find(candidate => candidate[candidate.length - 1].endTime <= span.startTime);
+    if (track) {
+      track.push(span);
+    } else {
+      tracks.push([span]);
+    }
+  }
+  return tracks;
+}
+
+/**
+ * Every test of the results with the worker that ran it. Retried tests
+ * yield one span per attempt.
+ */
+function testSpans(results) {
+  const spans = [];
+  const addTest = (test, filePath, workerId) => {
+    const attempts = Array.isArray(test.attempts) && test.attempts.some(attempt => attempt.startTime) ? test.attempts : [test];
+    for (const attempt of attempts) {
+      if (!attempt.startTime || !attempt.endTime) continue;
+      spans.push({
+        name: fullNameOf(test),
+        filePath,
+        workerId: attempt.workerId ?? workerId ?? 0,
+        status: attempt.status,
+        attempt: attempt.attempt || 1,
+        error: firstLine(attempt.error),
+        startTime: attempt.startTime,
+        endTime: Math.max(attempt.endTime, attempt.startTime)
+      });
+    }
+  };
+
+  for (const result of results) {
+    if (Array.isArray(result.testResults)) {
+      result.testResults.forEach(test => addTest(test, result.filePath, test.workerId ?? result.workerId));
+    } else if (result.testName) {
+      addTest(result, result.filePath, result.workerId);
+    }
+  }
+  return spans;
+}
+
+/**
+ * beforeAll and afterAll of each file result, placed before its first and
+ * after its last test. Jest doesn't time hooks, so these are mostly estimates.
+ */
+function hookSpans(results) {
+  const spans = [];
+  for (const result of results) {
+    const hookInfo = result.hookInfo || {};
+    const timed = (result.testResults || []).filter(test => test.startTime && test.endTime);
+    if (timed.length === 0) continue;
+
+    const firstStart = Math.min(...timed.map(test => test.startTime));
+    const lastEnd = Math.max(...timed.map(test => test.endTime));
+    const hook = (hookType, startTime) => ({
+      name: hookType,
+      filePath: result.filePath,
+      workerId: result.workerId ?? 0,
+      status: hookInfo[hookType].status,
+      startTime,
+      endTime: startTime + hookInfo[hookType].duration
+    });
+
+    if (hookInfo.beforeAll && hookInfo.beforeAll.duration > 0) {
+      spans.push(hook('beforeAll', firstStart - hookInfo.beforeAll.duration));
+    }
+    if (hookInfo.afterAll && hookInfo.afterAll.duration > 0) {
+      spans.push(hook('afterAll', lastEnd));
+    }
+  }
+  return spans;
+}
+
+/**
+ * Build a Chrome Trace Event Format trace of a run, for chrome://tracing
+ * and Perfetto (ui.perfetto.dev).
+ *
+ * Each worker is a process: its first track holds the work items it ran
+ * (the worker process, from spawn to exit) and the beforeAll/afterAll
+ * hooks, the tracks below it the tests, split over as many tracks as ran
+ * concurrently. The "Test files" process shows each file from its first
+ * work item starting to its last one ending, retries included.
+ * @param {Array} results - Worker results, carrying startTime/endTime
+ * @param {Object} summary - Run summary with startTime, endTime, mode,
+ *   maxWorkers and the WorkerManager timeline
+ * @returns {Object} Trace in the JSON Object Format
+ */
+function buildTrace(results, summary = {}) {
+  const timeline = (summary.timeline || []).filter(span => span.startTime && span.endTime);
+  const tests = testSpans(results);
+  const hooks = hookSpans(results);
+
+  const starts = [...timeline, ...tests, ...hooks].map(span => span.startTime);
+  const origin = Math.min(summary.startTime || Infinity, ...starts);
+  const traceEvents = [];
+
+  const metadata = (name, pid, tid, args) => traceEvents.push({ name, ph: 'M', pid, tid, args });
+  const slice = (span, pid, tid, cat, args) => traceEvents.push({
+    name: span.name,
+    cat,
+    ph: 'X',
+    pid,
+    tid,
+    ts: micros(span.startTime - origin),
+    dur: micros(span.endTime - span.startTime),
+    args
+  });
+
+  // Worker processes
+  const workerIds = [...new Set([...timeline, ...tests, ...hooks].map(span => span.workerId ?? 0))].sort((a, b) => a - b);
+  for (const workerId of workerIds) {
+    const pid = workerId + 1;
+    metadata('process_name', pid, 0, { name: `Worker ${workerId}` });
+    metadata('process_sort_index', pid, 0, { sort_index: pid });
+    metadata('thread_name', pid, 0, { name: 'Work items' });
+
+    for (const span of timeline.filter(item => (item.workerId ?? 0) === workerId)) {
+      const label = span.testName ? `${path.basename(span.filePath)} › ${span.testName}` : path.basename(span.filePath || '');
+      slice({ ...span, name: span.attempt > 1 ? `${label} (attempt ${span.attempt})` : label }, pid, 0, 'work-item', {
+        file: relativePath(span.filePath),
+        type: span.type,
+        attempt: span.attempt,
+        status: span.status
+      });
+    }
+    for (const span of hooks.filter(hook => hook.workerId === workerId)) {
+      // Keep estimated hooks inside the work item that ran them
+      const workItem = timeline.find(item => (item.workerId ?? 0) === workerId && item.filePath === span.filePath &&
+        item.startTime <= span.endTime && item.endTime >= span.startTime);
+      const startTime = workItem ? Math.max(span.startTime, workItem.startTime) : span.startTime;
+      const endTime = workItem ? Math.min(span.endTime, workItem.endTime) : span.endTime;
+      slice({ ...span, startTime, endTime: Math.max(startTime, endTime) }, pid, 0, 'hook', { file: relativePath(span.filePath), status: span.status });
+    }
+
+    packTracks(tests.filter(test => test.workerId === workerId)).forEach((track, index) => {
+      const tid = index + 1;
+      metadata('thread_name', pid, tid, { name: index === 0 ? 'Tests' : `Tests (${index + 1})` });
+      for (const span of track) {
+        slice(span, pid, tid, 'test', {
+          file: relativePath(span.filePath),
+          status: span.status,
+          attempt: span.attempt,
+          error: span.error
+        });
+      }
+    });
+  }
+
+  // Test files, from their first work item to their last
+  const files = new Map();
+  for (const span of timeline) {
+    const file = files.get(span.filePath) || { name: relativePath(span.filePath), filePath: span.filePath, startTime: Infinity, endTime: 0, workItems: 0 };
+    file.startTime = Math.min(file.startTime, span.startTime);
+    file.endTime = Math.max(file.endTime, span.endTime);
+    file.workItems++;
+    files.set(span.filePath, file);
+  }
+  if (files.size > 0) {
+    metadata('process_name', FILES_PID, 0, { name: 'Test files' });
+    metadata('process_sort_index', FILES_PID, 0, { sort_index: FILES_PID });
+  }
+  packTracks([...files.values()]).forEach((track, tid) => {
+    metadata('thread_name', FILES_PID, tid, { name: tid === 0 ? 'Files' : `Files (${tid + 1})` });
+    for (const file of track) {
+      const fileResults = results.filter(result => result.filePath === file.filePath);
+      const args = { workItems: file.workItems };
+      if (fileResults.length > 0) {
+        args.status = fileResults.some(result => result.status === 'failed') ? 'failed' : fileResults[0].status;
+      }
+      for (const hookType of HOOK_TYPES) {
+        const hook = fileResults.map(result => result.hookInfo && result.hookInfo[hookType]).find(Boolean);
+        if (hook && hook.duration > 0) args[hookType] = hook.duration;
+      }
+      slice(file, FILES_PID, tid, 'file', args);
+    }
+  });
+
+  return {
+    traceEvents,
+    displayTimeUnit: 'ms',
+    otherData: {
+      tool: 'jest-parallel-worker',
+      version: toolVersion,
+      mode: summary.mode || null,
+      startTime: Number.isFinite(origin) ? new Date(origin).toISOString() : null,
+      maxWorkers: summary.maxWorkers ?? null
+    }
+  };
+}
+
+module.exports = { buildTrace };
@@ -0,0 +1,220 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { HistoryStore, summarizeHistory } = require('./history');
+const { Logger } = require('../utils/logger');
+const { escapeHtml, formatDuration } = require('../utils/format');
+
+const TRENDS_FILE = 'history.html';
+
+const STATUS_COLORS = {
+  passed: '#27ae60',
+  failed: '#e74c3c',
+  flaky: '#e67e22',
+  skipped: '#bdc3c7',
+  todo: '#bdc3c7',
+  'not-run': '#95a5a6'
+};
+
+function formatPercent(rate) {
+  return rate === null || rate === undefined ? '–' : `${(rate * 100).toFixed(1)}%`;
+}
+
+function runLabel(run) {
+  return new Date(run.startTime).toLocaleString();
+}
+
+/**
+ * SVG line chart of one value per run; runs without a value leave a gap.
+ * @param {Array<number|null>} values - One value per run, oldest first
+ * @param {Object} options - { labels, format, max, color }
+ */
+function lineChart(values, { labels, format, max, color }) {
+  const width = 560;
+  const height = 160;
+  const padding = 24;
+  const top = max ?? Math.max(1, ...values.filter(value => value !== null));
+  const x = index => padding + (values.length > 1 ? (index * (width - 2 * padding)) / (values.length - 1) : (width - 2 * padding) / 2);
+  const y = value => height - padding - (value / top) * (height - 2 * padding);
+
+  const segments = [];
+  let current = [];
+  values.forEach((value, index) => {
+    if (value === null) {
+      if (current.length) segments.push(current);
+      current = [];
+    } else {
+      current.push(`${x(index).toFixed(1)},${y(value).toFixed(1)}`);
+    }
+  });
+  if (current.length) segments.push(current);
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img">
+        <line x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}" class="axis"/>
+        <text x="${padding}" y="${padding - 8}" class="axis-label">${escapeHtml(format(top))}</text>
+        ${segments.map(points => `<polyline points="${points.join(' ')}" fill="none" stroke="${color}" stroke-width="2"/>`).join('')}
+        ${values.map((value, index) => value === null ? '' : `<circle cx="${x(index).toFixed(1)}" cy="${y(value).toFixed(1)}" r="3.5" fill="${color}"><title>${escapeHtml(`${labels[index]}: ${format(value)}`)}</title></circle>`).join('')}
+    </svg>`;
+}
+
+// Small bar per run, for a test's durations or statuses
+function strip(cells) {
+  return `<span class="strip">${cells.join('')}</span>`;
+}
+
+/**
+ * Trends page of the run history: pass rate, duration and time saved per
+ * run, and the slowest and most failing tests across runs.
+ * @param {Object} trends - Output of summarizeHistory()
+ * @returns {string} HTML document
+ */
+function buildTrendsHtml(trends) {
+  const { runs, slowestTests, mostFailingTests } = trends;
+  const labels = runs.map(runLabel);
+  const latest = runs[runs.length - 1];
+
+  const durationStrip = (test) => {
+    const max = Math.max(1, ...test.durations.filter(duration => duration !== null));
+    return strip(test.durations.map((duration, index) => duration === null
+      ? '<span class="cell empty"></span>'
+      : `<span class="cell" style="height: ${Math.max(2, Math.round((duration / max) * 18))}px" title="${escapeHtml(`${labels[index]}: ${formatDuration(duration)}`)}"></span>`));
+  };
+  const statusStrip = (test) => strip(test.statuses.map((status, index) => status === null
+    ? '<span class="cell empty"></span>'
+    : `<span class="cell status" style="background: ${STATUS_COLORS[status] || '#bdc3c7'}" title="${escapeHtml(`${labels[index]}: ${status}`)}"></span>`));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Jest Parallel Worker - Test History</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; background: #f5f5f5; }
+        .container { max-width: 1200px; margin: 0 auto; padding: 20px; }
+        .header { background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); margin-bottom: 30px; }
+        .header h1 { color: #2c3e50; margin-bottom: 10px; font-size: 2.2em; }
+        .header .detail { color: #7f8c8d; }
+        .charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(360px, 1fr)); gap: 20px; margin-bottom: 30px; }
+        .card { background: white; padding: 20px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+        .card h3 { color: #7f8c8d; font-size: 1em; font-weight: 600; margin-bottom: 5px; }
+        .card .latest { font-size: 1.6em; font-weight: bold; color: #2c3e50; }
+        .chart { width: 100%; height: auto; }
+        .chart .axis { stroke: #ecf0f1; }
+        .chart .axis-label { font-size: 11px; fill: #95a5a6; }
+        section { background: white; margin-bottom: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); overflow: hidden; }
+        section h2 { background: #34495e; color: white; padding: 20px 30px; margin: 0; font-size: 1.5em; }
+        .results-table { width: 100%; border-collapse: collapse; }
+        .results-table th, .results-table td { padding: 10px 12px; text-align: left; border-bottom: 1px solid #ecf0f1; vertical-align: middle; }
+        .results-table th { background: #f8f9fa; font-weight: 600; color: #2c3e50; }
+        .results-table tr.failure { background: rgba(231, 76, 60, 0.05); }
+        .test-id { font-family: 'Monaco', 'Consolas', monospace; font-size: 0.85em; word-break: break-all; }
+        .strip { display: inline-flex; align-items: flex-end; gap: 2px; height: 20px; }
+        .strip .cell { display: inline-block; width: 6px; background: #3498db; border-radius: 1px; }
+        .strip .cell.status { height: 14px; }
+        .strip .cell.empty { height: 2px; background: #ecf0f1; }
+        .no-results { text-align: center; padding: 40px; color: #95a5a6; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <header class="header">
+            <h1>📈 Jest Parallel Worker - Test History</h1>
+            <div class="detail">${runs.length} run(s)${runs.length > 0 ? `, ${escapeHtml(labels[0])} to ${escapeHtml(labels[labels.length - 1])}` : ''}</div>
+        </header>
+        ${runs.length === 0 ? '<section><div class="no-results">No runs recorded yet</div></section>' : `
+        <div class="charts">
+            <div class="card">
+                <h3>Pass Rate</h3>
+                <div class="latest">${formatPercent(latest.passRate)}</div>
+                ${lineChart(runs.map(run => run.passRate), { labels, format: formatPercent, max: 1, color: '#27ae60' })}
+            </div>
+            <div class="card">
+                <h3>Total Duration</h3>
+                <div class="latest">${formatDuration(latest.durationMs)}</div>
+                ${lineChart(runs.map(run => run.durationMs), { labels, format: formatDuration, color: '#3498db' })}
+            </div>
+            <div class="card">
+                <h3>Time Saved</h3>
+                <div class="latest">${formatDuration(latest.timeSavedMs)}</div>
+                ${lineChart(runs.map(run => run.timeSavedMs), { labels, format: formatDuration, color: '#8e44ad' })}
+            </div>
+        </div>
+        <section>
+            <h2>🐢 Slowest Tests</h2>
+            <table class="results-table">
+                <thead><tr><th>Test</th><th>Median</th><th>Last</th><th>Runs</th><th>Duration per run</th></tr></thead>
+                <tbody>
+                ${slowestTests.map(test => `
+                    <tr>
+                        <td class="test-id">${escapeHtml(test.id)}</td>
+                        <td>${formatDuration(test.medianMs)}</td>
+                        <td>${formatDuration(test.lastMs)}</td>
+                        <td>${test.runs}</td>
+                        <td>${durationStrip(test)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        </section>
+        <section>
+            <h2>🔥 Most Failing Tests</h2>
+            ${mostFailingTests.length === 0 ? '<div class="no-results">No test failed in these runs</div>' : `
+            <table class="results-table">
+                <thead><tr><th>Test</th><th>Failed</th><th>Flaky</th><th>Failure Rate</th><th>Status per run</th></tr></thead>
+                <tbody>
+                ${mostFailingTests.map(test => `
+                    <tr class="${test.failed > 0 ? 'failure' : ''}">
+                        <td class="test-id">${escapeHtml(test.id)}</td>
+                        <td>${test.failed}</td>
+                        <td>${test.flaky}</td>
+                        <td>${formatPercent(test.failureRate)}</td>
+                        <td>${statusStrip(test)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`}
+        </section>
+        <section>
+            <h2>🗂️ Runs</h2>
+            <table class="results-table">
+                <thead><tr><th>Started</th><th>Mode</th><th>Tests</th><th>Failed</th><th>Flaky</th><th>Pass Rate</th><th>Duration</th><th>Time Saved</th></tr></thead>
+                <tbody>
+                ${runs.slice().reverse().map(run => `
+                    <tr class="${run.failed > 0 ? 'failure' : ''}">
+                        <td>${escapeHtml(runLabel(run))}</td>
+                        <td><code>${escapeHtml(run.mode)}${run.shard ? ` ${run.shard.index}/${run.shard.total}` : ''}</code></td>
+                        <td>${run.total}</td>
+                        <td>${run.failed}</td>
+                        <td>${run.flaky}</td>
+                        <td>${formatPercent(run.passRate)}</td>
+                        <td>${formatDuration(run.durationMs)}</td>
+                        <td>${formatDuration(run.timeSavedMs)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        </section>`}
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Load the run history and write its trends page (`jest-parallel history`).
+ * @param {Object} options - { cacheDir, outputDir, limit, top, logger, verbose }
+ * @returns {Promise<Object>} { trends, reportPath }
+ */
+async function generateTrendsReport(options = {}) {
+  const logger = options.logger || new Logger(options.verbose);
+  const store = new HistoryStore({ cacheDir: options.cacheDir }, logger);
+  const runs = store.load({ limit: options.limit });
+  const trends = summarizeHistory(runs, { top: options.top });
+
+  const outputDir = options.outputDir || 'reports';
+  const reportPath = path.join(outputDir, TRENDS_FILE);
+  await fs.mkdir(outputDir, { recursive: true });
+  await fs.writeFile(reportPath, buildTrendsHtml(trends), 'utf8');
+  logger.success(`History report generated: ${reportPath}`);
+
+  return { trends, reportPath, historyDir: store.historyDir };
+}
+
+module.exports = { TRENDS_FILE, buildTrendsHtml, generateTrendsReport, formatPercent };
@@ -1,9 +1,34 @@
-const { spawn } = require('child_process');
+const { spawn, fork } = require('child_process');
+const { EventEmitter } = require('events');
 const path = require('path');
 const os = require('os');
-
-class WorkerManager {
+const { titleTemplateToPattern } = require('./each-table');
+const { TimingStore } = require('./timing-store');
+const { WorkerResources } = require('./worker-resources');
+const { collectWorkerMessages } = require('../workers/ipc');
+const { createResultsFile, reporterArgs, jestEnv, readJestResults, watchJestResults } = require('../workers/jest-results');
+
+/**
+ * Version of the test-status.json schema documented in the README
+ * (Status Report). It follows the same rules as JSON_REPORT_VERSION.
+ */
+const STATUS_REPORT_VERSION = 1;
+
+/**
+ * Runs work items on a pool of worker processes.
+ *
+ * Events:
+ *   workerSpawn  { workerId, pid, type, filePath, testName, attempt }
+ *   fileStart    { filePath, workerId, testCount, startTime }  first work item of a file started
+ *   testStart    { testName, suite, filePath, workerId }  a worker started a test
+ *   testComplete test result with `attempt`, as soon as the test finished
+ *   fileComplete { filePath, status, duration, passed, failed, ..., tests }  no work left for the file
+ *   workerExit   { workerId, pid, exitCode, signal, duration, filePath, testName, attempt }
+ *   progress     live counters with `queued`, `elapsed` and `eta` (ms, null until known)
+ */
+class WorkerManager extends EventEmitter {
   constructor(options, logger, executionLogger) {
+    super();
     this.maxWorkers = options.maxWorkers || 4;
     
     // Timeout should already be in milliseconds from config processing
@@ -13,6 +38,42 @@ class WorkerManager {
     this.logger = logger;
     this.executionLogger = executionLogger;
     
+    // Historical durations used to order the work queue longest-first
+    this.timingStore = new TimingStore({ cacheDir: options.cacheDir }, logger);
+    
+    // Worker id, temp directory, port range and workerEnv() variables of each worker process
+    this.workerResources = new WorkerResources({ ...options, maxWorkers: this.maxWorkers }, logger);
+    this.workerEnvs = {};
+    // Worker slots whose workerSetup runs before their first work item starts
+    this.slotsInSetup = new Set();
+    // Set once a worker could not be prepared; nothing more starts
+    this.startFailed = false;
+    
+    // Shard of the suite this run covers ({ index, total }), recorded in reports
+    this.shard = options.shard || null;
+    this.mode = options.mode || null;
+    this.outputDir = options.outputDir || 'reports';
+    
+    // Failed work items are re-queued up to this many times
+    this.retries = options.retries || 0;
+    // Status entries counted for each result, so a whole-file retry can replace them
+    this.countedStatus = new WeakMap();
+    // Failed tests that are queued for a retry and may still recover
+    this.pendingRetryFailures = 0;
+    
+    // Stop the worker pool after this many failed tests (--bail); `true` means 1
+    this.bail = options.bail === true ? 1 : (Number(options.bail) || 0);
+    this.bailed = false;
+    this.activeWorkItems = {};
+    this.testsByFile = new Map();
+    // Resource locks of each file (@jest-parallel-lock, `locks` option) and who holds them
+    this.locksByFile = new Map();
+    this.heldLocks = new Map();
+    // Files that started running: filePath -> { startTime, completed }
+    this.fileRuns = new Map();
+    // Work items as they ran: { workerId, type, filePath, testName, attempt, status, startTime, endTime }
+    this.timeline = [];
+    
     this.workers = {};
     this.activeWorkers = 0;
     this.workQueue = [];
@@ -30,8 +91,12 @@ class WorkerManager {
       passed: 0,
       failed: 0,
       skipped: 0,
+      todo: 0,
+      flaky: 0,
+      notRun: 0,
       running: 0,
-      completed: 0
+      completed: 0,
+      expected: { runnable: 0, skipped: 0, todo: 0 }
     };
     
     this.lastStatusUpdate = 0;
@@ -55,17 +120,30 @@ class WorkerManager {
 
   // Add real-time test status tracking methods
   initializeTestCounts(parsedFiles) {
-    this.testStatus.total = parsedFiles.reduce((sum, file) => sum + file.tests.length, 0);
+    const tests = parsedFiles.flatMap(file => file.tests);
+    this.testsByFile = new Map(parsedFiles.map(file => [file.filePath, file.tests]));
+    this.locksByFile = new Map(parsedFiles.map(file => [file.filePath, file.locks || []]));
+    this.testStatus.total = tests.length;
     this.testStatus.passed = 0;
     this.testStatus.failed = 0;
     this.testStatus.skipped = 0;
+    this.testStatus.todo = 0;
+    this.testStatus.flaky = 0;
+    this.testStatus.notRun = 0;
     this.testStatus.running = 0;
     this.testStatus.completed = 0;
     
+    // What Jest is expected to do with each test once focus/skip/todo are applied
+    this.testStatus.expected = {
+      runnable: tests.filter(test => !test.expectedStatus || test.expectedStatus === 'runnable').length,
+      skipped: tests.filter(test => test.expectedStatus === 'skipped').length,
+      todo: tests.filter(test => test.expectedStatus === 'todo').length
+    };
+    
     this.logTestStatus('INITIALIZED');
   }
   
-  updateTestStatus(testResults) {
+  updateTestStatus(testResults, { streamed = false } = {}) {
     if (!testResults || !Array.isArray(testResults)) {
       return;
     }
@@ -74,23 +152,76 @@ class WorkerManager {
     const newPassed = testResults.filter(r => r.status === 'passed').length;
     const newFailed = testResults.filter(r => r.status === 'failed').length;
     const newSkipped = testResults.filter(r => r.status === 'skipped').length;
+    const newTodo = testResults.filter(r => r.status === 'todo').length;
+    const newFlaky = testResults.filter(r => r.status === 'flaky').length;
+    const newNotRun = testResults.filter(r => r.status === 'not-run').length;
     
     this.testStatus.passed += newPassed;
     this.testStatus.failed += newFailed;  
     this.testStatus.skipped += newSkipped;
-    this.testStatus.completed = this.testStatus.passed + this.testStatus.failed + this.testStatus.skipped;
-    this.testStatus.running = Math.max(0, this.testStatus.total - this.testStatus.completed);
+    this.testStatus.todo += newTodo;
+    this.testStatus.flaky += newFlaky;
+    this.testStatus.notRun += newNotRun;
+    this.refreshTestStatusTotals();
     
-    // Always log status update on each completion for real-time progress
-    this.logTestStatus('PROGRESS');
-    this.lastStatusUpdate = Date.now();
+    // Log each completed work item; streamed tests at most once per interval
+    if (!streamed || Date.now() - this.lastStatusUpdate >= this.statusUpdateInterval) {
+      this.logTestStatus('PROGRESS');
+      this.lastStatusUpdate = Date.now();
+    }
+    this.emitProgress();
+  }
+  
+  // Remove previously counted results, e.g. a failure that later passed on retry
+  retractTestStatus(testResults) {
+    const counters = { passed: 'passed', failed: 'failed', skipped: 'skipped', todo: 'todo', flaky: 'flaky', 'not-run': 'notRun' };
+    for (const [status, counter] of Object.entries(counters)) {
+      const count = testResults.filter(r => r.status === status).length;
+      this.testStatus[counter] = Math.max(0, this.testStatus[counter] - count);
+    }
+    this.refreshTestStatusTotals();
+  }
+  
+  refreshTestStatusTotals() {
+    const { passed, failed, skipped, todo, flaky, notRun } = this.testStatus;
+    this.testStatus.completed = passed + failed + skipped + todo + flaky + notRun;
+    // Tests of the active work items that haven't reported yet
+    this.testStatus.running = Object.values(this.activeWorkItems).reduce((running, workItem) => {
+      const tests = workItem.type === 'test' ? 1 : workItem.testCount || 0;
+      return running + Math.max(0, tests - (workItem.streamedResults ? workItem.streamedResults.length : 0));
+    }, 0);
+  }
+  
+  // Live counters with an ETA extrapolated from the pace so far
+  progressSnapshot() {
+    const { expected, ...counts } = this.testStatus;
+    const elapsed = this.executionStartTime ? Date.now() - this.executionStartTime.getTime() : 0;
+    const remaining = Math.max(0, counts.total - counts.completed);
+    let eta = null;
+    if (remaining === 0) {
+      eta = 0;
+    } else if (counts.completed > 0) {
+      eta = Math.round((elapsed / counts.completed) * remaining);
+    }
+    return { ...counts, queued: Math.max(0, remaining - counts.running), elapsed, eta };
+  }
+  
+  emitProgress() {
+    this.emit('progress', this.progressSnapshot());
   }
   
   async logTestStatus(phase) {
-    const { total, passed, failed, skipped, running, completed } = this.testStatus;
+    const { total, passed, failed, skipped, todo, flaky, notRun, running, completed, expected } = this.testStatus;
     const percentage = total > 0 ? Math.round((completed / total) * 100) : 0;
     
-    const statusMessage = `Tests: ${completed}/${total} (${percentage}%) | ✓ ${passed} passed | ✗ ${failed} failed | ○ ${skipped} skipped | ⟳ ${running} running`;
+    const todoText = todo > 0 ? ` | ✎ ${todo} todo` : '';
+    const flakyText = flaky > 0 ? ` | ↻ ${flaky} flaky` : '';
+    const notRunText = notRun > 0 ? ` | ⊘ ${notRun} not run` : '';
+    const statusMessage = `Tests: ${completed}/${total} (${percentage}%) | ✓ ${passed} passed | ✗ ${failed} failed | ○ ${skipped} skipped${todoText}${flakyText}${notRunText} | ⟳ ${running} running`;
+    
+    if (phase === 'INITIALIZED') {
+      this.logger.info(`[EXPECTED] ${expected.runnable} to run | ○ ${expected.skipped} skipped | ✎ ${expected.todo} todo`);
+    }
     
     // Log to console with color coding
     if (failed > 0) {
@@ -114,12 +245,12 @@ class WorkerManager {
   async logFinalTestStatus() {
     await this.logTestStatus('FINAL');
     
-    const { total, passed, failed, skipped } = this.testStatus;
+    const { total, passed, failed, skipped, todo, flaky } = this.testStatus;
     const successRate = total > 0 ? ((passed / total) * 100).toFixed(1) : '0.0';
     
     // Log comprehensive final summary
     await this.executionLogger.info('TEST-SUMMARY', 
-      `Final Results: ${total} total tests | ${passed} passed | ${failed} failed | ${skipped} skipped | Success Rate: ${successRate}%`
+      `Final Results: ${total} total tests | ${passed} passed | ${failed} failed | ${skipped} skipped | ${todo} todo | ${flaky} flaky | Success Rate: ${successRate}%`
     );
     
     if (failed > 0) {
@@ -141,13 +272,32 @@ class WorkerManager {
     
     // Create work items for each test
     const workItems = [];
+    const resolvedResults = [];
     for (const file of parsedFiles) {
       for (const test of file.tests) {
+        // Skipped and todo tests never run under Jest, so don't spawn a worker for them
+        if (test.expectedStatus === 'skipped' || test.expectedStatus === 'todo') {
+          resolvedResults.push({
+            testId: test.id,
+            filePath: file.filePath,
+            testName: test.name,
+            ancestorTitles: test.describePath || [],
+            status: test.expectedStatus,
+            duration: 0,
+            error: null,
+            workerId: null
+          });
+          continue;
+        }
+        
         workItems.push({
           type: 'test',
           filePath: file.filePath,
           testName: test.name,
+          describePath: test.describePath || [],
           testId: test.id,
+          // Unresolved each tables run all of their rows through one name pattern
+          testNamePattern: test.each && test.each.dynamic ? titleTemplateToPattern(test.name) : undefined,
           hasBeforeAll: file.hasBeforeAll,
           hasAfterAll: file.hasAfterAll,
           hasBeforeEach: file.hasBeforeEach,
@@ -156,9 +306,24 @@ class WorkerManager {
       }
     }
 
-    this.workQueue = [...workItems];
+    this.workQueue = this.scheduleWorkItems(workItems);
     this.logger.info(`Created ${workItems.length} work items`);
+    
+    if (resolvedResults.length > 0) {
+      this.results.push(...resolvedResults);
+      this.updateTestStatus(resolvedResults);
+      this.logger.info(`Resolved ${resolvedResults.length} skipped/todo tests without spawning workers`);
+      
+      // Files with nothing left to run complete right away
+      for (const filePath of new Set(resolvedResults.map(result => result.filePath))) {
+        if (workItems.some(item => item.filePath === filePath)) continue;
+        this.startFile(filePath, null);
+        this.checkFileComplete(filePath);
+      }
+    }
 
+    await this.workerResources.allocatePorts();
+    
     return new Promise((resolve, reject) => {
       this.onComplete = resolve;
       this.onError = reject;
@@ -182,12 +347,15 @@ class WorkerManager {
       type: 'native-parallel',  // Use native-parallel-worker for better error parsing
       filePath: file.filePath,
       testCount: file.tests.length,
+      testNamePattern: file.testNamePattern,
       strategy: 'file-parallelism'  // Run entire file with Jest's parallel capabilities
     }));
 
-    this.workQueue = [...workItems];
+    this.workQueue = this.scheduleWorkItems(workItems);
     this.logger.info(`Created ${workItems.length} file work items`);
 
+    await this.workerResources.allocatePorts();
+    
     return new Promise((resolve, reject) => {
       this.onComplete = resolve;
       this.onError = reject;
@@ -211,13 +379,16 @@ class WorkerManager {
       type: 'jest-parallel',
       filePath: file.filePath,
       testCount: file.tests.length,
+      testNamePattern: file.testNamePattern,
       hasBeforeAll: file.hasBeforeAll,
       hasAfterAll: file.hasAfterAll
     }));
 
-    this.workQueue = [...workItems];
+    this.workQueue = this.scheduleWorkItems(workItems);
     this.logger.info(`Created ${workItems.length} Jest parallel work items`);
 
+    await this.workerResources.allocatePorts();
+    
     return new Promise((resolve, reject) => {
       this.onComplete = resolve;
       this.onError = reject;
@@ -236,12 +407,15 @@ class WorkerManager {
     const workItems = parsedFiles.map(file => ({
       type: 'concurrent-file',
       filePath: file.filePath,
-      testCount: file.tests.length
+      testCount: file.tests.length,
+      testNamePattern: file.testNamePattern
     }));
 
-    this.workQueue = [...workItems];
+    this.workQueue = this.scheduleWorkItems(workItems);
     this.logger.info(`Created ${workItems.length} concurrent file work items`);
 
+    await this.workerResources.allocatePorts();
+    
     return new Promise((resolve, reject) => {
       this.onComplete = resolve;
       this.onError = reject;
@@ -276,6 +450,7 @@ class WorkerManager {
         filePath: file.filePath,
         testCount: file.tests.length,
         testNames: file.tests.map(test => test.name),
+        testNamePattern: file.testNamePattern,
         strategy: 'enhanced-file-parallelism', // Use Jest's internal parallelism
         intraFileParallelism: true
       })));
@@ -288,14 +463,17 @@ class WorkerManager {
         filePath: file.filePath,
         testCount: file.tests.length,
         testNames: file.tests.map(test => test.name),
+        testNamePattern: file.testNamePattern,
         strategy: 'file-parallelism'
       })));
       
       this.logger.info(`Created ${workItems.length} standard file-level work items`);
     }
 
-    this.workQueue = [...workItems];
+    this.workQueue = this.scheduleWorkItems(workItems);
 
+    await this.workerResources.allocatePorts();
+    
     return new Promise((resolve, reject) => {
       this.onComplete = resolve;
       this.onError = reject;
@@ -305,19 +483,585 @@ class WorkerManager {
     });
   }
 
+  /**
+   * Order work items longest-first using historical durations so that slow
+   * files start early instead of leaving the other workers idle at the end.
+   * Items without history are estimated from their parsed test count.
+   * @param {Array} workItems - Work items in discovery order
+   * @returns {Array} Work items in scheduling order
+   */
+  scheduleWorkItems(workItems) {
+    this.timingStore.load();
+
+    const estimates = new Map(workItems.map(item => [item, this.timingStore.estimate(item)]));
+    // Array#sort is stable, so items with equal estimates keep discovery order
+    const ordered = [...workItems].sort((a, b) => estimates.get(b) - estimates.get(a));
+
+    const source = this.timingStore.hasHistory() ? `timings from ${this.timingStore.filePath}` : 'parsed test counts';
+    this.logger.debug(`Scheduled ${ordered.length} work items longest-first using ${source}`);
+
+    return ordered;
+  }
+
+  /**
+   * Record the result of a work item and update the live test status.
+   * Results of retry attempts are folded into the result of the first attempt.
+   * @param {Object} workItem - Work item that produced the result
+   * @param {Object} result - Result reported by the worker
+   * @param {Array} statusResults - Test-level entries to count in the live status
+   */
+  addResult(workItem, result, statusResults = null) {
+    // Streamed tests were counted provisionally; the final result replaces them
+    const streamedResults = workItem.streamedResults || [];
+    if (streamedResults.length > 0) {
+      this.retractTestStatus(streamedResults);
+    }
+    workItem.streamedResults = null;
+    workItem.finished = true;
+    this.removeActiveWorkItem(workItem);
+    this.recordTimeline(workItem, result);
+    
+    // A worker stopped by --bail keeps the tests it finished; the rest did not run
+    if (workItem.terminatedByBail) {
+      if (!workItem.retryOf && !workItem.notRunRecorded) {
+        workItem.notRunRecorded = true;
+        this.addBailedResult(workItem, result, streamedResults);
+      }
+      this.checkFileComplete(workItem.filePath);
+      return;
+    }
+    
+    if (workItem.retryOf) {
+      const retried = this.mergeRetryResult(workItem, result, statusResults);
+      this.emitTestResults(workItem, retried, []);
+    } else {
+      if (workItem.type !== 'test' && workItem.testNamePattern && Array.isArray(result.testResults)) {
+        const selected = result.testResults.filter(test => this.selectedByPattern(workItem, test));
+        if (statusResults === result.testResults) statusResults = selected;
+        result.testResults = selected;
+      }
+      
+      this.results.push(result);
+      if (statusResults) {
+        this.countedStatus.set(result, statusResults);
+        this.updateTestStatus(statusResults);
+        this.emitTestResults(workItem, statusResults, streamedResults);
+      }
+      
+      this.queueRetry(workItem, result);
+    }
+    
+    this.checkBail();
+    this.checkFileComplete(workItem.filePath);
+  }
+
+  /**
+   * Add the work item to the timeline and stamp its result with when it ran.
+   * Results keep the times their worker reported; the timeline spans the
+   * whole worker process, startup included, since that is when the slot was busy.
+   */
+  recordTimeline(workItem, result) {
+    if (!workItem.startedAt) return;
+    
+    const endTime = Date.now();
+    result.startTime = result.startTime || workItem.startedAt;
+    result.endTime = result.endTime || endTime;
+    this.timeline.push({
+      workerId: workItem.workerId,
+      type: workItem.type,
+      filePath: workItem.filePath,
+      testName: workItem.testName || null,
+      attempt: workItem.attempt || 1,
+      status: workItem.terminatedByBail ? 'not-run' : result.status,
+      startTime: workItem.startedAt,
+      endTime
+    });
+  }
+
+  /**
+   * Count a test a worker reported while its work item is still running.
+   * addResult() replaces these counts with the work item's final result.
+   */
+  addStreamedResult(workItem, test) {
+    // Retries are only merged once complete; late messages after a timeout are dropped
+    if (workItem.retryOf || workItem.finished || workItem.terminatedByBail) return;
+    if (!this.selectedByPattern(workItem, test)) return;
+    
+    workItem.streamedResults = workItem.streamedResults || [];
+    workItem.streamedResults.push(test);
+    this.updateTestStatus([test], { streamed: true });
+    this.emitTestComplete(workItem, test);
+  }
+  
+  // Emit the final results that weren't already streamed
+  emitTestResults(workItem, statusResults, streamedResults) {
+    const streamedIds = new Set(streamedResults.map(test => test.testId));
+    for (let test of statusResults) {
+      // A crashed test worker reports no name; the work item has it
+      if (workItem.type === 'test') test = { testId: workItem.testId, testName: workItem.testName, ...test };
+      if (!testResultName(test) || streamedIds.has(test.testId)) continue;
+      this.emitTestComplete(workItem, test);
+    }
+  }
+  
+  emitTestComplete(workItem, test) {
+    this.emit('testComplete', { ...test, filePath: test.filePath || workItem.filePath, attempt: workItem.attempt || 1 });
+  }
+  
+  /**
+   * Emit fileStart the first time a work item of the file starts. Tests that
+   * were resolved without a worker (skipped/todo) complete with it.
+   */
+  startFile(filePath, workerId) {
+    if (this.fileRuns.has(filePath)) return;
+    
+    const startTime = Date.now();
+    this.fileRuns.set(filePath, { startTime, completed: false });
+    this.emit('fileStart', {
+      filePath,
+      workerId,
+      testCount: (this.testsByFile.get(filePath) || []).length,
+      startTime
+    });
+    
+    for (const result of this.results) {
+      if (result.filePath === filePath) this.emitTestComplete({ filePath }, result);
+    }
+  }
+  
+  /**
+   * Emit fileComplete once a started file has no queued or running work
+   * items left, retries included.
+   */
+  checkFileComplete(filePath) {
+    const fileRun = this.fileRuns.get(filePath);
+    if (!fileRun || fileRun.completed) return;
+    
+    const forFile = item => item.filePath === filePath;
+    if (this.workQueue.some(forFile) || Object.values(this.activeWorkItems).some(forFile)) return;
+    fileRun.completed = true;
+    
+    const fileResults = this.results.filter(forFile);
+    const tests = fileResults.flatMap(result => {
+      if (Array.isArray(result.testResults)) return result.testResults;
+      return result.testId || result.testName ? [result] : [];
+    });
+    const counts = { passed: 0, failed: 0, skipped: 0, todo: 0, flaky: 0, notRun: 0 };
+    for (const test of tests) {
+      const key = test.status === 'not-run' ? 'notRun' : test.status;
+      if (key in counts) counts[key]++;
+    }
+    
+    let status = 'passed';
+    if (counts.failed > 0 || fileResults.some(result => result.status === 'failed')) {
+      status = 'failed';
+    } else if (tests.length > 0 && counts.notRun === tests.length) {
+      status = 'not-run';
+    }
+    
+    const endTime = Date.now();
+    this.emit('fileComplete', {
+      filePath,
+      status,
+      startTime: fileRun.startTime,
+      endTime,
+      duration: endTime - fileRun.startTime,
+      testCount: tests.length,
+      ...counts,
+      tests
+    });
+  }
+  
+  // Jest reports the tests a --lastFailed name pattern excluded as skipped
+  selectedByPattern(workItem, test) {
+    if (workItem.type === 'test' || !workItem.testNamePattern || test.status !== 'skipped') return true;
+    return new RegExp(workItem.testNamePattern).test(testResultName(test));
+  }
+  
+  removeActiveWorkItem(workItem) {
+    for (const [workerId, activeWorkItem] of Object.entries(this.activeWorkItems)) {
+      if (activeWorkItem === workItem) {
+        delete this.activeWorkItems[workerId];
+      }
+    }
+  }
+  
+  /**
+   * Stream handlers for one work item: forwards a worker's test-start and
+   * test-result reports as they arrive.
+   */
+  streamHandlers(workItem, workerId) {
+    return {
+      onTestStart: (test) => {
+        this.logger.debug(`[Worker ${workerId}] ▶ ${test.testName}`);
+        this.emit('testStart', { ...test, filePath: workItem.filePath, workerId });
+      },
+      onTestResult: (test) => this.addStreamedResult(workItem, test)
+    };
+  }
+
+  /**
+   * Stop the worker pool once --bail failures are reached: nothing more is
+   * dequeued, active workers are terminated and unexecuted items are
+   * recorded as not-run so partial reports can still be written.
+   * Failures that are about to be retried don't count yet.
+   */
+  checkBail() {
+    if (!this.bail || this.bailed) return;
+    
+    const failures = this.testStatus.failed - this.pendingRetryFailures;
+    if (failures < this.bail) return;
+    
+    this.bailed = true;
+    this.logger.error(`Bailing out after ${failures} failed test(s) (--bail ${this.bail})`);
+    this.executionLogger.warn('BAIL', `Stopping worker pool after ${failures} failed test(s); ${this.workQueue.length} queued work item(s) will not run`)
+      .catch(err => console.error('Logging error:', err.message));
+    
+    // Pending retries are dropped; their first attempt already recorded the failure
+    const unstarted = this.workQueue.splice(0).filter(workItem => !workItem.retryOf);
+    this.addNotRunResults(unstarted);
+    // Files never started get no file events; started ones may have nothing left now
+    unstarted.forEach(workItem => this.checkFileComplete(workItem.filePath));
+    
+    for (const [workerId, workItem] of Object.entries(this.activeWorkItems)) {
+      const worker = this.workers[workerId];
+      if (worker && worker.exitCode === null && worker.signalCode === null) {
+        workItem.terminatedByBail = true;
+        this.logger.warn(`Terminating worker ${workerId} (${path.basename(workItem.filePath)})`);
+        this.terminateWorker(worker);
+      }
+    }
+  }
+
+  // Same SIGTERM-then-SIGKILL sequence used for worker timeouts
+  terminateWorker(worker) {
+    worker.kill('SIGTERM');
+    const forceKill = setTimeout(() => {
+      if (worker.exitCode === null && worker.signalCode === null) {
+        worker.kill('SIGKILL');
+      }
+    }, 2000);
+    worker.once('close', () => clearTimeout(forceKill));
+  }
+
+  /**
+   * Record a work item whose worker --bail terminated. The tests the worker
+   * reported, in its result or streamed before it stopped, keep their
+   * results; parsed tests without one are recorded as not run.
+   */
+  addBailedResult(workItem, result, streamedResults) {
+    const fromResult = Array.isArray(result.testResults) ? result.testResults.filter(test => testResultName(test)) : [];
+    const reported = fromResult.length > 0 ? fromResult : streamedResults;
+    if (reported.length === 0) {
+      this.addNotRunResults([workItem]);
+      return;
+    }
+    
+    if (workItem.type === 'test') {
+      const test = { ...reported[0], testId: workItem.testId, testName: workItem.testName, filePath: workItem.filePath };
+      this.results.push(test);
+      this.updateTestStatus([test]);
+      this.emitTestResults(workItem, [test], streamedResults);
+      return;
+    }
+    
+    // Match reported tests to parsed ones by name and describe path, one to one
+    const unmatched = [...reported];
+    const missing = (this.testsByFile.get(workItem.filePath) || []).filter(test => {
+      const describePath = (test.describePath || []).join(' › ');
+      const index = unmatched.findIndex(entry => testResultName(entry) === test.name &&
+        (!entry.ancestorTitles || entry.ancestorTitles.join(' › ') === describePath));
+      if (index === -1) return true;
+      unmatched.splice(index, 1);
+      return false;
+    });
+    
+    const testResults = [
+      ...reported.map(test => ({ ...test, filePath: test.filePath || workItem.filePath })),
+      ...missing.map(test => ({
+        testId: test.id,
+        testName: test.name,
+        ancestorTitles: test.describePath || [],
+        status: test.expectedStatus && test.expectedStatus !== 'runnable' ? test.expectedStatus : 'not-run',
+        duration: 0,
+        error: null,
+        filePath: workItem.filePath
+      }))
+    ];
+    const status = testResults.some(test => test.status === 'failed') ? 'failed'
+      : testResults.some(test => test.status === 'not-run') ? 'not-run' : 'passed';
+    
+    this.results.push({
+      filePath: workItem.filePath,
+      status,
+      testCount: workItem.testCount,
+      duration: result.duration || 0,
+      workerId: result.workerId ?? null,
+      testResults
+    });
+    this.updateTestStatus(testResults);
+    this.emitTestResults(workItem, testResults.slice(0, reported.length), streamedResults);
+  }
+
+  addNotRunResults(workItems) {
+    const statusResults = [];
+    
+    for (const workItem of workItems) {
+      if (workItem.type === 'test') {
+        const parsedTest = (this.testsByFile.get(workItem.filePath) || []).find(test => test.id === workItem.testId);
+        const result = {
+          testId: workItem.testId,
+          filePath: workItem.filePath,
+          testName: workItem.testName,
+          ancestorTitles: parsedTest ? parsedTest.describePath : [],
+          status: 'not-run',
+          duration: 0,
+          error: null,
+          workerId: null
+        };
+        this.results.push(result);
+        statusResults.push(result);
+        continue;
+      }
+      
+      // Tests Jest would skip anyway keep their expected status
+      const testResults = (this.testsByFile.get(workItem.filePath) || []).map(test => ({
+        testId: test.id,
+        testName: test.name,
+        ancestorTitles: test.describePath || [],
+        status: test.expectedStatus && test.expectedStatus !== 'runnable' ? test.expectedStatus : 'not-run',
+        duration: 0,
+        error: null,
+        filePath: workItem.filePath
+      }));
+      this.results.push({
+        filePath: workItem.filePath,
+        status: 'not-run',
+        testCount: workItem.testCount,
+        duration: 0,
+        workerId: null,
+        testResults
+      });
+      statusResults.push(...testResults);
+    }
+    
+    if (statusResults.length > 0) {
+      this.updateTestStatus(statusResults);
+    }
+  }
+
+  /**
+   * Re-queue the failed part of a work item while retries remain: the test
+   * itself in parallel-test mode, otherwise a --testNamePattern rerun of the
+   * failed tests, or the whole file when no test-level failures are known.
+   * @param {Object} workItem - Work item of the attempt that just finished
+   * @param {Object} original - Result of the first attempt, updated in place by retries
+   */
+  queueRetry(workItem, original) {
+    const attempt = workItem.attempt || 1;
+    if (attempt > this.retries || this.bailed) return;
+    
+    let retryItem = null;
+    let label;
+    let pendingFailures = 0;
+    
+    if (workItem.type === 'test') {
+      if (original.status === 'failed') {
+        retryItem = { ...workItem };
+        label = workItem.testName;
+        pendingFailures = 1;
+      }
+    } else {
+      const failedTests = (original.testResults || []).filter(test => test.status === 'failed');
+      if (failedTests.length > 0) {
+        const retryTests = [...new Set(failedTests.map(testResultName))];
+        retryItem = {
+          ...workItem,
+          retryTests,
+          testCount: retryTests.length,
+          testNamePattern: testNamesToPattern(retryTests)
+        };
+        label = `${retryTests.length} failed test(s) in ${path.basename(workItem.filePath)}`;
+        pendingFailures = failedTests.length;
+      } else if (original.status === 'failed') {
+        retryItem = { ...workItem, retryTests: null, testNamePattern: undefined };
+        label = path.basename(workItem.filePath);
+        pendingFailures = (this.countedStatus.get(original) || []).filter(entry => entry.status === 'failed').length;
+      }
+    }
+    
+    if (!retryItem) return;
+    
+    retryItem.attempt = attempt + 1;
+    retryItem.retryOf = original;
+    retryItem.pendingFailures = pendingFailures;
+    this.pendingRetryFailures += pendingFailures;
+    this.workQueue.push(retryItem);
+    this.logger.warn(`Retrying ${label} (attempt ${retryItem.attempt}/${this.retries + 1})`);
+  }
+
+  /**
+   * Fold a retry attempt into the result of the first attempt.
+   * @returns {Array} The retried tests, with their status after this attempt
+   */
+  mergeRetryResult(workItem, result, statusResults) {
+    const original = workItem.retryOf;
+    const { attempt } = workItem;
+    this.pendingRetryFailures -= workItem.pendingFailures || 0;
+    let retried;
+    
+    if (workItem.type === 'test') {
+      retried = [original];
+      original.attempts = original.attempts || [attemptOf(original, 1)];
+      original.attempts.push(attemptOf(result, attempt));
+      
+      if (result.status === 'passed') {
+        this.retractTestStatus([original]);
+        Object.assign(original, { status: 'flaky', error: null, duration: result.duration, workerId: result.workerId });
+        this.updateTestStatus([original]);
+      } else {
+        original.error = result.error;
+      }
+    } else if (workItem.retryTests) {
+      const rerunTests = (result.testResults || []).filter(test => test.status !== 'skipped');
+      const retracted = [];
+      const recovered = [];
+      retried = [];
+      
+      for (const test of original.testResults) {
+        const name = testResultName(test);
+        if (test.status !== 'failed' || !workItem.retryTests.includes(name)) continue;
+        
+        const rerun = rerunTests.find(candidate => testResultName(candidate) === name);
+        retried.push(test);
+        test.attempts = test.attempts || [attemptOf(test, 1)];
+        test.attempts.push(rerun
+          ? attemptOf(rerun, attempt)
+          : { attempt, status: 'failed', duration: 0, error: result.error || 'Test did not run on retry', workerId: result.workerId });
+        
+        if (rerun && rerun.status === 'passed') {
+          retracted.push({ status: test.status });
+          Object.assign(test, { status: 'flaky', error: null, duration: rerun.duration });
+          recovered.push(test);
+        } else if (rerun) {
+          test.error = rerun.error || test.error;
+        }
+      }
+      
+      if (recovered.length > 0) {
+        this.retractTestStatus(retracted);
+        this.updateTestStatus(recovered);
+      }
+      original.status = original.testResults.some(test => test.status === 'failed') ? 'failed' : 'passed';
+    } else {
+      // Whole-file rerun: the new attempt replaces the first one
+      retried = statusResults || [];
+      const attempts = original.attempts || [attemptOf(original, 1)];
+      attempts.push(attemptOf(result, attempt));
+      
+      if (result.status === 'passed') {
+        const firstError = attempts[0].error;
+        for (const entry of [...(statusResults || []), ...(result.testResults || [])]) {
+          if (entry.status === 'passed') {
+            entry.status = 'flaky';
+            entry.attempts = [{ attempt: 1, status: 'failed', duration: 0, error: firstError }, attemptOf({ ...entry, status: 'passed' }, attempt)];
+          }
+        }
+      }
+      
+      this.retractTestStatus(this.countedStatus.get(original) || []);
+      Object.assign(original, result, { attempts, status: result.status === 'passed' ? 'flaky' : result.status });
+      if (statusResults) {
+        this.countedStatus.set(original, statusResults);
+        this.updateTestStatus(statusResults);
+      }
+    }
+    
+    this.queueRetry(workItem, original);
+    return retried;
+  }
+
   startWorker(workerId) {
     if (this.workQueue.length === 0) {
       this.checkCompletion();
       return;
     }
 
-    const workItem = this.workQueue.shift();
+    // Items whose locks are held wait; the ones behind them keep the workers busy
+    const index = this.nextStartableIndex();
+    if (index === -1) return;
+    const [workItem] = this.workQueue.splice(index, 1);
+    const locks = this.locksOf(workItem);
+    locks.forEach(lock => this.heldLocks.set(lock, workerId));
     this.activeWorkers++;
+    this.activeWorkItems[workerId] = workItem;
+    
+    if (!this.workerResources.needsSetup(workerId)) {
+      this.launchWorker(workerId, workItem, locks);
+      return;
+    }
+    
+    // The slot's workerSetup runs before its first work item; the slot and locks stay reserved meanwhile
+    this.slotsInSetup.add(workerId);
+    this.workerResources.setupSlot(workerId).then(() => {
+      this.slotsInSetup.delete(workerId);
+      if (!this.bailed && !this.startFailed) {
+        this.launchWorker(workerId, workItem, locks);
+        return;
+      }
+      
+      this.unreserveWorker(workerId, workItem, locks);
+      if (this.bailed && !workItem.retryOf) {
+        this.addNotRunResults([workItem]);
+        this.checkFileComplete(workItem.filePath);
+      }
+      this.processWorkQueue();
+    }, (error) => {
+      this.slotsInSetup.delete(workerId);
+      this.unreserveWorker(workerId, workItem, locks);
+      this.failStart(workerId, error);
+    });
+  }
+  
+  // Give back the slot and locks startWorker reserved for a work item that will not run
+  unreserveWorker(workerId, workItem, locks) {
+    this.activeWorkers--;
+    locks.forEach(lock => this.heldLocks.delete(lock));
+    if (this.activeWorkItems[workerId] === workItem) {
+      delete this.activeWorkItems[workerId];
+    }
+  }
+  
+  // A broken workerEnv() or workerSetup would fail every work item the same way
+  failStart(workerId, error) {
+    this.startFailed = true;
+    this.workQueue = [];
+    this.onError(new Error(`Failed to prepare worker ${workerId}: ${error.message}`));
+  }
+  
+  launchWorker(workerId, workItem, locks) {
+    let resources;
+    try {
+      resources = this.workerResources.acquire(workerId, workItem);
+    } catch (error) {
+      this.unreserveWorker(workerId, workItem, locks);
+      this.failStart(workerId, error);
+      return;
+    }
+    this.workerEnvs[workerId] = resources.env;
+    
+    const startedAt = Date.now();
+    workItem.startedAt = startedAt;
+    workItem.workerId = workerId;
+    this.refreshTestStatusTotals();
+    this.emitProgress();
     
     // Log worker start (non-blocking)
-    const workItemLabel = workItem.testName ? 
+    const workItemLabel = (workItem.testName ? 
       `${workItem.type} - ${path.basename(workItem.filePath)} - ${workItem.testName}` :
-      `${workItem.type} - ${path.basename(workItem.filePath)}`;
+      `${workItem.type} - ${path.basename(workItem.filePath)}`) +
+      (workItem.attempt ? ` (attempt ${workItem.attempt})` : '') +
+      (locks.length > 0 ? ` [locks: ${locks.join(', ')}]` : '');
     
     this.logger.info(`Starting work item: ${workItemLabel}`);
     this.executionLogger.logWorkerStart(workerId, workItem).catch(err => 
@@ -342,76 +1086,157 @@ class WorkerManager {
 
     if (workerProcess) {
       this.workers[workerId] = workerProcess;
+      const workerInfo = {
+        workerId,
+        pid: workerProcess.pid,
+        type: workItem.type,
+        filePath: workItem.filePath,
+        testName: workItem.testName,
+        attempt: workItem.attempt || 1
+      };
+      this.emit('workerSpawn', workerInfo);
+      this.startFile(workItem.filePath, workerId);
       
-      workerProcess.on('close', (code) => {
+      workerProcess.on('close', (code, signal) => {
         this.activeWorkers--;
+        this.workerResources.release(resources);
+        locks.forEach(lock => this.heldLocks.delete(lock));
+        if (this.activeWorkItems[workerId] === workItem) {
+          delete this.activeWorkItems[workerId];
+        }
+        // Partial reruns and terminated workers would skew the historical durations
+        const partialFile = workItem.type !== 'test' && workItem.testNamePattern;
+        if (!workItem.retryOf && !workItem.terminatedByBail && !partialFile) {
+          this.timingStore.recordWorkItem(workItem, Date.now() - startedAt);
+        }
         // Log worker completion (non-blocking)
         this.executionLogger.logWorkerComplete(workerId, { exitCode: code, status: code === 0 ? 'passed' : 'failed' })
           .catch(err => console.error('Logging error:', err.message));
+        this.emit('workerExit', { ...workerInfo, exitCode: code, signal, duration: Date.now() - startedAt });
         
         // Continue processing work queue if there are more items
         this.processWorkQueue();
       });
+    } else {
+      this.workerResources.release(resources);
+      this.unreserveWorker(workerId, workItem, locks);
+    }
+  }
+
+  locksOf(workItem) {
+    return this.locksByFile.get(workItem.filePath) || [];
+  }
+
+  // Position of the first queued work item whose locks are all free, -1 if none
+  nextStartableIndex() {
+    return this.workQueue.findIndex(workItem => this.locksOf(workItem).every(lock => !this.heldLocks.has(lock)));
+  }
+
+  // Environment of a worker process: ours plus its per-worker variables
+  workerProcessEnv(workerId) {
+    return { ...process.env, ...this.workerEnvs[workerId] };
+  }
+
+  /**
+   * Fork a node worker that reports over the typed IPC protocol in
+   * workers/ipc.js. Its stdout/stderr only carry log output (Jest's and the
+   * tests'), so they can no longer corrupt results.
+   * @returns {{worker: ChildProcess, messages: Object}} Process and its message collector
+   */
+  forkWorker(workerScript, workItem, config, workerId) {
+    const worker = fork(workerScript, [JSON.stringify(config)], {
+      stdio: ['ignore', 'pipe', 'pipe', 'ipc'],
+      env: { ...this.workerProcessEnv(workerId), NODE_OPTIONS: '--max-old-space-size=4096' }
+    });
+    
+    const messages = collectWorkerMessages(worker, {
+      ...this.streamHandlers(workItem, workerId),
+      onLog: (level, message) => this.logger[level](`[Worker ${workerId}] ${message}`)
+    });
+    
+    return { worker, messages };
+  }
+
+  // Explain a worker that exited without sending `done`, with the end of its stderr
+  describeMissingResult(code, errorOutput) {
+    const reason = code === null ? 'was killed' : `exited with code ${code}`;
+    const stderrTail = errorOutput.trim().split('\n').slice(-5).join('\n');
+    return `Worker ${reason} before reporting results${stderrTail ? `:\n${stderrTail}` : ''}`;
+  }
+
+  /**
+   * Record a file worker that timed out or exited without sending `done`.
+   * Tests it already reported keep their results; if it reported none, every
+   * test of the work item counts as failed.
+   */
+  addIncompleteResult(workItem, workerId, messages, error, duration = 0) {
+    const testResults = [...messages.testResults];
+    const result = {
+      filePath: workItem.filePath,
+      status: 'failed',
+      error,
+      duration,
+      workerId,
+      testResults
+    };
+    if (Object.keys(messages.hookInfo).length > 0) {
+      result.hookInfo = { ...messages.hookInfo };
     }
+    
+    const statusResults = testResults.length > 0
+      ? testResults
+      : Array.from({ length: workItem.testCount || 0 }, () => ({ status: 'failed' }));
+    this.addResult(workItem, result, statusResults);
   }
 
   spawnTestWorker(workItem, workerId) {
     const workerScript = path.join(__dirname, '../workers/test-worker.js');
     
-    const args = [
-      workerScript,
-      JSON.stringify({
-        filePath: workItem.filePath,
-        testName: workItem.testName,
-        testId: workItem.testId,
-        timeout: this.timeout,
-        workerId
-      })
-    ];
-
-    const worker = spawn('node', args, {
-      stdio: ['pipe', 'pipe', 'pipe'],
-      env: { ...process.env, NODE_OPTIONS: '--max-old-space-size=4096' }
-    });
+    const { worker, messages } = this.forkWorker(workerScript, workItem, {
+      filePath: workItem.filePath,
+      testName: workItem.testName,
+      testId: workItem.testId,
+      testNamePattern: workItem.testNamePattern,
+      timeout: this.timeout,
+      workerId
+    }, workerId);
 
-    let output = '';
     let errorOutput = '';
 
-    worker.stdout.on('data', (data) => {
-      output += data.toString();
-    });
-
     worker.stderr.on('data', (data) => {
       errorOutput += data.toString();
     });
 
     worker.on('close', (code) => {
       try {
-        const result = JSON.parse(output);
-        this.results.push(result);
+        const result = messages.result();
+        if (!result) {
+          throw new Error(this.describeMissingResult(code, errorOutput));
+        }
         
-        // Update test status tracking for individual test results
-        this.updateTestStatus([result]);
+        // Record the result and update test status tracking
+        this.addResult(workItem, result, [result]);
         
         // Log immediate test completion status
         const statusIcon = result.status === 'passed' ? '✅' : '❌';
         this.logger.info(`${statusIcon} ${result.testName || 'Unknown Test'} (${result.duration || 0}ms) [Worker: ${workerId}]`);
       } catch (error) {
-        this.logger.error(`Worker ${workerId} output parsing failed:`, error.message);
+        this.logger.error(`Worker ${workerId} failed:`, error.message);
         const failedResult = {
           testId: workItem.testId,
+          filePath: workItem.filePath,
+          testName: workItem.testName,
           status: 'failed',
-          error: `Worker output parsing failed: ${error.message}`,
+          error: error.message,
           duration: 0,
           workerId
         };
-        this.results.push(failedResult);
         
-        // Update test status tracking for failed result
-        this.updateTestStatus([failedResult]);
+        // Record the failed result and update test status tracking
+        this.addResult(workItem, failedResult, [failedResult]);
         
-        // Log immediate test completion status for failed parsing
-        this.logger.error(`❌ ${workItem.testName || 'Unknown Test'} (parsing failed) [Worker: ${workerId}]`);
+        // Log immediate test completion status for the crashed worker
+        this.logger.error(`❌ ${workItem.testName || 'Unknown Test'} (no result) [Worker: ${workerId}]`);
       }
     });
 
@@ -428,17 +1253,21 @@ class WorkerManager {
   }
 
   spawnFileWorker(workItem, workerId) {
+    const resultsFile = createResultsFile();
     const args = [
       '--testMatch', `**/${path.basename(workItem.filePath)}`,
-      '--verbose',
+      ...reporterArgs(),
       '--no-coverage',
       '--runInBand',
       '--passWithNoTests=false'
     ];
+    if (workItem.testNamePattern) {
+      args.push('--testNamePattern', workItem.testNamePattern);
+    }
 
     const worker = spawn('npx', ['jest', ...args], {
       stdio: ['pipe', 'pipe', 'pipe'],
-      env: { ...process.env },
+      env: jestEnv(resultsFile, this.workerProcessEnv(workerId)),
       cwd: process.cwd()
     });
 
@@ -453,7 +1282,11 @@ class WorkerManager {
       errorOutput += data.toString();
     });
 
+    const watcher = watchJestResults(resultsFile, { filePath: workItem.filePath, workerId }, this.streamHandlers(workItem, workerId));
+
     worker.on('close', (code) => {
+      watcher.stop();
+      const { testResults, hookInfo, execError } = readJestResults(resultsFile, { filePath: workItem.filePath, workerId });
       const result = {
         filePath: workItem.filePath,
         status: code === 0 ? 'passed' : 'failed',
@@ -461,19 +1294,15 @@ class WorkerManager {
         errorOutput,
         testCount: workItem.testCount,
         workerId,
-        duration: 0 // Could be enhanced to capture actual duration
+        duration: 0, // Could be enhanced to capture actual duration
+        testResults,
+        hookInfo
       };
-      
-      this.results.push(result);
-      
-      // Update test status tracking - estimate test results from file result
-      const fileTestResults = [];
-      for (let i = 0; i < workItem.testCount; i++) {
-        fileTestResults.push({
-          status: code === 0 ? 'passed' : 'failed'
-        });
+      if (execError) {
+        result.error = execError;
       }
-      this.updateTestStatus(fileTestResults);
+      
+      this.addResult(workItem, result, testResults);
       
       // Log file completion status for file worker
       const fileName = path.basename(result.filePath || 'Unknown File');
@@ -493,21 +1322,25 @@ class WorkerManager {
       this.maxWorkers // Don't exceed our total worker limit
     );
     
+    const resultsFile = createResultsFile();
     const args = [
       '--testMatch', `**/${path.basename(workItem.filePath)}`,
       '--testMatch', `${workItem.filePath}`, // Also try the full path
-      '--verbose',
+      ...reporterArgs(),
       '--no-coverage',
       '--passWithNoTests=false',
       '--maxWorkers', jestMaxWorkers.toString()
       // Explicitly NOT using --runInBand to enable Jest's internal test parallelism
     ];
+    if (workItem.testNamePattern) {
+      args.push('--testNamePattern', workItem.testNamePattern);
+    }
 
     this.logger.debug(`Starting Jest with internal parallelism: ${jestMaxWorkers} workers for ${workItem.testCount} tests in ${path.basename(workItem.filePath)}`);
 
     const worker = spawn('npx', ['jest', ...args], {
       stdio: ['pipe', 'pipe', 'pipe'],
-      env: { ...process.env },
+      env: jestEnv(resultsFile, this.workerProcessEnv(workerId)),
       cwd: process.cwd()
     });
 
@@ -522,11 +1355,11 @@ class WorkerManager {
       errorOutput += data.toString();
     });
 
+    const watcher = watchJestResults(resultsFile, { filePath: workItem.filePath, workerId }, this.streamHandlers(workItem, workerId));
+
     worker.on('close', (code) => {
-      // Jest sends test results to stderr, so we need to parse that instead of stdout
-      const parseResult = this.parseJestOutput(errorOutput, workItem);
-      const testResults = parseResult.testResults || parseResult; // Handle both old and new return formats
-      const hookInfo = parseResult.hookInfo || {};
+      watcher.stop();
+      const { testResults, hookInfo, execError } = readJestResults(resultsFile, { filePath: workItem.filePath, workerId });
       
       const result = {
         filePath: workItem.filePath,
@@ -539,16 +1372,17 @@ class WorkerManager {
         mode: 'jest-parallel',
         hasBeforeAll: workItem.hasBeforeAll,
         hasAfterAll: workItem.hasAfterAll,
-        testResults: testResults, // Add parsed test results
+        testResults: testResults,
         hookInfo: hookInfo // Add hook timing information
       };
+      if (execError) {
+        result.error = execError;
+      }
       
-      this.results.push(result);
+      this.addResult(workItem, result, testResults);
       
       // Log detailed file completion status for jest-parallel worker
       if (testResults && Array.isArray(testResults)) {
-        this.updateTestStatus(testResults);
-        
         const fileName = path.basename(result.filePath || 'Unknown File');
         const passedCount = testResults.filter(t => t.status === 'passed').length;
         const failedCount = testResults.filter(t => t.status === 'failed').length;
@@ -559,7 +1393,7 @@ class WorkerManager {
         // Log individual test results for immediate feedback
         testResults.forEach(test => {
           const statusIcon = test.status === 'passed' ? '✅' : test.status === 'failed' ? '❌' : '⏭️';
-          this.logger.info(`  ${statusIcon} ${test.name || 'Unknown Test'} (${test.duration || 0}ms)`);
+          this.logger.info(`  ${statusIcon} ${test.testName || test.name || 'Unknown Test'} (${test.duration || 0}ms)`);
         });
       } else {
         // File-level result without individual test breakdown
@@ -578,19 +1412,12 @@ class WorkerManager {
   spawnConcurrentFileWorker(workItem, workerId) {
     const workerScript = path.join(__dirname, '../workers/concurrent-file-worker.js');
     
-    const args = [
-      workerScript,
-      JSON.stringify({
-        filePath: workItem.filePath,
-        timeout: this.timeout - 1000, // Give worker 1s less timeout to cleanup
-        workerId
-      })
-    ];
-
-    const worker = spawn('node', args, {
-      stdio: ['pipe', 'pipe', 'pipe'],
-      env: { ...process.env, NODE_OPTIONS: '--max-old-space-size=4096' }
-    });
+    const { worker, messages } = this.forkWorker(workerScript, workItem, {
+      filePath: workItem.filePath,
+      testNamePattern: workItem.testNamePattern,
+      timeout: this.timeout - 1000, // Give worker 1s less timeout to cleanup
+      workerId
+    }, workerId);
 
     let output = '';
     let errorOutput = '';
@@ -609,7 +1436,6 @@ class WorkerManager {
       hasCompleted = true;
 
       this.logger.debug(`Concurrent file worker ${workerId} closed with code ${code}`);
-      this.logger.debug(`Output length: ${output.length} chars`);
       
       if (isTimeout) {
         const activity = this.executionLogger.workerActivities.get(workerId);
@@ -632,97 +1458,53 @@ class WorkerManager {
         }
         
         this.logger.error(`Concurrent file worker ${workerId} timed out`);
-        this.results.push({
-          filePath: workItem.filePath,
-          status: 'failed',
-          error: timeoutError,
-          duration: this.timeout,
-          workerId,
-          testResults: []
-        });
+        this.addIncompleteResult(workItem, workerId, messages, timeoutError, this.timeout);
         return;
       }
 
-      if (output.length === 0) {
-        this.logger.error(`Concurrent file worker ${workerId} produced no output`);
-        this.results.push({
-          filePath: workItem.filePath,
-          status: 'failed',
-          error: `Worker produced no output`,
-          duration: 0,
-          workerId,
-          testResults: []
-        });
+      const result = messages.result();
+      if (!result) {
+        this.logger.error(`Concurrent file worker ${workerId} exited without reporting results`);
+        this.addIncompleteResult(workItem, workerId, messages, this.describeMissingResult(code, errorOutput));
         return;
       }
       
-      try {
-        // Clean the output - look for complete JSON object
-        const trimmedOutput = output.trim();
-        let jsonToparse = trimmedOutput;
-        
-        // If output doesn't end with '}', try to find the last complete JSON object
-        if (!trimmedOutput.endsWith('}')) {
-          const lastBraceIndex = trimmedOutput.lastIndexOf('}');
-          if (lastBraceIndex > 0) {
-            jsonToparse = trimmedOutput.substring(0, lastBraceIndex + 1);
-            this.logger.debug(`Truncated output detected, using first ${jsonToparse.length} chars`);
-          }
-        }
-        
-        const result = JSON.parse(jsonToparse);
-        
-        // Debug logging for test count mismatch
-        if (result.debugInfo) {
-          this.logger.debug(`Worker ${workerId} Jest execution details:`);
-          this.logger.debug(`- Tests found in output: ${result.debugInfo.testsFound}`);
-          this.logger.debug(`- Jest exit code: ${result.debugInfo.jestExitCode}`);
-          this.logger.debug(`- Jest stdout sample: ${result.debugInfo.jestStdout}`);
-          this.logger.debug(`- Jest stderr sample: ${result.debugInfo.jestStderr}`);
-        }
-        
-        // Log additional details if no tests were found but worker failed
-        if (code !== 0 && (!result.testResults || result.testResults.length === 0)) {
-          this.logger.warn(`Worker ${workerId} failed with no test results. This may indicate Jest configuration or dependency issues.`);
-          this.logger.debug(`Worker stderr output: ${errorOutput}`);
-        }
+      // Debug logging for test count mismatch
+      if (result.debugInfo) {
+        this.logger.debug(`Worker ${workerId} Jest execution details:`);
+        this.logger.debug(`- Tests found in output: ${result.debugInfo.testsFound}`);
+        this.logger.debug(`- Jest exit code: ${result.debugInfo.jestExitCode}`);
+        this.logger.debug(`- Jest stdout sample: ${result.debugInfo.jestStdout}`);
+        this.logger.debug(`- Jest stderr sample: ${result.debugInfo.jestStderr}`);
+      }
+      
+      // Log additional details if no tests were found but worker failed
+      if (code !== 0 && (!result.testResults || result.testResults.length === 0)) {
+        this.logger.warn(`Worker ${workerId} failed with no test results. This may indicate Jest configuration or dependency issues.`);
+        this.logger.debug(`Worker stderr output: ${errorOutput}`);
+      }
+      
+      this.addResult(workItem, result, Array.isArray(result.testResults) ? result.testResults : null);
+      
+      // Log detailed file completion status for concurrent file worker
+      if (result.testResults && Array.isArray(result.testResults)) {
+        const fileName = path.basename(result.filePath || 'Unknown File');
+        const passedCount = result.testResults.filter(t => t.status === 'passed').length;
+        const failedCount = result.testResults.filter(t => t.status === 'failed').length;
+        const skippedCount = result.testResults.filter(t => t.status === 'skipped').length;
         
-        this.results.push(result);
+        this.logger.info(`📁 ${fileName} completed: ✅ ${passedCount} passed, ❌ ${failedCount} failed, ⏭️ ${skippedCount} skipped [Worker: ${workerId}]`);
         
-        // Log detailed file completion status for concurrent file worker
-        if (result.testResults && Array.isArray(result.testResults)) {
-          this.updateTestStatus(result.testResults);
-          
-          const fileName = path.basename(result.filePath || 'Unknown File');
-          const passedCount = result.testResults.filter(t => t.status === 'passed').length;
-          const failedCount = result.testResults.filter(t => t.status === 'failed').length;
-          const skippedCount = result.testResults.filter(t => t.status === 'skipped').length;
-          
-          this.logger.info(`📁 ${fileName} completed: ✅ ${passedCount} passed, ❌ ${failedCount} failed, ⏭️ ${skippedCount} skipped [Worker: ${workerId}]`);
-          
-          // Log individual test results for immediate feedback
-          result.testResults.forEach(test => {
-            const statusIcon = test.status === 'passed' ? '✅' : test.status === 'failed' ? '❌' : '⏭️';
-            this.logger.info(`  ${statusIcon} ${test.testName || test.name || 'Unknown Test'} (${test.duration || 0}ms)`);
-          });
-        } else {
-          // File-level result without individual test breakdown
-          const fileName = path.basename(result.filePath || 'Unknown File');
-          const statusIcon = result.status === 'passed' ? '✅' : '❌';
-          this.logger.info(`📁 ${fileName} ${statusIcon} ${result.status} [Worker: ${workerId}]`);
-        }
-      } catch (error) {
-        this.logger.error(`Concurrent file worker ${workerId} output parsing failed:`, error.message);
-        this.logger.debug(`Raw output (first 1000 chars): ${output.substring(0, 1000)}`);
-        this.logger.debug(`Raw stderr: ${errorOutput.substring(0, 1000)}`);
-        this.results.push({
-          filePath: workItem.filePath,
-          status: 'failed',
-          error: `Worker output parsing failed: ${error.message}`,
-          duration: 0,
-          workerId,
-          testResults: []
+        // Log individual test results for immediate feedback
+        result.testResults.forEach(test => {
+          const statusIcon = test.status === 'passed' ? '✅' : test.status === 'failed' ? '❌' : '⏭️';
+          this.logger.info(`  ${statusIcon} ${test.testName || test.name || 'Unknown Test'} (${test.duration || 0}ms)`);
         });
+      } else {
+        // File-level result without individual test breakdown
+        const fileName = path.basename(result.filePath || 'Unknown File');
+        const statusIcon = result.status === 'passed' ? '✅' : '❌';
+        this.logger.info(`📁 ${fileName} ${statusIcon} ${result.status} [Worker: ${workerId}]`);
       }
     };
 
@@ -734,7 +1516,7 @@ class WorkerManager {
       if (hasCompleted) return;
       hasCompleted = true;
       this.logger.error(`Concurrent file worker ${workerId} encountered an error:`, error.message);
-      this.results.push({
+      this.addResult(workItem, {
         filePath: workItem.filePath,
         status: 'failed',
         error: `Worker process error: ${error.message}`,
@@ -769,23 +1551,16 @@ class WorkerManager {
   spawnNativeParallelWorker(workItem, workerId) {
     const workerScript = path.join(__dirname, '../workers/native-parallel-worker.js');
     
-    const args = [
-      workerScript,
-      JSON.stringify({
-        filePath: workItem.filePath,
-        testNames: workItem.testNames,
-        testCount: workItem.testCount,
-        strategy: workItem.strategy,
-        maxWorkers: this.maxWorkers,
-        timeout: this.timeout - 1000, // Slightly reduce timeout for worker
-        workerId
-      })
-    ];
-
-    const worker = spawn('node', args, {
-      stdio: ['pipe', 'pipe', 'pipe'],
-      env: { ...process.env, NODE_OPTIONS: '--max-old-space-size=4096' }
-    });
+    const { worker, messages } = this.forkWorker(workerScript, workItem, {
+      filePath: workItem.filePath,
+      testNames: workItem.testNames,
+      testCount: workItem.testCount,
+      strategy: workItem.strategy,
+      testNamePattern: workItem.testNamePattern,
+      maxWorkers: this.maxWorkers,
+      timeout: this.timeout - 1000, // Slightly reduce timeout for worker
+      workerId
+    }, workerId);
 
     let output = '';
     let errorOutput = '';
@@ -799,100 +1574,47 @@ class WorkerManager {
       errorOutput += data.toString();
     });
 
-    const handleCompletion = (code, isTimeout = false) => {
+    const handleCompletion = (code, isTimeout = false, timeoutError = null) => {
       if (hasCompleted) return;
       hasCompleted = true;
 
       this.logger.debug(`Native parallel worker ${workerId} closed with code ${code}`);
-      this.logger.debug(`Output length: ${output.length} chars`);
       
       if (isTimeout) {
         this.logger.error(`Native parallel worker ${workerId} timed out`);
-        this.results.push({
-          filePath: workItem.filePath,
-          status: 'failed',
-          error: 'Worker timeout',
-          duration: this.timeout,
-          workerId,
-          testResults: []
-        });
+        this.addIncompleteResult(workItem, workerId, messages, timeoutError || 'Worker timeout', this.timeout);
         return;
       }
 
-      if (output.length === 0) {
-        this.logger.error(`Native parallel worker ${workerId} produced no output`);
-        this.results.push({
-          filePath: workItem.filePath,
-          status: 'failed',
-          error: `Worker produced no output`,
-          duration: 0,
-          workerId,
-          testResults: []
-        });
+      const result = messages.result();
+      if (!result) {
+        this.logger.error(`Native parallel worker ${workerId} exited without reporting results`);
+        this.addIncompleteResult(workItem, workerId, messages, this.describeMissingResult(code, errorOutput));
         return;
       }
       
-      try {
-        // Clean the output - look for complete JSON object
-        const trimmedOutput = output.trim();
-        let jsonToparse = trimmedOutput;
-        
-        // If output doesn't end with '}', try to find the last complete JSON object
-        if (!trimmedOutput.endsWith('}')) {
-          const lastBraceIndex = trimmedOutput.lastIndexOf('}');
-          if (lastBraceIndex > 0) {
-            jsonToparse = trimmedOutput.substring(0, lastBraceIndex + 1);
-            this.logger.debug(`Truncated output detected, using first ${jsonToparse.length} chars`);
-          }
-        }
-        
-        const result = JSON.parse(jsonToparse);
-        
-        this.results.push(result);
+      // Record the result and update test status tracking with detailed test results
+      this.addResult(workItem, result, Array.isArray(result.testResults) ? result.testResults : null);
+      
+      if (result.testResults && Array.isArray(result.testResults)) {
+        // Log detailed file completion status
+        const fileName = path.basename(result.filePath || 'Unknown File');
+        const passedCount = result.testResults.filter(t => t.status === 'passed').length;
+        const failedCount = result.testResults.filter(t => t.status === 'failed').length;
+        const skippedCount = result.testResults.filter(t => t.status === 'skipped').length;
         
-        // Update test status tracking with detailed test results
-        if (result.testResults && Array.isArray(result.testResults)) {
-          this.updateTestStatus(result.testResults);
-          
-          // Log detailed file completion status
-          const fileName = path.basename(result.filePath || 'Unknown File');
-          const passedCount = result.testResults.filter(t => t.status === 'passed').length;
-          const failedCount = result.testResults.filter(t => t.status === 'failed').length;
-          const skippedCount = result.testResults.filter(t => t.status === 'skipped').length;
-          
-          this.logger.info(`📁 ${fileName} completed: ✅ ${passedCount} passed, ❌ ${failedCount} failed, ⏭️ ${skippedCount} skipped [Worker: ${workerId}]`);
-          
-          // Log individual test results for immediate feedback
-          result.testResults.forEach(test => {
-            const statusIcon = test.status === 'passed' ? '✅' : test.status === 'failed' ? '❌' : '⏭️';
-            this.logger.info(`  ${statusIcon} ${test.testName || test.name || 'Unknown Test'} (${test.duration || 0}ms)`);
-          });
-        } else {
-          // File-level result without individual test breakdown
-          const fileName = path.basename(result.filePath || 'Unknown File');
-          const statusIcon = result.status === 'passed' ? '✅' : '❌';
-          this.logger.info(`📁 ${fileName} ${statusIcon} ${result.status} [Worker: ${workerId}]`);
-        }
-      } catch (error) {
-        this.logger.error(`Native parallel worker ${workerId} output parsing failed:`, error.message);
-        this.logger.debug(`Raw output (first 1000 chars): ${output.substring(0, 1000)}`);
-        this.logger.debug(`Raw stderr: ${errorOutput.substring(0, 1000)}`);
-        const failedResult = {
-          filePath: workItem.filePath,
-          status: 'failed',
-          error: `Worker output parsing failed: ${error.message}`,
-          duration: 0,
-          workerId,
-          testResults: []
-        };
-        this.results.push(failedResult);
+        this.logger.info(`📁 ${fileName} completed: ✅ ${passedCount} passed, ❌ ${failedCount} failed, ⏭️ ${skippedCount} skipped [Worker: ${workerId}]`);
         
-        // Update test status tracking - estimate failed tests
-        const failedTests = [];
-        for (let i = 0; i < workItem.testCount; i++) {
-          failedTests.push({ status: 'failed' });
-        }
-        this.updateTestStatus(failedTests);
+        // Log individual test results for immediate feedback
+        result.testResults.forEach(test => {
+          const statusIcon = test.status === 'passed' ? '✅' : test.status === 'failed' ? '❌' : '⏭️';
+          this.logger.info(`  ${statusIcon} ${test.testName || test.name || 'Unknown Test'} (${test.duration || 0}ms)`);
+        });
+      } else {
+        // File-level result without individual test breakdown
+        const fileName = path.basename(result.filePath || 'Unknown File');
+        const statusIcon = result.status === 'passed' ? '✅' : '❌';
+        this.logger.info(`📁 ${fileName} ${statusIcon} ${result.status} [Worker: ${workerId}]`);
       }
     };
 
@@ -904,7 +1626,7 @@ class WorkerManager {
       if (hasCompleted) return;
       hasCompleted = true;
       this.logger.error(`Native parallel worker ${workerId} encountered an error:`, error.message);
-      this.results.push({
+      this.addResult(workItem, {
         filePath: workItem.filePath,
         status: 'failed',
         error: `Worker process error: ${error.message}`,
@@ -947,17 +1669,8 @@ class WorkerManager {
         
         this.logger.warn(`Native parallel worker ${workerId} killed due to timeout`);
         
-        // Create a timeout result
-        this.results.push({
-          filePath: workItem.filePath,
-          status: 'failed',
-          error: timeoutError,
-          duration: this.timeout,
-          workerId,
-          testResults: []
-        });
-        
-        handleCompletion(null, true);
+        // Record a single timeout result with the detailed error
+        handleCompletion(null, true, timeoutError);
       }
     }, this.timeout);
 
@@ -969,252 +1682,6 @@ class WorkerManager {
     return worker;
   }
 
-  parseJestOutput(output, workItem) {
-    const testResults = [];
-    let hookInfo = {
-      beforeAll: { duration: 0, status: 'not_found' },
-      beforeEach: { duration: 0, status: 'not_found' },
-      afterAll: { duration: 0, status: 'not_found' },
-      afterEach: { duration: 0, status: 'not_found' }
-    };
-    
-    try {
-      // Parse Jest output to extract individual test results and hook information
-      const lines = output.split('\n');
-      let currentSuite = '';
-      let currentFailedTest = null;
-      let collectingError = false;
-      let errorLines = [];
-      let hookFailures = []; // Track hook failures
-      
-      // Extract overall test timing to calculate hook duration
-      let totalTestDuration = 0;
-      let overallSuiteDuration = 0;
-      
-      // Look for Jest timing information
-      const timeMatch = output.match(/Time:\s+(\d+(?:\.\d+)?)\s*s/);
-      if (timeMatch) {
-        overallSuiteDuration = parseFloat(timeMatch[1]) * 1000; // Convert to ms
-      }
-      
-      for (const line of lines) {
-        const trimmedLine = line.trim();
-        
-        // Detect hook failures
-        const beforeAllMatch = line.match(/●\s+(.+?)\s+›\s+beforeAll/i);
-        if (beforeAllMatch) {
-          const suiteName = beforeAllMatch[1].trim();
-          hookFailures.push({
-            type: 'beforeAll',
-            suite: suiteName,
-            message: 'beforeAll hook failed'
-          });
-          this.executionLogger.logHookFailure(workItem.workerId || 0, 'beforeAll', suiteName, workItem.filePath);
-          this.logger.error(`🚨 beforeAll hook failed in suite "${suiteName}" (${path.basename(workItem.filePath)})`);
-          continue;
-        }
-        
-        const beforeEachMatch = line.match(/●\s+(.+?)\s+›\s+beforeEach/i);
-        if (beforeEachMatch) {
-          const suiteName = beforeEachMatch[1].trim();
-          hookFailures.push({
-            type: 'beforeEach',
-            suite: suiteName,
-            message: 'beforeEach hook failed'
-          });
-          this.executionLogger.logHookFailure(workItem.workerId || 0, 'beforeEach', suiteName, workItem.filePath);
-          this.logger.error(`🚨 beforeEach hook failed in suite "${suiteName}" (${path.basename(workItem.filePath)})`);
-          continue;
-        }
-        
-        const afterAllMatch = line.match(/●\s+(.+?)\s+›\s+afterAll/i);
-        if (afterAllMatch) {
-          const suiteName = afterAllMatch[1].trim();
-          hookFailures.push({
-            type: 'afterAll',
-            suite: suiteName,
-            message: 'afterAll hook failed'
-          });
-          this.executionLogger.logHookFailure(workItem.workerId || 0, 'afterAll', suiteName, workItem.filePath);
-          this.logger.error(`🚨 afterAll hook failed in suite "${suiteName}" (${path.basename(workItem.filePath)})`);
-          continue;
-        }
-        
-        const afterEachMatch = line.match(/●\s+(.+?)\s+›\s+afterEach/i);
-        if (afterEachMatch) {
-          const suiteName = afterEachMatch[1].trim();
-          hookFailures.push({
-            type: 'afterEach',
-            suite: suiteName,
-            message: 'afterEach hook failed'
-          });
-          this.executionLogger.logHookFailure(workItem.workerId || 0, 'afterEach', suiteName, workItem.filePath);
-          this.logger.error(`🚨 afterEach hook failed in suite "${suiteName}" (${path.basename(workItem.filePath)})`);
-          continue;
-        }
-        
-        // If collecting error for failed test
-        if (collectingError && currentFailedTest) {
-          if (trimmedLine.startsWith('✓') || trimmedLine.startsWith('✗') || 
-              trimmedLine.includes('Test Suites:') || trimmedLine.includes('Tests:') ||
-              trimmedLine.includes('Snapshots:') || trimmedLine.includes('Time:') ||
-              trimmedLine.includes('Ran all test suites') || trimmedLine.startsWith('PASS') ||
-              trimmedLine.startsWith('FAIL')) {
-            if (errorLines.length > 0) {
-              currentFailedTest.error = errorLines.join('\n').trim();
-            }
-            currentFailedTest = null;
-            collectingError = false;
-            errorLines = [];
-          } else {
-            errorLines.push(line);
-          }
-        }
-        
-        // Look for test suite names (appear after PASS and before indented tests)
-        if (trimmedLine && !trimmedLine.startsWith('✓') && !trimmedLine.startsWith('✗') && 
-            !trimmedLine.includes('PASS') && !trimmedLine.includes('FAIL') && 
-            !trimmedLine.includes('Test Suites:') && !trimmedLine.includes('Tests:') &&
-            !trimmedLine.includes('Snapshots:') && !trimmedLine.includes('Time:') &&
-            !trimmedLine.includes('Ran all test suites') && !trimmedLine.startsWith('RUNS') &&
-            !trimmedLine.includes('Determining test suites') && !trimmedLine.includes('.test.js') &&
-            !trimmedLine.startsWith('at ') && !trimmedLine.includes('Error:')) {
-          
-          // Check if this looks like a describe block name (not indented test)
-          if (!line.startsWith('    ') && trimmedLine.length > 0) {
-            currentSuite = trimmedLine;
-          }
-        }
-        
-        // Look for individual test results with timing
-        const testMatch = line.match(/^\s*✓\s+(.+?)\s*\((\d+)\s*ms\)/);
-        if (testMatch) {
-          const [, testName, duration] = testMatch;
-          const cleanTestName = testName.trim();
-          const testDuration = parseInt(duration);
-          totalTestDuration += testDuration;
-          
-          if (cleanTestName && cleanTestName !== '\n' && cleanTestName.length > 0) {
-            testResults.push({
-              name: cleanTestName,
-              suite: currentSuite,
-              status: 'passed',
-              duration: testDuration,
-              error: null
-            });
-          }
-        } else {
-          // Handle tests without explicit timing (usually very fast tests)
-          const quickTestMatch = line.match(/^\s*✓\s+(.+?)$/);
-          if (quickTestMatch) {
-            const [, testName] = quickTestMatch;
-            const cleanTestName = testName.trim();
-            // Only process if it doesn't contain duration info and is not empty
-            if (!testName.includes('(') && !testName.includes('ms') && 
-                cleanTestName && cleanTestName !== '\n' && cleanTestName.length > 0) {
-              testResults.push({
-                name: cleanTestName,
-                suite: currentSuite,
-                status: 'passed',
-                duration: 0, // Very fast test, under 1ms
-                error: null
-              });
-            }
-          }
-        }
-
-        // Look for failed tests
-        const failedTestMatch = line.match(/^\s*[✗✕×]\s+(.+?)\s*(?:\((\d+)\s*ms\))?/);
-        if (failedTestMatch) {
-          const [, testName, duration] = failedTestMatch;
-          const cleanTestName = testName.trim();
-          const testDuration = duration ? parseInt(duration) : 0;
-          totalTestDuration += testDuration;
-          
-          if (cleanTestName && cleanTestName !== '\n' && cleanTestName.length > 0) {
-            const failedTest = {
-              name: cleanTestName,
-              suite: currentSuite,
-              status: 'failed',
-              duration: testDuration,
-              error: null
-            };
-            testResults.push(failedTest);
-            currentFailedTest = failedTest;
-            collectingError = true;
-            errorLines = [];
-          }
-        }        // Look for skipped tests
-        const skippedTestMatch = line.match(/^\s*○\s+(.+?)$/);
-        if (skippedTestMatch) {
-          const [, testName] = skippedTestMatch;
-          const cleanTestName = testName.trim();
-          
-          if (cleanTestName && cleanTestName !== '\n' && cleanTestName.length > 0) {
-            testResults.push({
-              name: cleanTestName,
-              suite: currentSuite,
-              status: 'skipped',
-              duration: 0,
-              error: null
-            });
-          }
-        }
-      }
-      
-      // Handle any remaining error collection
-      if (collectingError && currentFailedTest && errorLines.length > 0) {
-        currentFailedTest.error = errorLines.join('\n').trim();
-      }
-      
-      // Calculate hook duration based on timing analysis
-      if (overallSuiteDuration > 0 && totalTestDuration >= 0) {
-        // Estimate hook duration as the difference between total suite time and test execution time
-        const estimatedHookDuration = Math.max(0, overallSuiteDuration - totalTestDuration);
-        
-        // For now, attribute most hook overhead to beforeAll
-        // This is a reasonable assumption since beforeAll typically contains setup logic
-        if (estimatedHookDuration > 10) { // Only track if significant (>10ms)
-          hookInfo.beforeAll.duration = Math.round(estimatedHookDuration * 0.8); // 80% to beforeAll
-          hookInfo.beforeAll.status = 'estimated';
-          
-          // Distribute remaining time to other hooks if tests show they might exist
-          const remainingDuration = estimatedHookDuration - hookInfo.beforeAll.duration;
-          if (remainingDuration > 5 && testResults.length > 1) {
-            hookInfo.beforeEach.duration = Math.round(remainingDuration * 0.7);
-            hookInfo.beforeEach.status = 'estimated';
-            hookInfo.afterEach.duration = Math.round(remainingDuration * 0.2);
-            hookInfo.afterEach.status = 'estimated';
-            hookInfo.afterAll.duration = Math.round(remainingDuration * 0.1);
-            hookInfo.afterAll.status = 'estimated';
-          }
-        }
-      }
-      
-      // If no tests were parsed, try alternative parsing for different Jest output formats
-      if (testResults.length === 0) {
-        this.logger.debug(`No test results parsed from Jest output for ${path.basename(workItem.filePath)}`);
-        this.logger.debug(`Sample output lines: ${lines.slice(0, 10).join(' | ')}`);
-        
-        // Fallback: create placeholder results based on test count
-        for (let i = 0; i < workItem.testCount; i++) {
-          testResults.push({
-            name: `Test ${i + 1}`,
-            suite: path.basename(workItem.filePath, '.test.js'),
-            status: 'passed', // Assume passed since Jest exited with code 0
-            duration: 0,
-            error: null
-          });
-        }
-      }
-      
-    } catch (error) {
-      this.logger.error(`Error parsing Jest output for ${workItem.filePath}:`, error.message);
-    }
-    
-    return { testResults, hookInfo };
-  }
-
   // Detect if a timeout likely occurred during hook execution
   detectHookTimeout(output, errorOutput, filePath) {
     const allOutput = (output + '\n' + errorOutput).toLowerCase();
@@ -1288,7 +1755,7 @@ class WorkerManager {
 
   processWorkQueue() {
     // Start workers up to maxWorkers limit while there are items in the queue
-    while (this.activeWorkers < this.maxWorkers && this.workQueue.length > 0) {
+    while (!this.bailed && !this.startFailed && this.activeWorkers < this.maxWorkers && this.nextStartableIndex() !== -1) {
       // Find an available worker ID (reuse completed worker slots)
       let workerId = this.findAvailableWorkerId();
       this.startWorker(workerId);
@@ -1301,14 +1768,58 @@ class WorkerManager {
   }
 
   findAvailableWorkerId() {
-    // Find the first available worker slot, or use the next sequential ID
+    // Reuse the first slot whose process has exited, or use the next sequential ID
     for (let i = 0; i < this.maxWorkers; i++) {
-      if (!this.workers[i] || this.workers[i].killed) {
+      const worker = this.workers[i];
+      if (this.slotsInSetup.has(i)) continue;
+      if (!worker || worker.exitCode !== null || worker.signalCode !== null) {
         return i;
       }
     }
     // If all slots are in use, this shouldn't happen due to activeWorkers check
-    return this.workers.length;
+    return Object.keys(this.workers).length;
+  }
+
+  /**
+   * Build the fileSummary entry of test-status.json for one fileDetails entry.
+   * Also fills in the entry's aggregated duration.
+   * @param {Object} f - fileDetails entry
+   * @returns {Object} File summary
+   */
+  static summarizeFileStatus(f) {
+    // Calculate file duration from test results if available
+    let fileDurationMs = 0;
+    if (f.tests && f.tests.length > 0) {
+      fileDurationMs = f.tests.reduce((sum, test) => sum + (test.durationMs || 0), 0);
+    }
+    
+    // Add calculated duration to the file map entry for fileDetails
+    f.duration = fileDurationMs > 0 ? `${(fileDurationMs / 1000).toFixed(3)}s` : 'N/A';
+    f.durationMs = fileDurationMs;
+    
+    // Calculate total hook duration for summary
+    const totalHookDuration = Object.values(f.hooks).reduce((sum, hook) => sum + (hook.duration || 0), 0);
+    
+    return {
+      filePath: f.filePath,
+      status: f.status,
+      testCount: f.testCount || f.tests.length,
+      passed: f.passed,
+      failed: f.failed,
+      skipped: f.skipped,
+      todo: f.todo,
+      flaky: f.flaky || 0,
+      notRun: f.notRun || 0,
+      duration: f.duration,
+      durationMs: f.durationMs,
+      hooks: {
+        total: totalHookDuration,
+        beforeAll: f.hooks.beforeAll,
+        beforeEach: f.hooks.beforeEach,
+        afterAll: f.hooks.afterAll,
+        afterEach: f.hooks.afterEach
+      }
+    };
   }
 
   checkCompletion() {
@@ -1330,11 +1841,13 @@ class WorkerManager {
         console.error('Error logging final test status:', err.message)
       );
 
+      // Persist this run's durations for scheduling the next one
+      this.timingStore.save();
+
       // Write enhanced JSON reporter output
       try {
         const fs = require('fs');
-        const path = require('path');
-        const reportDir = path.join(process.cwd(), 'reports');
+        const reportDir = path.resolve(this.outputDir);
         if (!fs.existsSync(reportDir)) {
           fs.mkdirSync(reportDir, { recursive: true });
         }
@@ -1351,6 +1864,9 @@ class WorkerManager {
               passed: 0,
               failed: 0,
               skipped: 0,
+              todo: 0,
+              flaky: 0,
+              notRun: 0,
               tests: [],
               startTime: null,
               endTime: null,
@@ -1364,6 +1880,7 @@ class WorkerManager {
           }
           // File-level status
           if (result.status === 'failed') fileMap[file].status = 'failed';
+          if (result.status === 'not-run' && fileMap[file].status === 'passed') fileMap[file].status = 'not-run';
           if (result.testCount) fileMap[file].testCount += result.testCount;
           
           // Track file timing
@@ -1388,68 +1905,55 @@ class WorkerManager {
             for (const t of result.testResults) {
               fileMap[file].tests.push({
                 name: t.testName || t.fullName || t.title || t.name || 'Unknown Test',
+                ancestorTitles: t.ancestorTitles || [],
                 status: t.status,
                 duration: t.duration ? `${(t.duration / 1000).toFixed(3)}s` : 'N/A',
-                durationMs: t.duration || 0
+                durationMs: t.duration || 0,
+                ...(t.attempts ? { attempts: t.attempts } : {})
               });
               if (t.status === 'passed') fileMap[file].passed++;
               if (t.status === 'failed') fileMap[file].failed++;
               if (t.status === 'skipped') fileMap[file].skipped++;
+              if (t.status === 'todo') fileMap[file].todo++;
+              if (t.status === 'flaky') fileMap[file].flaky++;
+              if (t.status === 'not-run') fileMap[file].notRun++;
             }
           } else if (result.status) {
             // Fallback for single test
             fileMap[file].tests.push({
               name: result.testName || result.fullName || result.title || result.name || 'Unknown Test',
+              ancestorTitles: result.ancestorTitles || [],
               status: result.status,
               duration: result.duration ? `${(result.duration / 1000).toFixed(3)}s` : 'N/A',
-              durationMs: result.duration || 0
+              durationMs: result.duration || 0,
+              ...(result.attempts ? { attempts: result.attempts } : {})
             });
             if (result.status === 'passed') fileMap[file].passed++;
             if (result.status === 'failed') fileMap[file].failed++;
             if (result.status === 'skipped') fileMap[file].skipped++;
+            if (result.status === 'todo') fileMap[file].todo++;
+            if (result.status === 'flaky') fileMap[file].flaky++;
+            if (result.status === 'not-run') fileMap[file].notRun++;
           }
         }
 
         // Build file summary array
-        const fileSummaries = Object.values(fileMap).map(f => {
-          // Calculate file duration from test results if available
-          let fileDurationMs = 0;
-          if (f.tests && f.tests.length > 0) {
-            fileDurationMs = f.tests.reduce((sum, test) => sum + (test.durationMs || 0), 0);
-          }
-          
-          // Add calculated duration to the file map entry for fileDetails
-          f.duration = fileDurationMs > 0 ? `${(fileDurationMs / 1000).toFixed(3)}s` : 'N/A';
-          f.durationMs = fileDurationMs;
-          
-          // Calculate total hook duration for summary
-          const totalHookDuration = Object.values(f.hooks).reduce((sum, hook) => sum + (hook.duration || 0), 0);
-          
-          return {
-            filePath: f.filePath,
-            status: f.status,
-            testCount: f.testCount || f.tests.length,
-            passed: f.passed,
-            failed: f.failed,
-            skipped: f.skipped,
-            duration: f.duration,
-            durationMs: f.durationMs,
-            hooks: {
-              total: totalHookDuration,
-              beforeAll: f.hooks.beforeAll,
-              beforeEach: f.hooks.beforeEach,
-              afterAll: f.hooks.afterAll,
-              afterEach: f.hooks.afterEach
-            }
-          };
-        });
+        const fileSummaries = Object.values(fileMap).map(f => WorkerManager.summarizeFileStatus(f));
 
         const jsonReport = {
+          schemaVersion: STATUS_REPORT_VERSION,
           summary: {
             total: this.testStatus.total,
             passed: this.testStatus.passed,
             failed: this.testStatus.failed,
             skipped: this.testStatus.skipped,
+            todo: this.testStatus.todo,
+            flaky: this.testStatus.flaky,
+            notRun: this.testStatus.notRun,
+            bailed: this.bailed,
+            expected: this.testStatus.expected,
+            mode: this.mode,
+            shard: this.shard,
             completed: this.testStatus.completed,
             running: this.testStatus.running,
             successRate: this.testStatus.total > 0 ? ((this.testStatus.passed / this.testStatus.total) * 100).toFixed(1) : '0.0',
@@ -1471,13 +1975,17 @@ class WorkerManager {
           fileDetails: fileMap,
           results: this.results
         };
-        fs.writeFileSync(path.join(reportDir, 'test-status.json'), JSON.stringify(jsonReport, null, 2), 'utf8');
-        this.logger.info('JSON test status report written to reports/test-status.json');
+        const statusPath = path.join(reportDir, 'test-status.json');
+        fs.writeFileSync(statusPath, JSON.stringify(jsonReport, null, 2), 'utf8');
+        this.logger.info(`JSON test status report written to ${path.relative(process.cwd(), statusPath)}`);
       } catch (err) {
         this.logger.error('Failed to write JSON test status report:', err.message);
       }
 
-      this.onComplete(this.results);
+      // The pool has drained: tear down the worker slots before reporting
+      this.workerResources.teardownSlots()
+        .catch(error => this.logger.error(`Failed to tear down worker slots: ${error.message}`))
+        .then(() => this.onComplete(this.results));
     }
   }
 
@@ -1488,7 +1996,49 @@ class WorkerManager {
         worker.kill('SIGTERM');
       }
     });
+    this.workerResources.releaseAll();
+  }
+}
+
+/**
+ * Check that a parsed test-status.json follows STATUS_REPORT_VERSION.
+ * @param {Object} report - Parsed test-status.json
+ * @param {string} filePath - Where the report was read from, for the error
+ */
+function checkStatusReportVersion(report, filePath) {
+  if (!report || report.schemaVersion !== STATUS_REPORT_VERSION) {
+    throw new Error(`Unsupported test-status.json schema version ${report && report.schemaVersion} in ${filePath} (expected ${STATUS_REPORT_VERSION})`);
   }
 }
 
-module.exports = { WorkerManager };
+function testResultName(test) {
+  return test.testName || test.name || test.fullName || test.title;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Matches the full Jest test name ("describe name test name") ending in one of the titles
+function testNamesToPattern(testNames) {
+  return `(?:^|\\s)(?:${testNames.map(escapeRegExp).join('|')})$`;
+}
+
+// Matches exactly the tests given as [...describe titles, test title]; Jest joins them with spaces
+function titlePathsToPattern(titlePaths) {
+  return `^(?:${titlePaths.map(titles => escapeRegExp(titles.join(' '))).join('|')})$`;
+}
+
+function attemptOf(result, attempt) {
+  return {
+    attempt,
+    status: result.status,
+    duration: result.duration || 0,
+    error: result.error || null,
+    workerId: result.workerId,
+    startTime: result.startTime,
+    endTime: result.endTime
+  };
+}
+
+module.exports = { WorkerManager, STATUS_REPORT_VERSION, checkStatusReportVersion, testNamesToPattern, titlePathsToPattern };
@@ -0,0 +1,295 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// First port handed out, and ports reserved for each worker slot
+const DEFAULT_BASE_PORT = 41000;
+const DEFAULT_PORTS_PER_WORKER = 10;
+const MAX_PORT = 65535;
+
+// What workerSetup returned, in the slot's directory (JEST_PARALLEL_WORKER_SETUP)
+const WORKER_SETUP_FILE = 'worker-setup.json';
+
+function isPortFree(port) {
+  return new Promise(resolve => {
+    const server = net.createServer();
+    server.unref();
+    server.once('error', () => resolve(false));
+    server.listen(port, () => server.close(() => resolve(true)));
+  });
+}
+
+/**
+ * Find `count` disjoint ranges of `size` consecutive free ports, starting
+ * at `basePort`. Ports are only known to be free when this runs.
+ * @returns {Promise<Array<{start: number, end: number}>>} Inclusive ranges
+ */
+async function allocatePortRanges(count, { basePort = DEFAULT_BASE_PORT, size = DEFAULT_PORTS_PER_WORKER } = {}) {
+  const ranges = [];
+  let start = basePort;
+
+  while (ranges.length < count) {
+    if (start + size - 1 > MAX_PORT) {
+      throw new Error(`No free range of ${size} ports left above ${basePort} for worker ${ranges.length}`);
+    }
+
+    let busy = null;
+    for (let port = start; port < start + size && busy === null; port++) {
+      if (!(await isPortFree(port))) busy = port;
+    }
+
+    if (busy === null) {
+      ranges.push({ start, end: start + size - 1 });
+      start += size;
+    } else {
+      start = busy + 1;
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Load a workerSetup / workerTeardown module, resolved from the working
+ * directory, that exports a function. Functions are used as they are.
+ * @param {string|Function} hook - Module path or function
+ * @param {string} option - Option name, for errors
+ * @returns {Function}
+ */
+function loadWorkerHook(hook, option) {
+  if (typeof hook === 'function') return hook;
+
+  let modulePath;
+  try {
+    modulePath = require.resolve(hook, { paths: [process.cwd()] });
+  } catch (error) {
+    throw new Error(`Cannot find ${option} module ${hook} from ${process.cwd()}`);
+  }
+
+  let exported = require(modulePath);
+  if (exported && exported.__esModule && exported.default) {
+    exported = exported.default;
+  }
+  if (typeof exported !== 'function') {
+    throw new Error(`${option} module ${hook} must export a function`);
+  }
+  return exported;
+}
+
+function toEnv(variables) {
+  const env = {};
+  for (const [name, value] of Object.entries(variables || {})) {
+    if (value !== undefined && value !== null) env[name] = String(value);
+  }
+  return env;
+}
+
+/**
+ * Environment that keeps parallel workers from colliding on shared
+ * resources. Every worker process gets:
+ *
+ *   JEST_PARALLEL_WORKER_ID   its worker slot (0 to maxWorkers - 1), reused
+ *                             by the next process in the same slot
+ *   JEST_PARALLEL_TMPDIR      an empty directory of its own, removed when
+ *                             the process exits
+ *   JEST_PARALLEL_PORT_START  first and last port of the slot's range
+ *   JEST_PARALLEL_PORT_END    (portsPerWorker, 0 turns ranges off)
+ *
+ * plus whatever the `workerEnv(workerId, workItem)` option returns.
+ *
+ * With `workerSetup` / `workerTeardown`, each worker slot also has
+ * fixtures that outlive its processes: workerSetup({ workerId, slotDir,
+ * ports }) runs when the slot gets its first work item, and its return
+ * value reaches the slot's processes as JSON in JEST_PARALLEL_WORKER_SETUP
+ * (an `env` object in it is added to their environment). workerTeardown
+ * gets the same context plus `setup` once the pool drains, for the slots
+ * that were set up.
+ */
+class WorkerResources {
+  constructor(options = {}, logger) {
+    this.maxWorkers = options.maxWorkers || 4;
+    this.basePort = options.basePort || DEFAULT_BASE_PORT;
+    this.portsPerWorker = options.portsPerWorker ?? DEFAULT_PORTS_PER_WORKER;
+    this.workerEnv = options.workerEnv || null;
+    this.workerSetup = options.workerSetup || null;
+    this.workerTeardown = options.workerTeardown || null;
+    this.logger = logger;
+
+    // Worker slots with fixtures: workerId -> { workerId, slotDir, ports, setup, env, ready }
+    this.slots = new Map();
+    // workerSetup runs in progress or done: workerId -> promise
+    this.setups = new Map();
+    this.teardownPromise = null;
+
+    this.portRanges = null;
+    // Temp directories of running worker processes
+    this.tmpDirs = new Set();
+  }
+
+  /**
+   * Reserve a port range for every worker slot, once per run.
+   */
+  async allocatePorts() {
+    if (this.portRanges || this.portsPerWorker === 0) return;
+
+    this.portRanges = await allocatePortRanges(this.maxWorkers, { basePort: this.basePort, size: this.portsPerWorker });
+    this.logger.debug(`Worker port ranges: ${this.portRanges.map((range, workerId) => `${workerId}=${range.start}-${range.end}`).join(', ')}`);
+  }
+
+  get hasSlotLifecycle() {
+    return Boolean(this.workerSetup || this.workerTeardown);
+  }
+
+  /**
+   * Whether a worker slot's workerSetup still has to run before it starts work.
+   */
+  needsSetup(workerId) {
+    return this.hasSlotLifecycle && !this.setups.has(workerId);
+  }
+
+  /**
+   * Run workerSetup for a worker slot, once. Resolves when the slot is set up.
+   */
+  setupSlot(workerId) {
+    if (!this.setups.has(workerId)) {
+      this.setups.set(workerId, this.runSetup(workerId));
+    }
+    return this.setups.get(workerId);
+  }
+
+  async runSetup(workerId) {
+    const slot = {
+      workerId,
+      slotDir: fs.mkdtempSync(path.join(os.tmpdir(), `jest-parallel-slot-${workerId}-`)),
+      ports: (this.portRanges && this.portRanges[workerId]) || null,
+      setup: null,
+      env: {},
+      ready: false
+    };
+    this.slots.set(workerId, slot);
+
+    try {
+      const setup = this.workerSetup ? loadWorkerHook(this.workerSetup, 'workerSetup') : null;
+      if (setup) {
+        slot.setup = (await setup({ workerId, slotDir: slot.slotDir, ports: slot.ports })) ?? null;
+      }
+      const setupFile = path.join(slot.slotDir, WORKER_SETUP_FILE);
+      fs.writeFileSync(setupFile, JSON.stringify(slot.setup), 'utf8');
+      slot.env = { JEST_PARALLEL_WORKER_SETUP: setupFile, ...toEnv(slot.setup && slot.setup.env) };
+      slot.ready = true;
+      this.logger.debug(`Set up worker slot ${workerId}`);
+    } catch (error) {
+      throw new Error(`workerSetup failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run workerTeardown for every slot that was set up and remove the slot
+   * directories. Setups still running finish first. Errors are logged; the
+   * run's results stand.
+   */
+  teardownSlots() {
+    if (!this.teardownPromise && this.setups.size > 0) {
+      this.teardownPromise = this.runTeardowns();
+    }
+    return this.teardownPromise || Promise.resolve();
+  }
+
+  async runTeardowns() {
+    await Promise.allSettled(this.setups.values());
+    const slots = [...this.slots.values()];
+    this.slots.clear();
+
+    let teardown = null;
+    try {
+      teardown = this.workerTeardown ? loadWorkerHook(this.workerTeardown, 'workerTeardown') : null;
+    } catch (error) {
+      this.logger.error(error.message);
+    }
+
+    await Promise.all(slots.map(async slot => {
+      if (teardown && slot.ready) {
+        try {
+          await teardown({ workerId: slot.workerId, slotDir: slot.slotDir, ports: slot.ports, setup: slot.setup });
+        } catch (error) {
+          this.logger.error(`workerTeardown failed for worker ${slot.workerId}: ${error.message}`);
+        }
+      }
+      try {
+        fs.rmSync(slot.slotDir, { recursive: true, force: true });
+      } catch (error) {
+        this.logger.warn(`Failed to remove worker slot directory ${slot.slotDir}: ${error.message}`);
+      }
+    }));
+    this.logger.debug(`Tore down ${slots.length} worker slot(s)`);
+  }
+
+  /**
+   * Create the resources of a worker process about to start.
+   * @param {number} workerId - Worker slot
+   * @param {Object} workItem - Work item the process will run
+   * @returns {{env: Object, tmpDir: string}} Variables to add to the process environment
+   */
+  acquire(workerId, workItem) {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), `jest-parallel-${workerId}-`));
+    this.tmpDirs.add(tmpDir);
+
+    const env = {
+      JEST_PARALLEL_WORKER_ID: String(workerId),
+      JEST_PARALLEL_TMPDIR: tmpDir
+    };
+    const range = this.portRanges && this.portRanges[workerId];
+    if (range) {
+      env.JEST_PARALLEL_PORT_START = String(range.start);
+      env.JEST_PARALLEL_PORT_END = String(range.end);
+    }
+    const slot = this.slots.get(workerId);
+    if (slot && slot.ready) {
+      Object.assign(env, slot.env);
+    }
+
+    if (this.workerEnv) {
+      try {
+        Object.assign(env, this.customEnv(workerId, workItem));
+      } catch (error) {
+        this.release({ tmpDir });
+        throw error;
+      }
+    }
+    return { env, tmpDir };
+  }
+
+  customEnv(workerId, workItem) {
+    const custom = this.workerEnv(workerId, {
+      type: workItem.type,
+      filePath: workItem.filePath,
+      testName: workItem.testName,
+      attempt: workItem.attempt || 1
+    });
+    if (custom && typeof custom.then === 'function') {
+      throw new Error('workerEnv must return the variables synchronously, not a promise');
+    }
+
+    return toEnv(custom);
+  }
+
+  /**
+   * Remove the temp directory of a worker process that exited.
+   */
+  release({ tmpDir }) {
+    if (!this.tmpDirs.delete(tmpDir)) return;
+    try {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    } catch (error) {
+      this.logger.warn(`Failed to remove worker temp directory ${tmpDir}: ${error.message}`);
+    }
+  }
+
+  releaseAll() {
+    for (const tmpDir of [...this.tmpDirs]) {
+      this.release({ tmpDir });
+    }
+  }
+}
+
+module.exports = { WorkerResources, allocatePortRanges, loadWorkerHook, DEFAULT_BASE_PORT, DEFAULT_PORTS_PER_WORKER, WORKER_SETUP_FILE };
@@ -1,9 +1,13 @@
 const { JestParallelRunner } = require('./core/runner');
 const { TestParser } = require('./core/parser');
 const { WorkerManager } = require('./core/worker-manager');
-const { ReportGenerator } = require('./core/reporter');
+const { ReportGenerator, REPORTERS } = require('./core/reporter');
 const { Logger } = require('./utils/logger');
 const { ExecutionLogger } = require('./core/execution-logger');
+const { validateConfig } = require('./config');
+const { mergeReports } = require('./core/merge');
+const { generateTrendsReport } = require('./core/trends');
+const { compareReports } = require('./core/diff');
 
 /**
  * Jest Parallel Worker SDK - Main SDK class for external usage
@@ -37,8 +41,15 @@ class JestParallelSDK {
   }
 
   /**
-   * Run tests with lifecycle hooks for external integrations
+   * Run tests with lifecycle hooks for external integrations. Per-test and
+   * per-file hooks are called from the runner's events as the run progresses;
+   * afterAll waits until the hooks of every event have settled.
    * @param {Object} hooks - Lifecycle hooks
+   * @param {Function} hooks.beforeEach - Called with each testStart payload
+   * @param {Function} hooks.afterEach - Called with each testComplete payload
+   * @param {Function} hooks.onFileStart - Called with each fileStart payload
+   * @param {Function} hooks.onFileComplete - Called with each fileComplete payload
+   * @param {Function} hooks.onProgress - Called with live progress counters
    * @returns {Promise<Object>} Test results
    */
   async runWithHooks(hooks = {}) {
@@ -47,6 +58,8 @@ class JestParallelSDK {
       beforeEach = async () => {},
       afterEach = async () => {},
       afterAll = async () => {},
+      onFileStart = async () => {},
+      onFileComplete = async () => {},
       onProgress = () => {},
       onComplete = async () => {}
     } = hooks;
@@ -54,14 +67,22 @@ class JestParallelSDK {
     try {
       await beforeAll();
 
-      const runner = new JestParallelRunner({
-        ...this.options,
-        onProgress,
-        onTestComplete: afterEach,
-        onTestStart: beforeEach
+      const runner = new JestParallelRunner(this.options);
+      const pendingHooks = [];
+      const subscribe = (event, hook) => runner.on(event, payload => {
+        // A failing hook is reported but doesn't stop the run
+        pendingHooks.push(Promise.resolve()
+          .then(() => hook(payload))
+          .catch(error => this.logger.error(`${event} hook failed:`, error.message)));
       });
+      subscribe('testStart', beforeEach);
+      subscribe('testComplete', afterEach);
+      subscribe('fileStart', onFileStart);
+      subscribe('fileComplete', onFileComplete);
+      subscribe('progress', onProgress);
 
       const results = await runner.run();
+      await Promise.all(pendingHooks);
       
       await afterAll();
       await onComplete(results);
@@ -101,11 +122,141 @@ class JestParallelSDK {
     return this;
   }
 
+  /**
+   * @param {string|string[]} reporter - console, html, junit or both; combine with a list or 'console,junit'
+   */
   setReporter(reporter) {
     this.options.reporter = reporter;
     return this;
   }
 
+  /**
+   * Register reporters: 'default', built-in names or module paths
+   * @param {Array} reporters - e.g. ['default', ['./slack-reporter.js', { channel: '#ci' }]]
+   */
+  setReporters(reporters) {
+    this.options.reporters = reporters;
+    return this;
+  }
+
+  /**
+   * Write a Chrome trace of the run
+   * @param {string} file - Trace file, e.g. "reports/trace.json"
+   */
+  setTrace(file) {
+    this.options.trace = file;
+    return this;
+  }
+
+  /**
+   * Number of past runs kept for `jest-parallel history`
+   * @param {number} size - Runs to keep; 0 stops recording
+   */
+  setHistorySize(size) {
+    this.options.historySize = size;
+    return this;
+  }
+
+  /**
+   * Flag tests that run much slower than their rolling baseline or over
+   * their `@budget` annotation
+   * @param {Object} options - { factor: times the baseline (default 2), failOnRegression }
+   */
+  setPerfGate({ factor, failOnRegression = false } = {}) {
+    this.options.perfGate = true;
+    if (factor !== undefined) this.options.perfFactor = factor;
+    this.options.failOnPerfRegression = failOnRegression;
+    return this;
+  }
+
+  /**
+   * Add environment variables to each worker process, e.g. a database name
+   * @param {Function} hook - (workerId, workItem) => ({ DATABASE_NAME: `test_${workerId}` })
+   */
+  setWorkerEnv(hook) {
+    this.options.workerEnv = hook;
+    return this;
+  }
+
+  /**
+   * Ports reserved for each worker (JEST_PARALLEL_PORT_START/END)
+   * @param {Object} options - { basePort (default 41000), portsPerWorker (default 10, 0 turns it off) }
+   */
+  setWorkerPorts({ basePort, portsPerWorker } = {}) {
+    if (basePort !== undefined) this.options.basePort = basePort;
+    if (portsPerWorker !== undefined) this.options.portsPerWorker = portsPerWorker;
+    return this;
+  }
+
+  /**
+   * Set up fixtures once per worker slot and tear them down when the pool drains
+   * @param {Object} hooks - { setup, teardown }: module paths or functions
+   */
+  setWorkerLifecycle({ setup, teardown } = {}) {
+    if (setup !== undefined) this.options.workerSetup = setup;
+    if (teardown !== undefined) this.options.workerTeardown = teardown;
+    return this;
+  }
+
+  /**
+   * Never run two test files holding the same lock at once
+   * @param {Object} locks - Lock name to globs, e.g. { database: ['tests/db/**'] }
+   */
+  setLocks(locks) {
+    this.options.locks = locks;
+    return this;
+  }
+
+  /**
+   * Run only one shard of the suite
+   * @param {string|Object} shard - "index/total" (e.g. "2/5") or { index, total }
+   * @param {Object} options - { timings: timings.json shared by every shard, to balance them }
+   */
+  setShard(shard, { timings } = {}) {
+    this.options.shard = shard;
+    if (timings !== undefined) this.options.timings = timings;
+    return this;
+  }
+
+  setRetries(retries) {
+    this.options.retries = retries;
+    return this;
+  }
+
+  /**
+   * Stop the run after a number of failed tests
+   * @param {boolean|number} bail - Failure threshold; true means 1
+   */
+  setBail(bail = true) {
+    this.options.bail = bail;
+    return this;
+  }
+
+  /**
+   * Run only tests affected by files changed since a git ref
+   * @param {string} ref - Branch, tag or commit, e.g. "main"
+   */
+  setChangedSince(ref) {
+    this.options.changedSince = ref;
+    return this;
+  }
+
+  /**
+   * Run only tests affected by uncommitted changes
+   */
+  setOnlyChanged(onlyChanged = true) {
+    this.options.onlyChanged = onlyChanged;
+    return this;
+  }
+
+  /**
+   * Rerun only the tests that failed in the previous run
+   */
+  setLastFailed(lastFailed = true) {
+    this.options.lastFailed = lastFailed;
+    return this;
+  }
+
   enableVerbose(verbose = true) {
     this.options.verbose = verbose;
     this.logger = new Logger({ verbose });
@@ -129,6 +280,37 @@ class JestParallelSDK {
     return await sdk.run();
   }
 
+  /**
+   * Merge test-status.json reports from several runs (e.g. CI shards) and
+   * regenerate the console, HTML and JSON reports
+   * @param {string[]} inputs - Report directories or test-status.json files
+   * @param {Object} options - { outputDir, reporter, reporters, junitSuiteName, verbose }
+   * @returns {Promise<Object>} Merged results
+   */
+  static async mergeReports(inputs, options = {}) {
+    return await mergeReports(inputs, options);
+  }
+
+  /**
+   * Summarize the recorded run history and write its trends page
+   * @param {Object} options - { cacheDir, outputDir, limit, top, verbose }
+   * @returns {Promise<Object>} { trends, reportPath, historyDir }
+   */
+  static async history(options = {}) {
+    return await generateTrendsReport(options);
+  }
+
+  /**
+   * Compare the JSON reports of two runs and write the comparison page
+   * @param {string} baseline - Baseline test-report.json or its directory
+   * @param {string} current - Current test-report.json or its directory
+   * @param {Object} options - { outputDir, slowerThreshold, minDelta, verbose }
+   * @returns {Promise<Object>} { diff, reportPath }
+   */
+  static async compareReports(baseline, current, options = {}) {
+    return await compareReports(baseline, current, options);
+  }
+
   /**
    * Get available execution modes
    */
@@ -140,7 +322,7 @@ class JestParallelSDK {
    * Get available reporters
    */
   static getReporters() {
-    return ['console', 'json', 'html', 'both'];
+    return [...REPORTERS];
   }
 
   /**
@@ -163,27 +345,10 @@ class JestParallelSDK {
 
   /**
    * Validate configuration
+   * @returns {Array} Array of validation errors (empty if valid)
    */
   validate() {
-    const errors = [];
-    
-    if (!this.options.testMatch) {
-      errors.push('testMatch is required');
-    }
-    
-    if (!JestParallelSDK.getModes().includes(this.options.mode)) {
-      errors.push(`Invalid mode: ${this.options.mode}. Valid modes: ${JestParallelSDK.getModes().join(', ')}`);
-    }
-    
-    if (this.options.maxWorkers && this.options.maxWorkers < 1) {
-      errors.push('maxWorkers must be >= 1');
-    }
-    
-    if (this.options.timeout && this.options.timeout < 1000) {
-      errors.push('timeout must be >= 1000ms');
-    }
-    
-    return errors;
+    return validateConfig(this.options);
   }
 }
 
@@ -206,5 +371,8 @@ module.exports = {
   
   // Static utilities
   runTests: JestParallelSDK.runTests,
+  mergeReports: JestParallelSDK.mergeReports,
+  history: JestParallelSDK.history,
+  compareReports: JestParallelSDK.compareReports,
   getModes: JestParallelSDK.getModes
 };
@@ -60,6 +60,59 @@ class Logger {
     }
   }
 
+  // Live status line kept below the log output of an interactive terminal.
+  // While it is shown, other writes to stdout/stderr erase it first and it
+  // is redrawn after each complete line.
+  status(message) {
+    if (this.silent || !process.stdout.isTTY) return;
+    if (!this._restoreStreams) {
+      this._pinStatusLine();
+    }
+    this._statusLine = message;
+    this._eraseStatus();
+    this._drawStatus();
+  }
+
+  clearStatus() {
+    if (!this._restoreStreams) return;
+    this._eraseStatus();
+    this._restoreStreams();
+    this._restoreStreams = null;
+    this._statusLine = null;
+  }
+
+  _pinStatusLine() {
+    const streams = [process.stdout, process.stderr];
+    const originalWrites = streams.map(stream => stream.write);
+    this._writeStatus = originalWrites[0].bind(process.stdout);
+
+    streams.forEach((stream, i) => {
+      stream.write = (chunk, ...args) => {
+        this._eraseStatus();
+        const written = originalWrites[i].call(stream, chunk, ...args);
+        if (String(chunk).endsWith('\n')) {
+          this._drawStatus();
+        }
+        return written;
+      };
+    });
+    this._restoreStreams = () => streams.forEach((stream, i) => { stream.write = originalWrites[i]; });
+  }
+
+  _drawStatus() {
+    if (!this._statusLine || this._statusDrawn) return;
+    // Longer lines would wrap and could no longer be erased with \r
+    const width = (process.stdout.columns || 80) - 1;
+    this._writeStatus(chalk.cyan(this._statusLine.slice(0, width)));
+    this._statusDrawn = true;
+  }
+
+  _eraseStatus() {
+    if (!this._statusDrawn) return;
+    this._writeStatus('\r\x1b[K');
+    this._statusDrawn = false;
+  }
+
   _formatMessage(level, ...args) {
     const timestamp = new Date().toISOString();
     const elapsed = Date.now() - this.startTime;
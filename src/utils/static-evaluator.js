@@ -0,0 +1,257 @@
+/**
+ * Minimal static evaluator for Babel AST nodes.
+ *
+ * Used by the TestParser to resolve test titles, loop bounds and other values
+ * that can be known without executing the test file (literals, constants,
+ * template literals, simple arithmetic). Anything that depends on runtime
+ * state evaluates to UNRESOLVED.
+ */
+
+const UNRESOLVED = Symbol('unresolved');
+
+class Scope {
+  constructor(parent = null) {
+    this.parent = parent;
+    this.bindings = new Map();
+  }
+
+  child() {
+    return new Scope(this);
+  }
+
+  define(name, value) {
+    this.bindings.set(name, value);
+  }
+
+  lookup(name) {
+    let scope = this;
+    while (scope) {
+      if (scope.bindings.has(name)) {
+        return scope.bindings.get(name);
+      }
+      scope = scope.parent;
+    }
+    return UNRESOLVED;
+  }
+}
+
+const WRAPPER_NODES = [
+  'ParenthesizedExpression',
+  'TSAsExpression',
+  'TSSatisfiesExpression',
+  'TSNonNullExpression',
+  'TSTypeAssertion',
+  'TypeCastExpression'
+];
+
+function evaluate(node, scope) {
+  if (!node) return UNRESOLVED;
+
+  try {
+    switch (node.type) {
+      case 'StringLiteral':
+      case 'NumericLiteral':
+      case 'BooleanLiteral':
+        return node.value;
+      case 'NullLiteral':
+        return null;
+      case 'Identifier':
+        if (node.name === 'undefined') return undefined;
+        return scope ? scope.lookup(node.name) : UNRESOLVED;
+      case 'TemplateLiteral':
+        return evaluateTemplate(node, scope);
+      case 'ArrayExpression':
+        return evaluateArray(node, scope);
+      case 'ObjectExpression':
+        return evaluateObject(node, scope);
+      case 'UnaryExpression':
+        return evaluateUnary(node, scope);
+      case 'BinaryExpression':
+        return evaluateBinary(node, scope);
+      case 'MemberExpression':
+      case 'OptionalMemberExpression':
+        return evaluateMember(node, scope);
+      default:
+        if (WRAPPER_NODES.includes(node.type)) {
+          return evaluate(node.expression, scope);
+        }
+        return UNRESOLVED;
+    }
+  } catch (error) {
+    return UNRESOLVED;
+  }
+}
+
+function evaluateTemplate(node, scope) {
+  let result = '';
+  for (let i = 0; i < node.quasis.length; i++) {
+    result += node.quasis[i].value.cooked;
+    if (i < node.expressions.length) {
+      const value = evaluate(node.expressions[i], scope);
+      if (value === UNRESOLVED) return UNRESOLVED;
+      result += String(value);
+    }
+  }
+  return result;
+}
+
+function evaluateArray(node, scope) {
+  const result = [];
+  for (const element of node.elements) {
+    if (element === null) {
+      result.push(undefined);
+    } else if (element.type === 'SpreadElement') {
+      const spread = evaluate(element.argument, scope);
+      if (!Array.isArray(spread)) return UNRESOLVED;
+      result.push(...spread);
+    } else {
+      const value = evaluate(element, scope);
+      if (value === UNRESOLVED) return UNRESOLVED;
+      result.push(value);
+    }
+  }
+  return result;
+}
+
+function evaluateObject(node, scope) {
+  const result = {};
+  for (const property of node.properties) {
+    if (property.type === 'SpreadElement') {
+      const spread = evaluate(property.argument, scope);
+      if (!spread || typeof spread !== 'object') return UNRESOLVED;
+      Object.assign(result, spread);
+      continue;
+    }
+    if (property.type !== 'ObjectProperty') return UNRESOLVED;
+
+    const key = propertyKey(property, scope);
+    if (key === UNRESOLVED) return UNRESOLVED;
+
+    const value = evaluate(property.value, scope);
+    if (value === UNRESOLVED) return UNRESOLVED;
+    result[key] = value;
+  }
+  return result;
+}
+
+function propertyKey(property, scope) {
+  if (property.computed) {
+    return evaluate(property.key, scope);
+  }
+  if (property.key.type === 'Identifier') return property.key.name;
+  return evaluate(property.key, scope);
+}
+
+function evaluateUnary(node, scope) {
+  const argument = evaluate(node.argument, scope);
+  if (argument === UNRESOLVED) return UNRESOLVED;
+
+  switch (node.operator) {
+    case '-': return -argument;
+    case '+': return +argument;
+    case '!': return !argument;
+    case 'typeof': return typeof argument;
+    default: return UNRESOLVED;
+  }
+}
+
+function evaluateBinary(node, scope) {
+  const left = evaluate(node.left, scope);
+  if (left === UNRESOLVED) return UNRESOLVED;
+  const right = evaluate(node.right, scope);
+  if (right === UNRESOLVED) return UNRESOLVED;
+
+  switch (node.operator) {
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/': return left / right;
+    case '%': return left % right;
+    case '**': return left ** right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '===': return left === right;
+    case '!==': return left !== right;
+    default: return UNRESOLVED;
+  }
+}
+
+function evaluateMember(node, scope) {
+  const object = evaluate(node.object, scope);
+  if (object === UNRESOLVED || object === null || object === undefined) return UNRESOLVED;
+
+  const key = node.computed
+    ? evaluate(node.property, scope)
+    : node.property.name;
+  if (key === UNRESOLVED) return UNRESOLVED;
+
+  if (typeof object === 'string' || Array.isArray(object)) {
+    if (key === 'length') return object.length;
+    if (typeof key === 'number') return object[key];
+    return UNRESOLVED;
+  }
+
+  if (typeof object === 'object' && Object.prototype.hasOwnProperty.call(object, key)) {
+    return object[key];
+  }
+
+  return UNRESOLVED;
+}
+
+/**
+ * Bind a destructuring pattern (identifier, array or object pattern) to a
+ * statically known value. Unknown parts are bound as UNRESOLVED so inner
+ * lookups do not fall through to an outer binding of the same name.
+ */
+function bindPattern(pattern, value, scope) {
+  if (!pattern) return;
+
+  switch (pattern.type) {
+    case 'Identifier':
+      scope.define(pattern.name, value);
+      break;
+    case 'AssignmentPattern': {
+      const fallback = value === undefined ? evaluate(pattern.right, scope) : value;
+      bindPattern(pattern.left, fallback, scope);
+      break;
+    }
+    case 'ArrayPattern':
+      pattern.elements.forEach((element, index) => {
+        if (!element) return;
+        if (element.type === 'RestElement') {
+          bindPattern(element.argument, Array.isArray(value) ? value.slice(index) : UNRESOLVED, scope);
+        } else {
+          bindPattern(element, Array.isArray(value) ? value[index] : UNRESOLVED, scope);
+        }
+      });
+      break;
+    case 'ObjectPattern': {
+      const known = value && typeof value === 'object' && value !== UNRESOLVED;
+      const used = [];
+      for (const property of pattern.properties) {
+        if (property.type === 'RestElement') {
+          const rest = known
+            ? Object.fromEntries(Object.entries(value).filter(([key]) => !used.includes(key)))
+            : UNRESOLVED;
+          bindPattern(property.argument, rest, scope);
+          continue;
+        }
+        const key = propertyKey(property, scope);
+        used.push(key);
+        bindPattern(property.value, known && key !== UNRESOLVED ? value[key] : UNRESOLVED, scope);
+      }
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+module.exports = {
+  UNRESOLVED,
+  Scope,
+  evaluate,
+  bindPattern
+};
@@ -3,6 +3,41 @@ const path = require('path');
 const fs = require('fs').promises;
 const { spawn } = require('child_process');
 const os = require('os');
+const { createWorkerChannel } = require('./ipc');
+const { createResultsFile, discardResultsFiles, reporterArgs, jestEnv, readJestResults, watchJestResults } = require('./jest-results');
+
+// Diagnostics go to WorkerManager as `log` messages once the IPC channel is up
+let workerLog = (level, ...args) => console.error(...args);
+// Tests are streamed to WorkerManager as Jest finishes them, once the IPC channel is up
+let streamHandlers = {};
+
+// Jest processes started by this worker, stopped when the worker is terminated
+const jestProcesses = new Set();
+// Transformed copies of test files, removed even if the worker is terminated
+const tempFiles = new Set();
+
+// npx runs Jest through a shell, so Jest gets its own process group and
+// the whole group is signalled; killing npx alone would orphan Jest
+function spawnJest(command, args, options) {
+  const child = spawn(command, args, { ...options, detached: process.platform !== 'win32' });
+  jestProcesses.add(child);
+  child.on('close', () => jestProcesses.delete(child));
+  return child;
+}
+
+function stopJestProcesses(signal) {
+  for (const child of jestProcesses) {
+    try {
+      if (process.platform === 'win32') {
+        child.kill(signal);
+      } else {
+        process.kill(-child.pid, signal);
+      }
+    } catch (error) {
+      // Already exited
+    }
+  }
+}
 
 async function runTestsAsConcurrent(config) {
   const startTime = Date.now();
@@ -23,34 +58,40 @@ async function runTestsAsConcurrent(config) {
     const tempFilePath = path.join(originalDir, tempFileName);
     
     await fs.writeFile(tempFilePath, transformedContent, 'utf8');
+    tempFiles.add(tempFilePath);
     
     // Run Jest on the temporary file
     // Use the full path relative to project root for more precise matching
     const relativeToProject = path.relative(process.cwd(), tempFilePath);
+    const resultsFile = createResultsFile();
     const jestArgs = [
       '--testMatch', `**/${tempFileName}`,
-      '--verbose',
+      ...reporterArgs(),
       '--no-coverage', 
       '--passWithNoTests=false',
       '--forceExit', // Ensure Jest exits cleanly
       '--detectOpenHandles' // Help debug hanging processes
     ];
+    if (config.testNamePattern) {
+      jestArgs.push('--testNamePattern', config.testNamePattern);
+    }
     
     // Try to find Jest - first check if it's available locally, then globally
     let jestCommand = 'npx';
     let jestRunArgs = ['jest', ...jestArgs];
     
     // Alternative: try global jest if npx fails
-    const worker = spawn(jestCommand, jestRunArgs, {
+    const worker = spawnJest(jestCommand, jestRunArgs, {
       stdio: ['pipe', 'pipe', 'pipe'],
-      env: { 
+      env: jestEnv(resultsFile, {
         ...process.env, // This preserves ALL environment variables including PROFILE
         NODE_OPTIONS: '--max-old-space-size=4096',
         // Ensure Jest can find the correct config
         PWD: process.cwd()
-      },
+      }),
       cwd: process.cwd()
     });
+    const watcher = watchJestResults(resultsFile, config, streamHandlers);
     
     let output = '';
     let errorOutput = '';
@@ -89,19 +130,22 @@ async function runTestsAsConcurrent(config) {
         try {
           // Clean up temporary file
           await fs.unlink(tempFilePath).catch(() => {}); // Ignore cleanup errors
+          tempFiles.delete(tempFilePath);
           
           // If Jest failed, include stderr in the result for debugging
           if (code !== 0) {
             // Only log critical information for failed executions
-            console.error(`Jest execution failed with code ${code} for ${config.filePath}`);
+            workerLog('warn', `Jest execution failed with code ${code} for ${config.filePath}`);
           }
           
-          // Parse the Jest output to extract individual test results
-          const testResults = parseJestOutput(errorOutput, config);
+          watcher.stop();
+          const { testResults, hookInfo, execError } = readJestResults(resultsFile, config);
           
           resolve({
             status: code === 0 ? 'passed' : 'failed',
             testResults,
+            hookInfo,
+            ...(execError && { error: execError }),
             output,
             errorOutput,
             duration: Date.now() - startTime,
@@ -171,175 +215,27 @@ async function runTestsAsConcurrent(config) {
   }
 }
 
-function parseJestOutput(output, config) {
-  const testResults = [];
-  const lines = output.split('\n');
-  let currentSuite = '';
-  let currentFailedTest = null;
-  let collectingError = false;
-  let errorLines = [];
-  
-  // Check for common Jest error patterns
-  const hasNoTestsError = output.includes('No tests found') || output.includes('0 passed');
-  const hasConfigError = output.includes('Cannot resolve configuration') || output.includes('Module not found');
-  const hasSyntaxError = output.includes('SyntaxError') || output.includes('Unexpected token');
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmedLine = line.trim();
-    
-    // If we're collecting error messages for a failed test
-    if (collectingError && currentFailedTest) {
-      // Stop collecting when we hit another test result or section boundary
-      if (trimmedLine.startsWith('✓') || trimmedLine.startsWith('✗') || trimmedLine.startsWith('✕') || 
-          trimmedLine.startsWith('○') || trimmedLine.includes('Test Suites:') ||
-          trimmedLine.includes('Tests:') || trimmedLine.includes('Snapshots:') ||
-          trimmedLine.includes('Time:') || trimmedLine.includes('Ran all test suites') ||
-          (trimmedLine === '' && errorLines.length > 2)) { // Stop on empty line if we have some content
-        // Finish collecting error for current failed test
-        if (errorLines.length > 0) {
-          currentFailedTest.error = errorLines.join('\n').trim();
-        }
-        currentFailedTest = null;
-        collectingError = false;
-        errorLines = [];
-      } else {
-        // Collect error line (more selective filtering)
-        if (trimmedLine.length > 0 && 
-            !trimmedLine.includes('at Object.') && 
-            !trimmedLine.includes('at TestScheduler.') &&
-            !trimmedLine.includes('at ') && // Skip stack trace lines
-            !trimmedLine.includes('node_modules') &&
-            !trimmedLine.includes('node:internal') &&
-            !trimmedLine.includes('Error:') && // Skip error type declarations
-            !trimmedLine.match(/^\d+\s*\|\s*/) && // Skip line number indicators
-            !trimmedLine.startsWith('●') && // Skip Jest markers
-            !trimmedLine.includes('FAIL') &&
-            !trimmedLine.includes('PASS') &&
-            // Include assertion errors and meaningful error content
-            (trimmedLine.includes('expect') || 
-             trimmedLine.includes('Expected') || 
-             trimmedLine.includes('Received') ||
-             trimmedLine.includes('AssertionError') ||
-             trimmedLine.includes('Error occurred') ||
-             trimmedLine.includes('ReferenceError') ||
-             trimmedLine.includes('TypeError') ||
-             errorLines.length === 0)) { // Always include first line
-          errorLines.push(trimmedLine);
-        }
-      }
-    }
-    
-    // Look for test suite names (more robust detection)
-    if (trimmedLine && !trimmedLine.startsWith('✓') && !trimmedLine.startsWith('✗') && 
-        !trimmedLine.includes('PASS') && !trimmedLine.includes('FAIL') && 
-        !trimmedLine.includes('Test Suites:') && !trimmedLine.includes('Tests:') &&
-        !trimmedLine.includes('Snapshots:') && !trimmedLine.includes('Time:') &&
-        !trimmedLine.includes('Ran all test suites') && !trimmedLine.startsWith('RUNS') &&
-        !trimmedLine.includes('Determining test suites') && !trimmedLine.includes('.test.js') &&
-        !trimmedLine.startsWith('at ') && !trimmedLine.includes('Error:') && 
-        !trimmedLine.includes('console.') && !trimmedLine.startsWith('●')) {
-      
-      if (!line.startsWith('    ') && !line.startsWith('  ●') && trimmedLine.length > 0) {
-        currentSuite = trimmedLine;
-      }
-    }
-    
-    // Enhanced test result parsing - look for multiple patterns
-    
-    // Pattern 1: ✓ test name (time) - more robust capture
-    const testMatch = line.match(/^\s*✓\s+(.+?)\s*\((\d+(?:\.\d+)?)\s*m?s\)/);
-    if (testMatch) {
-      const [, testName, duration] = testMatch;
-      testResults.push({
-        testId: `${config.filePath}:${testName.trim()}`,
-        testName: testName.trim(),
-        suite: currentSuite,
-        status: 'passed',
-        duration: parseFloat(duration),
-        error: null,
-        workerId: config.workerId,
-        filePath: config.filePath
-      });
-    } else {
-      // Pattern 2: ✓ test name (no timing) - more robust capture
-      const quickTestMatch = line.match(/^\s*✓\s+(.+?)$/);
-      if (quickTestMatch) {
-        const [, testName] = quickTestMatch;
-        // Make sure we're not capturing timing info accidentally
-        if (!testName.includes('(') && !testName.includes('ms') && testName.trim().length > 0) {
-          testResults.push({
-            testId: `${config.filePath}:${testName.trim()}`,
-            testName: testName.trim(),
-            suite: currentSuite,
-            status: 'passed',
-            duration: 0,
-            error: null,
-            workerId: config.workerId,
-            filePath: config.filePath
-          });
-        }
-      }
-    }
-    
-    // Pattern 3: ✗ or ✕ failed test (Jest uses different characters) - more robust capture
-    const failedTestMatch = line.match(/^\s*[✗✕]\s+(.+?)(?:\s*\((\d+(?:\.\d+)?)\s*m?s\))?$/);
-    if (failedTestMatch) {
-      const [, testName, duration] = failedTestMatch;
-      
-      const failedTest = {
-        testId: `${config.filePath}:${testName.trim()}`,
-        testName: testName.trim(),
-        suite: currentSuite,
-        status: 'failed',
-        duration: duration ? parseFloat(duration) : 0,
-        error: null, // Will be populated if we find error details
-        workerId: config.workerId,
-        filePath: config.filePath
-      };
-      
-      testResults.push(failedTest);
-      
-      // Start collecting error messages for this failed test
-      currentFailedTest = failedTest;
-      collectingError = true;
-      errorLines = [];
-    }
-    
-    // Pattern 4: ○ skipped test
-    const skippedTestMatch = line.match(/^\s*○\s+(.+?)(?:\s*\(skipped\))?/);
-    if (skippedTestMatch) {
-      const [, testName] = skippedTestMatch;
-      testResults.push({
-        testId: `${config.filePath}:${testName.trim()}`,
-        testName: testName.trim(),
-        suite: currentSuite,
-        status: 'skipped',
-        duration: 0,
-        error: null,
-        workerId: config.workerId,
-        filePath: config.filePath
-      });
-    }
-  }
-  
-  // Handle case where we were collecting error for the last failed test
-  if (collectingError && currentFailedTest && errorLines.length > 0) {
-    currentFailedTest.error = errorLines.join('\n').trim();
-  }
-  
-  return testResults;
-}
-
 // Main execution
 if (require.main === module) {
   let config;
   let isShuttingDown = false;
+  const channel = createWorkerChannel();
+  workerLog = channel.log;
+  streamHandlers = { onTestStart: channel.testStart, onTestResult: channel.testResult };
   
   // Handle graceful shutdown
   const handleShutdown = (signal) => {
     if (isShuttingDown) return;
     isShuttingDown = true;
+    stopJestProcesses(signal);
+    discardResultsFiles();
+    tempFiles.forEach(file => {
+      try {
+        require('fs').unlinkSync(file);
+      } catch (error) {
+        // Ignore cleanup errors
+      }
+    });
     
     const result = {
       status: 'failed',
@@ -349,10 +245,7 @@ if (require.main === module) {
       workerId: config ? config.workerId : 'unknown',
       filePath: config ? config.filePath : 'unknown'
     };
-    process.stdout.write(JSON.stringify(result) + '\n');
-    process.stdout.end(() => {
-      process.exit(1);
-    });
+    channel.done(result, 1);
   };
   
   process.on('SIGTERM', () => handleShutdown('SIGTERM'));
@@ -369,10 +262,7 @@ if (require.main === module) {
       workerId: 'unknown',
       filePath: 'unknown'
     };
-    process.stdout.write(JSON.stringify(errorResult) + '\n');
-    process.stdout.end(() => {
-      process.exit(1);
-    });
+    channel.done(errorResult, 1);
   }
   
   // Ensure we always output something, even if there's an unhandled error
@@ -387,10 +277,7 @@ if (require.main === module) {
       workerId: config.workerId,
       filePath: config.filePath
     };
-    process.stdout.write(JSON.stringify(result) + '\n');
-    process.stdout.end(() => {
-      process.exit(1);
-    });
+    channel.done(result, 1);
   });
   
   process.on('unhandledRejection', (reason) => {
@@ -404,23 +291,14 @@ if (require.main === module) {
       workerId: config.workerId,
       filePath: config.filePath
     };
-    process.stdout.write(JSON.stringify(result) + '\n');
-    process.stdout.end(() => {
-      process.exit(1);
-    });
+    channel.done(result, 1);
   });
   
   runTestsAsConcurrent(config)
     .then(result => {
       if (isShuttingDown) return;
-      // Ensure we output valid JSON and flush stdout properly
-      const jsonOutput = JSON.stringify(result);
-      process.stdout.write(jsonOutput + '\n');
-      
-      // Explicitly end stdout and wait for drain
-      process.stdout.end(() => {
-        process.exit(result.status === 'passed' ? 0 : 1);
-      });
+      // Results go over the IPC channel; stdout is left to Jest and test output
+      channel.done(result, result.status === 'passed' ? 0 : 1);
     })
     .catch(error => {
       if (isShuttingDown) return;
@@ -432,13 +310,7 @@ if (require.main === module) {
         workerId: config.workerId,
         filePath: config.filePath
       };
-      const jsonOutput = JSON.stringify(result);
-      process.stdout.write(jsonOutput + '\n');
-      
-      // Explicitly end stdout and wait for drain
-      process.stdout.end(() => {
-        process.exit(1);
-      });
+      channel.done(result, 1);
     });
 }
 
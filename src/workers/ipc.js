@@ -0,0 +1,195 @@
+// Typed IPC protocol between WorkerManager and the node workers it forks.
+//
+// Workers report over the IPC channel only, so anything a test (or Jest)
+// prints to stdout/stderr stays plain log output and can never corrupt
+// results. Each message is { protocol, type, payload }:
+//
+//   test-start   { testName, suite }            a test began running
+//   test-result  { testName, status, duration, error, ... }
+//   hook-result  { hookType, duration, status, suite }
+//   log          { level, message }             worker diagnostics
+//   done         final result without testResults/hookInfo, which are
+//                rebuilt from the messages above; testResultCount tells
+//                file results apart from single-test results, and
+//                startTime/endTime (ms since epoch) when the worker ran
+//
+// A worker that exits without sending `done` crashed or was killed.
+
+const PROTOCOL = 'jest-parallel/1';
+
+const MESSAGE_TYPES = Object.freeze({
+  TEST_START: 'test-start',
+  TEST_RESULT: 'test-result',
+  HOOK_RESULT: 'hook-result',
+  LOG: 'log',
+  DONE: 'done'
+});
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+function createMessage(type, payload) {
+  return { protocol: PROTOCOL, type, payload };
+}
+
+function isProtocolMessage(message) {
+  return Boolean(message) && message.protocol === PROTOCOL && Object.values(MESSAGE_TYPES).includes(message.type);
+}
+
+/**
+ * Worker side of the protocol. Messages are sent as soon as they are
+ * reported; done() flushes the test results not streamed yet, then exits.
+ * @param {Object} options - { send, exit }: process.send override and whether
+ *   done() exits the process (both for tests)
+ */
+function createWorkerChannel(options = {}) {
+  const send = options.send || (process.send ? process.send.bind(process) : null);
+  // Results already streamed, by test; done() only sends the rest
+  const sentTests = new Map();
+  const testKey = test => test.testId || test.testName;
+  const sentHooks = new Set();
+  const startTime = Date.now();
+  let finished = false;
+
+  const post = (type, payload, callback) => {
+    if (!send) {
+      // Started without an IPC channel (e.g. by hand): fall back to JSON lines
+      process.stdout.write(JSON.stringify(createMessage(type, payload)) + '\n', callback);
+      return;
+    }
+    send(createMessage(type, payload), callback);
+  };
+
+  const channel = {
+    testStart(test) {
+      post(MESSAGE_TYPES.TEST_START, { testName: test.testName || test.name, suite: test.suite || null });
+    },
+
+    testResult(test) {
+      sentTests.set(testKey(test), (sentTests.get(testKey(test)) || 0) + 1);
+      post(MESSAGE_TYPES.TEST_RESULT, test);
+    },
+
+    hookResult(hookType, hook) {
+      sentHooks.add(hookType);
+      post(MESSAGE_TYPES.HOOK_RESULT, { hookType, ...hook });
+    },
+
+    log(level, ...args) {
+      const message = args.map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' ');
+      post(MESSAGE_TYPES.LOG, { level: LOG_LEVELS.includes(level) ? level : 'info', message });
+    },
+
+    /**
+     * Report the final result and exit once the message is delivered.
+     * @param {Object} result - Worker result, may still carry testResults and hookInfo
+     * @param {number} exitCode - Process exit code
+     */
+    done(result, exitCode = result.status === 'passed' ? 0 : 1) {
+      if (finished) return;
+      finished = true;
+
+      const { testResults, hookInfo, ...summary } = result;
+      if (Array.isArray(testResults)) {
+        testResults.forEach(test => {
+          const streamed = sentTests.get(testKey(test)) || 0;
+          if (streamed > 0) {
+            sentTests.set(testKey(test), streamed - 1);
+          } else {
+            post(MESSAGE_TYPES.TEST_RESULT, test);
+          }
+        });
+        summary.testResultCount = testResults.length;
+      }
+      summary.startTime = summary.startTime || startTime;
+      summary.endTime = summary.endTime || Date.now();
+      for (const [hookType, hook] of Object.entries(hookInfo || {})) {
+        if (!sentHooks.has(hookType)) channel.hookResult(hookType, hook);
+      }
+
+      post(MESSAGE_TYPES.DONE, summary, () => {
+        if (options.exit !== false) process.exit(exitCode);
+      });
+    },
+
+    get finished() {
+      return finished;
+    }
+  };
+
+  return channel;
+}
+
+/**
+ * WorkerManager side: collect the messages of one forked worker.
+ * @param {ChildProcess} worker - Process started with child_process.fork
+ * @param {Object} handlers - Optional { onTestStart, onTestResult, onLog } callbacks
+ * @returns {Object} Collector whose result() rebuilds the worker result
+ */
+function collectWorkerMessages(worker, handlers = {}) {
+  const testResults = [];
+  const hookInfo = {};
+  let summary = null;
+
+  const collector = {
+    testResults,
+    hookInfo,
+
+    handleMessage(message) {
+      if (!isProtocolMessage(message)) return;
+      const { type, payload } = message;
+
+      switch (type) {
+        case MESSAGE_TYPES.TEST_START:
+          if (handlers.onTestStart) handlers.onTestStart(payload);
+          break;
+        case MESSAGE_TYPES.TEST_RESULT:
+          testResults.push(payload);
+          if (handlers.onTestResult) handlers.onTestResult(payload);
+          break;
+        case MESSAGE_TYPES.HOOK_RESULT: {
+          const { hookType, ...hook } = payload;
+          hookInfo[hookType] = hook;
+          break;
+        }
+        case MESSAGE_TYPES.LOG:
+          if (handlers.onLog) handlers.onLog(payload.level, payload.message);
+          break;
+        case MESSAGE_TYPES.DONE:
+          summary = payload;
+          break;
+      }
+    },
+
+    get completed() {
+      return summary !== null;
+    },
+
+    // Final result in the shape workers used to print, or null without `done`
+    result() {
+      if (!summary) return null;
+      const { testResultCount, ...result } = summary;
+      if (testResultCount !== undefined || testResults.length > 0) {
+        result.testResults = testResults;
+      }
+      if (Object.keys(hookInfo).length > 0) {
+        result.hookInfo = hookInfo;
+      }
+      return result;
+    }
+  };
+
+  if (worker) {
+    worker.on('message', message => collector.handleMessage(message));
+  }
+
+  return collector;
+}
+
+module.exports = {
+  PROTOCOL,
+  MESSAGE_TYPES,
+  createMessage,
+  isProtocolMessage,
+  createWorkerChannel,
+  collectWorkerMessages
+};
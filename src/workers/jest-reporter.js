@@ -0,0 +1,97 @@
+// Jest reporter bundled with the workers. Jest loads it by path
+// (--reporters), so it must stay a standalone module.
+//
+// Results are appended as JSON lines to the file named by the
+// JEST_PARALLEL_RESULTS_FILE environment variable (or the `outputFile`
+// reporter option):
+//
+//   { type: 'test-start', testFilePath, test }    as each test starts
+//   { type: 'test-case', testFilePath, test }     as each test finishes
+//   { type: 'test-file', testFilePath, ... }      once the file is done,
+//                                                 with every test in it
+//
+// Tests carry startTime/endTime (ms since epoch), taken when Jest reports
+// that they started and finished.
+//
+// Writes are synchronous so the lines survive a Jest process that is
+// killed mid-run.
+const fs = require('fs');
+
+const RESULTS_FILE_ENV = 'JEST_PARALLEL_RESULTS_FILE';
+
+function pickAssertion(assertion) {
+  return {
+    ancestorTitles: assertion.ancestorTitles,
+    title: assertion.title,
+    fullName: assertion.fullName,
+    status: assertion.status,
+    duration: assertion.duration,
+    failureMessages: assertion.failureMessages,
+    location: assertion.location,
+    invocations: assertion.invocations
+  };
+}
+
+function testKey(testFilePath, fullName) {
+  return `${testFilePath}\u0000${fullName}`;
+}
+
+function enqueue(map, key, value) {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+}
+
+function dequeue(map, key) {
+  const queue = map.get(key);
+  return queue && queue.length > 0 ? queue.shift() : undefined;
+}
+
+class JestParallelReporter {
+  constructor(globalConfig, options = {}) {
+    this.outputFile = options.outputFile || process.env[RESULTS_FILE_ENV] || null;
+    // Start times of running tests, then times of finished ones, by file and
+    // full name (queues, since full names can repeat)
+    this.testStarts = new Map();
+    this.testTimes = new Map();
+  }
+
+  write(record) {
+    if (!this.outputFile) return;
+    fs.appendFileSync(this.outputFile, JSON.stringify(record) + '\n');
+  }
+
+  onTestCaseStart(test, testCase) {
+    enqueue(this.testStarts, testKey(test.path, testCase.fullName), Date.now());
+    this.write({
+      type: 'test-start',
+      testFilePath: test.path,
+      test: { ancestorTitles: testCase.ancestorTitles, title: testCase.title, fullName: testCase.fullName }
+    });
+  }
+
+  onTestCaseResult(test, assertion) {
+    const key = testKey(test.path, assertion.fullName);
+    const endTime = Date.now();
+    const startTime = dequeue(this.testStarts, key) || endTime - (assertion.duration || 0);
+    enqueue(this.testTimes, key, { startTime, endTime });
+    this.write({ type: 'test-case', testFilePath: test.path, test: { ...pickAssertion(assertion), startTime, endTime } });
+  }
+
+  onTestResult(test, result) {
+    this.write({
+      type: 'test-file',
+      testFilePath: result.testFilePath,
+      runtime: result.perfStats ? result.perfStats.runtime : null,
+      execError: result.testExecError
+        ? result.testExecError.stack || result.testExecError.message
+        : null,
+      tests: result.testResults.map(assertion => ({
+        ...pickAssertion(assertion),
+        ...dequeue(this.testTimes, testKey(result.testFilePath, assertion.fullName))
+      }))
+    });
+  }
+}
+
+module.exports = JestParallelReporter;
+module.exports.RESULTS_FILE_ENV = RESULTS_FILE_ENV;
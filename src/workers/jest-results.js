@@ -0,0 +1,267 @@
+// Read the per-test results written by jest-reporter.js and map them into
+// the result shape the workers report: { testId, testName, suite, status,
+// duration, error, source, startTime, endTime, ... }.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RESULTS_FILE_ENV } = require('./jest-reporter');
+
+const REPORTER_PATH = path.join(__dirname, 'jest-reporter.js');
+
+// Jest reports skipped tests as 'pending' and tests excluded by .only as 'disabled'
+const STATUS_MAP = {
+  passed: 'passed',
+  failed: 'failed',
+  pending: 'skipped',
+  skipped: 'skipped',
+  disabled: 'skipped',
+  todo: 'todo',
+  focused: 'passed'
+};
+
+const ANSI_PATTERN = /\u001b\[[0-9;]*m/g;
+
+// Results files not read yet, removed by discardResultsFiles() on shutdown
+const pendingResultsFiles = new Set();
+
+function createResultsFile() {
+  const suffix = `${process.pid}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const resultsFile = path.join(os.tmpdir(), `jest-parallel-results-${suffix}.ndjson`);
+  pendingResultsFiles.add(resultsFile);
+  return resultsFile;
+}
+
+function discardResultsFiles() {
+  for (const resultsFile of pendingResultsFiles) {
+    try {
+      fs.unlinkSync(resultsFile);
+    } catch (error) {
+      // Jest never wrote it
+    }
+  }
+  pendingResultsFiles.clear();
+}
+
+/**
+ * Jest arguments that add the bundled reporter next to Jest's default one,
+ * which keeps the usual human-readable output on stderr.
+ */
+function reporterArgs() {
+  return ['--reporters', 'default', '--reporters', REPORTER_PATH, '--testLocationInResults'];
+}
+
+function jestEnv(resultsFile, env = process.env) {
+  return { ...env, [RESULTS_FILE_ENV]: resultsFile };
+}
+
+// Drop Jest's and Node's own frames from a failure message
+function cleanFailureMessage(message) {
+  return message
+    .replace(ANSI_PATTERN, '')
+    .split('\n')
+    .filter(line => !/^\s*at .*(node_modules|node:internal|\(<anonymous>\))/.test(line))
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Failure location from the first stack frame in the test file, falling
+ * back to where the test is declared.
+ */
+function sourceInfo(failureMessages, testFilePath, location, filePath) {
+  const file = path.relative(process.cwd(), filePath);
+
+  for (const message of failureMessages) {
+    for (const match of message.matchAll(/\(?([^\s()]+):(\d+):(\d+)\)?$/gm)) {
+      if (path.resolve(match[1]) !== path.resolve(testFilePath)) continue;
+      const [, , line, column] = match;
+      return { file, line: Number(line), column: Number(column), location: `${file}:${line}:${column}` };
+    }
+  }
+
+  if (location) {
+    return { file, line: location.line, column: location.column, location: `${file}:${location.line}:${location.column}` };
+  }
+  return null;
+}
+
+/**
+ * Map one Jest assertion result into the worker result shape.
+ * @param {Object} assertion - Assertion result recorded by the reporter
+ * @param {Object} context - { filePath, workerId, testFilePath }
+ */
+function toTestResult(assertion, context) {
+  const failureMessages = assertion.failureMessages || [];
+  const status = STATUS_MAP[assertion.status] || 'skipped';
+  const ancestorTitles = assertion.ancestorTitles || [];
+
+  return {
+    testId: `${context.filePath}:${assertion.fullName || assertion.title}`,
+    testName: assertion.title,
+    fullName: assertion.fullName,
+    suite: ancestorTitles.join(' › '),
+    ancestorTitles,
+    status,
+    duration: assertion.duration || 0,
+    error: failureMessages.length > 0 ? failureMessages.map(cleanFailureMessage).join('\n\n') : null,
+    source: status === 'failed'
+      ? sourceInfo(failureMessages, context.testFilePath || context.filePath, assertion.location, context.filePath)
+      : null,
+    location: assertion.location || null,
+    startTime: assertion.startTime || null,
+    endTime: assertion.endTime || null,
+    workerId: context.workerId,
+    filePath: context.filePath
+  };
+}
+
+/**
+ * Follow a results file while Jest is still writing it, so tests are
+ * reported as they finish instead of when the whole file is done.
+ * @param {string} resultsFile - File the reporter writes to
+ * @param {Object} context - { filePath, workerId }, as for readJestResults()
+ * @param {Object} handlers - { onTestStart, onTestResult } callbacks
+ * @param {number} interval - Poll interval in ms
+ * @returns {{stop: Function}} stop() reads what is left and stops polling
+ */
+function watchJestResults(resultsFile, context, handlers, interval = 250) {
+  let offset = 0;
+  let partialLine = '';
+
+  const poll = () => {
+    let chunk;
+    try {
+      const fd = fs.openSync(resultsFile, 'r');
+      try {
+        const { size } = fs.fstatSync(fd);
+        if (size <= offset) return;
+        const buffer = Buffer.alloc(size - offset);
+        fs.readSync(fd, buffer, 0, buffer.length, offset);
+        offset = size;
+        chunk = buffer.toString('utf8');
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch (error) {
+      return; // Not written yet
+    }
+
+    const lines = (partialLine + chunk).split('\n');
+    partialLine = lines.pop();
+    for (const line of lines) {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+      if (record.type === 'test-start' && handlers.onTestStart) {
+        handlers.onTestStart({ testName: record.test.title, suite: record.test.ancestorTitles.join(' › ') });
+      } else if (record.type === 'test-case' && handlers.onTestResult) {
+        handlers.onTestResult(toTestResult(record.test, { ...context, testFilePath: record.testFilePath }));
+      }
+    }
+  };
+
+  const timer = setInterval(poll, interval);
+  if (timer.unref) timer.unref();
+
+  return {
+    stop() {
+      clearInterval(timer);
+      poll();
+    }
+  };
+}
+
+/**
+ * Spread the file runtime not spent in tests over the hooks. Jest doesn't
+ * time hooks, so these stay estimates.
+ */
+function estimateHookInfo(runtime, testResults) {
+  const hookInfo = {
+    beforeAll: { duration: 0, status: 'not_found' },
+    beforeEach: { duration: 0, status: 'not_found' },
+    afterAll: { duration: 0, status: 'not_found' },
+    afterEach: { duration: 0, status: 'not_found' }
+  };
+
+  const testDuration = testResults.reduce((sum, test) => sum + (test.duration || 0), 0);
+  const estimatedHookDuration = Math.max(0, (runtime || 0) - testDuration);
+
+  // Most hook overhead is usually setup in beforeAll
+  if (estimatedHookDuration > 10) {
+    hookInfo.beforeAll = { duration: Math.round(estimatedHookDuration * 0.8), status: 'estimated' };
+
+    const remainingDuration = estimatedHookDuration - hookInfo.beforeAll.duration;
+    if (remainingDuration > 5 && testResults.length > 1) {
+      hookInfo.beforeEach = { duration: Math.round(remainingDuration * 0.7), status: 'estimated' };
+      hookInfo.afterEach = { duration: Math.round(remainingDuration * 0.2), status: 'estimated' };
+      hookInfo.afterAll = { duration: Math.round(remainingDuration * 0.1), status: 'estimated' };
+    }
+  }
+
+  return hookInfo;
+}
+
+/**
+ * Read the results of one Jest run over a single test file and remove the
+ * results file. A run that was killed keeps the tests that had finished.
+ * Synchronous so a process 'close' handler can record them before the
+ * worker pool moves on.
+ * @param {string} resultsFile - File the reporter wrote to
+ * @param {Object} context - { filePath, workerId }: file the run was for;
+ *   results are attributed to it even when Jest ran a transformed copy
+ * @returns {{testResults: Array, hookInfo: Object, execError: string|null}}
+ */
+function readJestResults(resultsFile, context) {
+  let content = '';
+  try {
+    content = fs.readFileSync(resultsFile, 'utf8');
+    fs.unlinkSync(resultsFile);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  pendingResultsFiles.delete(resultsFile);
+
+  const testCases = [];
+  let fileRecord = null;
+
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      continue; // Last line of a killed run may be cut off
+    }
+    if (record.type === 'test-case') {
+      testCases.push(record);
+    } else if (record.type === 'test-file') {
+      fileRecord = record;
+    }
+  }
+
+  const toResult = (assertion, testFilePath) => toTestResult(assertion, { ...context, testFilePath });
+  const testResults = fileRecord
+    ? fileRecord.tests.map(assertion => toResult(assertion, fileRecord.testFilePath))
+    : testCases.map(record => toResult(record.test, record.testFilePath));
+
+  return {
+    testResults,
+    hookInfo: estimateHookInfo(fileRecord ? fileRecord.runtime : 0, testResults),
+    execError: fileRecord && fileRecord.execError ? cleanFailureMessage(fileRecord.execError) : null
+  };
+}
+
+module.exports = {
+  REPORTER_PATH,
+  createResultsFile,
+  discardResultsFiles,
+  reporterArgs,
+  jestEnv,
+  toTestResult,
+  watchJestResults,
+  estimateHookInfo,
+  readJestResults
+};
@@ -1,72 +1,8 @@
 // Test worker for running individual tests in isolation
 const path = require('path');
-const { execSync } = require('child_process');
-
-function extractCleanErrorMessage(jestOutput) {
-  if (!jestOutput) return 'Test failed with no error details';
-
-  const lines = jestOutput.split('\n');
-  const errorLines = [];
-  let foundError = false;
-  let errorStartIdx = -1;
-
-  // 1. Find the first error-like line and its index
-  for (let i = 0; i < lines.length; i++) {
-    const trimmedLine = lines[i].trim();
-    if (
-      trimmedLine.startsWith('Error:') ||
-      trimmedLine.includes('AssertionError') ||
-      /timed out|timeout|Timeout/i.test(trimmedLine) ||
-      trimmedLine.startsWith('expect(') ||
-      trimmedLine.startsWith('Expected:') ||
-      trimmedLine.startsWith('Received:') ||
-      trimmedLine.includes('- Expected') ||
-      trimmedLine.includes('+ Received') ||
-      /threw|thrown|Exception|ReferenceError|TypeError|RangeError|SyntaxError/i.test(trimmedLine)
-    ) {
-      errorStartIdx = i;
-      foundError = true;
-      break;
-    }
-  }
-
-  // 2. If found, collect a few lines of context after the error line
-  if (foundError && errorStartIdx !== -1) {
-    for (let j = errorStartIdx; j < Math.min(lines.length, errorStartIdx + 6); j++) {
-      const l = lines[j].trim();
-      if (l && !errorLines.includes(l)) errorLines.push(l);
-      // Stop at stack trace or next test
-      if (l.startsWith('at ') || l.startsWith('Test Suites:')) break;
-    }
-  }
-
-  // 3. If nothing found, fallback to first non-empty error-like line
-  if (!foundError) {
-    for (let i = 0; i < lines.length; i++) {
-      const trimmedLine = lines[i].trim();
-      if (trimmedLine && (trimmedLine.toLowerCase().includes('error') || trimmedLine.toLowerCase().includes('fail') || trimmedLine.toLowerCase().includes('timeout'))) {
-        errorLines.push(trimmedLine);
-        foundError = true;
-        break;
-      }
-    }
-  }
-
-  // 4. If still nothing, fallback to first non-empty line
-  if (!foundError) {
-    for (let i = 0; i < lines.length; i++) {
-      const trimmedLine = lines[i].trim();
-      if (trimmedLine) {
-        errorLines.push(trimmedLine);
-        break;
-      }
-    }
-  }
-
-  // Remove duplicate lines
-  const uniqueLines = [...new Set(errorLines)];
-  return uniqueLines.join('\n').trim() || 'Test assertion failed';
-}
+const { execFileSync } = require('child_process');
+const { createWorkerChannel } = require('./ipc');
+const { createResultsFile, reporterArgs, jestEnv, readJestResults } = require('./jest-results');
 
 async function runSingleTest(config) {
   const startTime = Date.now();
@@ -83,46 +19,82 @@ async function runSingleTest(config) {
     endTime: null
   };
 
+  const resultsFile = createResultsFile();
+  let jestFailed = false;
+
   try {
     // Use Jest CLI to run a single test
     const testFilePath = path.resolve(config.filePath);
-    const testNamePattern = config.testName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); // Escape regex
+    const testNamePattern = config.testNamePattern ||
+      config.testName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); // Escape regex
     
-    const jestCommand = `npx jest --testMatch="**/${path.basename(testFilePath)}" --testNamePattern="${testNamePattern}" --verbose --no-coverage --runInBand`;
+    const jestArgs = [
+      'jest',
+      '--testMatch', `**/${path.basename(testFilePath)}`,
+      '--testNamePattern', testNamePattern,
+      ...reporterArgs(),
+      '--no-coverage',
+      '--runInBand'
+    ];
     
-    const output = execSync(jestCommand, {
+    const output = execFileSync('npx', jestArgs, {
       encoding: 'utf8',
       cwd: process.cwd(),
       timeout: config.timeout,
-      env: { ...process.env }
+      env: jestEnv(resultsFile)
     });
     
-    result.status = 'passed';
     result.output = output;
 
   } catch (error) {
-    result.status = 'failed';
-    
-    // Extract clean error message from Jest output instead of using the full command error
-    const jestOutput = error.stderr || error.stdout || error.toString();
-    result.error = extractCleanErrorMessage(jestOutput);
-    result.output = jestOutput;
+    jestFailed = true;
+    result.output = error.stderr || error.stdout || error.toString();
+    result.error = error.message;
   } finally {
     result.endTime = Date.now();
     result.duration = result.endTime - result.startTime;
   }
 
+  // Other tests in the file are reported as skipped by the name pattern
+  const { testResults, execError } = readJestResults(resultsFile, config);
+  const ran = testResults.filter(test => test.status === 'passed' || test.status === 'failed');
+  const failed = ran.filter(test => test.status === 'failed');
+  const reported = failed[0] || ran[0];
+
+  if (failed.length > 0) {
+    result.status = 'failed';
+    result.error = failed.map(test => test.error).filter(Boolean).join('\n\n') || 'Test failed with no error details';
+  } else if (execError || (jestFailed && ran.length === 0)) {
+    result.status = 'failed';
+    result.error = execError || result.error;
+  } else if (ran.length > 0) {
+    result.status = 'passed';
+    result.error = null;
+  } else {
+    // The name pattern matched no test that runs
+    result.status = testResults.length > 0 ? testResults[0].status : 'skipped';
+    result.error = null;
+  }
+
+  if (reported) {
+    result.suite = reported.suite;
+    result.ancestorTitles = reported.ancestorTitles;
+    result.location = reported.location;
+    result.source = reported.source;
+  }
+
   return result;
 }
 
 // Main execution
 if (require.main === module) {
   const config = JSON.parse(process.argv[2]);
+  const channel = createWorkerChannel();
   
+  channel.testStart({ testName: config.testName });
   runSingleTest(config)
     .then(result => {
-      console.log(JSON.stringify(result));
-      process.exit(0);
+      channel.done(result, 0);
     })
     .catch(error => {
       const result = {
@@ -132,8 +104,7 @@ if (require.main === module) {
         duration: Date.now() - Date.now(),
         workerId: config.workerId
       };
-      console.log(JSON.stringify(result));
-      process.exit(1);
+      channel.done(result, 1);
     });
 }
 
@@ -0,0 +1,153 @@
+const { EventEmitter } = require('events');
+const { WorkerManager } = require('../src/core/worker-manager');
+const { ExecutionLogger } = require('../src/core/execution-logger');
+const { validateConfig, getDefaultConfig } = require('../src/config');
+const { Logger } = require('../src/utils/logger');
+
+describe('WorkerManager bail', () => {
+  let logger;
+  let executionLogger;
+
+  const parsedFiles = [
+    {
+      filePath: '/repo/a.test.js',
+      tests: [
+        { id: '/repo/a.test.js:1:first', name: 'first', expectedStatus: 'runnable' },
+        { id: '/repo/a.test.js:2:second', name: 'second', expectedStatus: 'runnable' }
+      ]
+    },
+    {
+      filePath: '/repo/b.test.js',
+      tests: [
+        { id: '/repo/b.test.js:1:third', name: 'third', expectedStatus: 'runnable' },
+        { id: '/repo/b.test.js:2:later', name: 'later', expectedStatus: 'todo' }
+      ]
+    }
+  ];
+
+  const createManager = (options) => {
+    const manager = new WorkerManager(options, logger, executionLogger);
+    manager.initializeTestCounts(parsedFiles);
+    return manager;
+  };
+
+  const fakeWorker = () => {
+    const worker = new EventEmitter();
+    worker.exitCode = null;
+    worker.signalCode = null;
+    worker.kill = jest.fn();
+    return worker;
+  };
+
+  beforeAll(() => {
+    logger = new Logger(false, true); // silent mode for tests
+    executionLogger = new ExecutionLogger({ enableConsole: false, enableFile: false });
+  });
+
+  it('should stop dequeuing and mark queued tests as not run', () => {
+    const manager = createManager({ bail: true });
+    manager.workQueue = parsedFiles.flatMap(file => file.tests.slice(0, 1).map(test => ({
+      type: 'test', filePath: file.filePath, testName: test.name, testId: test.id
+    })));
+
+    const workItem = manager.workQueue.shift();
+    const failed = { testId: workItem.testId, testName: workItem.testName, status: 'failed', error: 'boom', duration: 3 };
+    manager.addResult(workItem, failed, [failed]);
+
+    expect(manager.bailed).toBe(true);
+    expect(manager.workQueue).toHaveLength(0);
+    expect(manager.results.map(result => result.status)).toEqual(['failed', 'not-run']);
+    expect(manager.testStatus).toMatchObject({ failed: 1, notRun: 1, completed: 2 });
+  });
+
+  it('should wait for the configured number of failures', () => {
+    const manager = createManager({ bail: 2 });
+    const failed = { testId: 'a:1', testName: 'first', status: 'failed', duration: 1 };
+
+    manager.addResult({ type: 'test', filePath: '/repo/a.test.js', testName: 'first' }, failed, [failed]);
+    expect(manager.bailed).toBe(false);
+
+    const again = { testId: 'a:2', testName: 'second', status: 'failed', duration: 1 };
+    manager.addResult({ type: 'test', filePath: '/repo/a.test.js', testName: 'second' }, again, [again]);
+    expect(manager.bailed).toBe(true);
+  });
+
+  it('should not count failures that are waiting for a retry', () => {
+    const manager = createManager({ bail: 1, retries: 1 });
+    const workItem = { type: 'test', filePath: '/repo/a.test.js', testName: 'first', testId: 'a:1' };
+    const failed = { testId: 'a:1', testName: 'first', status: 'failed', duration: 1 };
+
+    manager.addResult(workItem, failed, [failed]);
+    expect(manager.bailed).toBe(false);
+
+    const retryItem = manager.workQueue.shift();
+    const failedAgain = { testId: 'a:1', testName: 'first', status: 'failed', duration: 1 };
+    manager.addResult(retryItem, failedAgain, [failedAgain]);
+    expect(manager.bailed).toBe(true);
+  });
+
+  it('should terminate active workers and report their files as not run', () => {
+    const manager = createManager({ bail: 1 });
+    const running = { type: 'native-parallel', filePath: '/repo/b.test.js', testCount: 2 };
+    const worker = fakeWorker();
+    manager.workers[1] = worker;
+    manager.activeWorkItems[1] = running;
+
+    const failedFile = {
+      filePath: '/repo/a.test.js',
+      status: 'failed',
+      testResults: [
+        { testName: 'first', status: 'passed', duration: 1 },
+        { testName: 'second', status: 'failed', duration: 1, error: 'boom' }
+      ]
+    };
+    manager.addResult({ type: 'native-parallel', filePath: '/repo/a.test.js', testCount: 2 }, failedFile, failedFile.testResults);
+
+    expect(worker.kill).toHaveBeenCalledWith('SIGTERM');
+    worker.exitCode = 143;
+    worker.emit('close', 143);
+
+    // The killed worker's own result is replaced by not-run entries
+    manager.addResult(running, { filePath: '/repo/b.test.js', status: 'failed', testResults: [] }, []);
+
+    const notRun = manager.results.find(result => result.filePath === '/repo/b.test.js');
+    expect(notRun.status).toBe('not-run');
+    expect(notRun.testResults.map(test => test.status)).toEqual(['not-run', 'todo']);
+    expect(manager.testStatus).toMatchObject({ passed: 1, failed: 1, notRun: 1, todo: 1, completed: 4 });
+  });
+
+  it('should keep the results a bailed worker reported and mark only the rest as not run', () => {
+    const manager = new WorkerManager({ bail: 1 }, logger, executionLogger);
+    const running = { type: 'native-parallel', filePath: '/repo/c.test.js', testCount: 3 };
+    manager.initializeTestCounts([{
+      filePath: '/repo/c.test.js',
+      tests: ['passes', 'fails', 'waits'].map((name, i) => ({ id: `/repo/c.test.js:${i + 1}:${name}`, name, describePath: ['c'], expectedStatus: 'runnable' }))
+    }]);
+    const worker = fakeWorker();
+    manager.workers[0] = worker;
+    manager.activeWorkItems[0] = running;
+    const completed = [];
+    manager.on('testComplete', test => completed.push(`${test.testName} ${test.status}`));
+
+    // The failure streams in, which trips the bail while the worker is still running
+    manager.addStreamedResult(running, { testName: 'passes', ancestorTitles: ['c'], status: 'passed', duration: 2 });
+    manager.addStreamedResult(running, { testName: 'fails', ancestorTitles: ['c'], status: 'failed', duration: 3, error: 'boom' });
+    manager.checkBail();
+    expect(worker.kill).toHaveBeenCalledWith('SIGTERM');
+
+    manager.addIncompleteResult(running, 0, { testResults: running.streamedResults, hookInfo: {} }, 'Worker exited with signal SIGTERM');
+
+    const bailed = manager.results.find(result => result.filePath === '/repo/c.test.js');
+    expect(bailed.status).toBe('failed');
+    expect(bailed.testResults.map(test => [test.testName, test.status])).toEqual([['passes', 'passed'], ['fails', 'failed'], ['waits', 'not-run']]);
+    expect(bailed.testResults[1].error).toBe('boom');
+    expect(manager.testStatus).toMatchObject({ passed: 1, failed: 1, notRun: 1 });
+    expect(completed).toEqual(['passes passed', 'fails failed']);
+  });
+
+  it('should validate the bail option', () => {
+    expect(validateConfig({ ...getDefaultConfig(), bail: true })).toHaveLength(0);
+    expect(validateConfig({ ...getDefaultConfig(), bail: 3 })).toHaveLength(0);
+    expect(validateConfig({ ...getDefaultConfig(), bail: -1 })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { getChangedFiles, findAffectedTestFiles } = require('../src/core/changed-files');
+
+describe('Changed file selection', () => {
+  let repoDir;
+
+  const write = (relativePath, content) => {
+    const filePath = path.join(repoDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], {
+    cwd: repoDir,
+    stdio: 'pipe'
+  });
+
+  beforeEach(() => {
+    repoDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'jest-parallel-changed-')));
+    write('src/math.js', "const { round } = require('./utils');\nmodule.exports = { add: (a, b) => round(a + b) };\n");
+    write('src/utils/index.js', 'module.exports = { round: Math.round };\n');
+    write('src/format.mjs', "export { add } from './math.js';\n");
+    write('src/other.js', 'module.exports = 1;\n');
+    write('tests/math.test.js', "const { add } = require('../src/math');\ntest('adds', () => expect(add(1, 2)).toBe(3));\n");
+    write('tests/format.test.js', "import {\n  add\n} from '../src/format.mjs';\ntest('formats', () => expect(add(1, 1)).toBe(2));\n");
+    write('tests/mocked.test.js', "jest.mock('../src/other');\ntest('mocks', () => {});\n");
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  const testFiles = () => ['math', 'format', 'mocked'].map(name => path.join(repoDir, 'tests', `${name}.test.js`));
+
+  it('should follow require, import and re-export chains to changed files', async () => {
+    const affected = await findAffectedTestFiles(testFiles(), [path.join(repoDir, 'src/utils/index.js')]);
+
+    expect(affected.map(file => path.basename(file))).toEqual(['math.test.js', 'format.test.js']);
+  });
+
+  it('should select tests whose mocked modules or own files changed', async () => {
+    const affected = await findAffectedTestFiles(testFiles(), [
+      path.join(repoDir, 'src/other.js'),
+      path.join(repoDir, 'tests/format.test.js')
+    ]);
+
+    expect(affected.map(file => path.basename(file))).toEqual(['format.test.js', 'mocked.test.js']);
+  });
+
+  it('should match imports of deleted files', async () => {
+    fs.unlinkSync(path.join(repoDir, 'src/other.js'));
+
+    const affected = await findAffectedTestFiles(testFiles(), [path.join(repoDir, 'src/other.js')]);
+
+    expect(affected.map(file => path.basename(file))).toEqual(['mocked.test.js']);
+  });
+
+  it('should list changes since a ref and uncommitted changes from git', async () => {
+    git('init', '-q');
+    git('add', '-A');
+    git('commit', '-qm', 'initial');
+    git('branch', 'base');
+    write('src/math.js', 'module.exports = { add: (a, b) => a + b };\n');
+    git('commit', '-qam', 'change math');
+    write('src/other.js', 'module.exports = 2;\n');
+    write('src/new.js', 'module.exports = 3;\n');
+
+    const uncommitted = await getChangedFiles({ cwd: repoDir });
+    expect(uncommitted.map(file => path.relative(repoDir, file)).sort()).toEqual(['src/new.js', 'src/other.js']);
+
+    const sinceBase = await getChangedFiles({ since: 'base', cwd: repoDir });
+    expect(sinceBase.map(file => path.relative(repoDir, file)).sort()).toEqual(['src/math.js', 'src/new.js', 'src/other.js']);
+  });
+
+  it('should reject unknown refs', async () => {
+    git('init', '-q');
+    await expect(getChangedFiles({ since: 'no-such-ref', cwd: repoDir })).rejects.toThrow('Failed to list changed files');
+  });
+});
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { ReportGenerator } = require('../src/core/reporter');
+const { normalizeReporterEntries } = require('../src/core/custom-reporters');
+const { ConfigLoader } = require('../src/config');
+const { Logger } = require('../src/utils/logger');
+
+describe('Custom reporters', () => {
+  let workDir;
+  let logger;
+
+  const writeModule = (name, source) => {
+    const modulePath = path.join(workDir, name);
+    fs.writeFileSync(modulePath, source);
+    return modulePath;
+  };
+
+  const results = [{
+    filePath: path.join(process.cwd(), 'tests/a.test.js'),
+    status: 'passed',
+    duration: 10,
+    workerId: 0,
+    testResults: [{ testName: 'works', ancestorTitles: ['a'], status: 'passed', duration: 4 }]
+  }];
+  const summary = { startTime: 1000, endTime: 2000, mode: 'native-parallel' };
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-parallel-reporters-'));
+    logger = new Logger(false, true); // silent mode for tests
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should call the lifecycle methods of a reporter class with its options', async () => {
+    const reporterPath = writeModule('recording-reporter.js', `
+      module.exports = class RecordingReporter {
+        constructor(options, context) {
+          this.calls = [['constructor', options.tag, context.outputDir]];
+          module.exports.instance = this;
+        }
+        onRunStart(run) { this.calls.push(['onRunStart', run.totalTests]); }
+        async onTestResult(test) {
+          await new Promise(resolve => setTimeout(resolve, 10));
+          this.calls.push(['onTestResult', test.testName]);
+        }
+        onFileResult(file) { this.calls.push(['onFileResult', file.status]); }
+        onRunComplete(report) { this.calls.push(['onRunComplete', report.schemaVersion, report.tests[0].id]); }
+      };
+    `);
+    const outputDir = path.join(workDir, 'reports');
+    const generator = new ReportGenerator({ outputDir, reporters: [[reporterPath, { tag: 'ci' }]] }, logger);
+    const runner = new EventEmitter();
+    generator.listenTo(runner);
+
+    runner.emit('runStart', { totalTests: 1 });
+    runner.emit('testComplete', { testName: 'works', status: 'passed' });
+    runner.emit('fileComplete', { status: 'passed' });
+    await generator.generateReports(results, summary, 'native-parallel');
+
+    expect(require(reporterPath).instance.calls).toEqual([
+      ['constructor', 'ci', outputDir],
+      ['onRunStart', 1],
+      ['onFileResult', 'passed'],
+      ['onTestResult', 'works'],
+      ['onRunComplete', 1, 'tests/a.test.js::a › works']
+    ]);
+    // Listing reporters without 'default' turns the built-in reports off
+    expect(fs.readdirSync(outputDir)).toEqual([]);
+  });
+
+  it('should combine default and built-in reports with reporter objects', async () => {
+    const reporterPath = writeModule('failing-reporter.js', `
+      module.exports = { onRunComplete() { throw new Error('webhook down'); } };
+    `);
+    const outputDir = path.join(workDir, 'reports');
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    const generator = new ReportGenerator({ outputDir, reporter: 'html', reporters: ['default', 'junit', reporterPath] }, logger);
+    await generator.generateReports(results, summary, 'native-parallel');
+
+    expect(fs.readdirSync(outputDir).sort()).toEqual(['junit.xml', 'test-report.html']);
+    expect(logger.error).toHaveBeenCalledWith(`Reporter ${reporterPath} failed in onRunComplete: webhook down`);
+  });
+
+  it('should leave the reporters of a Jest config to Jest', async () => {
+    const reporterPath = writeModule('json-only-reporter.js', `
+      module.exports = { onRunComplete(report) { module.exports.tests = report.tests.length; } };
+    `);
+    writeModule('jest.config.js', `
+      module.exports = {
+        reporters: ['default', 'github-actions', ['summary', { summaryThreshold: 1 }]],
+        jestParallel: { reporters: ['default', ${JSON.stringify(reporterPath)}] }
+      };
+    `);
+    const cwd = process.cwd();
+    let config;
+    try {
+      process.chdir(workDir);
+      config = ConfigLoader.mergeConfigs({ outputDir: path.join(workDir, 'reports'), reporter: 'json' }, ConfigLoader.loadConfig());
+    } finally {
+      process.chdir(cwd);
+    }
+
+    expect(config.reporters).toEqual(['default', reporterPath]);
+    expect(ConfigLoader.validateConfig(config)).toEqual([]);
+    await new ReportGenerator(config, logger).generateReports(results, summary, 'native-parallel');
+    expect(require(reporterPath).tests).toBe(1);
+    expect(fs.readdirSync(config.outputDir)).toEqual(['test-report.json']);
+    expect(ConfigLoader.mergeConfigs({}, { reporters: ['github-actions'] }).reporters).toBeUndefined();
+  });
+
+  it('should reject reporters it cannot use', () => {
+    const emptyPath = writeModule('empty-reporter.js', 'module.exports = {};');
+
+    expect(() => new ReportGenerator({ reporters: ['./missing-reporter.js'] }, logger)).toThrow('Cannot find reporter ./missing-reporter.js');
+    expect(() => new ReportGenerator({ reporters: [emptyPath] }, logger)).toThrow('implements none of onRunStart, onTestResult, onFileResult, onRunComplete');
+    expect(() => normalizeReporterEntries([['./a.js', 'verbose']])).toThrow('Options of reporter ./a.js must be an object');
+    expect(ConfigLoader.validateConfig({ testMatch: 'tests/**', mode: 'native-parallel', reporters: 'default' })).toEqual([
+      'reporters must be an array of reporter names or [name, options] pairs'
+    ]);
+  });
+});
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffReports, buildDiffSection, compareReports } = require('../src/core/diff');
+const { Logger } = require('../src/utils/logger');
+
+describe('Run comparison', () => {
+  // A JSON report (json-report.js) with tests given as [id, status, durationMs]
+  const report = (tests) => ({
+    schemaVersion: 1,
+    run: { startTime: '2026-01-02T03:04:05.000Z' },
+    summary: { total: tests.length, passed: tests.filter(([, status]) => status === 'passed').length, failed: tests.filter(([, status]) => status === 'failed').length },
+    tests: tests.map(([id, status, durationMs]) => ({
+      id,
+      file: id.split('::')[0],
+      fullName: id.split('::')[1],
+      status,
+      durationMs,
+      error: status === 'failed' ? { message: `Error: ${id} broke\n\nExpected: 1` } : null
+    }))
+  });
+
+  const baseline = report([
+    ['a.test.js::breaks', 'passed', 10],
+    ['a.test.js::recovers', 'failed', 10],
+    ['a.test.js::slows down', 'passed', 100],
+    ['a.test.js::a bit slower', 'passed', 100],
+    ['a.test.js::skipped now', 'passed', 1000],
+    ['a.test.js::deleted', 'passed', 5]
+  ]);
+  const current = report([
+    ['a.test.js::breaks', 'failed', 12],
+    ['a.test.js::recovers', 'flaky', 10],
+    ['a.test.js::slows down', 'passed', 400],
+    ['a.test.js::a bit slower', 'passed', 180],
+    ['a.test.js::skipped now', 'skipped', 0],
+    ['b.test.js::new', 'passed', 3]
+  ]);
+
+  it('should list what changed between two runs', () => {
+    const diff = diffReports(baseline, current);
+    const ids = key => diff[key].map(entry => entry.id);
+
+    expect(ids('newlyFailing')).toEqual(['a.test.js::breaks']);
+    expect(diff.newlyFailing[0]).toMatchObject({
+      baseline: { status: 'passed', durationMs: 10 },
+      current: { status: 'failed', error: 'Error: a.test.js::breaks broke\n\nExpected: 1' }
+    });
+    expect(ids('newlyPassing')).toEqual(['a.test.js::recovers']);
+    // 80ms slower is under the 100ms minimum; skipped tests didn't run
+    expect(ids('slower')).toEqual(['a.test.js::slows down']);
+    expect(diff.slower[0].deltaMs).toBe(300);
+    expect(ids('added')).toEqual(['b.test.js::new']);
+    expect(ids('removed')).toEqual(['a.test.js::deleted']);
+
+    expect(diffReports(baseline, current, { slowerThreshold: 50, minDelta: 50 }).slower.map(entry => entry.id))
+      .toEqual(['a.test.js::slows down', 'a.test.js::a bit slower']);
+  });
+
+  it('should render the differences as an HTML section', () => {
+    const html = buildDiffSection(diffReports(baseline, current));
+
+    expect(html).toContain('<h3 class="diff-category newlyFailing">❌ Newly Failing (1)</h3>');
+    expect(html).toContain('<td>passed → failed: Error: a.test.js::breaks broke</td>');
+    expect(html).toContain('<td>100ms → 400ms (+300ms)</td>');
+    expect(html).toContain('<td>was passed</td>');
+  });
+
+  it('should compare report files and reject other files', async () => {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-parallel-diff-'));
+    const logger = new Logger(false, true); // silent mode for tests
+    try {
+      fs.mkdirSync(path.join(workDir, 'baseline'));
+      fs.writeFileSync(path.join(workDir, 'baseline', 'test-report.json'), JSON.stringify(baseline));
+      fs.writeFileSync(path.join(workDir, 'current.json'), JSON.stringify(current));
+      fs.writeFileSync(path.join(workDir, 'v2.json'), JSON.stringify({ ...current, schemaVersion: 2 }));
+
+      const { diff, reportPath } = await compareReports(path.join(workDir, 'baseline'), path.join(workDir, 'current.json'), { outputDir: workDir, logger });
+      expect(diff.newlyFailing).toHaveLength(1);
+      expect(fs.readFileSync(reportPath, 'utf8')).toContain('🔀 Changes Since Baseline');
+
+      await expect(compareReports(path.join(workDir, 'current.json'), path.join(workDir, 'v2.json'), { outputDir: workDir, logger }))
+        .rejects.toThrow('Unsupported JSON report schema version 2');
+      await expect(compareReports(path.join(workDir, 'missing.json'), path.join(workDir, 'current.json'), { outputDir: workDir, logger }))
+        .rejects.toThrow('Report not found');
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  });
+});
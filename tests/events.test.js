@@ -0,0 +1,106 @@
+const { JestParallelSDK, JestParallelRunner } = require('../src/index');
+const { WorkerManager } = require('../src/core/worker-manager');
+const { ExecutionLogger } = require('../src/core/execution-logger');
+const { Logger } = require('../src/utils/logger');
+
+describe('Run events', () => {
+  let logger;
+  let executionLogger;
+
+  const record = (emitter, events) => {
+    const log = [];
+    events.forEach(event => emitter.on(event, payload => log.push([event, payload])));
+    return log;
+  };
+
+  beforeAll(() => {
+    logger = new Logger(false, true); // silent mode for tests
+    executionLogger = new ExecutionLogger({ enableConsole: false, enableFile: false });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should complete a file once its last test and retry are done', () => {
+    const manager = new WorkerManager({ retries: 1 }, logger, executionLogger);
+    const filePath = '/repo/a.test.js';
+    manager.initializeTestCounts([{ filePath, tests: [{ id: 'a:1', name: 'one' }, { id: 'a:2', name: 'two' }] }]);
+    const log = record(manager, ['fileStart', 'testComplete', 'fileComplete']);
+
+    const one = { type: 'test', filePath, testName: 'one', testId: 'a:1' };
+    const two = { type: 'test', filePath, testName: 'two', testId: 'a:2' };
+    manager.workQueue.push(two);
+    manager.activeWorkItems[0] = one;
+    manager.startFile(filePath, 0);
+
+    const failed = { testId: 'a:1', filePath, testName: 'one', status: 'failed', error: 'boom', duration: 2 };
+    manager.addResult(one, failed, [failed]);
+    const passed = { testId: 'a:2', filePath, testName: 'two', status: 'passed', duration: 3 };
+    manager.addResult(manager.workQueue.shift(), passed, [passed]);
+    expect(log.map(([event]) => event)).toEqual(['fileStart', 'testComplete', 'testComplete']);
+
+    const recovered = { testId: 'a:1', filePath, testName: 'one', status: 'passed', duration: 4 };
+    manager.addResult(manager.workQueue.shift(), recovered, [recovered]);
+
+    expect(log.map(([event, payload]) => [event, payload.testName, payload.status, payload.attempt])).toEqual([
+      ['fileStart', undefined, undefined, undefined],
+      ['testComplete', 'one', 'failed', 1],
+      ['testComplete', 'two', 'passed', 1],
+      ['testComplete', 'one', 'flaky', 2],
+      ['fileComplete', undefined, 'passed', undefined]
+    ]);
+    expect(log[0][1]).toMatchObject({ filePath, workerId: 0, testCount: 2 });
+    expect(log[4][1]).toMatchObject({ filePath, testCount: 2, passed: 1, flaky: 1, failed: 0 });
+  });
+
+  it('should complete tests resolved without a worker when their file starts', () => {
+    const manager = new WorkerManager({}, logger, executionLogger);
+    const log = record(manager, ['fileStart', 'testComplete']);
+    manager.results.push({ testId: 'b:1', filePath: '/repo/b.test.js', testName: 'later', status: 'todo', duration: 0 });
+
+    manager.startFile('/repo/b.test.js', 1);
+    manager.startFile('/repo/b.test.js', 2);
+
+    expect(log.map(([event, payload]) => [event, payload.testName || payload.workerId])).toEqual([
+      ['fileStart', 1],
+      ['testComplete', 'later']
+    ]);
+  });
+
+  it('should drive the SDK hooks from the runner events', async () => {
+    const results = { summary: { passed: 1, totalTests: 1 } };
+    jest.spyOn(JestParallelRunner.prototype, 'run').mockImplementation(function () {
+      this.workerManager.emit('fileStart', { filePath: '/repo/a.test.js' });
+      this.workerManager.emit('testStart', { testName: 'one' });
+      this.workerManager.emit('testComplete', { testName: 'one', status: 'passed' });
+      this.workerManager.emit('fileComplete', { filePath: '/repo/a.test.js', status: 'passed' });
+      return Promise.resolve(results);
+    });
+
+    const calls = [];
+    const sdk = new JestParallelSDK({ testMatch: 'tests/**/*.test.js' });
+    const logError = jest.spyOn(sdk.logger, 'error').mockImplementation(() => {});
+    const returned = await sdk.runWithHooks({
+      onFileStart: file => calls.push(`fileStart ${file.filePath}`),
+      beforeEach: test => calls.push(`beforeEach ${test.testName}`),
+      afterEach: async test => {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        calls.push(`afterEach ${test.testName} ${test.status}`);
+      },
+      onFileComplete: () => { throw new Error('dashboard offline'); },
+      afterAll: () => calls.push('afterAll'),
+      onComplete: summary => calls.push(summary === results ? 'onComplete' : 'onComplete?')
+    });
+
+    expect(returned).toBe(results);
+    expect(calls).toEqual([
+      'fileStart /repo/a.test.js',
+      'beforeEach one',
+      'afterEach one passed',
+      'afterAll',
+      'onComplete'
+    ]);
+    expect(logError).toHaveBeenCalledWith('fileComplete hook failed:', 'dashboard offline');
+  });
+});
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HistoryStore, summarizeHistory } = require('../src/core/history');
+const { buildTrendsHtml, generateTrendsReport } = require('../src/core/trends');
+const { ConfigLoader } = require('../src/config');
+const { Logger } = require('../src/utils/logger');
+
+describe('Run history', () => {
+  let cacheDir;
+  let logger;
+
+  // A JSON report (json-report.js) with tests given as [id, status, durationMs]
+  const report = (startTime, tests) => {
+    const count = status => tests.filter(([, testStatus]) => testStatus === status).length;
+    return {
+      run: { startTime: new Date(startTime).toISOString(), endTime: new Date(startTime + 1000).toISOString(), durationMs: 1000, mode: 'native-parallel', shard: null, maxWorkers: 2, bailed: false },
+      summary: { total: tests.length, passed: count('passed'), failed: count('failed'), skipped: count('skipped'), todo: 0, flaky: count('flaky'), notRun: 0, files: 1, durationMs: 1000 },
+      tests: tests.map(([id, status, durationMs]) => ({ id, status, durationMs }))
+    };
+  };
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-parallel-history-'));
+    logger = new Logger(false, true); // silent mode for tests
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('should keep the newest runs with their summary and tests', () => {
+    const store = new HistoryStore({ cacheDir, historySize: 2 }, logger);
+    for (let run = 0; run < 3; run++) {
+      store.record(report(Date.UTC(2026, 0, 1 + run), [['a.test.js::adds', 'passed', 10 + run], ['a.test.js::skips', 'skipped', 0]]), { timeSaved: 500, estimatedSequentialTime: 1500 });
+    }
+
+    const runs = store.load();
+    expect(fs.readdirSync(path.join(cacheDir, 'history'))).toHaveLength(2);
+    expect(runs.map(run => run.run.startTime)).toEqual(['2026-01-02T00:00:00.000Z', '2026-01-03T00:00:00.000Z']);
+    expect(runs[1].summary).toMatchObject({ total: 2, passed: 1, skipped: 1, passRate: 1, timeSavedMs: 500, estimatedSequentialMs: 1500 });
+    expect(runs[1].tests).toEqual([
+      { id: 'a.test.js::adds', status: 'passed', durationMs: 12 },
+      { id: 'a.test.js::skips', status: 'skipped', durationMs: 0 }
+    ]);
+    expect(store.load({ limit: 1 })).toHaveLength(1);
+
+    expect(new HistoryStore({ cacheDir: path.join(cacheDir, 'off'), historySize: 0 }, logger).record(report(0, []))).toBeNull();
+    expect(fs.existsSync(path.join(cacheDir, 'off'))).toBe(false);
+    expect(ConfigLoader.validateConfig({ testMatch: 'tests/**', mode: 'native-parallel', historySize: -1 })).toEqual(['historySize must be an integer >= 0']);
+  });
+
+  it('should find the slowest and most failing tests across runs', () => {
+    const store = new HistoryStore({ cacheDir }, logger);
+    store.record(report(1000, [['slow', 'passed', 900], ['fast', 'failed', 5], ['new', 'skipped', 0]]));
+    store.record(report(2000, [['slow', 'passed', 700], ['fast', 'flaky', 6], ['gone', 'failed', 1]]));
+    store.record(report(3000, [['slow', 'failed', 800], ['fast', 'passed', 4]]));
+
+    const trends = summarizeHistory(store.load(), { top: 2 });
+
+    expect(trends.runs.map(run => [run.passRate, run.failed])).toEqual([[0.5, 1], [2 / 3, 1], [0.5, 1]]);
+    expect(trends.slowestTests).toEqual([
+      { id: 'slow', runs: 3, medianMs: 800, lastMs: 800, durations: [900, 700, 800] },
+      { id: 'fast', runs: 3, medianMs: 5, lastMs: 4, durations: [5, 6, 4] }
+    ]);
+    expect(trends.mostFailingTests.map(test => [test.id, test.failed, test.flaky, test.failureRate])).toEqual([
+      ['fast', 1, 1, 2 / 3],
+      ['gone', 1, 0, 1]
+    ]);
+    expect(trends.mostFailingTests[0].statuses).toEqual(['failed', 'flaky', 'passed']);
+  });
+
+  it('should write the trends page', async () => {
+    const store = new HistoryStore({ cacheDir }, logger);
+    store.record(report(1000, [['a.test.js::adds <b>', 'failed', 40]]), { timeSaved: 250 });
+    const outputDir = path.join(cacheDir, 'reports');
+
+    const { trends, reportPath } = await generateTrendsReport({ cacheDir, outputDir, logger });
+    const html = fs.readFileSync(reportPath, 'utf8');
+
+    expect(reportPath).toBe(path.join(outputDir, 'history.html'));
+    expect(html).toContain('Pass Rate');
+    expect(html).toContain('<td class="test-id">a.test.js::adds &lt;b&gt;</td>');
+    expect(html).toContain('🔥 Most Failing Tests');
+    expect(buildTrendsHtml(summarizeHistory([]))).toContain('No runs recorded yet');
+    expect(trends.runs).toHaveLength(1);
+  });
+});
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fork } = require('child_process');
+const { MESSAGE_TYPES, createWorkerChannel, collectWorkerMessages, isProtocolMessage } = require('../src/workers/ipc');
+const { WorkerManager } = require('../src/core/worker-manager');
+const { ExecutionLogger } = require('../src/core/execution-logger');
+const { Logger } = require('../src/utils/logger');
+
+describe('Worker IPC protocol', () => {
+  let workDir;
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-parallel-ipc-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should rebuild a file result from incremental messages', () => {
+    const sent = [];
+    const channel = createWorkerChannel({ send: (message, callback) => { sent.push(message); if (callback) callback(); }, exit: false });
+    const collector = collectWorkerMessages(null);
+
+    const first = { testName: 'one', status: 'passed', duration: 3 };
+    channel.testStart(first);
+    channel.testResult(first);
+    channel.log('warn', 'slow hook', { ms: 12 });
+    channel.done({
+      status: 'failed',
+      filePath: '/repo/a.test.js',
+      testResults: [first, { testName: 'two', status: 'failed', duration: 1, error: 'boom' }],
+      hookInfo: { beforeAll: { duration: 5, status: 'estimated' } }
+    });
+    sent.forEach(message => collector.handleMessage(message));
+
+    expect(sent.every(isProtocolMessage)).toBe(true);
+    expect(sent.map(message => message.type)).toEqual([
+      MESSAGE_TYPES.TEST_START,
+      MESSAGE_TYPES.TEST_RESULT,
+      MESSAGE_TYPES.LOG,
+      MESSAGE_TYPES.TEST_RESULT,
+      MESSAGE_TYPES.HOOK_RESULT,
+      MESSAGE_TYPES.DONE
+    ]);
+    expect(collector.result()).toEqual({
+      status: 'failed',
+      filePath: '/repo/a.test.js',
+      startTime: expect.any(Number),
+      endTime: expect.any(Number),
+      testResults: [first, { testName: 'two', status: 'failed', duration: 1, error: 'boom' }],
+      hookInfo: { beforeAll: { duration: 5, status: 'estimated' } }
+    });
+  });
+
+  it('should keep test output on stdout out of the results channel', async () => {
+    const workerScript = path.join(workDir, 'noisy-worker.js');
+    fs.writeFileSync(workerScript, `
+      const { createWorkerChannel } = require(${JSON.stringify(path.resolve(__dirname, '../src/workers/ipc'))});
+      const channel = createWorkerChannel();
+      console.log('{"status": "passed", "not": "a result"');
+      channel.testResult({ testName: 'prints braces }', status: 'passed', duration: 1 });
+      console.log('}}}');
+      channel.done({ status: 'passed', filePath: 'noisy.test.js', testResults: [] });
+    `);
+
+    const worker = fork(workerScript, [], { stdio: ['ignore', 'pipe', 'pipe', 'ipc'] });
+    const collector = collectWorkerMessages(worker);
+    let stdout = '';
+    worker.stdout.on('data', data => { stdout += data.toString(); });
+    const code = await new Promise(resolve => worker.on('close', resolve));
+
+    expect(code).toBe(0);
+    expect(stdout).toContain('}}}');
+    expect(collector.result()).toEqual({
+      status: 'passed',
+      filePath: 'noisy.test.js',
+      startTime: expect.any(Number),
+      endTime: expect.any(Number),
+      testResults: [{ testName: 'prints braces }', status: 'passed', duration: 1 }]
+    });
+  });
+
+  it('should keep the tests a crashed worker already reported', () => {
+    const logger = new Logger(false, true); // silent mode for tests
+    const executionLogger = new ExecutionLogger({ enableConsole: false, enableFile: false });
+    const manager = new WorkerManager({}, logger, executionLogger);
+    const collector = collectWorkerMessages(null);
+    collector.handleMessage({ protocol: 'jest-parallel/1', type: 'test-result', payload: { testName: 'one', status: 'passed', duration: 2 } });
+
+    expect(collector.result()).toBeNull();
+    manager.addIncompleteResult({ type: 'native-parallel', filePath: '/repo/a.test.js', testCount: 3 }, 0, collector,
+      manager.describeMissingResult(1, 'Error: out of memory\n'));
+
+    expect(manager.results[0]).toMatchObject({ status: 'failed', error: 'Worker exited with code 1 before reporting results:\nError: out of memory' });
+    expect(manager.results[0].testResults).toHaveLength(1);
+    expect(manager.testStatus).toMatchObject({ passed: 1, failed: 0 });
+  });
+});
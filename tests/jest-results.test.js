@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JestParallelReporter = require('../src/workers/jest-reporter');
+const { readJestResults } = require('../src/workers/jest-results');
+
+describe('Jest reporter results', () => {
+  let workDir;
+  let resultsFile;
+  let testFilePath;
+
+  const assertion = (overrides) => ({
+    ancestorTitles: ['outer', 'inner'],
+    title: 'adds',
+    fullName: 'outer inner adds',
+    status: 'passed',
+    duration: 4,
+    failureMessages: [],
+    location: { line: 3, column: 5 },
+    invocations: 1,
+    failureDetails: [{ circular: 'dropped' }],
+    ...overrides
+  });
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-parallel-results-test-'));
+    resultsFile = path.join(workDir, 'results.ndjson');
+    testFilePath = path.join(workDir, 'math.test.js');
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should map assertion results into the worker result shape', () => {
+    const reporter = new JestParallelReporter({}, { outputFile: resultsFile });
+    const failure = assertion({
+      title: 'divides',
+      fullName: 'outer inner divides',
+      status: 'failed',
+      failureMessages: [
+        '\u001b[31mError: expect(received).toBe(expected)\u001b[39m\n\nExpected: 2\nReceived: 1\n' +
+        `    at Object.toBe (${testFilePath}:9:15)\n` +
+        `    at Promise.then.completed (${path.join(workDir, 'node_modules/jest-circus/build/utils.js')}:298:28)\n` +
+        '    at new Promise (<anonymous>)'
+      ]
+    });
+    reporter.onTestResult({ path: testFilePath }, {
+      testFilePath,
+      perfStats: { runtime: 200 },
+      testExecError: null,
+      testResults: [
+        assertion(),
+        failure,
+        assertion({ title: 'skips', fullName: 'outer inner skips', status: 'pending', duration: null }),
+        assertion({ title: 'later', fullName: 'outer inner later', status: 'todo', duration: null })
+      ]
+    });
+
+    const { testResults, hookInfo, execError } = readJestResults(resultsFile, { filePath: testFilePath, workerId: 2 });
+
+    expect(testResults.map(test => [test.testName, test.status])).toEqual([
+      ['adds', 'passed'], ['divides', 'failed'], ['skips', 'skipped'], ['later', 'todo']
+    ]);
+    expect(testResults[0]).toMatchObject({
+      testId: `${testFilePath}:outer inner adds`,
+      suite: 'outer › inner',
+      ancestorTitles: ['outer', 'inner'],
+      duration: 4,
+      error: null,
+      location: { line: 3, column: 5 },
+      workerId: 2,
+      filePath: testFilePath
+    });
+    expect(testResults[1].error).toBe(
+      `Error: expect(received).toBe(expected)\n\nExpected: 2\nReceived: 1\n    at Object.toBe (${testFilePath}:9:15)`
+    );
+    expect(testResults[1].source).toMatchObject({ line: 9, column: 15 });
+    expect(testResults[1]).not.toHaveProperty('failureDetails');
+    expect(hookInfo.beforeAll).toEqual({ duration: 154, status: 'estimated' });
+    expect(execError).toBeNull();
+    expect(fs.existsSync(resultsFile)).toBe(false);
+  });
+
+  it('should keep the tests a killed Jest run finished', () => {
+    const reporter = new JestParallelReporter({}, { outputFile: resultsFile });
+    reporter.onTestCaseResult({ path: testFilePath }, assertion());
+    fs.appendFileSync(resultsFile, '{"type":"test-case","test":{"tit');
+
+    const { testResults } = readJestResults(resultsFile, { filePath: testFilePath, workerId: 0 });
+
+    expect(testResults.map(test => test.testName)).toEqual(['adds']);
+  });
+
+  it('should time each test from its start to its result', () => {
+    const reporter = new JestParallelReporter({}, { outputFile: resultsFile });
+    const before = Date.now();
+    reporter.onTestCaseStart({ path: testFilePath }, assertion());
+    reporter.onTestCaseResult({ path: testFilePath }, assertion());
+    reporter.onTestResult({ path: testFilePath }, {
+      testFilePath,
+      perfStats: { runtime: 5 },
+      testExecError: null,
+      testResults: [assertion(), assertion({ title: 'skips', fullName: 'outer inner skips', status: 'pending', duration: null })]
+    });
+
+    const { testResults } = readJestResults(resultsFile, { filePath: testFilePath, workerId: 0 });
+
+    expect(testResults[0].startTime).toBeGreaterThanOrEqual(before);
+    expect(testResults[0].endTime).toBeGreaterThanOrEqual(testResults[0].startTime);
+    // Tests Jest never started have no times
+    expect(testResults[1]).toMatchObject({ startTime: null, endTime: null });
+  });
+
+  it('should report suites that failed to run', () => {
+    const reporter = new JestParallelReporter({}, { outputFile: resultsFile });
+    reporter.onTestResult({ path: testFilePath }, {
+      testFilePath,
+      perfStats: { runtime: 5 },
+      testExecError: { message: 'Unexpected token', stack: 'SyntaxError: Unexpected token' },
+      testResults: []
+    });
+
+    const { testResults, execError } = readJestResults(resultsFile, { filePath: testFilePath, workerId: 0 });
+
+    expect(testResults).toEqual([]);
+    expect(execError).toBe('SyntaxError: Unexpected token');
+  });
+});
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JSON_REPORT_VERSION, buildJsonReport } = require('../src/core/json-report');
+const { ReportGenerator } = require('../src/core/reporter');
+const { Logger } = require('../src/utils/logger');
+
+describe('JSON report', () => {
+  const filePath = path.join(process.cwd(), 'tests/math.test.js');
+  const summary = {
+    startTime: Date.UTC(2026, 0, 2, 3, 4, 5),
+    endTime: Date.UTC(2026, 0, 2, 3, 4, 6),
+    mode: 'native-parallel',
+    maxWorkers: 4,
+    shard: { index: 1, total: 2 },
+    bailed: false
+  };
+  const failure = 'Error: expect(received).toBe(expected)\n\nExpected: 2\nReceived: 1\n    at Object.toBe (tests/math.test.js:9:15)';
+
+  // The same run as reported by a file worker and by per-test workers
+  const fileModeResults = [{
+    filePath,
+    status: 'failed',
+    duration: 50,
+    workerId: 1,
+    hookInfo: { beforeAll: { duration: 12, status: 'estimated' } },
+    testResults: [
+      { testName: 'adds', suite: 'math', ancestorTitles: ['math'], status: 'passed', duration: 3, location: { line: 4, column: 3 } },
+      {
+        testName: 'divides',
+        ancestorTitles: ['math', 'division'],
+        status: 'failed',
+        duration: 5,
+        error: failure,
+        source: { file: 'tests/math.test.js', line: 9, column: 15 }
+      }
+    ]
+  }];
+  const testModeResults = [
+    { testId: 'x', filePath, testName: 'adds', suite: 'math', status: 'passed', duration: 3, workerId: 0 },
+    { testId: 'y', filePath, testName: 'divides', suite: 'math › division', status: 'failed', duration: 5, error: failure, workerId: 2 }
+  ];
+
+  it('should describe the run, its files and tests', () => {
+    const report = buildJsonReport(fileModeResults, summary);
+
+    expect(report.schemaVersion).toBe(JSON_REPORT_VERSION);
+    expect(report.run).toMatchObject({
+      mode: 'native-parallel',
+      startTime: '2026-01-02T03:04:05.000Z',
+      durationMs: 1000,
+      maxWorkers: 4,
+      shard: { index: 1, total: 2 },
+      environment: { node: process.version }
+    });
+    expect(report.summary).toEqual({
+      success: false, total: 2, passed: 1, failed: 1, skipped: 0, todo: 0, flaky: 0, notRun: 0, files: 1, failedFiles: 1, durationMs: 1000
+    });
+    expect(report.files).toEqual([{
+      path: 'tests/math.test.js',
+      status: 'failed',
+      durationMs: 50,
+      workerIds: [1],
+      hooks: {
+        beforeAll: { durationMs: 12, status: 'estimated' },
+        beforeEach: { durationMs: 0, status: 'not_found' },
+        afterAll: { durationMs: 0, status: 'not_found' },
+        afterEach: { durationMs: 0, status: 'not_found' }
+      },
+      error: null,
+      summary: { total: 2, passed: 1, failed: 1, skipped: 0, todo: 0, flaky: 0, notRun: 0 },
+      tests: ['tests/math.test.js::math › adds', 'tests/math.test.js::math › division › divides']
+    }]);
+    expect(report.tests[1]).toEqual({
+      id: 'tests/math.test.js::math › division › divides',
+      file: 'tests/math.test.js',
+      title: 'divides',
+      ancestorTitles: ['math', 'division'],
+      fullName: 'math › division › divides',
+      status: 'failed',
+      durationMs: 5,
+      workerId: 1,
+      location: null,
+      error: {
+        message: 'Error: expect(received).toBe(expected)\n\nExpected: 2\nReceived: 1',
+        stack: failure,
+        location: { file: 'tests/math.test.js', line: 9, column: 15 }
+      },
+      attempts: []
+    });
+  });
+
+  it('should give tests the same ids in every mode', () => {
+    const fileMode = buildJsonReport(fileModeResults, summary);
+    const testMode = buildJsonReport(testModeResults, summary);
+
+    expect(testMode.tests.map(test => test.id)).toEqual(fileMode.tests.map(test => test.id));
+    expect(testMode.files[0].workerIds).toEqual([0, 2]);
+    expect(testMode.tests[1].error.message).toBe(fileMode.tests[1].error.message);
+
+    // Tests sharing a name are numbered in source order, whichever finished first
+    const repeated = (line, status) => ({ testId: `${filePath}:${line}:retries`, filePath, testName: 'retries', status, duration: 1 });
+    const firstRun = buildJsonReport([repeated(12, 'failed'), repeated(20, 'passed')], summary);
+    const secondRun = buildJsonReport([repeated(20, 'passed'), repeated(12, 'failed')], summary);
+    const statusById = report => Object.fromEntries(report.tests.map(test => [test.id, test.status]));
+
+    expect(statusById(firstRun)).toEqual({ 'tests/math.test.js::retries': 'failed', 'tests/math.test.js::retries [2]': 'passed' });
+    expect(statusById(secondRun)).toEqual(statusById(firstRun));
+    expect(firstRun.files[0].tests).toEqual(['tests/math.test.js::retries', 'tests/math.test.js::retries [2]']);
+  });
+
+  it('should be written to the output directory by the json reporter', async () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-parallel-json-'));
+    try {
+      const generator = new ReportGenerator({ outputDir, reporter: 'json' }, new Logger(false, true));
+      await generator.generateReports(fileModeResults, summary, 'native-parallel');
+
+      const report = JSON.parse(fs.readFileSync(path.join(outputDir, 'test-report.json'), 'utf8'));
+      expect(report.summary.total).toBe(2);
+      expect(fs.readdirSync(outputDir)).toEqual(['test-report.json']);
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+});
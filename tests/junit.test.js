@@ -0,0 +1,72 @@
+const path = require('path');
+const { ReportGenerator, parseReporters } = require('../src/core/reporter');
+const { buildJUnitXml } = require('../src/core/junit');
+const { ConfigLoader } = require('../src/config');
+const { JestParallelSDK } = require('../src/index');
+const { Logger } = require('../src/utils/logger');
+
+describe('JUnit reporter', () => {
+  const mathFile = path.join(process.cwd(), 'tests/math.test.js');
+  const brokenFile = path.join(process.cwd(), 'tests/broken.test.js');
+
+  const reportData = () => {
+    const generator = new ReportGenerator({ reporter: 'junit' }, new Logger(false, true));
+    return generator.processResults([
+      {
+        filePath: mathFile,
+        status: 'failed',
+        duration: 40,
+        workerId: 2,
+        testResults: [
+          { testName: 'adds', suite: 'math', status: 'passed', duration: 5 },
+          { testName: 'divides by zero', suite: 'math › division', status: 'failed', duration: 4, error: 'Error: expected <Infinity> & "NaN"\n    at Object.toBe (tests/math.test.js:9:15)' },
+          { testName: 'rounds', suite: 'math › division', status: 'skipped', duration: 0 },
+          { testName: 'later', suite: '', status: 'todo', duration: 0 },
+          { testName: 'retried', suite: 'math', status: 'flaky', duration: 3, attempts: [{ attempt: 1, status: 'failed' }, { attempt: 2, status: 'passed' }] }
+        ]
+      },
+      { filePath: brokenFile, status: 'failed', duration: 2, workerId: 1, error: 'SyntaxError: Unexpected token', testResults: [] }
+    ], { startTime: Date.UTC(2026, 0, 2, 3, 4, 5), endTime: Date.UTC(2026, 0, 2, 3, 4, 6) }, 'native-parallel');
+  };
+
+  it('should write one suite per file with failures, skips and worker ids', () => {
+    const xml = buildJUnitXml(reportData());
+
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="jest-parallel" tests="6" failures="1" errors="1" skipped="2" time="1.000">/);
+    expect(xml).toContain('<testsuite name="tests/math.test.js" file="tests/math.test.js" id="0" tests="5" failures="1" errors="0" skipped="2" time="0.012" timestamp="2026-01-02T03:04:05">');
+    expect(xml).toContain('<testcase name="divides by zero" classname="math › division" file="tests/math.test.js" time="0.004">');
+    expect(xml).toContain('<failure message="Error: expected &lt;Infinity&gt; &amp; &quot;NaN&quot;">Error: expected &lt;Infinity&gt; &amp; &quot;NaN&quot;\nat Object.toBe (tests/math.test.js:9:15)</failure>');
+    expect(xml).toContain('<testcase name="later" classname="tests/math.test.js" file="tests/math.test.js" time="0.000">');
+    expect(xml).toContain('<skipped message="todo"/>');
+    expect(xml).toContain('<property name="workerId" value="2"/>');
+    expect(xml).toContain('<property name="flaky" value="true"/>\n        <property name="attempts" value="2"/>');
+    expect(xml).toContain('<error message="SyntaxError: Unexpected token">SyntaxError: Unexpected token</error>');
+  });
+
+  it('should name suites after describe blocks when asked to', () => {
+    const xml = buildJUnitXml(reportData(), { suiteNaming: 'describe' });
+    const suites = [...xml.matchAll(/<testsuite name="([^"]*)"[^>]* tests="(\d+)"/g)].map(match => [match[1], Number(match[2])]);
+
+    expect(suites).toEqual([
+      ['math', 2],
+      ['math › division', 2],
+      ['tests/math.test.js', 1],
+      ['tests/broken.test.js', 1]
+    ]);
+    expect(() => buildJUnitXml(reportData(), { suiteNaming: 'class' })).toThrow('Invalid JUnit suite naming: class');
+  });
+
+  it('should accept the reporters it advertises, alone or combined', () => {
+    expect([...parseReporters('both')]).toEqual(['console', 'html']);
+    expect([...parseReporters('console, junit')]).toEqual(['console', 'junit']);
+    expect([...parseReporters(['html', 'junit'])]).toEqual(['html', 'junit']);
+
+    for (const reporter of JestParallelSDK.getReporters()) {
+      expect(ConfigLoader.validateConfig({ testMatch: 'tests/**', mode: 'native-parallel', reporter })).toEqual([]);
+    }
+    expect(ConfigLoader.validateConfig({ testMatch: 'tests/**', mode: 'native-parallel', reporter: 'xml', junitSuiteName: 'class' })).toEqual([
+      'Invalid reporter: xml. Valid reporters: console, html, json, junit, both',
+      'Invalid junitSuiteName: class. Valid values: file, describe'
+    ]);
+  });
+});
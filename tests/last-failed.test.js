@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadLastFailures, selectLastFailed } = require('../src/core/last-failed');
+
+describe('Last failed selection', () => {
+  let workDir;
+  let statusFile;
+
+  // Tests are given as [...describe titles, test title]
+  const parsedFile = (name, titlePaths) => {
+    const filePath = path.join(workDir, name);
+    return {
+      filePath,
+      tests: titlePaths.map((titles, i) => {
+        const testName = titles[titles.length - 1];
+        return { id: `${filePath}:${i + 1}:${testName}`, name: testName, describePath: titles.slice(0, -1) };
+      })
+    };
+  };
+
+  const writeStatus = (fileDetails) => {
+    fs.writeFileSync(statusFile, JSON.stringify({ schemaVersion: 1, summary: {}, fileDetails }));
+  };
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-parallel-last-failed-'));
+    statusFile = path.join(workDir, 'test-status.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should keep only failed tests and select them by full name', async () => {
+    writeStatus({
+      [path.join(workDir, 'a.test.js')]: {
+        status: 'failed',
+        tests: [
+          { name: 'works', ancestorTitles: ['suite'], status: 'passed' },
+          { name: 'breaks (sometimes)', ancestorTitles: ['suite', 'parser'], status: 'failed' },
+          { name: 'recovered', ancestorTitles: ['suite'], status: 'flaky' }
+        ]
+      },
+      [path.join(workDir, 'b.test.js')]: { status: 'passed', tests: [{ name: 'fine', ancestorTitles: [], status: 'passed' }] }
+    });
+    const files = [
+      parsedFile('a.test.js', [['suite', 'works'], ['suite', 'parser', 'breaks (sometimes)'], ['suite', 'runner', 'breaks (sometimes)'], ['suite', 'recovered']]),
+      parsedFile('b.test.js', [['fine']])
+    ];
+
+    const selected = selectLastFailed(files, await loadLastFailures(statusFile));
+
+    // The same title in another describe block passed and is left out
+    expect(selected).toHaveLength(1);
+    expect(selected[0].tests.map(test => test.describePath)).toEqual([['suite', 'parser']]);
+    const pattern = new RegExp(selected[0].testNamePattern);
+    expect(pattern.test('suite parser breaks (sometimes)')).toBe(true);
+    expect(pattern.test('suite runner breaks (sometimes)')).toBe(false);
+    expect(pattern.test('suite works')).toBe(false);
+  });
+
+  it('should rerun whole files that failed without failing tests', async () => {
+    writeStatus({ [path.join(workDir, 'crash.test.js')]: { status: 'failed', tests: [] } });
+    const files = [parsedFile('crash.test.js', [['one'], ['two']])];
+
+    const selected = selectLastFailed(files, await loadLastFailures(statusFile));
+
+    expect(selected).toEqual(files);
+    expect(selected[0].testNamePattern).toBeUndefined();
+  });
+
+  it('should select nothing after a passing run', async () => {
+    writeStatus({ [path.join(workDir, 'a.test.js')]: { status: 'passed', tests: [{ name: 'works', ancestorTitles: [], status: 'passed' }] } });
+
+    const failures = await loadLastFailures(statusFile);
+
+    expect(failures.size).toBe(0);
+    expect(selectLastFailed([parsedFile('a.test.js', [['works']])], failures)).toEqual([]);
+  });
+
+  it('should explain a missing or unsupported status report', async () => {
+    await expect(loadLastFailures(path.join(workDir, 'missing.json'))).rejects.toThrow('run the suite once before using --lastFailed');
+
+    fs.writeFileSync(statusFile, JSON.stringify({ schemaVersion: 2, summary: {}, fileDetails: {} }));
+    await expect(loadLastFailures(statusFile)).rejects.toThrow('Unsupported test-status.json schema version 2');
+  });
+});
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { TestParser } = require('../src/core/parser');
+const { WorkerManager } = require('../src/core/worker-manager');
+const { JestParallelRunner } = require('../src/core/runner');
+const { ExecutionLogger } = require('../src/core/execution-logger');
+const { validateConfig } = require('../src/config');
+const { Logger } = require('../src/utils/logger');
+
+describe('Resource locks', () => {
+  let logger;
+
+  beforeAll(() => {
+    logger = new Logger(false, true); // silent mode for tests
+  });
+
+  it('should read lock pragmas from the docblock', () => {
+    const parser = new TestParser(logger);
+
+    expect(parser._readLocks(`/**
+ * Seeds the shared schema.
+ * @jest-parallel-lock database, cache-dir
+ * @jest-parallel-lock  database  queue
+ */
+it('seeds', () => {});`)).toEqual(['database', 'cache-dir', 'queue']);
+    expect(parser._readLocks('#!/usr/bin/env node\n/** @jest-parallel-lock singleton-file */\n')).toEqual(['singleton-file']);
+    expect(parser._readLocks("it('x', () => {});\n/** @jest-parallel-lock database */\n")).toEqual([]);
+    expect(parser._readLocks('/* @jest-parallel-lock database */\n')).toEqual([]);
+    expect(parser._readLocks('/** @jest-parallel-locks database */\n')).toEqual([]);
+  });
+
+  it('should never run two work items holding the same lock at once', () => {
+    const executionLogger = new ExecutionLogger({ enableConsole: false, enableFile: false });
+    const manager = new WorkerManager({ maxWorkers: 3, portsPerWorker: 0 }, logger, executionLogger);
+    manager.initializeTestCounts([
+      { filePath: '/repo/a.test.js', tests: [], locks: ['database'] },
+      { filePath: '/repo/b.test.js', tests: [], locks: ['database', 'cache'] },
+      { filePath: '/repo/c.test.js', tests: [] },
+      { filePath: '/repo/d.test.js', tests: [], locks: ['cache'] }
+    ]);
+    manager.checkCompletion = jest.fn();
+
+    const workers = {};
+    manager.spawnTestWorker = (workItem) => {
+      const worker = new EventEmitter();
+      worker.exitCode = null;
+      worker.signalCode = null;
+      workers[path.basename(workItem.filePath)] = worker;
+      return worker;
+    };
+    const close = (name) => {
+      workers[name].exitCode = 0;
+      workers[name].emit('close', 0, null);
+    };
+    const running = () => Object.values(manager.activeWorkItems).map(item => path.basename(item.filePath)).sort();
+
+    manager.workQueue = ['a', 'b', 'c', 'd'].map(name => ({ type: 'test', filePath: `/repo/${name}.test.js`, testName: name }));
+    manager.processWorkQueue();
+
+    // b waits for database; c and d run next to a
+    expect(running()).toEqual(['a.test.js', 'c.test.js', 'd.test.js']);
+    expect([...manager.heldLocks.keys()].sort()).toEqual(['cache', 'database']);
+
+    close('a.test.js');
+    expect(running()).toEqual(['c.test.js', 'd.test.js']);
+
+    close('d.test.js');
+    expect(running()).toEqual(['b.test.js', 'c.test.js']);
+    expect(manager.workQueue).toEqual([]);
+
+    close('b.test.js');
+    close('c.test.js');
+    expect(manager.heldLocks.size).toBe(0);
+    expect(manager.activeWorkers).toBe(0);
+  });
+
+  it('should add the locks of the locks option to matching files', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-parallel-locks-'));
+    try {
+      fs.mkdirSync(path.join(dir, 'db'));
+      const dbFile = path.join(dir, 'db', 'users.test.js');
+      const otherFile = path.join(dir, 'math.test.js');
+      fs.writeFileSync(dbFile, '');
+      fs.writeFileSync(otherFile, '');
+      const runner = new JestParallelRunner({ logger, locks: { database: `${dir}/db/**/*.test.js`, queue: [otherFile, dbFile] } });
+      const parsedFiles = [
+        { filePath: dbFile, locks: ['database'] },
+        { filePath: otherFile, locks: [] }
+      ];
+
+      await runner.applyLocks(parsedFiles);
+
+      expect(parsedFiles.map(file => file.locks)).toEqual([['database', 'queue'], ['queue']]);
+      expect(validateConfig({ testMatch: 'tests/**', mode: 'native-parallel', locks: { database: 3 } })).toEqual([
+        "locks must map lock names to globs, e.g. { database: 'tests/db/**/*.test.js' }"
+      ]);
+      expect(validateConfig({ testMatch: 'tests/**', mode: 'native-parallel', locks: { database: ['a/**', 'b/**'] } })).toEqual([]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mergeReports, mergeStatusReports } = require('../src/core/merge');
+const { Logger } = require('../src/utils/logger');
+
+describe('Report merging', () => {
+  let logger;
+  let workDir;
+
+  const fileEntry = (filePath, tests) => ({
+    filePath,
+    status: tests.some(test => test.status === 'failed') ? 'failed' : 'passed',
+    testCount: tests.length,
+    passed: tests.filter(test => test.status === 'passed').length,
+    failed: tests.filter(test => test.status === 'failed').length,
+    skipped: 0,
+    todo: 0,
+    tests: tests.map(test => ({ name: test.name, status: test.status, durationMs: test.duration })),
+    startTime: null,
+    endTime: null,
+    hooks: {
+      beforeAll: { duration: 0, status: 'not_found' },
+      beforeEach: { duration: 0, status: 'not_found' },
+      afterAll: { duration: 0, status: 'not_found' },
+      afterEach: { duration: 0, status: 'not_found' }
+    }
+  });
+
+  const statusReport = (shard, startTime, endTime, filePath, tests) => ({
+    schemaVersion: 1,
+    summary: {
+      total: tests.length,
+      passed: tests.filter(test => test.status === 'passed').length,
+      failed: tests.filter(test => test.status === 'failed').length,
+      skipped: 0,
+      todo: 0,
+      completed: tests.length,
+      running: 0,
+      expected: { runnable: tests.length, skipped: 0, todo: 0 },
+      mode: 'parallel-test',
+      shard,
+      startTime,
+      endTime
+    },
+    fileDetails: { [filePath]: fileEntry(filePath, tests) },
+    results: tests.map(test => ({ testId: `${filePath}:${test.name}`, filePath, testName: test.name, status: test.status, duration: test.duration }))
+  });
+
+  const shardOne = statusReport({ index: 1, total: 2 }, '2026-01-01T10:00:00.000Z', '2026-01-01T10:00:30.000Z',
+    '/repo/tests/a.test.js', [{ name: 'one', status: 'passed', duration: 20000 }]);
+  const shardTwo = statusReport({ index: 2, total: 2 }, '2026-01-01T10:00:05.000Z', '2026-01-01T10:00:45.000Z',
+    '/repo/tests/a.test.js', [{ name: 'two', status: 'failed', duration: 30000 }]);
+
+  beforeAll(() => {
+    logger = new Logger(false, true); // silent mode for tests
+  });
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-parallel-merge-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should compute wall-clock time as the span across shards', () => {
+    const merged = mergeStatusReports([shardTwo, shardOne]);
+
+    expect(merged.summary.startTime).toBe('2026-01-01T10:00:00.000Z');
+    expect(merged.summary.endTime).toBe('2026-01-01T10:00:45.000Z');
+    expect(merged.summary.durationMs).toBe(45000);
+    expect(merged.summary.shards).toEqual([{ index: 1, total: 2 }, { index: 2, total: 2 }]);
+  });
+
+  it('should combine counters and files split across shards', () => {
+    const merged = mergeStatusReports([shardOne, shardTwo]);
+
+    expect(merged.summary).toMatchObject({ total: 2, passed: 1, failed: 1, mode: 'parallel-test', successRate: '50.0' });
+    expect(merged.results).toHaveLength(2);
+    expect(merged.fileSummary).toHaveLength(1);
+    expect(merged.fileSummary[0]).toMatchObject({ status: 'failed', testCount: 2, passed: 1, failed: 1, durationMs: 50000 });
+  });
+
+  it('should regenerate reports from report directories', async () => {
+    for (const [name, report] of [['shard-1', shardOne], ['shard-2', shardTwo]]) {
+      fs.mkdirSync(path.join(workDir, name));
+      fs.writeFileSync(path.join(workDir, name, 'test-status.json'), JSON.stringify(report));
+    }
+    const outputDir = path.join(workDir, 'merged');
+
+    const results = await mergeReports([path.join(workDir, 'shard-1'), path.join(workDir, 'shard-2')], {
+      outputDir,
+      reporter: 'html',
+      logger
+    });
+
+    expect(results.summary).toMatchObject({ passed: 1, failed: 1, totalTests: 2, totalDuration: 45000 });
+    expect(fs.existsSync(path.join(outputDir, 'test-report.html'))).toBe(true);
+    expect(JSON.parse(fs.readFileSync(path.join(outputDir, 'test-status.json'), 'utf8'))).toMatchObject({ schemaVersion: 1, summary: { total: 2 } });
+  });
+
+  it('should reject missing reports and other schema versions', async () => {
+    await expect(mergeReports([path.join(workDir, 'missing')], { logger })).rejects.toThrow('Failed to read report');
+
+    const oldReport = path.join(workDir, 'test-status.json');
+    fs.writeFileSync(oldReport, JSON.stringify({ ...shardOne, schemaVersion: undefined }));
+    await expect(mergeReports([oldReport], { logger })).rejects.toThrow(`Unsupported test-status.json schema version undefined in ${oldReport} (expected 1)`);
+  });
+});
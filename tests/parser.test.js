@@ -73,6 +73,130 @@ it('standalone test', () => {
     expect(parsedFiles.every(file => file.tests.length > 0)).toBe(true);
   });
 
+  it('should build a suite tree with nested describe paths', async () => {
+    const nestedFile = path.join(__dirname, 'temp-nested-test.js');
+    await fs.writeFile(nestedFile, `
+describe('outer', () => {
+  beforeEach(() => {});
+  describe('inner', () => {
+    it(
+      'spans lines',
+      () => {}
+    );
+  });
+});
+`);
+    
+    try {
+      const parsed = await parser.parseTestFile(nestedFile);
+      const [test] = parsed.tests;
+      
+      expect(parsed.tests).toHaveLength(1);
+      expect(test.describePath).toEqual(['outer', 'inner']);
+      expect(test.fullName).toBe('outer inner spans lines');
+      expect(test.location.start.line).toBe(5);
+      expect(test.location.end.line).toBe(8);
+      expect(parsed.hasBeforeEach).toBe(true);
+      expect(parsed.suiteTree.children[0].children[0].name).toBe('inner');
+    } finally {
+      await fs.unlink(nestedFile);
+    }
+  });
+
+  it('should resolve template literal names and statically known loops', async () => {
+    const loopFile = path.join(__dirname, 'temp-loop-test.js');
+    await fs.writeFile(loopFile, `
+const prefix = 'adds';
+for (const n of [1, 2]) {
+  test(\`\${prefix} \${n}\`, () => {});
+}
+[3, 4].forEach((n) => it('value ' + n, () => {}));
+loadCases().forEach((c) => it(\`case \${c.name}\`, () => {}));
+`);
+    
+    try {
+      const parsed = await parser.parseTestFile(loopFile);
+      const names = parsed.tests.map(t => t.name);
+      
+      expect(names).toEqual(['adds 1', 'adds 2', 'value 3', 'value 4', 'case ${c.name}']);
+      expect(parsed.tests.filter(t => t.dynamic)).toHaveLength(1);
+      expect(new Set(parsed.tests.map(t => t.id)).size).toBe(5);
+    } finally {
+      await fs.unlink(loopFile);
+    }
+  });
+
+  it('should expand static each tables into one test per row', async () => {
+    const eachFile = path.join(__dirname, 'temp-each-test.js');
+    await fs.writeFile(eachFile, `
+const rows = [[1, 1, 2], [2, 3, 5]];
+test.each(rows)('add(%i, %i) -> %i', () => {});
+it.each([{ name: 'x' }])('object $name', () => {});
+test.each\`
+  a    | expected
+  \${1} | \${2}
+\`('template $a -> $expected', () => {});
+test.each(loadRows())('dynamic %s', () => {});
+`);
+    
+    try {
+      const parsed = await parser.parseTestFile(eachFile);
+      
+      expect(parsed.tests.map(t => t.name)).toEqual([
+        'add(1, 1) -> 2',
+        'add(2, 3) -> 5',
+        'object x',
+        'template 1 -> 2',
+        'dynamic %s'
+      ]);
+      expect(parsed.tests[1].each).toEqual({ dynamic: false, index: 1, total: 2 });
+      expect(parsed.tests[4].each).toEqual({ dynamic: true });
+      expect(parsed.tests[4].dynamic).toBe(true);
+    } finally {
+      await fs.unlink(eachFile);
+    }
+  });
+
+  it('should apply describe.skip, .only and todo scoping like Jest', async () => {
+    const focusFile = path.join(__dirname, 'temp-focus-test.js');
+    await fs.writeFile(focusFile, `
+describe.skip('skipped suite', () => {
+  it('inside skip', () => {});
+  describe.only('focused inside skip', () => {
+    it('runs anyway', () => {});
+  });
+});
+describe('plain', () => {
+  it('unfocused', () => {});
+  it.only('focused', () => {});
+  test.todo('later');
+});
+describe.only('focused suite', () => {
+  it('inherits focus', () => {});
+  it.skip('explicit skip', () => {});
+});
+`);
+    
+    try {
+      const parsed = await parser.parseTestFile(focusFile);
+      const statuses = Object.fromEntries(parsed.tests.map(t => [t.name, t.expectedStatus]));
+      
+      expect(statuses).toEqual({
+        'inside skip': 'skipped',
+        'runs anyway': 'runnable',
+        'unfocused': 'skipped',
+        'focused': 'runnable',
+        'later': 'todo',
+        'inherits focus': 'runnable',
+        'explicit skip': 'skipped'
+      });
+      expect(parsed.suiteTree.hasFocusedTests).toBe(true);
+      expect(parsed.tests.find(t => t.name === 'later').type).toBe('todo');
+    } finally {
+      await fs.unlink(focusFile);
+    }
+  });
+
   it('should handle parsing errors gracefully', async () => {
     const nonExistentFile = '/path/to/nonexistent/file.js';
     
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TestParser } = require('../src/core/parser');
+const { PerfBaseline, checkPerformance, parseBudget } = require('../src/core/perf-gate');
+const { JestParallelRunner } = require('../src/core/runner');
+const { ReportGenerator } = require('../src/core/reporter');
+const { Logger } = require('../src/utils/logger');
+
+describe('Performance gate', () => {
+  let cacheDir;
+  let logger;
+
+  // Tests of a JSON report (json-report.js) given as [id, status, durationMs]
+  const tests = (entries) => entries.map(([id, status, durationMs]) => ({ id, status, durationMs }));
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-parallel-perf-'));
+    logger = new Logger(false, true); // silent mode for tests
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('should pick up @budget annotations before tests', async () => {
+    const testFile = path.join(cacheDir, 'budget.test.js');
+    fs.writeFileSync(testFile, `
+describe('api', () => {
+  // @budget 200ms
+  it('lists users', () => {});
+
+  /** @budget 1.5s */
+  // seeds the database first
+  it.each([1, 2])('loads page %i', () => {});
+
+  it('has no budget', () => {}); // @budget 5ms applies to nothing
+
+  // @budget soon
+  it('has a malformed budget', () => {});
+});
+`);
+    const warn = jest.spyOn(logger, 'warn');
+
+    const parsed = await new TestParser(logger).parseTestFile(testFile);
+
+    expect(parsed.tests.map(test => [test.name, test.budget])).toEqual([
+      ['lists users', 200],
+      ['loads page 1', 1500],
+      ['loads page 2', 1500],
+      ['has no budget', null],
+      ['has a malformed budget', null]
+    ]);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Ignoring malformed @budget in budget.test.js:12'));
+    expect([parseBudget('250'), parseBudget('2s'), parseBudget('1.2.3ms')]).toEqual([250, 2000, null]);
+  });
+
+  it('should flag tests slower than their rolling median or their budget', () => {
+    const baseline = new PerfBaseline({ cacheDir }, logger);
+    for (const duration of [100, 300, 110, 120]) {
+      baseline.record(tests([['steady', 'passed', duration], ['new', 'passed', 10], ['broken', 'failed', 5000]]));
+    }
+    baseline.record(tests([['steady', 'passed', 115]]));
+
+    // Reloaded from disk: median of 100, 300, 110, 120 and 115
+    const stored = new PerfBaseline({ cacheDir }, logger);
+    expect(stored.get('steady')).toBe(115);
+    expect(stored.get('new')).toBe(10);
+    expect(stored.get('broken')).toBeNull();
+
+    const budgets = new Map([['budgeted', 200], ['steady', 1000]]);
+    const check = (entries, options) => checkPerformance(tests(entries), stored, { budgets, ...options });
+
+    expect(check([['steady', 'passed', 240], ['new', 'passed', 40], ['budgeted', 'passed', 250], ['broken', 'passed', 9000]])).toEqual({
+      checked: 3,
+      regressions: [
+        { id: 'budgeted', durationMs: 250, baselineMs: null, budgetMs: 200, reasons: ['budget'] },
+        { id: 'steady', durationMs: 240, baselineMs: 115, budgetMs: 1000, reasons: ['baseline'] }
+      ]
+    });
+    // 4x slower but only 30ms: too small to tell from noise
+    expect(check([['new', 'passed', 40]]).regressions).toEqual([]);
+    expect(check([['steady', 'passed', 240], ['steady-failing', 'failed', 9000]], { factor: 3 }).regressions).toEqual([]);
+  });
+
+  it('should check a run, update the baseline and report the regressions', async () => {
+    const runner = new JestParallelRunner({ logger, cacheDir, failOnPerfRegression: true });
+    const filePath = path.join(process.cwd(), 'tests', 'api.test.js');
+    const parsedFiles = [{ filePath, tests: [
+      { name: 'lists users', describePath: ['api'], budget: 200 },
+      { name: 'retries', describePath: ['api'], budget: null },
+      { name: 'retries', describePath: ['api'], budget: 50 }
+    ] }];
+    const report = { tests: tests([
+      ['tests/api.test.js::api › lists users', 'passed', 320],
+      ['tests/api.test.js::api › retries', 'passed', 80],
+      ['tests/api.test.js::api › retries [2]', 'passed', 80]
+    ]) };
+
+    const performance = await runner.checkPerformance(parsedFiles, report);
+
+    // The budget of the second test named 'retries' applies to its numbered id
+    expect(performance).toMatchObject({ factor: 2, checked: 2, failRun: true });
+    expect(performance.regressions.map(regression => [regression.id, regression.reasons])).toEqual([
+      ['tests/api.test.js::api › lists users', ['budget']],
+      ['tests/api.test.js::api › retries [2]', ['budget']]
+    ]);
+    expect(JSON.parse(fs.readFileSync(path.join(cacheDir, 'perf-baseline.json'), 'utf8')).tests).toMatchObject({
+      'tests/api.test.js::api › lists users': [320]
+    });
+
+    const reporter = new ReportGenerator({ outputDir: cacheDir }, logger);
+    const html = reporter.generatePerformanceSection(performance);
+    expect(html).toContain('2 test(s) checked against 2x their baseline');
+    expect(html).toContain('<td>budget 200ms</td>');
+    expect(html).toContain('failing the run');
+    expect(reporter.generatePerformanceSection(null)).toBe('');
+  });
+});
@@ -0,0 +1,95 @@
+const { WorkerManager } = require('../src/core/worker-manager');
+const { ExecutionLogger } = require('../src/core/execution-logger');
+const { Logger } = require('../src/utils/logger');
+
+describe('WorkerManager retries', () => {
+  let logger;
+  let executionLogger;
+
+  const createManager = (retries) => {
+    const manager = new WorkerManager({ retries }, logger, executionLogger);
+    manager.testStatus.total = 3;
+    return manager;
+  };
+
+  beforeAll(() => {
+    logger = new Logger(false, true); // silent mode for tests
+    executionLogger = new ExecutionLogger({ enableConsole: false, enableFile: false });
+  });
+
+  it('should report a test that passes on retry as flaky with its attempts', () => {
+    const manager = createManager(2);
+    const workItem = { type: 'test', filePath: '/repo/a.test.js', testName: 'works eventually', testId: 'a:1' };
+    const failed = { testId: 'a:1', testName: 'works eventually', status: 'failed', error: 'boom', duration: 5, workerId: 0 };
+
+    manager.addResult(workItem, failed, [failed]);
+    expect(manager.workQueue).toHaveLength(1);
+    expect(manager.testStatus.failed).toBe(1);
+
+    const retryItem = manager.workQueue.shift();
+    expect(retryItem).toMatchObject({ attempt: 2, testName: 'works eventually' });
+
+    const passed = { testId: 'a:1', testName: 'works eventually', status: 'passed', duration: 7, workerId: 1 };
+    manager.addResult(retryItem, passed, [passed]);
+
+    expect(manager.results).toHaveLength(1);
+    expect(manager.results[0]).toMatchObject({ status: 'flaky', error: null });
+    expect(manager.results[0].attempts.map(attempt => attempt.status)).toEqual(['failed', 'passed']);
+    expect(manager.testStatus).toMatchObject({ failed: 0, flaky: 1, completed: 1 });
+    expect(manager.workQueue).toHaveLength(0);
+  });
+
+  it('should stop retrying after the configured number of attempts', () => {
+    const manager = createManager(1);
+    const workItem = { type: 'test', filePath: '/repo/a.test.js', testName: 'always fails', testId: 'a:2' };
+    const failed = () => ({ testId: 'a:2', testName: 'always fails', status: 'failed', error: 'boom', duration: 1 });
+
+    const first = failed();
+    manager.addResult(workItem, first, [first]);
+    const second = failed();
+    manager.addResult(manager.workQueue.shift(), second, [second]);
+
+    expect(manager.workQueue).toHaveLength(0);
+    expect(manager.results[0].status).toBe('failed');
+    expect(manager.results[0].attempts).toHaveLength(2);
+    expect(manager.testStatus.failed).toBe(1);
+  });
+
+  it('should rerun only the failed tests of a file through a name pattern', () => {
+    const manager = createManager(1);
+    const workItem = { type: 'native-parallel', filePath: '/repo/b.test.js', testCount: 3 };
+    const result = {
+      filePath: '/repo/b.test.js',
+      status: 'failed',
+      testResults: [
+        { testName: 'ok', status: 'passed', duration: 1 },
+        { testName: 'flaky (1 + 1)', status: 'failed', duration: 1, error: 'boom' },
+        { testName: 'broken', status: 'failed', duration: 1, error: 'boom' }
+      ]
+    };
+
+    manager.addResult(workItem, result, result.testResults);
+    const retryItem = manager.workQueue.shift();
+
+    expect(retryItem.retryTests).toEqual(['flaky (1 + 1)', 'broken']);
+    expect(new RegExp(retryItem.testNamePattern).test('suite flaky (1 + 1)')).toBe(true);
+    expect(new RegExp(retryItem.testNamePattern).test('suite ok')).toBe(false);
+
+    const rerun = {
+      filePath: '/repo/b.test.js',
+      status: 'failed',
+      testResults: [
+        { testName: 'ok', status: 'skipped', duration: 0 },
+        { testName: 'flaky (1 + 1)', status: 'passed', duration: 2 },
+        { testName: 'broken', status: 'failed', duration: 2, error: 'still broken' }
+      ]
+    };
+    manager.addResult(retryItem, rerun, rerun.testResults);
+
+    expect(manager.results).toHaveLength(1);
+    expect(result.testResults.map(test => test.status)).toEqual(['passed', 'flaky', 'failed']);
+    expect(result.testResults[2].error).toBe('still broken');
+    expect(result.status).toBe('failed');
+    expect(manager.testStatus).toMatchObject({ passed: 1, failed: 1, flaky: 1, skipped: 0, completed: 3 });
+  });
+});
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseShard, selectShard } = require('../src/core/shard');
+const { TimingStore } = require('../src/core/timing-store');
+const { JestParallelRunner } = require('../src/core/runner');
+const { JestParallelSDK } = require('../src');
+const { validateConfig, getDefaultConfig } = require('../src/config');
+const { Logger } = require('../src/utils/logger');
+
+describe('Sharding', () => {
+  let logger;
+  let cacheDir;
+
+  const makeFile = (name, testCount) => {
+    const filePath = path.join(process.cwd(), 'tests', name);
+    return {
+      filePath,
+      tests: Array.from({ length: testCount }, (_, i) => ({
+        id: `${filePath}:${i + 1}:test ${i}`,
+        name: `test ${i}`
+      }))
+    };
+  };
+
+  beforeAll(() => {
+    logger = new Logger(false, true); // silent mode for tests
+  });
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-parallel-shard-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('should parse and validate shard specifications', () => {
+    expect(parseShard('2/5')).toEqual({ index: 2, total: 5 });
+    expect(parseShard({ index: 1, total: 1 })).toEqual({ index: 1, total: 1 });
+    expect(() => parseShard('0/3')).toThrow('Invalid shard');
+    expect(() => parseShard('4/3')).toThrow('Invalid shard');
+    expect(() => parseShard('two of three')).toThrow('Expected format index/total');
+
+    expect(validateConfig({ ...getDefaultConfig(), shard: '3/2' })).toHaveLength(1);
+    expect(validateConfig({ ...getDefaultConfig(), shard: '2/2' })).toHaveLength(0);
+    // The SDK applies the same rules as the CLI
+    expect(new JestParallelSDK().setShard('3/2').validate()).toEqual(validateConfig({ ...getDefaultConfig(), shard: '3/2' }));
+  });
+
+  it('should cover every file exactly once across shards', () => {
+    const files = ['a', 'b', 'c', 'd', 'e'].map((name, i) => makeFile(`${name}.test.js`, i + 1));
+
+    const shards = [1, 2, 3].map(index =>
+      selectShard(files, { index, total: 3 }, { mode: 'native-parallel' })
+        .map(file => path.basename(file.filePath))
+    );
+
+    expect(shards.flat().sort()).toEqual(['a.test.js', 'b.test.js', 'c.test.js', 'd.test.js', 'e.test.js']);
+    // Balanced by test count without a timings file: 5 | 4+1 | 3+2
+    expect(shards).toEqual([['e.test.js'], ['a.test.js', 'd.test.js'], ['b.test.js', 'c.test.js']]);
+  });
+
+  it('should balance by the shared timings file, never the local timings cache', () => {
+    const files = [makeFile('a.test.js', 1), makeFile('b.test.js', 1), makeFile('c.test.js', 1)];
+    const timings = path.join(cacheDir, 'shared-timings.json');
+    const timingStore = new TimingStore({ timingsFile: timings }, logger);
+    timingStore.recordWorkItem({ filePath: files[0].filePath, testCount: 1 }, 9000);
+    timingStore.recordWorkItem({ filePath: files[1].filePath, testCount: 1 }, 1000);
+    timingStore.recordWorkItem({ filePath: files[2].filePath, testCount: 1 }, 1000);
+    timingStore.save();
+
+    const runner = new JestParallelRunner({ logger, cacheDir, timings });
+    const first = selectShard(files, { index: 1, total: 2 }, { mode: 'parallel-file', timingStore: runner.loadShardTimings() });
+    const second = selectShard(files, { index: 2, total: 2 }, { mode: 'parallel-file', timingStore: runner.loadShardTimings() });
+
+    expect(first.map(file => path.basename(file.filePath))).toEqual(['a.test.js']);
+    expect(second.map(file => path.basename(file.filePath))).toEqual(['b.test.js', 'c.test.js']);
+
+    // The run's own cache in cacheDir plays no part; a missing file falls back to test counts
+    expect(new JestParallelRunner({ logger, cacheDir }).loadShardTimings()).toBeNull();
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    expect(new JestParallelRunner({ logger, cacheDir, timings: path.join(cacheDir, 'missing.json') }).loadShardTimings()).toBeNull();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('balancing shards by test count'));
+    warn.mockRestore();
+    expect(validateConfig({ ...getDefaultConfig(), timings: '' })).toEqual(['timings must be a file path']);
+  });
+
+  it('should split individual tests in parallel-test mode', () => {
+    const files = [makeFile('a.test.js', 3), makeFile('b.test.js', 1)];
+
+    const shards = [1, 2].map(index =>
+      selectShard(files, { index, total: 2 }, { mode: 'parallel-test' })
+    );
+    const testIds = shards.flatMap(shard => shard.flatMap(file => file.tests.map(test => test.id)));
+
+    expect(shards.map(shard => shard.reduce((sum, file) => sum + file.tests.length, 0))).toEqual([2, 2]);
+    expect(testIds.sort()).toEqual(files.flatMap(file => file.tests.map(test => test.id)).sort());
+  });
+});
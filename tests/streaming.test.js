@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JestParallelReporter = require('../src/workers/jest-reporter');
+const { watchJestResults } = require('../src/workers/jest-results');
+const { WorkerManager } = require('../src/core/worker-manager');
+const { ExecutionLogger } = require('../src/core/execution-logger');
+const { Logger } = require('../src/utils/logger');
+
+describe('Live result streaming', () => {
+  const createManager = () => {
+    const logger = new Logger(false, true); // silent mode for tests
+    const executionLogger = new ExecutionLogger({ enableConsole: false, enableFile: false });
+    const manager = new WorkerManager({}, logger, executionLogger);
+    manager.executionStartTime = new Date();
+    manager.initializeTestCounts([{
+      filePath: '/repo/a.test.js',
+      tests: ['one', 'two', 'three'].map(name => ({ id: `/repo/a.test.js:${name}`, name }))
+    }]);
+    return manager;
+  };
+
+  it('should count streamed tests live and replace them with the final result', () => {
+    const manager = createManager();
+    const workItem = { type: 'native-parallel', filePath: '/repo/a.test.js', testCount: 3 };
+    const events = [];
+    manager.on('testComplete', test => events.push(test.testName));
+    manager.activeWorkItems[0] = workItem;
+
+    const one = { testId: '/repo/a.test.js:one', testName: 'one', status: 'passed', duration: 5 };
+    const two = { testId: '/repo/a.test.js:two', testName: 'two', status: 'failed', duration: 5 };
+    manager.addStreamedResult(workItem, one);
+    manager.addStreamedResult(workItem, two);
+
+    expect(manager.progressSnapshot()).toMatchObject({ completed: 2, passed: 1, failed: 1, running: 1, queued: 0 });
+    expect(manager.progressSnapshot().eta).toEqual(expect.any(Number));
+
+    const three = { testId: '/repo/a.test.js:three', testName: 'three', status: 'passed', duration: 5 };
+    const testResults = [one, two, three];
+    manager.addResult(workItem, { filePath: workItem.filePath, status: 'failed', testResults }, testResults);
+
+    expect(manager.progressSnapshot()).toMatchObject({ completed: 3, passed: 2, failed: 1, running: 0, eta: 0 });
+    expect(events).toEqual(['one', 'two', 'three']);
+
+    // Messages that arrive after the final result are ignored
+    manager.addStreamedResult(workItem, { testName: 'late', status: 'passed' });
+    expect(manager.testStatus.completed).toBe(3);
+  });
+
+  it('should emit progress as results arrive', () => {
+    const manager = createManager();
+    const workItem = { type: 'native-parallel', filePath: '/repo/a.test.js', testCount: 3 };
+    const progress = [];
+    manager.on('progress', status => progress.push(status.completed));
+    manager.activeWorkItems[0] = workItem;
+
+    manager.addStreamedResult(workItem, { testId: 'one', testName: 'one', status: 'passed' });
+    manager.addStreamedResult(workItem, { testId: 'two', testName: 'two', status: 'passed' });
+
+    expect(progress).toEqual([1, 2]);
+  });
+
+  it('should follow a results file while Jest writes it', () => {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-parallel-stream-'));
+    const resultsFile = path.join(workDir, 'results.ndjson');
+    const reporter = new JestParallelReporter({}, { outputFile: resultsFile });
+    const started = [];
+    const finished = [];
+    const watcher = watchJestResults(resultsFile, { filePath: '/repo/a.test.js', workerId: 1 }, {
+      onTestStart: test => started.push(test.testName),
+      onTestResult: test => finished.push(`${test.testName}:${test.status}`)
+    }, 60000);
+
+    try {
+      const testCase = { ancestorTitles: ['suite'], title: 'one', fullName: 'suite one' };
+      reporter.onTestCaseStart({ path: '/repo/a.test.js' }, testCase);
+      reporter.onTestCaseResult({ path: '/repo/a.test.js' }, { ...testCase, status: 'passed', duration: 3, failureMessages: [] });
+      fs.appendFileSync(resultsFile, '{"type":"test-case","test":{"title":"tw');
+      watcher.stop();
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    expect(started).toEqual(['one']);
+    expect(finished).toEqual(['one:passed']);
+  });
+});
@@ -0,0 +1,67 @@
+const { buildTimeline } = require('../src/core/timeline');
+const { ReportGenerator } = require('../src/core/reporter');
+const { WorkerManager } = require('../src/core/worker-manager');
+const { Logger } = require('../src/utils/logger');
+const { ExecutionLogger } = require('../src/core/execution-logger');
+
+describe('Execution timeline', () => {
+  const summary = { startTime: 10000, endTime: 12000 };
+  const spans = [
+    { workerId: 1, type: 'native-parallel', filePath: '/repo/tests/slow.test.js', attempt: 1, status: 'failed', startTime: 10010, endTime: 11990 },
+    { workerId: 0, type: 'native-parallel', filePath: '/repo/tests/a.test.js', attempt: 1, status: 'passed', startTime: 10005, endTime: 10500 },
+    { workerId: 0, type: 'native-parallel', filePath: '/repo/tests/slow.test.js', attempt: 2, status: 'passed', startTime: 10520, endTime: 10900 }
+  ];
+
+  it('should lay work items out on one lane per worker with idle gaps', () => {
+    const timeline = buildTimeline(spans, summary);
+
+    expect(timeline.duration).toBe(2000);
+    expect(timeline.lanes.map(lane => lane.workerId)).toEqual([0, 1]);
+    expect(timeline.lanes[0].bars).toEqual([
+      { label: 'a.test.js', type: 'native-parallel', filePath: '/repo/tests/a.test.js', testName: null, attempt: 1, status: 'passed', start: 5, duration: 495 },
+      { label: 'slow.test.js (attempt 2)', type: 'native-parallel', filePath: '/repo/tests/slow.test.js', testName: null, attempt: 2, status: 'passed', start: 520, duration: 380 }
+    ]);
+    // Pauses shorter than 100ms are scheduling overhead; the idle tail of worker 0 is the straggler's doing
+    expect(timeline.lanes[0].gaps).toEqual([{ start: 900, duration: 1100 }]);
+    expect(timeline.lanes[1].gaps).toEqual([]);
+    expect(timeline.lanes[0].utilization).toBeCloseTo(0.4375);
+    expect(timeline.utilization).toBeCloseTo((875 + 1980) / 4000);
+    expect(buildTimeline([], summary)).toBeNull();
+  });
+
+  it('should record when each work item ran on which worker', () => {
+    const manager = new WorkerManager({}, new Logger(false, true), new ExecutionLogger({ enableConsole: false, enableFile: false }));
+    const workItem = { type: 'test', filePath: '/repo/tests/a.test.js', testName: 'works', startedAt: Date.now() - 50, workerId: 3 };
+    const result = { testName: 'works', status: 'passed', duration: 20, startTime: workItem.startedAt + 30 };
+
+    manager.addResult(workItem, result, [result]);
+
+    expect(manager.timeline).toEqual([{
+      workerId: 3,
+      type: 'test',
+      filePath: '/repo/tests/a.test.js',
+      testName: 'works',
+      attempt: 1,
+      status: 'passed',
+      startTime: workItem.startedAt,
+      endTime: expect.any(Number)
+    }]);
+    // The result keeps the start its worker reported and gets an end time
+    expect(result.startTime).toBe(workItem.startedAt + 30);
+    expect(result.endTime).toBe(manager.timeline[0].endTime);
+  });
+
+  it('should show the timeline in the HTML report', () => {
+    const generator = new ReportGenerator({ reporter: 'html' }, new Logger(false, true));
+    const results = [{ filePath: '/repo/tests/a.test.js', status: 'passed', duration: 495, workerId: 0, testResults: [] }];
+
+    const html = generator.generateHtmlContent(generator.processResults(results, { ...summary, timeline: spans }, 'native-parallel'));
+    expect(html).toContain('⏱️ Execution Timeline');
+    expect(html).toContain('Worker 1 <span class="utilization">99%</span>');
+    expect(html).toContain('<div class="bar status-failed" style="left: 0.500%; width: 99.000%" data-file="/repo/tests/slow.test.js" title="slow.test.js · failed · 2.0s (from 10ms)">');
+    expect(html).toContain('<div class="idle-gap" style="left: 45.000%; width: 55.000%" title="Idle 1.1s">');
+
+    const merged = generator.generateHtmlContent(generator.processResults(results, summary, 'native-parallel'));
+    expect(merged).not.toContain('Execution Timeline');
+  });
+});
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TimingStore } = require('../src/core/timing-store');
+const { WorkerManager } = require('../src/core/worker-manager');
+const { Logger } = require('../src/utils/logger');
+
+describe('TimingStore scheduling', () => {
+  let logger;
+  let cacheDir;
+
+  beforeAll(() => {
+    logger = new Logger(false, true); // silent mode for tests
+  });
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-parallel-timings-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('should persist and smooth durations across runs', () => {
+    const first = new TimingStore({ cacheDir }, logger);
+    first.recordWorkItem({ filePath: 'tests/a.test.js', testCount: 2 }, 1000);
+    first.save();
+
+    const second = new TimingStore({ cacheDir }, logger);
+    second.recordWorkItem({ filePath: 'tests/a.test.js', testCount: 2 }, 3000);
+    second.save();
+
+    const data = JSON.parse(fs.readFileSync(path.join(cacheDir, 'timings.json'), 'utf8'));
+    expect(data.version).toBe(1);
+    expect(data.files['tests/a.test.js']).toMatchObject({ duration: 2000, runs: 2, testCount: 2 });
+  });
+
+  it('should keep test-level timings out of file durations', () => {
+    const fileRun = new TimingStore({ cacheDir }, logger);
+    fileRun.recordWorkItem({ filePath: 'tests/a.test.js', testCount: 2 }, 400);
+    fileRun.save();
+
+    // Each test-level run includes a Jest startup; the file duration stays the file-level one
+    const store = new TimingStore({ cacheDir }, logger);
+    store.recordWorkItem({ filePath: 'tests/a.test.js', testName: 'one' }, 1200);
+    store.recordWorkItem({ filePath: 'tests/a.test.js', testName: 'two' }, 1300);
+    store.recordWorkItem({ filePath: 'tests/b.test.js', testName: 'three' }, 1100);
+    store.save();
+
+    const reloaded = new TimingStore({ cacheDir }, logger).load();
+    expect(reloaded.getTestDuration('tests/a.test.js', 'two')).toBe(1300);
+    expect(reloaded.getFileDuration('tests/a.test.js')).toBe(400);
+    expect(reloaded.getFileDuration('tests/b.test.js')).toBeNull();
+    expect(reloaded.estimate({ filePath: 'tests/b.test.js', testCount: 3 })).toBe(600);
+  });
+
+  it('should keep same-named tests of different describe blocks apart', () => {
+    const store = new TimingStore({ cacheDir }, logger);
+    store.recordWorkItem({ filePath: 'tests/a.test.js', testName: 'works', describePath: ['parser'] }, 200);
+    store.recordWorkItem({ filePath: 'tests/a.test.js', testName: 'works', describePath: ['runner', 'bail'] }, 900);
+    store.save();
+
+    const reloaded = new TimingStore({ cacheDir }, logger).load();
+    expect(Object.keys(reloaded.tests)).toEqual(['tests/a.test.js::parser › works', 'tests/a.test.js::runner › bail › works']);
+    expect(reloaded.estimate({ filePath: 'tests/a.test.js', testName: 'works', describePath: ['runner', 'bail'] })).toBe(900);
+    expect(reloaded.getTestDuration('tests/a.test.js', 'works')).toBeNull();
+  });
+
+  it('should order the work queue longest-first with test-count fallback', () => {
+    const store = new TimingStore({ cacheDir }, logger);
+    store.recordWorkItem({ filePath: 'tests/fast.test.js', testCount: 4 }, 400);
+    store.recordWorkItem({ filePath: 'tests/slow.test.js', testCount: 1 }, 5000);
+    store.save();
+
+    const manager = new WorkerManager({ cacheDir }, logger, null);
+    const ordered = manager.scheduleWorkItems([
+      { type: 'jest-parallel', filePath: 'tests/fast.test.js', testCount: 4 },
+      { type: 'jest-parallel', filePath: 'tests/unknown-small.test.js', testCount: 1 },
+      { type: 'jest-parallel', filePath: 'tests/slow.test.js', testCount: 1 },
+      { type: 'jest-parallel', filePath: 'tests/unknown-large.test.js', testCount: 10 }
+    ]);
+
+    // Unknown files are estimated at the historical average of 1080ms per test
+    expect(ordered.map(item => path.basename(item.filePath))).toEqual([
+      'unknown-large.test.js',
+      'slow.test.js',
+      'unknown-small.test.js',
+      'fast.test.js'
+    ]);
+  });
+
+  it('should fall back to parsed test counts without history', () => {
+    const manager = new WorkerManager({ cacheDir }, logger, null);
+    const ordered = manager.scheduleWorkItems([
+      { type: 'native-parallel', filePath: 'tests/a.test.js', testCount: 1 },
+      { type: 'native-parallel', filePath: 'tests/b.test.js', testCount: 3 },
+      { type: 'native-parallel', filePath: 'tests/c.test.js', testCount: 1 }
+    ]);
+
+    expect(ordered.map(item => path.basename(item.filePath))).toEqual(['b.test.js', 'a.test.js', 'c.test.js']);
+  });
+});
@@ -0,0 +1,85 @@
+const path = require('path');
+const { buildTrace } = require('../src/core/trace');
+
+describe('Chrome trace export', () => {
+  const filePath = path.join(process.cwd(), 'tests/math.test.js');
+  const summary = {
+    startTime: 1000,
+    endTime: 3000,
+    mode: 'native-parallel',
+    maxWorkers: 2,
+    timeline: [
+      { workerId: 0, type: 'native-parallel', filePath, attempt: 1, status: 'failed', startTime: 1000, endTime: 1800 },
+      { workerId: 1, type: 'native-parallel', filePath, attempt: 2, status: 'passed', startTime: 1900, endTime: 2500 }
+    ]
+  };
+  const results = [{
+    filePath,
+    status: 'passed',
+    workerId: 0,
+    hookInfo: { beforeAll: { duration: 300, status: 'estimated' }, afterAll: { duration: 50, status: 'estimated' } },
+    testResults: [
+      { testName: 'adds', ancestorTitles: ['math'], status: 'passed', workerId: 0, startTime: 1400, endTime: 1600 },
+      // Concurrent with 'adds'
+      { testName: 'subtracts', ancestorTitles: ['math'], status: 'passed', workerId: 0, startTime: 1450, endTime: 1500 },
+      {
+        testName: 'divides',
+        ancestorTitles: ['math'],
+        status: 'flaky',
+        workerId: 0,
+        startTime: 1600,
+        endTime: 1700,
+        attempts: [
+          { attempt: 1, status: 'failed', workerId: 0, error: 'Error: boom\n    at x', startTime: 1600, endTime: 1700 },
+          { attempt: 2, status: 'passed', workerId: 1, startTime: 2100, endTime: 2200 }
+        ]
+      }
+    ]
+  }];
+
+  const slices = (trace, cat) => trace.traceEvents.filter(event => event.ph === 'X' && event.cat === cat);
+  const names = (trace, metadataName) => trace.traceEvents
+    .filter(event => event.ph === 'M' && event.name === metadataName)
+    .map(event => [event.pid, event.tid, event.args.name]);
+
+  it('should give each worker a process with work items, hooks and tests', () => {
+    const trace = buildTrace(results, summary);
+
+    expect(trace.displayTimeUnit).toBe('ms');
+    expect(trace.otherData).toMatchObject({ mode: 'native-parallel', maxWorkers: 2, startTime: new Date(1000).toISOString() });
+    expect(names(trace, 'process_name')).toEqual([[1, 0, 'Worker 0'], [2, 0, 'Worker 1'], [0, 0, 'Test files']]);
+    expect(slices(trace, 'work-item').map(event => [event.pid, event.name, event.ts, event.dur])).toEqual([
+      [1, 'math.test.js', 0, 800000],
+      [2, 'math.test.js (attempt 2)', 900000, 600000]
+    ]);
+    expect(slices(trace, 'hook').map(event => [event.pid, event.name, event.ts, event.dur])).toEqual([
+      [1, 'beforeAll', 100000, 300000],
+      [1, 'afterAll', 700000, 50000]
+    ]);
+  });
+
+  it('should split concurrent tests over tracks and show every attempt', () => {
+    const trace = buildTrace(results, summary);
+
+    expect(names(trace, 'thread_name')).toEqual(expect.arrayContaining([[1, 1, 'Tests'], [1, 2, 'Tests (2)'], [2, 1, 'Tests']]));
+    expect(slices(trace, 'test').map(event => [event.pid, event.tid, event.name, event.args.attempt, event.args.status])).toEqual([
+      [1, 1, 'math › adds', 1, 'passed'],
+      [1, 1, 'math › divides', 1, 'failed'],
+      [1, 2, 'math › subtracts', 1, 'passed'],
+      [2, 1, 'math › divides', 2, 'passed']
+    ]);
+    expect(slices(trace, 'test')[1].args.error).toBe('Error: boom');
+  });
+
+  it('should span each file from its first work item to its last', () => {
+    const [file] = slices(buildTrace(results, summary), 'file');
+
+    expect(file).toMatchObject({
+      name: 'tests/math.test.js',
+      pid: 0,
+      ts: 0,
+      dur: 1500000,
+      args: { workItems: 2, status: 'passed', beforeAll: 300, afterAll: 50 }
+    });
+  });
+});
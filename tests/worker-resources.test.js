@@ -0,0 +1,101 @@
+const fs = require('fs');
+const net = require('net');
+const { EventEmitter } = require('events');
+const { WorkerResources, allocatePortRanges } = require('../src/core/worker-resources');
+const { WorkerManager } = require('../src/core/worker-manager');
+const { ExecutionLogger } = require('../src/core/execution-logger');
+const { validateConfig } = require('../src/config');
+const { Logger } = require('../src/utils/logger');
+
+describe('Worker resources', () => {
+  let logger;
+
+  const workItem = { type: 'test', filePath: '/repo/db.test.js', testName: 'writes' };
+
+  beforeAll(() => {
+    logger = new Logger(false, true); // silent mode for tests
+  });
+
+  it('should allocate disjoint ranges of free ports', async () => {
+    const server = net.createServer();
+    await new Promise(resolve => server.listen(0, resolve));
+    const busyPort = server.address().port;
+
+    try {
+      const ranges = await allocatePortRanges(2, { basePort: busyPort - 2, size: 3 });
+
+      // The first block holds the busy port, so allocation restarts after it
+      expect(ranges).toEqual([
+        { start: busyPort + 1, end: busyPort + 3 },
+        { start: busyPort + 4, end: busyPort + 6 }
+      ]);
+      await expect(allocatePortRanges(1, { basePort: 65534, size: 5 })).rejects.toThrow('No free range of 5 ports left above 65534');
+    } finally {
+      server.close();
+    }
+  });
+
+  it('should give each worker process its id, temp directory, ports and workerEnv variables', () => {
+    const workerEnv = jest.fn((workerId, item) => ({ DATABASE_NAME: `test_${workerId}`, TEST_FILE: item.filePath, UNSET: undefined, POOL_SIZE: 2 }));
+    const resources = new WorkerResources({ workerEnv }, logger);
+    resources.portRanges = [{ start: 41000, end: 41009 }, { start: 41010, end: 41019 }];
+
+    const acquired = resources.acquire(1, workItem);
+
+    expect(acquired.env).toEqual({
+      JEST_PARALLEL_WORKER_ID: '1',
+      JEST_PARALLEL_TMPDIR: acquired.tmpDir,
+      JEST_PARALLEL_PORT_START: '41010',
+      JEST_PARALLEL_PORT_END: '41019',
+      DATABASE_NAME: 'test_1',
+      TEST_FILE: '/repo/db.test.js',
+      POOL_SIZE: '2'
+    });
+    expect(workerEnv).toHaveBeenCalledWith(1, { ...workItem, attempt: 1 });
+    expect(fs.statSync(acquired.tmpDir).isDirectory()).toBe(true);
+    fs.writeFileSync(`${acquired.tmpDir}/leftover.db`, '');
+
+    resources.release(acquired);
+    expect(fs.existsSync(acquired.tmpDir)).toBe(false);
+
+    const asyncHook = new WorkerResources({ workerEnv: async () => ({}) }, logger);
+    expect(() => asyncHook.acquire(0, workItem)).toThrow('workerEnv must return the variables synchronously');
+    expect(asyncHook.tmpDirs.size).toBe(0);
+    expect(validateConfig({ testMatch: 'tests/**', mode: 'native-parallel', workerEnv: 'db', portsPerWorker: -1, basePort: 70000 })).toEqual([
+      'basePort must be a port number between 1 and 65535',
+      'portsPerWorker must be an integer >= 0',
+      'workerEnv must be a function (workerId, workItem) returning environment variables'
+    ]);
+  });
+
+  it('should pass the variables to spawned workers and clean up when they exit', async () => {
+    const executionLogger = new ExecutionLogger({ enableConsole: false, enableFile: false });
+    const manager = new WorkerManager({ maxWorkers: 1, portsPerWorker: 0, workerEnv: workerId => ({ DATABASE_NAME: `test_${workerId}` }) }, logger, executionLogger);
+    const worker = new EventEmitter();
+    worker.exitCode = null;
+    worker.signalCode = null;
+    let env;
+    manager.spawnTestWorker = (item, workerId) => {
+      env = manager.workerProcessEnv(workerId);
+      return worker;
+    };
+    manager.processWorkQueue = () => {};
+    manager.workQueue = [{ ...workItem }];
+
+    manager.startWorker(0);
+
+    expect(env).toMatchObject({ PATH: process.env.PATH, JEST_PARALLEL_WORKER_ID: '0', DATABASE_NAME: 'test_0' });
+    expect(fs.existsSync(env.JEST_PARALLEL_TMPDIR)).toBe(true);
+    worker.emit('close', 0, null);
+    expect(fs.existsSync(env.JEST_PARALLEL_TMPDIR)).toBe(false);
+
+    // A throwing workerEnv fails the run instead of every work item
+    manager.workerResources.workerEnv = () => { throw new Error('no database'); };
+    manager.workQueue = [{ ...workItem }, { ...workItem }];
+    const failure = new Promise((resolve, reject) => { manager.onError = reject; });
+    manager.startWorker(0);
+    await expect(failure).rejects.toThrow('Failed to prepare worker 0: no database');
+    expect(manager.workQueue).toEqual([]);
+    expect(manager.activeWorkers).toBe(0);
+  });
+});
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { WorkerResources } = require('../src/core/worker-resources');
+const { WorkerManager } = require('../src/core/worker-manager');
+const { ExecutionLogger } = require('../src/core/execution-logger');
+const { validateConfig } = require('../src/config');
+const { Logger } = require('../src/utils/logger');
+
+describe('Worker setup and teardown', () => {
+  let logger;
+  let dir;
+
+  const workItem = { type: 'file', filePath: '/repo/db.test.js' };
+
+  beforeAll(() => {
+    logger = new Logger(false, true); // silent mode for tests
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-parallel-worker-setup-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should pass what workerSetup returned to the processes of its slot', async () => {
+    const setupModule = path.join(dir, 'setup.js');
+    fs.writeFileSync(setupModule, `
+      exports.__esModule = true;
+      exports.default = async ({ workerId, ports }) => ({ database: 'test_' + workerId, ports, env: { DATABASE_NAME: 'test_' + workerId } });
+    `);
+    const workerTeardown = jest.fn();
+    const resources = new WorkerResources({ workerSetup: setupModule, workerTeardown, portsPerWorker: 0 }, logger);
+
+    expect(resources.needsSetup(1)).toBe(true);
+    await Promise.all([resources.setupSlot(0), resources.setupSlot(1), resources.setupSlot(1)]);
+    expect(resources.needsSetup(1)).toBe(false);
+    const { env, tmpDir } = resources.acquire(1, workItem);
+    resources.release({ tmpDir });
+
+    expect(env.DATABASE_NAME).toBe('test_1');
+    expect(JSON.parse(fs.readFileSync(env.JEST_PARALLEL_WORKER_SETUP, 'utf8'))).toEqual({ database: 'test_1', ports: null, env: { DATABASE_NAME: 'test_1' } });
+    const slotDir = path.dirname(env.JEST_PARALLEL_WORKER_SETUP);
+
+    await Promise.all([resources.teardownSlots(), resources.teardownSlots()]);
+
+    expect(workerTeardown).toHaveBeenCalledTimes(2);
+    expect(workerTeardown).toHaveBeenCalledWith(expect.objectContaining({ workerId: 1, slotDir, setup: expect.objectContaining({ database: 'test_1' }) }));
+    expect(fs.existsSync(slotDir)).toBe(false);
+    expect(resources.acquire(1, workItem).env.DATABASE_NAME).toBeUndefined();
+    resources.releaseAll();
+  });
+
+  it('should tear down the slots that were set up when another setup fails', async () => {
+    const slotDirs = [];
+    const workerSetup = async ({ workerId, slotDir }) => {
+      slotDirs.push(slotDir);
+      if (workerId === 1) throw new Error('database is down');
+      return { workerId };
+    };
+    const workerTeardown = jest.fn(() => { throw new Error('already dropped'); });
+    const resources = new WorkerResources({ workerSetup, workerTeardown }, logger);
+    const logError = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    const setups = [0, 1, 2].map(workerId => resources.setupSlot(workerId));
+    await expect(setups[1]).rejects.toThrow('workerSetup failed: database is down');
+    await resources.teardownSlots();
+
+    // Teardown errors are logged, and the failed slot is not torn down
+    expect(workerTeardown.mock.calls.map(([context]) => context.workerId).sort()).toEqual([0, 2]);
+    expect(logError).toHaveBeenCalledWith('workerTeardown failed for worker 0: already dropped');
+    logError.mockRestore();
+    expect(slotDirs.filter(slotDir => fs.existsSync(slotDir))).toEqual([]);
+
+    const missing = new WorkerResources({ workerSetup: path.join(dir, 'missing.js') }, logger);
+    await expect(missing.setupSlot(0)).rejects.toThrow('Cannot find workerSetup module');
+    await missing.teardownSlots();
+    expect(validateConfig({ testMatch: 'tests/**', mode: 'native-parallel', workerSetup: 3, workerTeardown: './teardown.js' })).toEqual([
+      'workerSetup must be a module path or a function'
+    ]);
+  });
+
+  const createManager = (events, options = {}) => {
+    const executionLogger = new ExecutionLogger({ enableConsole: false, enableFile: false });
+    const manager = new WorkerManager({
+      maxWorkers: 3,
+      portsPerWorker: 0,
+      outputDir: dir,
+      cacheDir: dir,
+      workerSetup: ({ workerId }) => events.push(`setup ${workerId}`),
+      workerTeardown: ({ workerId }) => events.push(`teardown ${workerId}`),
+      ...options
+    }, logger, executionLogger);
+    manager.spawnTestWorker = (item, workerId) => {
+      const worker = new EventEmitter();
+      worker.exitCode = null;
+      worker.signalCode = null;
+      events.push(`run ${path.basename(item.filePath)} in ${manager.workerEnvs[workerId].JEST_PARALLEL_WORKER_ID}`);
+      worker.close = () => {
+        worker.exitCode = 0;
+        worker.emit('close', 0, null);
+      };
+      return worker;
+    };
+    return manager;
+  };
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  it('should set up a slot when it is first used and tear down only those slots', async () => {
+    const events = [];
+    const manager = createManager(events);
+    manager.initializeTestCounts(['a', 'b'].map(name => ({ filePath: `/repo/${name}.test.js`, tests: [], locks: ['database'] })));
+
+    manager.workQueue = ['a', 'b'].map(name => ({ type: 'test', filePath: `/repo/${name}.test.js`, testName: name }));
+    const completed = new Promise(resolve => {
+      manager.onComplete = () => resolve(events.push('complete'));
+      manager.processWorkQueue();
+    });
+
+    // b waits for the database lock, so only slot 0 ever gets work
+    await flush();
+    expect(events).toEqual(['setup 0', 'run a.test.js in 0']);
+    manager.workers[0].close();
+    await flush();
+    manager.workers[0].close();
+    await completed;
+
+    expect(events).toEqual(['setup 0', 'run a.test.js in 0', 'run b.test.js in 0', 'teardown 0', 'complete']);
+  });
+
+  it('should complete the run when tearing down the slots fails', async () => {
+    const events = [];
+    const manager = createManager(events);
+    manager.initializeTestCounts([{ filePath: '/repo/a.test.js', tests: [] }]);
+    const logError = jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const logWarn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    const { rmSync: removeDir } = fs;
+    const slotDirs = [];
+    const rmSync = jest.spyOn(fs, 'rmSync').mockImplementation((target, options) => {
+      if (!path.basename(target).startsWith('jest-parallel-slot-')) return removeDir(target, options);
+      slotDirs.push(target);
+      throw new Error('EBUSY');
+    });
+
+    try {
+      manager.workQueue = [{ type: 'test', filePath: '/repo/a.test.js', testName: 'a' }];
+      const completed = new Promise(resolve => {
+        manager.onComplete = resolve;
+        manager.processWorkQueue();
+      });
+      await flush();
+      manager.workers[0].close();
+      await completed;
+
+      // A slot directory that can't be removed is logged; a rejected teardown still completes
+      expect(logWarn).toHaveBeenCalledWith(expect.stringContaining('Failed to remove worker slot directory'));
+      manager.workerResources.teardownSlots = () => Promise.reject(new Error('teardown crashed'));
+      await new Promise(resolve => {
+        manager.onComplete = resolve;
+        manager.checkCompletion();
+      });
+      expect(logError).toHaveBeenCalledWith('Failed to tear down worker slots: teardown crashed');
+    } finally {
+      rmSync.mockRestore();
+      slotDirs.forEach(slotDir => fs.rmSync(slotDir, { recursive: true, force: true }));
+      logError.mockRestore();
+      logWarn.mockRestore();
+    }
+  });
+});